@@ -2,9 +2,10 @@
  * ---
  * title: Authentication Module
  * purpose: Handles Google OAuth authentication, JWT token generation/verification,
- *          and authentication middleware. Provides in-memory user storage until
- *          database integration (Story 2.1).
- * exports: configureGoogleStrategy, generateToken, verifyToken, requireAuth, findUserById, users
+ *          and authentication middleware. Users are held in memory and, once
+ *          configureUserStorage is called, written through to a storage adapter.
+ * exports: configureGoogleStrategy, configureUserStorage, generateToken, verifyToken,
+ *          requireAuth, isAdmin, findUserById, users
  * dependencies: passport, passport-google-oauth20, jsonwebtoken, crypto
  * ---
  */
@@ -14,9 +15,38 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
-// In-memory user storage (temporary until Story 2.1 database is implemented)
+// In-memory user index, backed by userStorage when configured
 const users = new Map(); // Indexed by google_id
 const usersById = new Map(); // Indexed by user id for O(1) lookups
+const USERS_COLLECTION = 'users';
+let userStorage = null;
+let userStorageLogger = null;
+
+// Load persisted users and write future changes through to the adapter; failed
+// writes are reported through logger (like SessionStore's)
+function configureUserStorage(storage, logger = null) {
+  userStorage = storage;
+  userStorageLogger = logger;
+  const saved = storage ? storage.load(USERS_COLLECTION) : [];
+  for (const user of saved) {
+    users.set(user.google_id, user);
+    usersById.set(user.id, user);
+  }
+  return saved.length;
+}
+
+function saveUser(user) {
+  if (!userStorage) {
+    return;
+  }
+  try {
+    userStorage.save(USERS_COLLECTION, user.id, user);
+  } catch (error) {
+    if (userStorageLogger) {
+      userStorageLogger.error('Failed to persist user', { userId: user.id, error: error.message });
+    }
+  }
+}
 
 // Find or create user from Google profile
 function findOrCreateUser(profile) {
@@ -27,6 +57,7 @@ function findOrCreateUser(profile) {
     const user = users.get(googleId);
     // Update last login
     user.last_login_at = new Date().toISOString();
+    saveUser(user);
     return user;
   }
   
@@ -43,6 +74,7 @@ function findOrCreateUser(profile) {
   
   users.set(googleId, newUser);
   usersById.set(newUser.id, newUser);
+  saveUser(newUser);
   return newUser;
 }
 
@@ -159,11 +191,25 @@ function requireAuth(req, res, next) {
   });
 }
 
+// Admins are listed by email in ADMIN_EMAILS (comma-separated)
+function isAdmin(user) {
+  if (!user || !user.email) {
+    return false;
+  }
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(user.email.toLowerCase());
+}
+
 module.exports = {
   configureGoogleStrategy,
+  configureUserStorage,
   generateToken,
   verifyToken,
   requireAuth,
+  isAdmin,
   findUserById,
   users
 };
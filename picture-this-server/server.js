@@ -20,8 +20,14 @@ const cookieParser = require('cookie-parser');
 // Import core modules
 const logger = require('./src/config/logger');
 const auth = require('./auth');
+const GameEngine = require('./src/game/GameEngine');
+const CardRepository = require('./src/game/CardRepository');
 const GameManager = require('./src/game/GameManager');
 const GameSessionManager = require('./src/game/GameSessionManager');
+const { createStorageAdapter } = require('./src/storage');
+const { createHttpModerationProvider } = require('./src/services/httpModerationProvider');
+const { createImageStore } = require('./src/services/imageStores');
+const { getPromptTemplateRegistry } = require('./src/utils/promptTemplates');
 
 // Import route modules
 const setupHealthRoutes = require('./src/routes/health');
@@ -29,6 +35,8 @@ const setupSessionRoutes = require('./src/routes/session');
 const setupGameRoutes = require('./src/routes/game');
 const setupAuthRoutes = require('./src/routes/authRoutes');
 const setupJudgeRoutes = require('./src/routes/judge');
+const setupSpendRoutes = require('./src/routes/spend');
+const setupCardPackRoutes = require('./src/routes/cardPacks');
 
 // Import WebSocket modules
 const { setupWebSocketHandlers } = require('./src/websocket/handlers');
@@ -92,15 +100,80 @@ auth.configureGoogleStrategy();
 // GAME MANAGERS INITIALIZATION
 // ============================================================================
 
-// Initialize Game Manager (Story 1.2)
-const gameManager = new GameManager(logger, io);
+// Noun and sentence packs, validated at boot so bad card data fails fast
+const cardRepository = new CardRepository({ logger });
+cardRepository.preload();
 
-// Initialize Game Session Manager (Story 1.4)
-const sessionManager = new GameSessionManager({
+// Image prompt templates, validated at boot for the same reason
+const promptTemplates = getPromptTemplateRegistry().load();
+logger.info('Prompt templates loaded', promptTemplates);
+
+// Games and users are saved to storage on every change so a restart doesn't wipe live
+// lobbies; the file adapter batches disk writes (100 ms) and close() writes the rest
+// (STORAGE_ADAPTER=memory keeps everything in-process)
+const storage = createStorageAdapter({
+  type: process.env.STORAGE_ADAPTER || 'file',
+  dir: process.env.STORAGE_DIR,
+  logger
+});
+const restoredUsers = auth.configureUserStorage(storage, logger);
+logger.info('Storage ready', { adapter: storage.type, restoredUsers });
+
+// Card selections are moderated before they reach the image API (lists are comma-separated)
+const moderationTimeoutMs = parseInt(process.env.MODERATION_TIMEOUT_MS) || 5000;
+const moderation = {
+  blocklist: process.env.MODERATION_BLOCKLIST || [],
+  allowlist: process.env.MODERATION_ALLOWLIST || [],
+  maxCardLength: parseInt(process.env.MODERATION_MAX_CARD_LENGTH) || 60,
+  maxSentenceLength: parseInt(process.env.MODERATION_MAX_SENTENCE_LENGTH) || 300,
+  provider: process.env.MODERATION_PROVIDER_URL
+    ? createHttpModerationProvider({
+      url: process.env.MODERATION_PROVIDER_URL,
+      apiKey: process.env.MODERATION_PROVIDER_API_KEY,
+      timeout: moderationTimeoutMs
+    })
+    : null,
+  timeoutMs: moderationTimeoutMs,
+  failOpen: process.env.MODERATION_FAIL_OPEN !== 'false'
+};
+
+// Image spend caps in USD (unset = no cap); past a cap games get placeholders or local images
+const budgets = {
+  perGameUsd: process.env.IMAGE_BUDGET_GAME_USD ? parseFloat(process.env.IMAGE_BUDGET_GAME_USD) : null,
+  perHostDailyUsd: process.env.IMAGE_BUDGET_HOST_DAILY_USD ? parseFloat(process.env.IMAGE_BUDGET_HOST_DAILY_USD) : null,
+  fallback: process.env.IMAGE_BUDGET_FALLBACK || 'placeholder'
+};
+
+// Generated images are deleted per game after cleanup (mode) or once older than the days
+const imageRetention = {
+  mode: process.env.IMAGE_RETENTION_MODE || 'days',
+  days: process.env.IMAGE_RETENTION_DAYS ? parseFloat(process.env.IMAGE_RETENTION_DAYS) : undefined
+};
+
+// 0 is a valid grace period (players leave as soon as they disconnect), so only unset
+// or unparsable values fall back to the default
+const reconnectGraceSeconds = parseInt(process.env.RECONNECT_GRACE_SECONDS, 10);
+
+// Single game engine shared by the REST and WebSocket adapters
+const gameEngine = new GameEngine({
+  logger,
+  cardRepository,
+  storage,
   timeoutMinutes: parseInt(process.env.GAME_SESSION_TIMEOUT_MINUTES) || 60,
+  reconnectGraceSeconds: Number.isNaN(reconnectGraceSeconds) ? 60 : reconnectGraceSeconds,
+  moderation,
+  budgets,
+  imageStore: createImageStore(), // IMAGE_STORE=local (default) or s3
+  imageRetention,
   checkIntervalSeconds: 300 // Check every 5 minutes
 });
 
+// Socket-facing adapter (Story 1.2)
+const gameManager = new GameManager(logger, io, gameEngine);
+
+// REST-facing adapter (Story 1.4)
+const sessionManager = new GameSessionManager({ engine: gameEngine });
+
 // Log session events
 sessionManager.on('onSessionCreated', (gameId, code) => {
   logger.info('Session created', { gameId, code });
@@ -142,6 +215,8 @@ setupSessionRoutes(app, routeDeps);
 setupGameRoutes(app, routeDeps);
 setupAuthRoutes(app, routeDeps);
 setupJudgeRoutes(app, routeDeps);
+setupSpendRoutes(app, routeDeps);
+setupCardPackRoutes(app, routeDeps);
 setupAuthRoutes(app, routeDeps);
 
 // ============================================================================
@@ -149,7 +224,10 @@ setupAuthRoutes(app, routeDeps);
 // ============================================================================
 
 // Set up WebSocket event handlers
-setupWebSocketHandlers(io, { gameManager, sessionManager, logger });
+setupWebSocketHandlers(io, { gameManager, logger });
+
+// Bring back games a previous process left in progress (adapters are listening now)
+gameEngine.restoreGames();
 
 // Start periodic state broadcast (1 second intervals)
 // Note: Most updates happen via WebSocket events, this is just a fallback
@@ -175,7 +253,7 @@ function gracefulShutdown(signal) {
   logger.info(`${signal} signal received: closing HTTP server`);
   stopBroadcast();
   gameManager.shutdown();
-  sessionManager.shutdown();
+  storage.close(); // Writes the records still waiting behind
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -3,6 +3,9 @@
  * title: Card Deck Management
  * purpose: Handles card shuffling, dealing, and hand management using Fisher-Yates
  *          algorithm. Manages draw pile, discard pile, and player hand refills.
+ *          Decks round-trip through plain data (toState/fromState) so they can live in
+ *          game state and survive copies and serialization. Games that pick card
+ *          packs deal from the union of those packs (mergePacks).
  * exports: CardDeck - Class for deck operations
  * dependencies: None (self-contained)
  * ---
@@ -11,7 +14,7 @@
 class CardDeck {
   /**
    * Creates a new card deck
-   * @param {Array<string>} cards - Array of card text/nouns
+   * @param {Array<Object|string>} cards - Card objects ({ id, text, category }) or plain text
    */
   constructor(cards = []) {
     this.originalCards = [...cards];
@@ -64,6 +67,23 @@ class CardDeck {
     return drawn;
   }
 
+  /**
+   * Draws the first card that matches, searching the draw pile from the top and then
+   * the discard pile
+   * @param {Function} predicate - (card) => boolean
+   * @returns {Object|string|null} The card, or null when no card matches
+   */
+  drawMatching(predicate) {
+    for (const pile of [this.drawPile, this.discardPile]) {
+      for (let i = pile.length - 1; i >= 0; i--) {
+        if (predicate(pile[i])) {
+          return pile.splice(i, 1)[0];
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * Refills a player's hand to target size
    * @param {Array<string>} currentHand - Player's current hand
@@ -127,6 +147,62 @@ class CardDeck {
     this.discardPile = [];
     this.shuffle();
   }
+
+  /**
+   * Identity used to match cards across copies of state: a card object's id, or the
+   * card itself for plain text cards
+   * @param {Object|string} card - Card object or text
+   * @returns {number|string} Card key (pack cards have `${packId}:${cardId}` ids)
+   */
+  static cardKey(card) {
+    return card && typeof card === 'object' ? card.id : card;
+  }
+
+  /**
+   * Union of several packs' cards. Card ids are prefixed with their pack id so cards
+   * from different packs never share a key, and a card whose text already came from
+   * an earlier pack is left out.
+   * @param {Array<Object>} packs - [{ id, cards }]
+   * @returns {Array<Object>} Cards as { ...card, id: `${packId}:${cardId}`, packId }
+   */
+  static mergePacks(packs) {
+    const seenTexts = new Set();
+    const cards = [];
+    for (const pack of packs) {
+      for (const card of pack.cards) {
+        const text = String(card.text).trim().toLowerCase();
+        if (!seenTexts.has(text)) {
+          seenTexts.add(text);
+          cards.push({ ...card, id: `${pack.id}:${card.id}`, packId: pack.id });
+        }
+      }
+    }
+    return cards;
+  }
+
+  /**
+   * Exports the deck as plain data for storing in game state
+   * @returns {Object} { cards, drawPile, discardPile }
+   */
+  toState() {
+    return {
+      cards: [...this.originalCards],
+      drawPile: [...this.drawPile],
+      discardPile: [...this.discardPile]
+    };
+  }
+
+  /**
+   * Rebuilds a deck from data produced by toState, keeping pile order
+   * @param {Object} data - { cards, drawPile, discardPile }
+   * @returns {CardDeck} Restored deck
+   */
+  static fromState(data) {
+    const deck = new CardDeck(data.cards || []);
+    deck.drawPile = [...(data.drawPile || [])];
+    deck.discardPile = [...(data.discardPile || [])];
+    return deck;
+  }
 }
 
 module.exports = CardDeck;
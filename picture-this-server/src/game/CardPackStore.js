@@ -0,0 +1,444 @@
+/**
+ * ---
+ * title: Card Pack Store
+ * purpose: Noun and sentence card packs owned by hosts, next to the built-in packs from
+ *          data/ (ids 'default-nouns' and 'default-sentences', read-only). Packs are
+ *          validated with the same rules as the built-in files (see CardRepository),
+ *          import and export as JSON or CSV, and are written through to a storage
+ *          adapter (collection 'card-packs'). A game picks packs by id when it is
+ *          created; resolvePacks turns them into the game's noun deck and sentence pool.
+ *          CSV columns: noun packs id,text,category,blankTypes (types separated by |);
+ *          sentence packs id,text,blanks,category.
+ * exports: CardPackStore - Class holding card packs
+ *          CARD_PACK_FORMATS - 'json' and 'csv'
+ *          BUILT_IN_PACK_IDS - { noun, sentence } ids of the data/ packs
+ * dependencies: uuid (v4), CardRepository, CardDeck, csv
+ * ---
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const CardRepository = require('./CardRepository');
+const CardDeck = require('./CardDeck');
+const { CARD_PACK_TYPES, validatePackCards, checkBlankSupply } = CardRepository;
+const { parseCsv, formatCsv } = require('../utils/csv');
+
+const CARD_PACK_COLLECTION = 'card-packs';
+const CARD_PACK_FORMATS = ['json', 'csv'];
+
+const BUILT_IN_PACK_IDS = {
+  noun: 'default-nouns',
+  sentence: 'default-sentences'
+};
+
+const CSV_COLUMNS = {
+  noun: ['id', 'text', 'category', 'blankTypes'],
+  sentence: ['id', 'text', 'blanks', 'category']
+};
+
+const MAX_PACK_CARDS = 1000;
+const MAX_PACKS_PER_OWNER = 50;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+class CardPackStore {
+  /**
+   * Creates a card pack store, loading hosts' packs from storage
+   * @param {Object} options - { storage, cardRepository, logger } storage is a storage adapter
+   *                           (see src/storage; omit to keep packs in memory);
+   *                           cardRepository supplies the built-in packs
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.cardRepository = options.cardRepository || new CardRepository();
+    this.logger = options.logger || null;
+    this.packs = new Map(); // packId -> pack
+
+    for (const pack of this.storage ? this.storage.load(CARD_PACK_COLLECTION) : []) {
+      this.packs.set(pack.id, pack);
+    }
+  }
+
+  /**
+   * Built-in packs and the owner's packs, without their cards
+   * @param {string} ownerId - Host user ID
+   * @returns {Array<Object>} [{ id, type, name, description, ownerId, builtIn, cardCount, createdAt, updatedAt }]
+   */
+  listPacks(ownerId) {
+    return [
+      ...CARD_PACK_TYPES.map(type => this._builtInPack(type)),
+      ...[...this.packs.values()]
+        .filter(pack => pack.ownerId === ownerId)
+        .sort((a, b) => a.createdAt - b.createdAt)
+    ].map(_summary);
+  }
+
+  /**
+   * A pack by id, built-in or stored
+   * @param {string} id - Pack ID
+   * @returns {Object|null} { id, type, name, description, ownerId, builtIn, cards, ... } or null
+   */
+  findPack(id) {
+    const builtIn = CARD_PACK_TYPES.find(type => BUILT_IN_PACK_IDS[type] === id);
+    return builtIn ? this._builtInPack(builtIn) : (this.packs.get(id) || null);
+  }
+
+  /**
+   * A pack the user may read: a built-in pack or one of their own
+   * @param {string} id - Pack ID
+   * @param {string} ownerId - Host user ID
+   * @returns {Object} The pack; throws when it doesn't exist or belongs to someone else
+   */
+  getPack(id, ownerId) {
+    const pack = this.findPack(id);
+    if (!pack) {
+      throw new Error(`Card pack not found: ${id}`);
+    }
+    if (!pack.builtIn && pack.ownerId !== ownerId) {
+      throw new Error(`Card pack ${id} belongs to another host`);
+    }
+    return pack;
+  }
+
+  /**
+   * Creates a pack
+   * @param {string} ownerId - Host user ID
+   * @param {Object} fields - { type, name, description, cards }
+   * @returns {Object} The stored pack
+   */
+  createPack(ownerId, fields = {}) {
+    if (!ownerId) {
+      throw new Error('Card packs need an owner');
+    }
+    const owned = [...this.packs.values()].filter(pack => pack.ownerId === ownerId).length;
+    if (owned >= MAX_PACKS_PER_OWNER) {
+      throw new Error(`A host can have at most ${MAX_PACKS_PER_OWNER} card packs`);
+    }
+
+    const now = Date.now();
+    const pack = {
+      id: uuidv4(),
+      ownerId,
+      ..._validatePack(fields),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this._save(pack);
+    this._log('Card pack created', pack);
+    return pack;
+  }
+
+  /**
+   * Replaces a pack's name, description or cards (its type can't change)
+   * @param {string} id - Pack ID
+   * @param {string} ownerId - Host user ID (must own the pack)
+   * @param {Object} fields - { name, description, cards } omitted fields are kept
+   * @returns {Object} The updated pack
+   */
+  updatePack(id, ownerId, fields = {}) {
+    const pack = this._requireOwnPack(id, ownerId);
+    if (fields.type !== undefined && fields.type !== pack.type) {
+      throw new Error('A card pack\'s type can\'t change');
+    }
+
+    const updated = {
+      ...pack,
+      ..._validatePack({
+        type: pack.type,
+        name: fields.name === undefined ? pack.name : fields.name,
+        description: fields.description === undefined ? pack.description : fields.description,
+        cards: fields.cards === undefined ? pack.cards : fields.cards
+      }),
+      updatedAt: Date.now()
+    };
+
+    this._save(updated);
+    this._log('Card pack updated', updated);
+    return updated;
+  }
+
+  /**
+   * Deletes a pack. Games already created keep the cards they were dealt from.
+   * @param {string} id - Pack ID
+   * @param {string} ownerId - Host user ID (must own the pack)
+   */
+  deletePack(id, ownerId) {
+    const pack = this._requireOwnPack(id, ownerId);
+    this.packs.delete(id);
+    if (this.storage) {
+      this.storage.remove(CARD_PACK_COLLECTION, id);
+    }
+    this._log('Card pack deleted', pack);
+  }
+
+  /**
+   * Creates a pack from a JSON or CSV document
+   * @param {string} ownerId - Host user ID
+   * @param {Object} request - { format, content, type, name, description } content is the
+   *                           document text (JSON may also be an object or a cards array).
+   *                           type, name and description override the document's own; a CSV
+   *                           pack's type comes from its header when not given.
+   * @returns {Object} The stored pack
+   */
+  importPack(ownerId, { format = 'json', content, type, name, description } = {}) {
+    if (!CARD_PACK_FORMATS.includes(format)) {
+      throw new Error(`Invalid card pack format "${format}": expected one of ${CARD_PACK_FORMATS.join(', ')}`);
+    }
+
+    const parsed = format === 'csv' ? _parseCsvPack(content, type) : _parseJsonPack(content);
+    return this.createPack(ownerId, {
+      type: type || parsed.type,
+      name: name || parsed.name,
+      description: description === undefined ? parsed.description : description,
+      cards: parsed.cards
+    });
+  }
+
+  /**
+   * A pack as a JSON or CSV document that importPack reads back
+   * @param {string} id - Pack ID
+   * @param {string} ownerId - Host user ID
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Object} { fileName, contentType, body }
+   */
+  exportPack(id, ownerId, format = 'json') {
+    if (!CARD_PACK_FORMATS.includes(format)) {
+      throw new Error(`Invalid card pack format "${format}": expected one of ${CARD_PACK_FORMATS.join(', ')}`);
+    }
+
+    const pack = this.getPack(id, ownerId);
+    // Sentence blank types are derived from the text
+    const cards = pack.cards.map(card => {
+      const { blankTypes, ...rest } = card;
+      return pack.type === 'noun' && blankTypes ? { ...rest, blankTypes } : rest;
+    });
+    const baseName = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || pack.id;
+
+    if (format === 'csv') {
+      const columns = CSV_COLUMNS[pack.type];
+      return {
+        fileName: `${baseName}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        body: formatCsv([
+          columns,
+          ...cards.map(card => columns.map(column => (
+            column === 'blankTypes' ? (card.blankTypes || []).join('|') : card[column]
+          )))
+        ])
+      };
+    }
+
+    return {
+      fileName: `${baseName}.json`,
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify({ type: pack.type, name: pack.name, description: pack.description, cards }, null, 2) + '\n'
+    };
+  }
+
+  /**
+   * The cards a game deals from. Noun packs are merged into one deck and sentence packs
+   * into one pool (see CardDeck.mergePacks); a type with no pack chosen uses data/.
+   * Every typed blank of the sentences must have enough noun cards to fill it.
+   * @param {Array<string>} ids - Pack IDs (built-in or the host's own)
+   * @param {string} ownerId - Host user ID
+   * @returns {Object|null} { ids, nounCards, sentenceCards } nounCards/sentenceCards are
+   *                        null for a type no pack was chosen for; null without ids
+   */
+  resolvePacks(ids, ownerId) {
+    if (ids === undefined || ids === null) {
+      return null;
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      throw new Error('cardPacks must be a non-empty array of card pack ids');
+    }
+
+    const packs = [...new Set(ids)].map(id => this.getPack(id, ownerId));
+    const ofType = type => packs.filter(pack => pack.type === type);
+    const nounCards = ofType('noun').length > 0 ? CardDeck.mergePacks(ofType('noun')) : null;
+    const sentenceCards = ofType('sentence').length > 0 ? CardDeck.mergePacks(ofType('sentence')) : null;
+
+    const sentencePacks = ofType('sentence').length > 0
+      ? ofType('sentence')
+      : [this._builtInPack('sentence')];
+    for (const pack of sentencePacks) {
+      checkBlankSupply(nounCards || this.cardRepository.getNounCards(), pack.cards, {
+        nounLabel: 'the game\'s noun deck',
+        sentenceLabel: `"${pack.name}"`
+      });
+    }
+
+    return { ids: packs.map(pack => pack.id), nounCards, sentenceCards };
+  }
+
+  /**
+   * One of data/'s packs in the stored pack shape
+   * @private
+   */
+  _builtInPack(type) {
+    return {
+      id: BUILT_IN_PACK_IDS[type],
+      type,
+      name: type === 'noun' ? 'Default noun cards' : 'Default sentence cards',
+      description: 'The cards every game uses unless it picks its own packs',
+      ownerId: null,
+      builtIn: true,
+      cards: type === 'noun' ? this.cardRepository.getNounCards() : this.cardRepository.getSentenceCards(),
+      createdAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * A stored pack the user owns, or throws
+   * @private
+   */
+  _requireOwnPack(id, ownerId) {
+    const pack = this.findPack(id);
+    if (!pack) {
+      throw new Error(`Card pack not found: ${id}`);
+    }
+    if (pack.builtIn) {
+      throw new Error('Built-in card packs are read-only');
+    }
+    if (pack.ownerId !== ownerId) {
+      throw new Error('Only the pack\'s owner can change it');
+    }
+    return pack;
+  }
+
+  /**
+   * Keeps a pack and writes it through to storage
+   * @private
+   */
+  _save(pack) {
+    this.packs.set(pack.id, pack);
+    if (this.storage) {
+      this.storage.save(CARD_PACK_COLLECTION, pack.id, pack);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _log(message, pack) {
+    if (this.logger) {
+      this.logger.info(message, { packId: pack.id, ownerId: pack.ownerId, type: pack.type, cards: pack.cards.length });
+    }
+  }
+}
+
+/**
+ * Validates a pack's fields and cards
+ * @private
+ */
+function _validatePack({ type, name, description, cards }) {
+  if (!CARD_PACK_TYPES.includes(type)) {
+    throw new Error(`Invalid card pack type "${type}": expected one of ${CARD_PACK_TYPES.join(', ')}`);
+  }
+  const packName = typeof name === 'string' ? name.trim() : '';
+  if (packName === '' || packName.length > MAX_NAME_LENGTH) {
+    throw new Error(`Invalid card pack: name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (description !== undefined && description !== null &&
+    (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    throw new Error(`Invalid card pack: description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (Array.isArray(cards) && cards.length > MAX_PACK_CARDS) {
+    throw new Error(`Invalid card pack "${packName}": at most ${MAX_PACK_CARDS} cards`);
+  }
+
+  return {
+    type,
+    name: packName,
+    description: description ? description.trim() : '',
+    // Stored as plain copies so they serialize and can be replaced later
+    cards: validatePackCards(cards, type, `"${packName}"`).map(card => ({ ...card }))
+  };
+}
+
+/**
+ * Reads a JSON pack document: { type, name, description, cards } or a bare cards array
+ * @private
+ */
+function _parseJsonPack(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid card pack JSON: ${error.message}`);
+    }
+  }
+  if (Array.isArray(data)) {
+    return { cards: data };
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid card pack JSON: expected an object with a "cards" array');
+  }
+  return { type: data.type, name: data.name, description: data.description, cards: data.cards };
+}
+
+/**
+ * Reads a CSV pack document. The header names the columns (any order); a "blanks"
+ * column makes it a sentence pack unless the type is given.
+ * @private
+ */
+function _parseCsvPack(content, type) {
+  if (typeof content !== 'string') {
+    throw new Error('Invalid card pack CSV: expected text');
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(content);
+  } catch (error) {
+    throw new Error(`Invalid card pack CSV: ${error.message}`);
+  }
+  if (rows.length < 2) {
+    throw new Error('Invalid card pack CSV: expected a header row and at least one card');
+  }
+
+  const header = rows[0].map(column => column.trim());
+  const packType = type || (header.includes('blanks') ? 'sentence' : 'noun');
+  const columns = CSV_COLUMNS[packType];
+  if (!columns) {
+    throw new Error(`Invalid card pack type "${packType}": expected one of ${CARD_PACK_TYPES.join(', ')}`);
+  }
+  const unknown = header.find(column => !columns.includes(column));
+  if (unknown !== undefined) {
+    throw new Error(`Invalid card pack CSV: unknown column "${unknown}" (expected ${columns.join(', ')})`);
+  }
+
+  const cards = rows.slice(1).map(row => {
+    const card = {};
+    header.forEach((column, index) => {
+      const value = (row[index] || '').trim();
+      if (column === 'blankTypes') {
+        if (value !== '') {
+          card.blankTypes = value.split('|').map(entry => entry.trim());
+        }
+      } else if (column === 'id' || column === 'blanks') {
+        // Non-numbers are left as text so validation reports them
+        card[column] = /^-?\d+$/.test(value) ? Number(value) : value;
+      } else {
+        card[column] = value;
+      }
+    });
+    return card;
+  });
+
+  return { type: packType, cards };
+}
+
+/**
+ * Listing shape of a pack
+ * @private
+ */
+function _summary(pack) {
+  const { cards, ...rest } = pack;
+  return { ...rest, builtIn: Boolean(pack.builtIn), cardCount: cards.length };
+}
+
+module.exports = CardPackStore;
+module.exports.CARD_PACK_FORMATS = CARD_PACK_FORMATS;
+module.exports.BUILT_IN_PACK_IDS = BUILT_IN_PACK_IDS;
@@ -0,0 +1,212 @@
+/**
+ * ---
+ * title: Card Repository
+ * purpose: Loads the noun and sentence card packs from data/, validates every card and
+ *          caches the result so each game's CardDeck and sentence pool come from the
+ *          same data in both the REST and WebSocket flows. Sentence cards are migrated
+ *          to the {type} blank syntax as they load (see sentenceTemplates.js), and
+ *          noun cards may list the typed blanks they fill: "blankTypes": ["person"].
+ * exports: CardRepository - Class for loading card packs
+ *          DEFAULT_DATA_DIR - Directory holding noun-cards.json and sentence-cards.json
+ *          CARD_PACK_TYPES - 'noun' and 'sentence'
+ *          validatePackCards - Validates a pack's cards (also used for hosts' packs, see CardPackStore)
+ *          checkBlankSupply - Checks noun cards can fill every typed blank of the sentence cards
+ * dependencies: fs, path, sentenceTemplates
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BLANK_TYPES, loadSentenceTemplate, cardFitsBlank } = require('../utils/sentenceTemplates');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../..', 'data');
+const NOUN_CARDS_FILE = 'noun-cards.json';
+const SENTENCE_CARDS_FILE = 'sentence-cards.json';
+
+const CARD_PACK_TYPES = ['noun', 'sentence'];
+
+// Parsed packs keyed by file path, shared by every repository instance
+const packCache = new Map();
+
+class CardRepository {
+  /**
+   * Creates a card repository
+   * @param {Object} options - { dataDir, logger }
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.logger = options.logger || null;
+  }
+
+  /**
+   * Noun cards dealt into hands
+   * @returns {Array<Object>} [{ id, text, category, blankTypes? }]
+   */
+  getNounCards() {
+    return this._loadPack(NOUN_CARDS_FILE, 'noun');
+  }
+
+  /**
+   * Sentence cards drawn each round, with {type} blanks
+   * @returns {Array<Object>} [{ id, text, blanks, blankTypes, category }]
+   */
+  getSentenceCards() {
+    return this._loadPack(SENTENCE_CARDS_FILE, 'sentence');
+  }
+
+  /**
+   * Loads and validates both packs up front so bad data fails at boot, not mid-game.
+   * Every typed blank must also have enough noun cards to fill it.
+   * @returns {Object} { nounCards, sentenceCards } counts
+   */
+  preload() {
+    const nounCards = this.getNounCards();
+    const sentenceCards = this.getSentenceCards();
+    checkBlankSupply(nounCards, sentenceCards, { nounLabel: NOUN_CARDS_FILE, sentenceLabel: SENTENCE_CARDS_FILE });
+
+    return {
+      nounCards: nounCards.length,
+      sentenceCards: sentenceCards.length
+    };
+  }
+
+  /**
+   * Drops cached packs so the next read goes back to disk
+   */
+  clearCache() {
+    packCache.delete(path.join(this.dataDir, NOUN_CARDS_FILE));
+    packCache.delete(path.join(this.dataDir, SENTENCE_CARDS_FILE));
+  }
+
+  /**
+   * Reads, validates and caches one pack file
+   * @param {string} fileName - File in the data directory
+   * @param {string} type - 'noun' or 'sentence'
+   * @returns {Array<Object>} Frozen card objects
+   * @private
+   */
+  _loadPack(fileName, type) {
+    const filePath = path.join(this.dataDir, fileName);
+    if (packCache.has(filePath)) {
+      return packCache.get(filePath);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid card pack ${fileName}: ${error.message}`);
+    }
+
+    const cards = validatePackCards(data && data.cards, type, fileName);
+    packCache.set(filePath, cards);
+    if (this.logger) {
+      this.logger.info('Card pack loaded', { file: fileName, count: cards.length });
+    }
+    return cards;
+  }
+}
+
+/**
+ * Validates every card of a pack: integer ids unique within the pack, text, a category,
+ * known blankTypes, and for sentence cards a blanks count that matches the text
+ * @param {Array<Object>} cards - Pack cards
+ * @param {string} type - 'noun' or 'sentence'
+ * @param {string} label - Pack name used in error messages
+ * @returns {Array<Object>} Frozen validated cards (sentence cards migrated to {type} blanks)
+ */
+function validatePackCards(cards, type, label) {
+  if (!CARD_PACK_TYPES.includes(type)) {
+    throw new Error(`Invalid card pack type "${type}": expected one of ${CARD_PACK_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(cards) || cards.length === 0) {
+    throw new Error(`Invalid card pack ${label}: expected a non-empty "cards" array`);
+  }
+
+  const validateCard = type === 'noun' ? validateNounCard : validateSentenceCard;
+  const seenIds = new Set();
+  const validated = cards.map((card, index) => {
+    let loaded;
+    try {
+      loaded = validateCard(card);
+    } catch (error) {
+      throw new Error(`Invalid card pack ${label}: card ${index} ${error.message}`);
+    }
+    if (seenIds.has(card.id)) {
+      throw new Error(`Invalid card pack ${label}: duplicate card id ${card.id}`);
+    }
+    seenIds.add(card.id);
+    return Object.freeze(loaded);
+  });
+
+  return Object.freeze(validated);
+}
+
+/**
+ * Checks there are enough noun cards to fill every typed blank of each sentence card
+ * @param {Array<Object>} nounCards - Noun cards in play
+ * @param {Array<Object>} sentenceCards - Validated sentence cards (with blankTypes)
+ * @param {Object} labels - { nounLabel, sentenceLabel } pack names used in error messages
+ */
+function checkBlankSupply(nounCards, sentenceCards, { nounLabel, sentenceLabel }) {
+  for (const sentence of sentenceCards) {
+    for (const type of new Set(sentence.blankTypes)) {
+      const needed = sentence.blankTypes.filter(blankType => blankType === type).length;
+      const supply = nounCards.filter(card => cardFitsBlank(card, type)).length;
+      if (supply < needed) {
+        throw new Error(`Invalid card pack ${sentenceLabel}: card ${sentence.id} needs ${needed} {${type}} ` +
+          `card(s) but ${nounLabel} has ${supply}`);
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} card - { id, text, category, blankTypes? }
+ * @returns {Object} Copy of the card
+ * @private
+ */
+function validateNounCard(card) {
+  if (!card || typeof card !== 'object') {
+    throw new Error('must be an object');
+  }
+  if (!Number.isInteger(card.id)) {
+    throw new Error('must have an integer id');
+  }
+  if (typeof card.text !== 'string' || card.text.trim() === '') {
+    throw new Error('must have text');
+  }
+  if (typeof card.category !== 'string' || card.category.trim() === '') {
+    throw new Error('must have a category');
+  }
+  if (card.blankTypes !== undefined) {
+    const unknown = Array.isArray(card.blankTypes)
+      ? card.blankTypes.find(type => !BLANK_TYPES[type])
+      : card.blankTypes;
+    if (unknown !== undefined) {
+      throw new Error(`has invalid blankTypes entry ${JSON.stringify(unknown)}: expected an array of ` +
+        Object.keys(BLANK_TYPES).join(', '));
+    }
+  }
+  return { ...card };
+}
+
+/**
+ * @param {Object} card - { id, text, blanks, category }
+ * @returns {Object} Copy of the card with {type} blanks and its blankTypes
+ * @private
+ */
+function validateSentenceCard(card) {
+  validateNounCard(card);
+  if (card.blanks === undefined) {
+    throw new Error('must declare its blanks count');
+  }
+  const { template, blankTypes } = loadSentenceTemplate(card);
+  return { ...card, text: template, blankTypes };
+}
+
+module.exports = CardRepository;
+module.exports.DEFAULT_DATA_DIR = DEFAULT_DATA_DIR;
+module.exports.CARD_PACK_TYPES = CARD_PACK_TYPES;
+module.exports.validatePackCards = validatePackCards;
+module.exports.checkBlankSupply = checkBlankSupply;
@@ -0,0 +1,1565 @@
+/**
+ * ---
+ * title: Game Engine
+ * purpose: Single authoritative owner of every game: players, phases, selections,
+ *          generated images and scores. REST routes (via GameSessionManager) and
+ *          WebSocket handlers (via GameManager) are thin adapters over one engine,
+ *          so a game can never exist in one flow and not the other.
+ * exports: GameEngine - Class owning all game state and flow
+ * dependencies: SessionStore, TimeoutChecker, TimerManager, GameOrchestrator,
+ *               GameState.js, phases.js, scoring.js, judging.js, judgeRotation.js,
+ *               artStyles.js, moderation.js, CardPackStore, ImageGeneratorService, CostLedger, imageStores,
+ *               ImageRetention, ImageVariants, uuid (v4), PromptFormatter, promptTemplates,
+ *               sentenceTemplates, logger
+ * ---
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const SessionStore = require('./session/SessionStore');
+const TimeoutChecker = require('./session/TimeoutChecker');
+const TimerManager = require('./TimerManager');
+const GameOrchestrator = require('./GameOrchestrator');
+const CardPackStore = require('./CardPackStore');
+const { PHASES, isValidTransition } = require('./phases');
+const { createScoringRules } = require('./scoring');
+const { createJudgingRules } = require('./judging');
+const { createJudgeRotation } = require('./judgeRotation');
+const {
+  createArtStyleRules,
+  createCustomArtStyle,
+  customStylePrompts,
+  requireArtStyle,
+  describeArtStyles
+} = require('./artStyles');
+const {
+  REJECTION_CODES,
+  createModerationPolicy,
+  completeSentence,
+  moderateSelection,
+  normalizeProviderVerdict,
+  createModerationError
+} = require('./moderation');
+const {
+  createGameState,
+  addPlayer,
+  removePlayer,
+  updatePlayer,
+  updateState,
+  getPlayer,
+  getPlayerBySocketId,
+  exportState
+} = require('./GameState');
+const ImageGeneratorService = require('../services/ImageGeneratorService');
+const { isCancellationError } = ImageGeneratorService;
+const { getSharedScheduler } = require('../services/ImageScheduler');
+const CostLedger = require('../services/CostLedger');
+const { createBudgetPolicy, SPEND_OUTCOMES } = CostLedger;
+const { createImageStore } = require('../services/imageStores');
+const ImageRetention = require('../services/ImageRetention');
+const { variantUrls } = require('../services/ImageVariants');
+const { createRetentionPolicy } = ImageRetention;
+const PromptFormatter = require('../utils/promptFormatter');
+const { getPromptTemplateRegistry } = require('../utils/promptTemplates');
+const { loadSentenceTemplate } = require('../utils/sentenceTemplates');
+const defaultLogger = require('../config/logger');
+
+const PLACEHOLDER_IMAGE = '/images/placeholder-image-error.png';
+
+// Registered spectators per game; each one is a vote, so there is a ceiling
+const MAX_SPECTATORS = 100;
+
+class GameEngine {
+  /**
+   * Creates a new game engine
+   * @param {Object} options - Configuration options
+   * @param {Object} options.logger - Winston logger instance (default: app logger)
+   * @param {number} options.timeoutMinutes - Inactivity minutes before a game is cleaned up (default: 60)
+   * @param {number} options.checkIntervalSeconds - Interval between timeout checks (default: 300)
+   * @param {Object} options.imageGenerator - Object with generateImage(); created from env if omitted
+   * @param {CardRepository} options.cardRepository - Card packs games deal from (default: data/ packs)
+   * @param {CardPackStore} options.cardPackStore - Hosts' card packs (default: a store on options.storage)
+   * @param {Object} options.storage - Storage adapter every game change is saved to (see src/storage;
+   *                                   the file adapter batches disk writes); omit to keep games in memory only
+   * @param {number} options.reconnectGraceSeconds - Default time a disconnected player keeps their
+   *                                                 seat before being removed (default: 60)
+   * @param {Object} options.moderation - Content moderation policy for selections (see moderation.js)
+   * @param {Object} options.budgets - Image spend caps and fallback (see CostLedger.createBudgetPolicy)
+   * @param {CostLedger} options.costLedger - Spend records (default: a ledger on options.storage)
+   * @param {Object} options.imageStore - Where generated images live (default: the image
+   *                                      generator's store, else IMAGE_STORE; see imageStores)
+   * @param {Object} options.imageRetention - Default image retention policy for games that don't
+   *                                          set one (see ImageRetention.createRetentionPolicy)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || defaultLogger;
+    this.timeoutMinutes = options.timeoutMinutes || 60;
+    this.reconnectGraceSeconds = options.reconnectGraceSeconds ?? 60;
+
+    // Reconnect windows of away players, keyed by `${code}:${playerId}`
+    this.graceTimers = new Map();
+
+    // Selections waiting on the external moderation provider, `${code}:${playerId}` -> review id
+    this.moderation = createModerationPolicy(options.moderation);
+    this.pendingReviews = new Map();
+    this._reviewSequence = 0;
+
+    // All games, keyed by code
+    this.store = new SessionStore({ storage: options.storage, logger: this.logger });
+
+    // Every image generation is recorded with its estimated cost; budgets switch to a fallback
+    this.budgets = createBudgetPolicy(options.budgets);
+    this.costLedger = options.costLedger || new CostLedger({ storage: options.storage, logger: this.logger });
+
+    // Event listeners
+    this.eventListeners = {};
+
+    // Phase flow
+    this.timerManager = new TimerManager();
+    this.orchestrator = new GameOrchestrator(
+      this.logger,
+      this.timerManager,
+      this._handleOrchestratorEvent.bind(this),
+      options.cardRepository
+    );
+
+    // Hosts' own card packs; a game can deal from any mix of them and the built-in packs
+    this.cardPacks = options.cardPackStore || new CardPackStore({
+      storage: options.storage,
+      cardRepository: this.orchestrator.cardRepository,
+      logger: this.logger
+    });
+
+    // Image generation (lazily created so games can run without an API key)
+    this._imageGenerator = options.imageGenerator;
+    this._watchImageGenerator(this._imageGenerator);
+
+    // Generated images are deleted per each game's retention policy, at cleanup and by the sweep
+    this.imageStore = options.imageStore ||
+      (options.imageGenerator && options.imageGenerator.imageStore) ||
+      createImageStore();
+    this.imageRetention = new ImageRetention({
+      store: this.imageStore,
+      storage: options.storage,
+      policy: options.imageRetention,
+      logger: this.logger
+    });
+
+    // Inactive game cleanup
+    this.timeoutChecker = new TimeoutChecker({
+      timeoutMinutes: this.timeoutMinutes,
+      checkIntervalSeconds: options.checkIntervalSeconds || 300,
+      getSessionsCallback: () => this.store.getAll(),
+      cleanupCallback: (code) => this.cleanupGame(code),
+      sweepCallback: (activeCodes) => this.sweepImages(activeCodes),
+      emitCallback: (event, ...args) => this.emit(event, ...args)
+    });
+    this.timeoutChecker.start();
+  }
+
+  // ============================================
+  // Event System
+  // ============================================
+
+  /**
+   * Register an event listener
+   * @param {string} eventName - Event name
+   * @param {function} callback - Callback function
+   */
+  on(eventName, callback) {
+    if (!this.eventListeners[eventName]) {
+      this.eventListeners[eventName] = [];
+    }
+    this.eventListeners[eventName].push(callback);
+  }
+
+  /**
+   * Emit an event
+   * @private
+   */
+  emit(eventName, ...args) {
+    if (this.eventListeners[eventName]) {
+      this.eventListeners[eventName].forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          this.logger.error(`Error in ${eventName} listener`, { error: error.message });
+        }
+      });
+    }
+  }
+
+  // ============================================
+  // Game Creation & Retrieval
+  // ============================================
+
+  /**
+   * Create a new game
+   * @param {Object} options - { hostId, maxRounds, maxPlayers, handSize, sentenceTemplates, scoringRules,
+   *                           judgingRules, judgeRotation, reconnectGraceSeconds, forceFreshImages,
+   *                           imageRetention, promptTemplateSet, artStyleRules, cardPacks } scoringRules is
+   *                           a preset name or partial rules (see scoring.js); judgingRules is partial rules
+   *                           (see judging.js); judgeRotation is a strategy name (see judgeRotation.js);
+   *                           forceFreshImages bypasses the image cache for this game; imageRetention is
+   *                           { mode, days } (see ImageRetention.js, default: the engine's policy);
+   *                           promptTemplateSet names the prompt template set (see promptTemplates.js);
+   *                           artStyleRules is { policy, lockedStyle, customStyles } (see artStyles.js);
+   *                           cardPacks is card pack ids the host may use (see CardPackStore)
+   * @returns {Object} New game state
+   */
+  createGame(options = {}) {
+    const code = this.store.generateUniqueCode();
+    const state = {
+      ...createGameState({
+        ...options,
+        scoringRules: createScoringRules(options.scoringRules),
+        judgingRules: createJudgingRules(options.judgingRules),
+        judgeRotation: createJudgeRotation(options.judgeRotation),
+        imageRetention: options.imageRetention ? createRetentionPolicy(options.imageRetention) : null,
+        promptTemplateSet: getPromptTemplateRegistry().validateSet(options.promptTemplateSet),
+        artStyleRules: this._createArtStyleRules(options.artStyleRules),
+        ...this._resolveCardPacks(options),
+        reconnectGraceSeconds: options.reconnectGraceSeconds ?? this.reconnectGraceSeconds,
+        gameId: this.store.generateGameId(),
+        code
+      }),
+      timeoutMinutes: this.timeoutMinutes
+    };
+
+    this.store.set(code, state);
+    this.logger.info('Game created', { gameId: state.gameId, code });
+    this.emit('onSessionCreated', state.gameId, code);
+
+    return state;
+  }
+
+  /**
+   * Reload the games a previous process left in storage. Finished games are dropped.
+   * Everything else resumes where it was: players who had a socket are marked away with
+   * a fresh reconnect window, the phase timer gets the time it had left, and images that
+   * were still generating are requested again.
+   * @returns {Array<Object>} Restored game states
+   */
+  restoreGames() {
+    const restored = [];
+
+    for (const saved of this.store.restore()) {
+      if (saved.status === 'completed' || saved.currentPhase === PHASES.GAME_END) {
+        this.store.delete(saved.code);
+        continue;
+      }
+
+      // Downtime doesn't count against anyone's reconnect window
+      const awayUntil = Date.now() + saved.reconnectGraceSeconds * 1000;
+      const state = this._commit(updateState(saved, {
+        players: saved.players.map(p => (p.socketId || p.presence === 'away'
+          ? { ...p, socketId: null, presence: 'away', awayUntil }
+          : p))
+      }));
+      this.orchestrator.resumePhaseTimer(state);
+      for (const player of state.players.filter(p => p.presence === 'away')) {
+        this._scheduleGraceExpiry(state.code, player.id, awayUntil);
+      }
+
+      if ([PHASES.SELECTION, PHASES.SELECTION_COMPLETE, PHASES.IMAGE_GEN].includes(state.currentPhase)) {
+        for (const [playerId, selection] of Object.entries(state.playerSelections)) {
+          if (!state.generatedImages[playerId]) {
+            this._startImageGeneration(state.code, state.currentRound, playerId, selection, state.sentenceTemplate);
+          }
+        }
+      }
+
+      restored.push(state);
+      this.emit('onGameRestored', state.code, state);
+    }
+
+    if (restored.length > 0) {
+      this.logger.info('Games restored from storage', { count: restored.length });
+    }
+    return restored;
+  }
+
+  /**
+   * Get a game by code (case-insensitive)
+   * @param {string} code - Game code
+   * @returns {Object|null} Game state or null
+   */
+  getGame(code) {
+    return this.store.get(code);
+  }
+
+  /**
+   * Get a game by gameId
+   * @param {string} gameId - Game ID
+   * @returns {Object|null} Game state or null
+   */
+  getGameById(gameId) {
+    return this.store.getByGameId(gameId);
+  }
+
+  /**
+   * Get all games
+   * @returns {Array<Object>} Array of game states
+   */
+  getAllGames() {
+    return this.store.getAll();
+  }
+
+  /**
+   * Get game count
+   * @returns {number} Number of games
+   */
+  getGameCount() {
+    return this.store.size;
+  }
+
+  /**
+   * Image spend summary from the cost ledger
+   * @param {string} groupBy - 'day', 'game' or 'host'
+   * @param {Object} filters - { hostId, gameId, gameCode, since, until }
+   * @returns {Object} { groupBy, totalUsd, images, groups }
+   */
+  getSpendSummary(groupBy, filters = {}) {
+    return this.costLedger.summarize(groupBy, filters);
+  }
+
+  /**
+   * Image generation queue depth and wait times
+   * @returns {Object} See ImageScheduler.getStats (the process-wide scheduler unless
+   *                   this engine's generator queues elsewhere)
+   */
+  getImageQueueStats() {
+    const generator = this._imageGenerator;
+    if (generator && typeof generator.getQueueStats === 'function') {
+      return generator.getQueueStats();
+    }
+    return getSharedScheduler().getStats();
+  }
+
+  /**
+   * Deletes generated images that games' retention policies no longer allow.
+   * Runs after every timeout check; running games are never touched.
+   * @param {Array<string>} activeCodes - Codes of running games (default: every game in the store)
+   * @returns {Promise<Object>} { deleted, games }
+   */
+  sweepImages(activeCodes = this.store.getAll().map(state => state.code)) {
+    return this.imageRetention.sweep(activeCodes);
+  }
+
+  /**
+   * Export a game's state with computed properties
+   * @param {string} code - Game code
+   * @returns {Object|null} Exported state or null
+   */
+  exportGame(code) {
+    const state = this.getGame(code);
+    return state ? exportState(state) : null;
+  }
+
+  /**
+   * Remove a game, cancel its timers and image generation, and apply its image retention
+   * @param {string} code - Game code
+   * @returns {Object|null} Removed game state or null
+   */
+  cleanupGame(code) {
+    const state = this.getGame(code);
+    if (!state) {
+      return null;
+    }
+
+    this.timerManager.cancelTimer(state.gameId);
+    for (const player of state.players) {
+      this._cancelGraceExpiry(state.code, player.id);
+      this.pendingReviews.delete(`${state.code}:${player.id}`);
+    }
+    this._cancelImageGeneration({ gameCode: state.code });
+    this.imageRetention.onGameCleaned(state).catch((error) => {
+      this.logger.warn('Image retention failed at cleanup', { code: state.code, error: error.message });
+    });
+    this.store.delete(state.code);
+    this.logger.info('Game cleaned up', { gameId: state.gameId, code: state.code });
+    this.emit('onSessionCleaned', state.code);
+
+    return { ...state, status: 'inactive' };
+  }
+
+  // ============================================
+  // Players
+  // ============================================
+
+  /**
+   * Add a player to a game. New players are issued a rejoin token (see
+   * getRejoinToken/resumeGame). Player ids are public, so joining again with a known
+   * playerId only moves the seat to a new socket when it brings that seat's rejoin
+   * token; the player keeps their hand and score.
+   * @param {string} code - Game code
+   * @param {Object} player - { playerId, socketId, name, avatar, isHost, rejoinToken }
+   * @returns {Object} Updated game state
+   */
+  joinGame(code, player = {}) {
+    const state = this._requireGame(code);
+
+    const existing = player.playerId ? getPlayer(state, player.playerId) : null;
+    if (existing) {
+      if (!player.socketId || existing.socketId === player.socketId) {
+        return state; // Already joined
+      }
+      if (!player.rejoinToken || player.rejoinToken !== this.getRejoinToken(state.code, existing.id)) {
+        throw new Error('Player is already in this game; resume with its rejoin token');
+      }
+      return this._reattach(state, existing, player.socketId);
+    }
+
+    if (state.status !== 'lobby') {
+      throw new Error('Cannot join game that has already started');
+    }
+
+    if (state.players.length >= state.maxPlayers) {
+      throw new Error('Session is full');
+    }
+
+    const newState = this._commit(addPlayer(state, {
+      id: player.playerId,
+      socketId: player.socketId,
+      name: player.name || 'Anonymous',
+      avatar: player.avatar || '🎮',
+      isHost: player.isHost || false
+    }), { touch: true });
+
+    const added = newState.players[newState.players.length - 1];
+    const withToken = this._commit(updateState(newState, {
+      rejoinTokens: { ...newState.rejoinTokens, [added.id]: uuidv4() }
+    }));
+    this.logger.info('Player joined game', { code: newState.code, playerId: added.id, playerCount: newState.players.length });
+    this.emit('onPlayerJoined', newState.code, added.id, newState.players.length);
+
+    return withToken;
+  }
+
+  /**
+   * The secret a player presents to resume their seat from a new socket
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @returns {string|null} Rejoin token or null
+   */
+  getRejoinToken(code, playerId) {
+    const state = this.getGame(code);
+    return (state && state.rejoinTokens && state.rejoinTokens[playerId]) || null;
+  }
+
+  /**
+   * Whether a REST caller is playerId: player IDs are public, their rejoin tokens aren't
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @param {string} token - Token presented by the caller
+   * @returns {boolean}
+   */
+  verifyPlayer(code, playerId, token) {
+    const expected = playerId ? this.getRejoinToken(code, playerId) : null;
+    return Boolean(expected && token) && expected === token;
+  }
+
+  /**
+   * Re-attach a player to a new socket using their rejoin token. Works while the
+   * player is away (inside their reconnect window) or still attached elsewhere.
+   * @param {string} token - Rejoin token issued at join
+   * @param {string} socketId - New socket ID
+   * @returns {Object} { state, playerId } updated game state and the resumed player
+   */
+  resumeGame(token, socketId) {
+    if (!token) {
+      throw new Error('Rejoin token is required');
+    }
+    for (const state of this.store.getAll()) {
+      const entry = Object.entries(state.rejoinTokens || {}).find(([, value]) => value === token);
+      const player = entry ? getPlayer(state, entry[0]) : null;
+      if (player) {
+        const newState = player.socketId === socketId ? state : this._reattach(state, player, socketId);
+        return { state: newState, playerId: player.id };
+      }
+    }
+    throw new Error('Invalid or expired rejoin token');
+  }
+
+  /**
+   * Everything a rejoining client needs to pick up where it left off: its hand,
+   * the phase and time left, its submission and vote, and any pending results.
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @returns {Object} Snapshot for the player
+   */
+  getRejoinSnapshot(code, playerId) {
+    const state = this._requireGame(code);
+    const player = getPlayer(state, playerId);
+    if (!player) {
+      throw new Error(`Player not found: ${playerId}`);
+    }
+
+    const showResults = state.currentPhase === PHASES.RESULTS || state.currentPhase === PHASES.GAME_END;
+    return {
+      gameId: state.gameId,
+      code: state.code,
+      playerId,
+      status: state.status,
+      phase: state.currentPhase,
+      round: state.currentRound,
+      maxRounds: state.maxRounds,
+      judgeId: state.judgeId,
+      isJudge: state.judgeId === playerId,
+      sentenceTemplate: state.sentenceTemplate,
+      timeRemaining: Math.ceil(this.timerManager.getRemainingTime(state.gameId) / 1000),
+      hand: player.hand,
+      score: player.score,
+      selection: state.playerSelections[playerId] || null,
+      selectionPending: this.pendingReviews.has(`${state.code}:${playerId}`),
+      generatedImages: state.generatedImages,
+      vote: state.audienceVotes[playerId] || null,
+      results: showResults ? state.lastRoundResults : null,
+      finalStandings: state.finalStandings
+    };
+  }
+
+  /**
+   * Remove a player from a game. If everyone left has now submitted, voted or had
+   * their image generated, the phase moves on instead of waiting for its timer.
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @returns {Object} Updated game state
+   */
+  removePlayer(code, playerId) {
+    const state = this._requireGame(code);
+    const player = getPlayer(state, playerId);
+    if (!player) {
+      throw new Error(`Player not found: ${playerId}`);
+    }
+
+    this._cancelGraceExpiry(state.code, playerId);
+    this.pendingReviews.delete(`${state.code}:${playerId}`);
+    this._cancelImageGeneration({ gameCode: state.code, playerId });
+    const { [playerId]: _dropped, ...rejoinTokens } = state.rejoinTokens || {};
+    const newState = this._commit(updateState(removePlayer(state, playerId), { rejoinTokens }), { touch: true });
+    this.logger.info('Player removed from game', { code: newState.code, playerId });
+
+    if (player.isHost) {
+      this.emit('onHostDisconnected', newState.code);
+    }
+    this.emit('onPlayerLeft', newState.code, playerId, newState.players.length);
+
+    return this._advanceAfterDeparture(newState, playerId);
+  }
+
+  /**
+   * Detach a socket from whichever player holds it. The player keeps their seat,
+   * hand and score but is marked away (and skipped as judge) until they rejoin;
+   * if the game's reconnect window closes first they are removed.
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} { code, playerId, awayUntil } of the detached player, or null
+   */
+  detachSocket(socketId) {
+    for (const state of this.store.getAll()) {
+      const player = getPlayerBySocketId(state, socketId);
+      if (player) {
+        const awayUntil = Date.now() + state.reconnectGraceSeconds * 1000;
+        this._commit(updatePlayer(state, player.id, { socketId: null, presence: 'away', awayUntil }));
+        this._scheduleGraceExpiry(state.code, player.id, awayUntil);
+        this.logger.info('Player away', { code: state.code, playerId: player.id, awayUntil });
+        this.emit('onPlayerAway', state.code, player.id, awayUntil);
+        return { code: state.code, playerId: player.id, awayUntil };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Choose who judges the next round (host-assigned rotation only)
+   * @param {string} code - Game code
+   * @param {string} requestedBy - Player ID making the request (must be the host)
+   * @param {string} playerId - Player to judge next round
+   * @returns {Object} Updated game state
+   */
+  assignNextJudge(code, requestedBy, playerId) {
+    const state = this._requireGame(code);
+
+    if (requestedBy !== state.hostId) {
+      throw new Error('Only the host can assign the judge');
+    }
+    if (!state.judgeRotation || state.judgeRotation.strategy !== 'host-assigned') {
+      throw new Error('Judge rotation is not host-assigned');
+    }
+    if (!getPlayer(state, playerId)) {
+      throw new Error(`Player not found: ${playerId}`);
+    }
+
+    this.logger.info('Next judge assigned', { code: state.code, playerId });
+    return this._commit(updateState(state, {
+      judgeRotation: { ...state.judgeRotation, assignedJudgeId: playerId }
+    }));
+  }
+
+  /**
+   * A game's art style policy and every style its players can use
+   * @param {string} code - Game code
+   * @returns {Object} { policy, lockedStyle, roundArtStyle, styles }
+   */
+  getArtStyles(code) {
+    return describeArtStyles(this._requireGame(code));
+  }
+
+  /**
+   * Choose the art style for the current round or the whole game. The host can lock
+   * either; under the judge-picks policy the round's judge picks the round's style.
+   * A round's style can't change once a selection is in, so every image in a round
+   * shares it. A null style clears the lock (the game falls back to free choice).
+   * @param {string} code - Game code
+   * @param {string} requestedBy - Player ID making the request (the host, or the judge)
+   * @param {string|null} style - Style name
+   * @param {Object} options - { scope } 'round' (default) or 'game'
+   * @returns {Object} Updated game state
+   */
+  setArtStyle(code, requestedBy, style, { scope = 'round' } = {}) {
+    const state = this._requireGame(code);
+    const rules = state.artStyleRules || createArtStyleRules();
+    const isHost = requestedBy === state.hostId;
+    let updates;
+
+    if (scope === 'game') {
+      if (!isHost) {
+        throw new Error('Only the host can lock the art style for the game');
+      }
+      updates = {
+        artStyleRules: style
+          ? { ...rules, policy: 'host-locked', lockedStyle: requireArtStyle(rules, style) }
+          : { ...rules, policy: 'free', lockedStyle: null }
+      };
+    } else if (scope === 'round') {
+      const isJudge = rules.policy === 'judge-picks' && requestedBy === state.judgeId;
+      if (!isHost && !isJudge) {
+        throw new Error('Only the host, or the judge under the judge-picks policy, can choose the round\'s art style');
+      }
+      if (state.currentPhase !== PHASES.SELECTION) {
+        throw new Error('The round\'s art style can only be chosen during SELECTION');
+      }
+      if (Object.keys(state.playerSelections).length > 0) {
+        throw new Error('The round\'s art style can\'t change after a selection has been submitted');
+      }
+      updates = { roundArtStyle: style ? requireArtStyle(rules, style) : null };
+    } else {
+      throw new Error('Invalid art style scope: expected one of round, game');
+    }
+
+    const newState = this._commit(updateState(state, updates), { touch: true });
+    this.logger.info('Art style set', { code: state.code, scope, style, requestedBy });
+    this.emit('onArtStylesUpdated', newState.code, describeArtStyles(newState));
+    return newState;
+  }
+
+  /**
+   * Add a custom art style to a game (host only)
+   * @param {string} code - Game code
+   * @param {string} requestedBy - Player ID making the request (must be the host)
+   * @param {Object} style - { name, description } description is the style text for the prompt
+   * @returns {Object} Updated game state
+   */
+  addArtStyle(code, requestedBy, style) {
+    const state = this._requireGame(code);
+
+    if (requestedBy !== state.hostId) {
+      throw new Error('Only the host can add art styles');
+    }
+
+    const rules = state.artStyleRules || createArtStyleRules();
+    const added = this._moderateArtStyle(createCustomArtStyle(style, rules.customStyles));
+    const newState = this._commit(updateState(state, {
+      artStyleRules: { ...rules, customStyles: [...rules.customStyles, added] }
+    }), { touch: true });
+
+    this.logger.info('Custom art style added', { code: state.code, name: added.name });
+    this.emit('onArtStylesUpdated', newState.code, describeArtStyles(newState));
+    return newState;
+  }
+
+  // ============================================
+  // Game Flow
+  // ============================================
+
+  /**
+   * Start a game: deal hands, pick the judge and sentence, open SELECTION
+   * @param {string} code - Game code
+   * @param {Object} options - { sentenceTemplates } pool to draw sentences from, {type} or
+   *                           legacy underscore blanks (default: the sentence card pack)
+   * @returns {Object} Updated game state
+   */
+  startGame(code, options = {}) {
+    const state = this._requireGame(code);
+
+    if (!state.players || state.players.length < 1) {
+      throw new Error('Not enough players to start game');
+    }
+
+    if (state.status !== 'lobby') {
+      throw new Error('Game has already started');
+    }
+
+    let newState = updateState(state, {
+      sentenceTemplates: this._validateSentenceTemplates(options.sentenceTemplates) || state.sentenceTemplates,
+      gameStartedAt: Date.now(),
+      lastActivityAt: Date.now()
+    });
+
+    newState = this.orchestrator.startGame(newState);
+    newState = this.orchestrator.advancePhase(newState, PHASES.SELECTION, 'round_ready');
+    this._commit(newState);
+
+    const judge = newState.judgeId ? getPlayer(newState, newState.judgeId) : null;
+    this.emit('onGameStarted', newState.gameId, newState.code, judge, newState.sentenceTemplate);
+
+    return newState;
+  }
+
+  /**
+   * Apply plain field updates to a game (no phase logic) and refresh its activity
+   * @param {string} code - Game code
+   * @param {Object} updates - Fields to merge into the state
+   * @returns {Object} Updated game state
+   */
+  updateGame(code, updates) {
+    const state = this._requireGame(code);
+    return this._commit(updateState(state, updates), { touch: true });
+  }
+
+  /**
+   * End a game immediately (host ended the session)
+   * @param {string} code - Game code
+   * @returns {Object} Updated game state
+   */
+  endGame(code) {
+    const state = this._requireGame(code);
+
+    this.timerManager.cancelTimer(state.gameId);
+    this._cancelImageGeneration({ gameCode: state.code });
+    const newState = this._commit(updateState(state, {
+      status: 'completed',
+      currentPhase: PHASES.GAME_END
+    }), { touch: true });
+    this.emit('onSessionEnded', newState.code);
+
+    return newState;
+  }
+
+  /**
+   * Advance a game to a given phase (or the next phase in the standard flow)
+   * @param {string} code - Game code
+   * @param {string} targetPhase - Phase from PHASES (null = automatic)
+   * @param {string} reason - Reason recorded in transitionHistory
+   * @returns {Object} Updated game state
+   */
+  advancePhase(code, targetPhase = null, reason = 'manual') {
+    const state = this._requireGame(code);
+
+    if (targetPhase && !isValidTransition(state.currentPhase, targetPhase)) {
+      throw new Error(`Cannot transition from ${state.currentPhase} to ${targetPhase}`);
+    }
+
+    const newState = this.orchestrator.advancePhase(state, targetPhase, reason);
+    return this._commit(newState, { touch: true });
+  }
+
+  /**
+   * Record a player's selection for the current round and start their image.
+   * Cards outside the player's dealt hand are refused before anything else, so only
+   * dealt card text is moderated: a rejection throws (error.reasons) and records
+   * nothing, so the player can pick again before the deadline. With an external
+   * moderation provider the selection is recorded only once it approves, and a
+   * later rejection is reported through onSelectionRejected.
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @param {Object|Array} selection - { cards, selections, artStyle } or an array of cards
+   * @returns {Object} Updated game state (unchanged while a review is pending)
+   */
+  submitSelection(code, playerId, selection) {
+    const state = this._requireGame(code);
+    const { cards } = this.orchestrator.validateSelection(state, playerId, selection);
+
+    const texts = cards.map(card => (card && typeof card === 'object' ? String(card.text || '') : String(card)));
+    const sentence = completeSentence(state.sentenceTemplate, texts);
+    const review = moderateSelection(texts, sentence, this.moderation);
+    if (!review.approved) {
+      throw this._rejectSelection(state, playerId, review.reasons, { notify: false });
+    }
+
+    if (this.moderation.provider) {
+      this._reviewSelection(state, playerId, selection, { cards: texts, sentence });
+      return state;
+    }
+    return this._recordSelection(code, playerId, selection);
+  }
+
+  /**
+   * Whether a player's selection is waiting on the external moderation provider
+   * @param {string} code - Game code
+   * @param {string} playerId - Player ID
+   * @returns {boolean}
+   */
+  isSelectionPending(code, playerId) {
+    const state = this.getGame(code);
+    return Boolean(state) && this.pendingReviews.has(`${state.code}:${playerId}`);
+  }
+
+  /**
+   * Records a moderated selection and starts its image
+   * @private
+   */
+  _recordSelection(code, playerId, selection) {
+    const state = this._requireGame(code);
+    const round = state.currentRound;
+
+    const newState = this._commit(
+      this.orchestrator.submitSelection(state, playerId, selection),
+      { touch: true }
+    );
+
+    const entry = newState.playerSelections[playerId];
+    this.emit('onPlayerSelectionSubmitted', newState.gameId, playerId, entry.selections || entry.cards);
+    this.emit('onSelectionSubmitted', newState.code, playerId, {
+      submittedCount: Object.keys(newState.playerSelections).length,
+      totalPlayers: this._expectedSubmitters(newState).length
+    });
+
+    // Each player's image starts as soon as they submit
+    this._startImageGeneration(newState.code, round, playerId, entry, newState.sentenceTemplate);
+
+    return this.getGame(newState.code);
+  }
+
+  /**
+   * Register a spectator, who may then vote for favorites. Socket watchers register
+   * under their own spectator ID and need no token (removeSpectator drops them when the
+   * socket disconnects); REST spectators get a generated
+   * ID and a token to present with each vote (see verifyVoter).
+   * @param {string} code - Game code
+   * @param {string} [spectatorId] - ID to register (generated if omitted)
+   * @returns {Object} { spectatorId, token } token is null for an ID supplied by the caller
+   */
+  addSpectator(code, spectatorId = null) {
+    const state = this._requireGame(code);
+    const spectators = state.spectators || {};
+    if (spectatorId && spectatorId in spectators) {
+      return { spectatorId, token: spectators[spectatorId] };
+    }
+    if (Object.keys(spectators).length >= MAX_SPECTATORS) {
+      throw new Error(`A game can have at most ${MAX_SPECTATORS} spectators`);
+    }
+    if (spectatorId && getPlayer(state, spectatorId)) {
+      throw new Error('Players cannot register as spectators');
+    }
+
+    const id = spectatorId || `spectator-${uuidv4()}`;
+    const token = spectatorId ? null : uuidv4();
+    this._commit(updateState(state, { spectators: { ...spectators, [id]: token } }));
+    this.logger.info('Spectator registered', { code: state.code, spectatorId: id });
+    return { spectatorId: id, token };
+  }
+
+  /**
+   * Unregister a spectator (a watching socket that disconnected). A vote they cast this
+   * round goes with them, so coming back under a new ID can't vote twice.
+   * @param {string} code - Game code
+   * @param {string} spectatorId - Spectator ID
+   * @returns {boolean} True if the spectator was registered
+   */
+  removeSpectator(code, spectatorId) {
+    const state = this.getGame(code);
+    if (!state || !(spectatorId in (state.spectators || {}))) {
+      return false;
+    }
+
+    const { [spectatorId]: _dropped, ...spectators } = state.spectators;
+    const { [spectatorId]: vote, ...audienceVotes } = state.audienceVotes || {};
+    const newState = this._commit(updateState(state, { spectators, audienceVotes }));
+    this.logger.info('Spectator removed', { code: state.code, spectatorId, voteDropped: Boolean(vote) });
+
+    if (vote) {
+      this.emit('onVoteCast', newState.code, {
+        round: newState.currentRound,
+        voterId: spectatorId,
+        ...this.orchestrator.getVoteTally(newState)
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Whether a REST caller may vote as voterId: players present their rejoin token,
+   * spectators the token from addSpectator
+   * @param {string} code - Game code
+   * @param {string} voterId - Player or spectator ID
+   * @param {string} token - Token presented by the caller
+   * @returns {boolean}
+   */
+  verifyVoter(code, voterId, token) {
+    const state = this.getGame(code);
+    if (!state || !voterId || !token) {
+      return false;
+    }
+    if (getPlayer(state, voterId)) {
+      return this.verifyPlayer(state.code, voterId, token);
+    }
+    const expected = (state.spectators || {})[voterId];
+    return Boolean(expected) && expected === token;
+  }
+
+  /**
+   * Record a favorite vote during VOTING and publish the live tally
+   * @param {string} code - Game code
+   * @param {string} voterId - Player ID, or a registered spectator ID for non-players
+   * @param {string} votedFor - Player ID of the favorite image
+   * @returns {Object} Updated game state
+   */
+  castVote(code, voterId, votedFor) {
+    const state = this._requireGame(code);
+    const round = state.currentRound;
+    const newState = this._commit(this.orchestrator.castVote(state, voterId, votedFor), { touch: true });
+
+    this.emit('onVoteCast', newState.code, {
+      round,
+      voterId,
+      ...this.orchestrator.getVoteTally(newState)
+    });
+
+    return newState;
+  }
+
+  /**
+   * Live favorite vote counts for the current round
+   * @param {string} code - Game code
+   * @returns {Object} { tally, totalVotes, deadline, isOpen }
+   */
+  getVoteTally(code) {
+    const state = this._requireGame(code);
+    return {
+      ...this.orchestrator.getVoteTally(state),
+      deadline: state.votingDeadline,
+      isOpen: state.currentPhase === PHASES.VOTING
+    };
+  }
+
+  /**
+   * Record the judge's picks for the current round
+   * @param {string} code - Game code
+   * @param {string} judgeId - Judge player ID, or the host's ID once a timed-out judge
+   *                           has handed the decision to the host
+   * @param {Object} selection - { firstPlace, secondPlace }
+   * @returns {Object} Updated game state
+   */
+  submitJudgeSelection(code, judgeId, selection) {
+    const state = this._requireGame(code);
+    const newState = this.orchestrator.submitJudgeSelection(state, judgeId, {
+      ...selection,
+      submittedAt: Date.now()
+    });
+    return this._commit(newState, { touch: true });
+  }
+
+  /**
+   * Store a finished image for a player. Results for a round that has already
+   * moved on are dropped.
+   * @param {string} code - Game code
+   * @param {number} round - Round the image was generated for
+   * @param {string} playerId - Player ID
+   * @param {Object} imageData - { imageUrl, imagePath, variants, completedSentence, artStyle, ... }
+   * @param {number} elapsedMs - Generation time
+   * @returns {Object|null} Updated game state, or null if the result was stale
+   */
+  recordImage(code, round, playerId, imageData, elapsedMs = 0) {
+    const state = this.getGame(code);
+    if (!state || state.currentRound !== round || !state.playerSelections[playerId]) {
+      this.logger.info('Dropping image for a round that is no longer active', { code, round, playerId });
+      return null;
+    }
+
+    let newState = this._commit(updateState(state, {
+      generatedImages: { ...state.generatedImages, [playerId]: imageData }
+    }));
+
+    this.emit('onImageReady', newState.code, playerId, imageData, elapsedMs);
+
+    newState = this._completeImageGenIfReady(newState);
+    return newState;
+  }
+
+  /**
+   * Handles a phase timer expiring
+   * @param {string} gameId - Game ID
+   * @param {string} phase - Phase the timer was scheduled for
+   */
+  handlePhaseTimeout(gameId, phase) {
+    const state = this.getGameById(gameId);
+    if (!state || (phase && state.currentPhase !== phase)) {
+      return;
+    }
+
+    try {
+      let newState = state;
+      if (state.currentPhase === PHASES.IMAGE_GEN) {
+        // Safety net: anyone still waiting on an image gets the placeholder
+        const missing = Object.keys(state.playerSelections).filter(id => !state.generatedImages[id]);
+        const images = { ...state.generatedImages };
+        for (const playerId of missing) {
+          images[playerId] = this._placeholderImage('Image generation timed out');
+        }
+        newState = updateState(state, { generatedImages: images });
+      }
+
+      if (state.currentPhase === PHASES.JUDGING) {
+        // The judge ran out of time: the game's fallback policy decides
+        this._commit(this.orchestrator.handleJudgeTimeout(state));
+        return;
+      }
+
+      this._commit(this.orchestrator.advancePhase(newState, null, 'timeout'));
+    } catch (error) {
+      this.logger.error('Phase timeout error', { gameId, error: error.message });
+    }
+  }
+
+  // ============================================
+  // Lifecycle
+  // ============================================
+
+  /**
+   * Stop timers and the timeout checker
+   */
+  shutdown() {
+    this.logger.info('Shutting down game engine');
+    this.timeoutChecker.stop();
+    this.timerManager.cancelAll();
+    for (const handle of this.graceTimers.values()) {
+      clearTimeout(handle);
+    }
+    this.graceTimers.clear();
+    this.pendingReviews.clear();
+  }
+
+  // ============================================
+  // Internals
+  // ============================================
+
+  /**
+   * Checks a custom sentence pool up front so a bad template fails at creation, not mid-round
+   * @param {Array<string|Object>} templates - Sentence templates (see sentenceTemplates.js)
+   * @returns {Array|undefined} The templates as given
+   * @private
+   */
+  _validateSentenceTemplates(templates) {
+    if (templates === undefined || templates === null) {
+      return templates;
+    }
+    if (!Array.isArray(templates)) {
+      throw new Error('sentenceTemplates must be an array');
+    }
+    templates.forEach((entry, index) => {
+      try {
+        loadSentenceTemplate(entry);
+      } catch (error) {
+        throw new Error(`Invalid sentence template ${index}: ${error.message}`);
+      }
+    });
+    return templates;
+  }
+
+  /**
+   * The pack ids, noun deck and sentence pool for a new game. Sentences from the chosen
+   * packs join any custom sentenceTemplates.
+   * @private
+   */
+  _resolveCardPacks(options) {
+    const templates = this._validateSentenceTemplates(options.sentenceTemplates);
+    const packs = this.cardPacks.resolvePacks(options.cardPacks, options.hostId);
+    if (!packs) {
+      return { sentenceTemplates: templates };
+    }
+    return {
+      cardPacks: packs.ids,
+      nounCards: packs.nounCards,
+      sentenceTemplates: packs.sentenceCards ? [...(templates || []), ...packs.sentenceCards] : templates
+    };
+  }
+
+  /**
+   * Validates art style rules and runs the host's custom styles past moderation
+   * @private
+   */
+  _createArtStyleRules(overrides) {
+    const rules = createArtStyleRules(overrides || {});
+    rules.customStyles.forEach(style => this._moderateArtStyle(style));
+    return rules;
+  }
+
+  /**
+   * Rejects a custom style whose name or description has a blocked word
+   * @private
+   */
+  _moderateArtStyle(style) {
+    const review = moderateSelection([style.name, style.description], '', this.moderation);
+    if (review.reasons.some(reason => reason.code === REJECTION_CODES.BLOCKED_TERM)) {
+      throw new Error(`Invalid custom art style: "${style.name}" contains a blocked word`);
+    }
+    return style;
+  }
+
+  /**
+   * Get a game or throw
+   * @private
+   */
+  _requireGame(code) {
+    const state = this.getGame(code);
+    if (!state) {
+      throw new Error(`Session not found: ${code}`);
+    }
+    return state;
+  }
+
+  /**
+   * Store a new state for its game
+   * @param {Object} state - New state
+   * @param {Object} options - { touch } bumps lastActivityAt
+   * @returns {Object} Stored state
+   * @private
+   */
+  _commit(state, { touch = false } = {}) {
+    const stored = touch ? { ...state, lastActivityAt: Date.now() } : state;
+    if (this.store.has(stored.code)) {
+      this.store.set(stored.code, stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Points a player at a new socket and brings them back online
+   * @private
+   */
+  _reattach(state, player, socketId) {
+    const wasAway = player.presence === 'away';
+    this._cancelGraceExpiry(state.code, player.id);
+    const newState = this._commit(updatePlayer(state, player.id, { socketId, presence: 'online', awayUntil: null }));
+    if (wasAway) {
+      this.logger.info('Player returned', { code: state.code, playerId: player.id });
+      this.emit('onPlayerReturned', state.code, player.id);
+    }
+    return newState;
+  }
+
+  /**
+   * Removes an away player once their reconnect window closes
+   * @private
+   */
+  _scheduleGraceExpiry(code, playerId, awayUntil) {
+    this._cancelGraceExpiry(code, playerId);
+    const key = `${code}:${playerId}`;
+    const handle = setTimeout(() => {
+      this.graceTimers.delete(key);
+      const state = this.getGame(code);
+      const player = state ? getPlayer(state, playerId) : null;
+      if (!player || player.presence !== 'away') {
+        return;
+      }
+      this.logger.info('Reconnect window expired', { code, playerId });
+      try {
+        this.removePlayer(code, playerId);
+      } catch (error) {
+        this.logger.error('Failed to remove away player', { code, playerId, error: error.message });
+      }
+    }, Math.max(awayUntil - Date.now(), 0));
+    handle.unref();
+    this.graceTimers.set(key, handle);
+  }
+
+  /**
+   * @private
+   */
+  _cancelGraceExpiry(code, playerId) {
+    const key = `${code}:${playerId}`;
+    const handle = this.graceTimers.get(key);
+    if (handle) {
+      clearTimeout(handle);
+      this.graceTimers.delete(key);
+    }
+  }
+
+  /**
+   * Players expected to submit this round
+   * @private
+   */
+  _expectedSubmitters(state) {
+    return state.players.filter(p => p.id !== state.judgeId);
+  }
+
+  /**
+   * Applies the early-advance checks of submission, voting and image generation after a
+   * player leaves. Their unfinished image was cancelled, so their selection is dropped.
+   * @private
+   */
+  _advanceAfterDeparture(state, playerId) {
+    if (state.currentPhase === PHASES.SELECTION && this.orchestrator.allSubmitted(state)) {
+      return this._commit(this.orchestrator.advancePhase(state, null, 'all_players_submitted'));
+    }
+    if (state.currentPhase === PHASES.VOTING && this.orchestrator.allVoted(state)) {
+      return this._commit(this.orchestrator.advancePhase(state, null, 'all_votes_in'));
+    }
+    if (state.currentPhase === PHASES.IMAGE_GEN && state.playerSelections[playerId] && !state.generatedImages[playerId]) {
+      const { [playerId]: _dropped, ...playerSelections } = state.playerSelections;
+      return this._completeImageGenIfReady(this._commit(updateState(state, { playerSelections })));
+    }
+    return state;
+  }
+
+  /**
+   * Moves IMAGE_GEN on once every submitted selection has an image
+   * @private
+   */
+  _completeImageGenIfReady(state) {
+    if (state.currentPhase !== PHASES.IMAGE_GEN) {
+      return state;
+    }
+
+    const pending = Object.keys(state.playerSelections).filter(id => !state.generatedImages[id]);
+    if (pending.length > 0) {
+      return state;
+    }
+
+    return this._commit(this.orchestrator.advancePhase(state, PHASES.IMAGE_GEN_COMPLETE, 'all_images_ready'));
+  }
+
+  /**
+   * Handles broadcast events from the orchestrator
+   * @param {string} eventType - Event type
+   * @param {*} data - Event data
+   * @private
+   */
+  _handleOrchestratorEvent(eventType, data) {
+    switch (eventType) {
+      case 'phase_change': {
+        const previous = this.getGameById(data.gameId);
+        this._commit(data);
+        this.emit('onPhaseChanged', data.code, previous ? previous.currentPhase : null, data.currentPhase, data);
+        if (data.currentPhase === PHASES.SELECTION && data.currentRound > 1) {
+          // Images still generating for the last round can no longer be shown
+          this._cancelImageGeneration({ gameCode: data.code, roundId: data.currentRound - 1 });
+          // Round 1 is announced by onGameStarted
+          const judge = data.judgeId ? getPlayer(data, data.judgeId) : null;
+          this.emit('onRoundStarted', data.gameId, data.code, data.currentRound, judge, data.sentenceTemplate);
+        }
+        if (data.currentPhase === PHASES.IMAGE_GEN) {
+          // Images may all have landed while SELECTION was still open
+          setImmediate(() => {
+            const current = this.getGame(data.code);
+            if (current) {
+              this._completeImageGenIfReady(current);
+            }
+          });
+        }
+        break;
+      }
+      case 'phase_timeout':
+        this.handlePhaseTimeout(data.gameId, data.phase);
+        break;
+      case 'image_generation_started':
+        this.emit('onImageGenerationStarted', data.code, data);
+        break;
+      case 'images_ready':
+        this.emit('onImagesReady', data.code, data);
+        break;
+      case 'voting_started':
+        this.emit('onVotingStarted', data.code, data);
+        break;
+      case 'judge_warning':
+        this.emit('onJudgeWarning', data.code, data);
+        break;
+      case 'judge_fallback':
+        this.emit('onJudgeFallback', data.code, data);
+        break;
+      case 'results_ready':
+        this.emit('onResultsReady', data.code, data);
+        break;
+      case 'game_over':
+        this.emit('onGameOver', data.code, data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Lazily creates the shared image generator
+   * @returns {Object|null} Image generator or null if none can be configured
+   * @private
+   */
+  _getImageGenerator() {
+    if (this._imageGenerator === undefined) {
+      try {
+        this._imageGenerator = new ImageGeneratorService({
+          apiKey: process.env.OPENAI_API_KEY,
+          serviceType: process.env.IMAGE_GENERATION_SERVICE || 'dalle3',
+          imageStore: this.imageStore
+        });
+        this._watchImageGenerator(this._imageGenerator);
+      } catch (error) {
+        this.logger.warn('Image generation unavailable, using placeholders', { error: error.message });
+        this._imageGenerator = null;
+      }
+    }
+    return this._imageGenerator;
+  }
+
+  /**
+   * Relays a generator's per-image progress for this engine's games (onImageProgress)
+   * @param {Object} generator - Image generator; ones without on() report nothing
+   * @private
+   */
+  _watchImageGenerator(generator) {
+    if (!generator || typeof generator.on !== 'function') {
+      return;
+    }
+    generator.on('onImageProgress', (progress) => {
+      if (this.store.get(progress.gameCode)) {
+        this.emit('onImageProgress', progress.gameCode, progress);
+      }
+    });
+  }
+
+  /**
+   * Cancels queued and in-flight images for a game, round or player. Generators
+   * without cancel() simply finish and recordImage drops stale results.
+   * @param {Object} scope - { gameCode, roundId, playerId }
+   * @private
+   */
+  _cancelImageGeneration(scope) {
+    const generator = this._imageGenerator;
+    if (!generator || typeof generator.cancel !== 'function') {
+      return;
+    }
+    try {
+      generator.cancel(scope);
+    } catch (error) {
+      this.logger.warn('Failed to cancel image generation', { ...scope, error: error.message });
+    }
+  }
+
+  /**
+   * Reports an image that never reached the generator as failed, so progress boards
+   * don't wait on it
+   * @private
+   */
+  _reportImageFailure(code, round, playerId, reason) {
+    this.emit('onImageProgress', code, {
+      status: 'failed',
+      gameCode: code,
+      roundId: round,
+      playerId,
+      error: reason,
+      placeholder: true
+    });
+  }
+
+  /**
+   * Checks the game against the image budgets. The first time a cap is reached the
+   * game records a budgetWarning and the host display is told (onBudgetExceeded).
+   * Images already generating when the cap is reached still finish, so spend can
+   * overshoot a cap by their cost.
+   * @param {string} code - Game code
+   * @returns {Object} { exceeded, scope, spentUsd, capUsd }
+   * @private
+   */
+  _checkBudget(code) {
+    const state = this.store.get(code);
+    if (!state) {
+      return { exceeded: false };
+    }
+
+    const budget = this.costLedger.checkBudget(this.budgets, state);
+    if (budget.exceeded && (!state.budgetWarning || state.budgetWarning.scope !== budget.scope)) {
+      const warning = {
+        scope: budget.scope,
+        spentUsd: budget.spentUsd,
+        capUsd: budget.capUsd,
+        fallback: this.budgets.fallback,
+        at: Date.now()
+      };
+      this._commit(updateState(state, { budgetWarning: warning }));
+      this.logger.warn('Image budget exceeded', { code, hostId: state.hostId, ...warning });
+      this.emit('onBudgetExceeded', code, warning);
+    }
+    return budget;
+  }
+
+  /**
+   * Builds a placeholder image record
+   * @private
+   */
+  _placeholderImage(reason) {
+    return {
+      imageUrl: PLACEHOLDER_IMAGE,
+      imagePath: PLACEHOLDER_IMAGE,
+      variants: variantUrls(PLACEHOLDER_IMAGE),
+      completedSentence: 'Error generating image',
+      artStyle: 'Error',
+      generatedAt: new Date().toISOString(),
+      isPlaceholder: true,
+      fromCache: false,
+      error: reason
+    };
+  }
+
+  /**
+   * Builds the rejection error; `notify` also tells the player through
+   * onSelectionRejected (for verdicts that arrive after submitSelection returned)
+   * @private
+   */
+  _rejectSelection(state, playerId, reasons, { notify = true } = {}) {
+    const timeRemaining = Math.ceil(this.timerManager.getRemainingTime(state.gameId) / 1000);
+    this.logger.info('Selection rejected by moderation', {
+      code: state.code,
+      playerId,
+      reasons: reasons.map(reason => reason.code)
+    });
+    if (notify) {
+      this.emit('onSelectionRejected', state.code, playerId, { reasons, timeRemaining });
+    }
+    return createModerationError(reasons, timeRemaining);
+  }
+
+  /**
+   * Runs the external moderation provider, then records or rejects the selection.
+   * A newer submission from the same player supersedes a review still in flight.
+   * @private
+   */
+  _reviewSelection(state, playerId, selection, request) {
+    const { code, currentRound: round } = state;
+    const key = `${code}:${playerId}`;
+    const reviewId = ++this._reviewSequence;
+    this.pendingReviews.set(key, reviewId);
+    this.emit('onSelectionPending', code, playerId);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Moderation provider timed out')), this.moderation.timeoutMs);
+    });
+
+    Promise.race([
+      Promise.resolve().then(() => this.moderation.provider({ code, playerId, ...request })),
+      timeout
+    ]).then(normalizeProviderVerdict).catch(error => {
+      this.logger.warn('Moderation provider failed', { code, playerId, failOpen: this.moderation.failOpen, error: error.message });
+      return this.moderation.failOpen
+        ? { approved: true, reasons: [] }
+        : { approved: false, reasons: [{ code: REJECTION_CODES.PROVIDER_UNAVAILABLE, message: 'Content moderation is unavailable, please pick again' }] };
+    }).then(verdict => {
+      clearTimeout(timer);
+      if (this.pendingReviews.get(key) !== reviewId) {
+        return; // Superseded, or the player or game is gone
+      }
+      this.pendingReviews.delete(key);
+
+      const current = this.getGame(code);
+      if (!current || current.currentRound !== round) {
+        return;
+      }
+      if (!verdict.approved) {
+        this._rejectSelection(current, playerId, verdict.reasons);
+        return;
+      }
+      if (current.currentPhase !== PHASES.SELECTION) {
+        this._rejectSelection(current, playerId, [{ code: REJECTION_CODES.DEADLINE_PASSED, message: 'Selection was approved after the deadline' }]);
+        return;
+      }
+      this._recordSelection(code, playerId, selection);
+    }).catch(error => {
+      this.logger.error('Failed to record moderated selection', { code, playerId, error: error.message });
+    });
+  }
+
+  /**
+   * Generates one player's image in the background and records the result
+   * @private
+   */
+  _startImageGeneration(code, round, playerId, selection, sentenceTemplate) {
+    const startTime = Date.now();
+    const game = this.store.get(code);
+    const spend = { gameId: game.gameId, gameCode: game.code, hostId: game.hostId, playerId, round };
+
+    Promise.resolve().then(async () => {
+      const generator = this._getImageGenerator();
+      if (!generator) {
+        throw new Error('No image generator configured');
+      }
+
+      const budget = this._checkBudget(code);
+      if (budget.exceeded && this.budgets.fallback === 'placeholder') {
+        this.costLedger.record({ ...spend, outcome: SPEND_OUTCOMES.BUDGET_PLACEHOLDER });
+        this._reportImageFailure(code, round, playerId, 'Image budget exceeded');
+        return this._placeholderImage('Image budget exceeded');
+      }
+
+      // The prompt template depends on the game's set, the sentence category and the provider
+      const state = this.store.get(code);
+      const { prompt, completedSentence, artStyle, promptTemplateId, promptTemplateSet } =
+        PromptFormatter.formatImagePrompt(sentenceTemplate, selection.cards, selection.artStyle, {
+          templateSet: state ? state.promptTemplateSet : null,
+          category: state ? state.sentenceCategory : null,
+          customStyles: state ? customStylePrompts(state.artStyleRules) : {},
+          provider: budget.exceeded ? 'local' : generator.serviceType
+        });
+
+      const result = await generator.generateImage(prompt, code, round, playerId, artStyle, completedSentence, {
+        forceFresh: Boolean(state && state.forceFreshImages),
+        ...(budget.exceeded ? { serviceType: 'local' } : {})
+      });
+
+      let outcome = SPEND_OUTCOMES.GENERATED;
+      if (budget.exceeded) {
+        outcome = SPEND_OUTCOMES.BUDGET_FALLBACK;
+      } else if (result.fromCache) {
+        outcome = SPEND_OUTCOMES.CACHED;
+      } else if (result.isPlaceholder) {
+        outcome = SPEND_OUTCOMES.PLACEHOLDER;
+      }
+      this.costLedger.record({
+        ...spend,
+        provider: result.provider,
+        size: result.size,
+        costUsd: result.estimatedCostUsd,
+        outcome
+      });
+
+      return {
+        imageUrl: result.imageUrl,
+        imagePath: result.imagePath,
+        variants: result.variants || variantUrls(result.imagePath || result.imageUrl),
+        completedSentence: result.completedSentence,
+        artStyle: result.artStyle,
+        promptTemplateId,
+        promptTemplateSet,
+        generatedAt: result.generatedAt,
+        isPlaceholder: result.isPlaceholder || false,
+        fromCache: result.fromCache || false
+      };
+    }).catch(error => {
+      if (isCancellationError(error)) {
+        this.logger.info('Image generation cancelled', { code, round, playerId });
+        this.costLedger.record({ ...spend, outcome: SPEND_OUTCOMES.CANCELLED });
+        return null;
+      }
+      this.logger.error('Failed to generate image for player', { code, playerId, error: error.message });
+      this.costLedger.record({ ...spend, outcome: SPEND_OUTCOMES.FAILED });
+      this._reportImageFailure(code, round, playerId, error.message);
+      return this._placeholderImage(error.message);
+    }).then(imageData => {
+      if (imageData) {
+        this.recordImage(code, round, playerId, imageData, Date.now() - startTime);
+      }
+    }).catch(error => {
+      this.logger.error('Failed to record image', { code, playerId, error: error.message });
+    });
+  }
+}
+
+module.exports = GameEngine;
@@ -1,33 +1,40 @@
 /**
  * ---
  * title: Game Manager
- * purpose: Central manager for all active games. Handles game creation, player management,
- *          phase advancement, and state broadcasting via Socket.io.
- * exports: GameManager - Class for managing active games
- * dependencies: GameState.js, GameOrchestrator.js, TimerManager.js, Socket.io
+ * purpose: Socket.io adapter over the GameEngine. Exposes the gameId-based API used by
+ *          the WebSocket handlers and relays engine events to each game's room
+ *          (`game-${code}`), so socket clients see the same games as REST clients.
+ * exports: GameManager - Class for socket-facing game access and broadcasting
+ * dependencies: GameEngine, GameState.js, Socket.io
  * ---
  */
 
-const { createGameState, addPlayer, removePlayer, exportState, getPlayerBySocketId } = require('./GameState');
-const GameOrchestrator = require('./GameOrchestrator');
-const TimerManager = require('./TimerManager');
+const { exportState, getPlayer } = require('./GameState');
+const { PHASES } = require('./phases');
+const GameEngine = require('./GameEngine');
 
 class GameManager {
   /**
    * Creates a new game manager
    * @param {Object} logger - Winston logger instance
    * @param {Object} io - Socket.io server instance
+   * @param {GameEngine} engine - Shared engine (created if omitted)
    */
-  constructor(logger, io) {
+  constructor(logger, io, engine = null) {
     this.logger = logger;
     this.io = io;
-    this.games = new Map(); // gameId -> state
-    this.timerManager = new TimerManager();
-    this.orchestrator = new GameOrchestrator(
-      logger,
-      this.timerManager,
-      this._handleBroadcastEvent.bind(this)
-    );
+    this.engine = engine || new GameEngine({ logger });
+    this.countdowns = new Map(); // gameId -> interval handle for timer-update ticks
+
+    this._relayEngineEvents();
+  }
+
+  /**
+   * Phase timers of the shared engine
+   * @returns {TimerManager}
+   */
+  get timerManager() {
+    return this.engine.timerManager;
   }
 
   /**
@@ -36,15 +43,7 @@ class GameManager {
    * @returns {Object} New game state
    */
   createGame(options = {}) {
-    const state = createGameState(options);
-    this.games.set(state.gameId, state);
-    
-    this.logger.info('Game created', {
-      gameId: state.gameId,
-      code: state.code
-    });
-    
-    return state;
+    return this.engine.createGame(options);
   }
 
   /**
@@ -53,7 +52,7 @@ class GameManager {
    * @returns {Object|null} Game state or null
    */
   getGame(gameId) {
-    return this.games.get(gameId) || null;
+    return this.engine.getGameById(gameId);
   }
 
   /**
@@ -62,21 +61,7 @@ class GameManager {
    * @returns {Object|null} Game state or null
    */
   getGameByCode(code) {
-    for (const game of this.games.values()) {
-      if (game.code === code) {
-        return game;
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Updates a game's state
-   * @param {string} gameId - Game ID
-   * @param {Object} newState - New state
-   */
-  updateGame(gameId, newState) {
-    this.games.set(gameId, newState);
+    return this.engine.getGame(code);
   }
 
   /**
@@ -84,35 +69,22 @@ class GameManager {
    * @param {string} gameId - Game ID
    */
   deleteGame(gameId) {
-    this.timerManager.cancelTimer(gameId);
-    this.games.delete(gameId);
+    const state = this._requireGame(gameId);
+    this._stopCountdown(gameId);
+    this.engine.cleanupGame(state.code);
     this.logger.info('Game deleted', { gameId });
   }
 
   /**
-   * Adds a player to a game
+   * Adds a player to a game (or re-attaches a known playerId to a new socket)
    * @param {string} gameId - Game ID
-   * @param {Object} playerOptions - Player options
+   * @param {Object} playerOptions - { playerId, socketId, name, avatar, isHost }
    * @returns {Object} Updated game state
    */
   addPlayerToGame(gameId, playerOptions) {
-    const state = this.getGame(gameId);
-    if (!state) {
-      throw new Error('Game not found');
-    }
-    
-    const newState = addPlayer(state, playerOptions);
-    this.updateGame(gameId, newState);
-    
-    this.logger.info('Player added to game', {
-      gameId,
-      playerId: newState.players[newState.players.length - 1].id,
-      playerName: playerOptions.name
-    });
-    
-    // Broadcast update
-    this._broadcastGameState(gameId);
-    
+    const state = this._requireGame(gameId);
+    const newState = this.engine.joinGame(state.code, playerOptions);
+    this._broadcastGameState(newState);
     return newState;
   }
 
@@ -123,87 +95,121 @@ class GameManager {
    * @returns {Object} Updated game state
    */
   removePlayerFromGame(gameId, playerId) {
-    const state = this.getGame(gameId);
-    if (!state) {
-      throw new Error('Game not found');
-    }
-    
-    const newState = removePlayer(state, playerId);
-    this.updateGame(gameId, newState);
-    
-    this.logger.info('Player removed from game', {
-      gameId,
-      playerId
-    });
-    
-    // Broadcast update
-    this._broadcastGameState(gameId);
-    
-    return newState;
+    const state = this._requireGame(gameId);
+    // State and player-left are relayed from the engine's onPlayerLeft
+    return this.engine.removePlayer(state.code, playerId);
   }
 
   /**
-   * Starts a game
+   * Detaches a disconnected socket from its player. The player is marked away and
+   * keeps their seat until the game's reconnect window closes.
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} { code, playerId, awayUntil } of the detached player, or null
+   */
+  detachSocket(socketId) {
+    return this.engine.detachSocket(socketId);
+  }
+
+  /**
+   * Gets the rejoin token issued to a player at join
    * @param {string} gameId - Game ID
-   * @returns {Object} Updated game state
+   * @param {string} playerId - Player ID
+   * @returns {string|null} Rejoin token or null
    */
-  startGame(gameId) {
-    const state = this.getGame(gameId);
-    if (!state) {
-      throw new Error('Game not found');
-    }
-    
-    const newState = this.orchestrator.startGame(state);
-    this.updateGame(gameId, newState);
-    
-    return newState;
+  getRejoinToken(gameId, playerId) {
+    const state = this._requireGame(gameId);
+    return this.engine.getRejoinToken(state.code, playerId);
+  }
+
+  /**
+   * Re-attaches a player to a new socket by rejoin token
+   * @param {string} token - Rejoin token
+   * @param {string} socketId - New socket ID
+   * @returns {Object} { state, playerId, snapshot } snapshot is what the client needs to resume
+   */
+  resumeGame(token, socketId) {
+    const { state, playerId } = this.engine.resumeGame(token, socketId);
+    this._broadcastGameState(state);
+    return { state, playerId, snapshot: this.engine.getRejoinSnapshot(state.code, playerId) };
   }
 
   /**
-   * Handles phase timeout
+   * Gets a player's hand, phase, timer and pending results for resuming play
    * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @returns {Object} Rejoin snapshot
    */
-  handlePhaseTimeout(gameId) {
-    const state = this.getGame(gameId);
-    if (!state) {
-      return;
-    }
-    
-    try {
-      const newState = this.orchestrator.advancePhase(state, null, 'timeout');
-      this.updateGame(gameId, newState);
-    } catch (error) {
-      this.logger.error('Phase timeout error', {
-        gameId,
-        error: error.message
-      });
-    }
+  getRejoinSnapshot(gameId, playerId) {
+    const state = this._requireGame(gameId);
+    return this.engine.getRejoinSnapshot(state.code, playerId);
+  }
+
+  /**
+   * Starts a game
+   * @param {string} gameId - Game ID
+   * @param {Object} options - { sentenceTemplates }
+   * @returns {Object} Updated game state
+   */
+  startGame(gameId, options = {}) {
+    const state = this._requireGame(gameId);
+    return this.engine.startGame(state.code, options);
   }
 
   /**
    * Submits player card selection
    * @param {string} gameId - Game ID
    * @param {string} playerId - Player ID
-   * @param {Array<string>} cards - Selected cards
+   * @param {Array<string>|Object} selection - Selected cards, or { cards, artStyle }
    * @returns {Object} Updated game state
    */
-  submitSelection(gameId, playerId, cards) {
+  submitSelection(gameId, playerId, selection) {
+    const state = this._requireGame(gameId);
+    return this.engine.submitSelection(state.code, playerId, selection);
+  }
+
+  /**
+   * Whether a player's selection is still being reviewed by the moderation provider
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @returns {boolean}
+   */
+  isSelectionPending(gameId, playerId) {
+    const state = this._requireGame(gameId);
+    return this.engine.isSelectionPending(state.code, playerId);
+  }
+
+  /**
+   * Registers a watching socket as a spectator so it can vote
+   * @param {string} gameId - Game ID
+   * @param {string} spectatorId - Spectator ID for the socket
+   * @returns {Object} { spectatorId, token }
+   */
+  addSpectator(gameId, spectatorId) {
+    const state = this._requireGame(gameId);
+    return this.engine.addSpectator(state.code, spectatorId);
+  }
+
+  /**
+   * Unregisters a watching socket's spectator, e.g. when the socket disconnects
+   * @param {string} gameId - Game ID
+   * @param {string} spectatorId - Spectator ID for the socket
+   * @returns {boolean} True if the spectator was registered
+   */
+  removeSpectator(gameId, spectatorId) {
     const state = this.getGame(gameId);
-    if (!state) {
-      throw new Error('Game not found');
-    }
-    
-    const newState = this.orchestrator.submitSelection(state, playerId, cards);
-    this.updateGame(gameId, newState);
-    
-    // Broadcast selection event
-    this.io.to(gameId).emit('player_submitted', {
-      playerId,
-      submissionCount: Object.keys(newState.playerSelections).length,
-      totalPlayers: newState.players.filter(p => p.id !== newState.judgeId).length
-    });
-    
-    return newState;
+    return state ? this.engine.removeSpectator(state.code, spectatorId) : false;
+  }
+
+  /**
+   * Casts a favorite vote
+   * @param {string} gameId - Game ID
+   * @param {string} voterId - Player ID, or a registered spectator ID for non-players
+   * @param {string} votedFor - Player ID of the favorite image
+   * @returns {Object} Updated game state
+   */
+  castVote(gameId, voterId, votedFor) {
+    const state = this._requireGame(gameId);
+    return this.engine.castVote(state.code, voterId, votedFor);
   }
 
   /**
@@ -214,15 +220,55 @@ class GameManager {
    * @returns {Object} Updated game state
    */
   submitJudgeSelection(gameId, judgeId, selection) {
-    const state = this.getGame(gameId);
-    if (!state) {
-      throw new Error('Game not found');
-    }
-    
-    const newState = this.orchestrator.submitJudgeSelection(state, judgeId, selection);
-    this.updateGame(gameId, newState);
-    
-    return newState;
+    const state = this._requireGame(gameId);
+    return this.engine.submitJudgeSelection(state.code, judgeId, selection);
+  }
+
+  /**
+   * Chooses the next round's judge (host-assigned rotation only)
+   * @param {string} gameId - Game ID
+   * @param {string} requestedBy - Player ID making the request (must be the host)
+   * @param {string} playerId - Player to judge next round
+   * @returns {Object} Updated game state
+   */
+  assignNextJudge(gameId, requestedBy, playerId) {
+    const state = this._requireGame(gameId);
+    return this.engine.assignNextJudge(state.code, requestedBy, playerId);
+  }
+
+  /**
+   * Gets a game's art style policy and the styles its players can use
+   * @param {string} gameId - Game ID
+   * @returns {Object} { policy, lockedStyle, roundArtStyle, styles }
+   */
+  getArtStyles(gameId) {
+    const state = this._requireGame(gameId);
+    return this.engine.getArtStyles(state.code);
+  }
+
+  /**
+   * Chooses the art style for the current round or the whole game
+   * @param {string} gameId - Game ID
+   * @param {string} requestedBy - Player ID making the request (the host, or the judge)
+   * @param {string|null} style - Style name (null clears the lock)
+   * @param {Object} options - { scope } 'round' or 'game'
+   * @returns {Object} Updated game state
+   */
+  setArtStyle(gameId, requestedBy, style, options = {}) {
+    const state = this._requireGame(gameId);
+    return this.engine.setArtStyle(state.code, requestedBy, style, options);
+  }
+
+  /**
+   * Adds a custom art style to a game (host only)
+   * @param {string} gameId - Game ID
+   * @param {string} requestedBy - Player ID making the request (must be the host)
+   * @param {Object} style - { name, description }
+   * @returns {Object} Updated game state
+   */
+  addArtStyle(gameId, requestedBy, style) {
+    const state = this._requireGame(gameId);
+    return this.engine.addArtStyle(state.code, requestedBy, style);
   }
 
   /**
@@ -230,7 +276,7 @@ class GameManager {
    * @returns {Array<Object>} Array of game states
    */
   getAllGames() {
-    return Array.from(this.games.values());
+    return this.engine.getAllGames();
   }
 
   /**
@@ -238,7 +284,7 @@ class GameManager {
    * @returns {number} Number of active games
    */
   getGameCount() {
-    return this.games.size;
+    return this.engine.getGameCount();
   }
 
   /**
@@ -255,17 +301,24 @@ class GameManager {
   }
 
   /**
-   * Broadcasts game state to all players in a game
-   * @param {string} gameId - Game ID
+   * Gets a game or throws
    * @private
    */
-  _broadcastGameState(gameId) {
+  _requireGame(gameId) {
     const state = this.getGame(gameId);
     if (!state) {
-      return;
+      throw new Error('Game not found');
     }
-    
-    this.io.to(gameId).emit('state_update', {
+    return state;
+  }
+
+  /**
+   * Broadcasts game state to all players in a game
+   * @param {Object} state - Game state
+   * @private
+   */
+  _broadcastGameState(state) {
+    this.io.to(`game-${state.code}`).emit('state_update', {
       type: 'state_update',
       data: { game_state: exportState(state) },
       timestamp: Date.now()
@@ -273,71 +326,246 @@ class GameManager {
   }
 
   /**
-   * Handles broadcast events from orchestrator
-   * @param {string} eventType - Event type
-   * @param {*} data - Event data
+   * Ticks `timer-update` to the room once a second while a timed phase runs
+   * @param {Object} state - Game state that just entered the phase
    * @private
    */
-  _handleBroadcastEvent(eventType, data) {
-    if (eventType === 'phase_change' && data.gameId) {
-      this._broadcastGameState(data.gameId);
-      
-      this.io.to(data.gameId).emit('phase_change', {
-        phase: data.currentPhase,
-        timestamp: Date.now()
+  _startCountdown(state) {
+    this._stopCountdown(state.gameId);
+
+    const room = `game-${state.code}`;
+    const phase = state.currentPhase;
+    const handle = setInterval(() => {
+      const current = this.getGame(state.gameId);
+      const remainingMs = this.timerManager.getRemainingTime(state.gameId);
+      if (!current || current.currentPhase !== phase || remainingMs <= 0) {
+        this._stopCountdown(state.gameId);
+        return;
+      }
+      this.io.to(room).emit('timer-update', {
+        phase,
+        time_remaining: Math.ceil(remainingMs / 1000)
       });
-    } else if (eventType === 'phase_timeout' && data.gameId) {
-      this.handlePhaseTimeout(data.gameId);
-    } else if (eventType === 'image_generation_started') {
-      // Broadcast image generation started to game room
-      const room = data.code ? `game-${data.code}` : data.gameId;
-      this.io.to(room).emit('image_generation_started', {
-        gameId: data.gameId,
-        code: data.code,
-        totalPlayers: data.totalPlayers,
-        round: data.round,
+    }, 1000);
+    handle.unref();
+
+    this.countdowns.set(state.gameId, handle);
+  }
+
+  /**
+   * Whether the game's current phase shows a countdown
+   * @param {Object} state - Game state
+   * @returns {boolean}
+   * @private
+   */
+  _hasCountdown(state) {
+    const phase = state.currentPhase;
+    return phase === PHASES.SELECTION || phase === PHASES.VOTING ||
+      (phase === PHASES.JUDGING && Boolean(state.judgingDeadline));
+  }
+
+  /**
+   * Stops a game's countdown ticks
+   * @param {string} gameId - Game ID
+   * @private
+   */
+  _stopCountdown(gameId) {
+    const handle = this.countdowns.get(gameId);
+    if (handle) {
+      clearInterval(handle);
+      this.countdowns.delete(gameId);
+    }
+  }
+
+  /**
+   * Relays engine events to socket rooms
+   * @private
+   */
+  _relayEngineEvents() {
+    const engine = this.engine;
+    const toRoom = (code) => this.io.to(`game-${code}`);
+
+    engine.on('onPhaseChanged', (code, fromPhase, toPhase, state) => {
+      this._broadcastGameState(state);
+      toRoom(code).emit('phase_change', {
+        phase: toPhase,
+        previousPhase: fromPhase,
+        round: state.currentRound,
         timestamp: Date.now()
       });
-      this.logger.info('Broadcasting image generation started', { room, gameId: data.gameId });
-    } else if (eventType === 'images_ready') {
-      // Broadcast generated images to game room
-      const room = data.code ? `game-${data.code}` : data.gameId;
-      this.io.to(room).emit('images_ready', {
-        gameId: data.gameId,
-        code: data.code,
-        images: data.images,
-        round: data.round,
-        isSinglePlayer: data.isSinglePlayer,
-        judgeSelection: data.judgeSelection,
+
+      if (this._hasCountdown(state)) {
+        this._startCountdown(state);
+      }
+    });
+
+    // Restored games pick their countdown back up; clients resync when they rejoin
+    engine.on('onGameRestored', (code, state) => {
+      if (this._hasCountdown(state)) {
+        this._startCountdown(state);
+      }
+    });
+
+    // game-started and round-started share a payload so clients can reuse one handler
+    const roundPayload = (gameId, code, judge, sentence) => {
+      const state = engine.getGame(code);
+      return {
+        gameId,
+        code,
+        round: state.currentRound,
+        judge: judge ? { id: judge.id, name: judge.name, avatar: judge.avatar } : null,
+        isSinglePlayer: state.isSinglePlayer,
+        sentence,
+        sentenceTemplate: sentence,
+        time_remaining: Math.ceil(this.timerManager.getRemainingTime(gameId) / 1000),
+        max_rounds: state.maxRounds,
+        status: state.currentPhase
+      };
+    };
+
+    engine.on('onGameStarted', (gameId, code, judge, sentence) => {
+      toRoom(code).emit('game-started', roundPayload(gameId, code, judge, sentence));
+      this.logger.info('Broadcasting game started', { code, gameId, judge: judge?.name });
+    });
+
+    engine.on('onRoundStarted', (gameId, code, round, judge, sentence) => {
+      toRoom(code).emit('round-started', roundPayload(gameId, code, judge, sentence));
+      this.logger.info('Broadcasting round started', { code, gameId, round, judge: judge?.name });
+    });
+
+    engine.on('onPlayerAway', (code, playerId, awayUntil) => {
+      toRoom(code).emit('player-away', { playerId, awayUntil, timestamp: Date.now() });
+    });
+
+    engine.on('onPlayerReturned', (code, playerId) => {
+      toRoom(code).emit('player-returned', { playerId, timestamp: Date.now() });
+    });
+
+    engine.on('onPlayerLeft', (code, playerId, playerCount) => {
+      const state = engine.getGame(code);
+      if (state) {
+        this._broadcastGameState(state);
+      }
+      toRoom(code).emit('player-left', { playerId, player_count: playerCount, timestamp: Date.now() });
+    });
+
+    engine.on('onSelectionSubmitted', (code, playerId, { submittedCount, totalPlayers }) => {
+      toRoom(code).emit('selection-submitted', { playerId, submittedCount, totalPlayers });
+    });
+
+    // Moderation outcomes go to the submitting player only (reasons quote their cards)
+    const toPlayer = (code, playerId) => {
+      const state = engine.getGame(code);
+      const player = state && getPlayer(state, playerId);
+      return player && player.socketId ? this.io.to(player.socketId) : null;
+    };
+
+    engine.on('onSelectionPending', (code, playerId) => {
+      const socket = toPlayer(code, playerId);
+      if (socket) {
+        socket.emit('selection-pending', { playerId, timestamp: Date.now() });
+      }
+    });
+
+    engine.on('onSelectionRejected', (code, playerId, { reasons, timeRemaining }) => {
+      const socket = toPlayer(code, playerId);
+      if (socket) {
+        socket.emit('selection-rejected', { playerId, reasons, timeRemaining, timestamp: Date.now() });
+      }
+    });
+
+    engine.on('onImageReady', (code, playerId, imageData, elapsedMs) => {
+      const state = engine.getGame(code);
+      toRoom(code).emit('image-ready', {
+        gameId: state?.gameId,
+        code,
+        playerId,
+        ...imageData,
+        elapsedMs
+      });
+    });
+
+    engine.on('onBudgetExceeded', (code, warning) => {
+      toRoom(code).emit('budget-warning', { code, ...warning, timestamp: Date.now() });
+      this.logger.warn('Broadcasting image budget warning', { code, scope: warning.scope });
+    });
+
+    // Per-image lifecycle (queued/started/retrying/completed/failed) for the host's progress board
+    engine.on('onImageProgress', (code, progress) => {
+      const state = engine.getGame(code);
+      const player = state ? getPlayer(state, progress.playerId) : null;
+      toRoom(code).emit('image-progress', {
+        ...progress,
+        code,
+        playerName: player ? player.name : null,
         timestamp: Date.now()
       });
-      this.logger.info('Broadcasting images ready', { 
-        room, 
-        gameId: data.gameId, 
+    });
+
+    engine.on('onImageGenerationStarted', (code, data) => {
+      toRoom(code).emit('image_generation_started', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting image generation started', { code, gameId: data.gameId });
+    });
+
+    engine.on('onImagesReady', (code, data) => {
+      toRoom(code).emit('images_ready', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting images ready', {
+        code,
+        gameId: data.gameId,
         imageCount: Object.keys(data.images || {}).length,
         isSinglePlayer: data.isSinglePlayer
       });
-    } else if (eventType === 'results_ready') {
-      // Broadcast results to game room
-      const room = data.code ? `game-${data.code}` : data.gameId;
-      this.io.to(room).emit('results_ready', {
-        gameId: data.gameId,
-        code: data.code,
-        round: data.round,
-        isSinglePlayer: data.isSinglePlayer,
-        results: data.results,
-        images: data.images,
-        players: data.players,
+    });
+
+    engine.on('onVotingStarted', (code, data) => {
+      toRoom(code).emit('voting-started', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting voting started', { code, gameId: data.gameId, round: data.round });
+    });
+
+    engine.on('onVoteCast', (code, { round, tally, totalVotes }) => {
+      toRoom(code).emit('vote-tally', { code, round, tally, totalVotes, timestamp: Date.now() });
+    });
+
+    // Warnings go to the judge only (their player socket and the judge interface's
+    // `judge-${code}` room); the game room just sees the countdown
+    engine.on('onJudgeWarning', (code, { round, judgeId, remainingMs }) => {
+      const state = engine.getGame(code);
+      const judge = state && judgeId ? getPlayer(state, judgeId) : null;
+      const targets = [`judge-${code}`, ...(judge && judge.socketId ? [judge.socketId] : [])];
+      this.io.to(targets).emit('judge-warning', {
+        code,
+        round,
+        judgeId,
+        time_remaining: Math.ceil(remainingMs / 1000),
         timestamp: Date.now()
       });
-      this.logger.info('Broadcasting results ready', { 
-        room, 
-        gameId: data.gameId, 
+    });
+
+    engine.on('onArtStylesUpdated', (code, data) => {
+      toRoom(code).emit('art-styles-updated', { code, ...data, timestamp: Date.now() });
+    });
+
+    engine.on('onJudgeFallback', (code, data) => {
+      toRoom(code).emit('judge-fallback', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting judge fallback', { code, round: data.round, policy: data.policy });
+    });
+
+    engine.on('onResultsReady', (code, data) => {
+      toRoom(code).emit('results_ready', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting results ready', {
+        code,
+        gameId: data.gameId,
         round: data.round,
         isSinglePlayer: data.isSinglePlayer,
         winner: data.results?.firstPlace
       });
-    }
+    });
+
+    engine.on('onGameOver', (code, data) => {
+      this._stopCountdown(data.gameId);
+      toRoom(code).emit('game-over', { ...data, timestamp: Date.now() });
+      this.logger.info('Broadcasting game over', { code, gameId: data.gameId, winner: data.winner?.playerId });
+    });
   }
 
   /**
@@ -345,8 +573,10 @@ class GameManager {
    */
   shutdown() {
     this.logger.info('Shutting down game manager');
-    this.timerManager.cancelAll();
-    this.games.clear();
+    for (const gameId of this.countdowns.keys()) {
+      this._stopCountdown(gameId);
+    }
+    this.engine.shutdown();
   }
 }
 
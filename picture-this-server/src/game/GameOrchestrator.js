@@ -4,19 +4,35 @@
  * purpose: Handles phase transitions and game flow orchestration. Executes phase-specific
  *          logic, manages round setup, card selections, judging, and scoring.
  * exports: GameOrchestrator - Class for orchestrating game flow
- * dependencies: phases.js, GameState.js, CardDeck.js, TimerManager
+ * dependencies: phases.js, GameState.js, scoring.js, judging.js, judgeRotation.js, artStyles.js,
+ *               CardDeck.js, CardRepository.js, sentenceTemplates.js, TimerManager
+ * note: Transitions are synchronous. Image generation runs in the background and is
+ *       reported back through GameEngine, which advances IMAGE_GEN once images land.
  * ---
  */
 
 const { PHASES, isValidTransition, getPhaseTimeout, getNextPhase } = require('./phases');
 const { 
   updateState, 
-  selectNextJudge, 
   recordTransition,
-  updatePlayer 
+  updatePlayer,
+  computeStandings
 } = require('./GameState');
+const { createScoringRules, tallyVotes, scoreRound } = require('./scoring');
+const { pickFallbackWinners } = require('./judging');
+const { selectNextJudge } = require('./judgeRotation');
+const { pickRoundArtStyle, resolveArtStyle } = require('./artStyles');
 const CardDeck = require('./CardDeck');
-const ImageGeneratorService = require('../services/ImageGeneratorService');
+const CardRepository = require('./CardRepository');
+const {
+  DEFAULT_BLANK_TYPE,
+  loadSentenceTemplate,
+  cardFitsBlank,
+  unfilledBlankTypes
+} = require('../utils/sentenceTemplates');
+
+// Overdue timers on a restored game still fire on the next tick rather than synchronously
+const MIN_RESUMED_TIMEOUT_MS = 100;
 
 class GameOrchestrator {
   /**
@@ -24,55 +40,15 @@ class GameOrchestrator {
    * @param {Object} logger - Winston logger instance
    * @param {TimerManager} timerManager - Timer manager instance
    * @param {Function} broadcastCallback - Callback to broadcast state updates
+   * @param {CardRepository} cardRepository - Card packs to deal from (default: data/ packs)
    */
-  constructor(logger, timerManager, broadcastCallback) {
+  constructor(logger, timerManager, broadcastCallback, cardRepository = null) {
     this.logger = logger;
     this.timerManager = timerManager;
     this.broadcastCallback = broadcastCallback;
     
-    // Initialize image generator service
-    try {
-      this.imageGenerator = new ImageGeneratorService({
-        apiKey: process.env.OPENAI_API_KEY,
-        serviceType: process.env.IMAGE_GENERATION_SERVICE || 'dalle3',
-        timeout: parseInt(process.env.IMAGE_GENERATION_TIMEOUT || '60000', 10),
-        maxConcurrent: parseInt(process.env.IMAGE_GENERATION_MAX_CONCURRENT || '2', 10)
-      });
-      logger.info('ImageGeneratorService initialized');
-    } catch (error) {
-      logger.warn('ImageGeneratorService initialization failed - image generation disabled', {
-        error: error.message
-      });
-      this.imageGenerator = null;
-    }
-    
-    // Default noun cards for deck (will be loaded from DB in Story 2.3)
-    this.defaultCards = [
-      'unicorn', 'dragon', 'pizza', 'rocket', 'robot', 'dinosaur',
-      'rainbow', 'ninja', 'pirate', 'wizard', 'zombie', 'vampire',
-      'alien', 'ghost', 'monster', 'superhero', 'princess', 'knight',
-      'astronaut', 'detective', 'cowboy', 'mermaid', 'fairy', 'witch',
-      'banana', 'kitten', 'puppy', 'elephant', 'giraffe', 'penguin',
-      'spaceship', 'castle', 'treasure', 'sword', 'crown', 'wand',
-      'potion', 'crystal', 'portal', 'time machine', 'laser', 'jetpack',
-      'volcano', 'beach', 'mountain', 'forest', 'desert', 'ocean',
-      'thunder', 'lightning', 'tornado', 'earthquake', 'meteor', 'comet',
-      'chocolate', 'cupcake', 'donut', 'ice cream', 'candy', 'cookie'
-    ];
-    
-    // Sentence templates for rounds
-    this.sentenceTemplates = [
-      { template: 'A wild ___ appeared!', blanks: 1 },
-      { template: '___ meets ___ in an epic battle!', blanks: 2 },
-      { template: 'The legendary ___ of destiny.', blanks: 1 },
-      { template: '___ discovers a secret ___ in the attic.', blanks: 2 },
-      { template: 'Once upon a time, there was a ___.', blanks: 1 },
-      { template: '___ and ___ go on an adventure.', blanks: 2 },
-      { template: 'The mysterious case of the stolen ___.', blanks: 1 },
-      { template: 'A ___ walks into a bar with a ___.', blanks: 2 },
-      { template: 'The amazing ___ show!', blanks: 1 },
-      { template: '___ vs ___ - the ultimate showdown!', blanks: 2 }
-    ];
+    // Noun and sentence packs from data/ (cached, shared by every game)
+    this.cardRepository = cardRepository || new CardRepository({ logger });
   }
 
   /**
@@ -80,20 +56,32 @@ class GameOrchestrator {
    * @param {Object} state - Current game state
    * @param {string} targetPhase - Optional target phase (if not specified, uses automatic flow)
    * @param {string} reason - Reason for advancement
-   * @returns {Promise<Object>} New state after advancement
+   * @returns {Object} New state after advancement
    */
-  async advancePhase(state, targetPhase = null, reason = '') {
+  advancePhase(state, targetPhase = null, reason = '') {
     try {
       // Determine next phase
       let nextPhase = targetPhase;
       if (!nextPhase) {
         nextPhase = getNextPhase(state.currentPhase, state.currentRound, state.maxRounds);
         
+        // Voting needs at least two images so nobody is left voting for themselves
+        if (nextPhase === PHASES.VOTING &&
+            (state.isSinglePlayer || Object.keys(state.playerSelections).length < 2)) {
+          nextPhase = PHASES.JUDGING;
+        }
+        
         // In single-player mode, skip judging phase
         if (state.isSinglePlayer && nextPhase === PHASES.JUDGING) {
           nextPhase = PHASES.RESULTS;
           this.logger.info('Single-player mode: skipping JUDGING, going to RESULTS', { gameId: state.gameId });
         }
+        
+        // Nothing to judge if nobody submitted before the selection timer ran out
+        if (nextPhase === PHASES.JUDGING && Object.keys(state.playerSelections).length === 0) {
+          nextPhase = PHASES.RESULTS;
+          this.logger.info('No submissions this round: skipping JUDGING, going to RESULTS', { gameId: state.gameId });
+        }
       }
       
       if (!nextPhase) {
@@ -129,29 +117,26 @@ class GameOrchestrator {
       // Record transition
       let newState = recordTransition(state, nextPhase, reason);
       
-      // Execute phase-specific logic (may be async for IMAGE_GEN phase)
-      newState = await this._executePhaseLogic(newState, nextPhase);
+      // Execute phase-specific logic
+      newState = this._executePhaseLogic(newState, nextPhase);
       
       // Update phase
+      const timeout = this._phaseTimeout(newState, nextPhase);
       newState = updateState(newState, {
         currentPhase: nextPhase,
         phaseStartTime: Date.now(),
-        phaseTimeoutMs: getPhaseTimeout(nextPhase)
+        phaseTimeoutMs: timeout
       });
       
       // Schedule next automatic transition if timeout exists
-      const timeout = getPhaseTimeout(nextPhase);
       if (timeout > 0) {
-        this.timerManager.schedulePhaseTimeout(state.gameId, timeout, () => {
-          this.logger.debug('Phase timeout triggered', { 
-            gameId: state.gameId, 
-            phase: nextPhase 
-          });
-          // Phase timeout callback will be handled by game manager
-          if (this.broadcastCallback) {
-            this.broadcastCallback('phase_timeout', { gameId: state.gameId });
-          }
-        });
+        const warningSeconds = nextPhase === PHASES.JUDGING && newState.judgingRules
+          ? newState.judgingRules.warningSeconds
+          : [];
+        this._schedulePhaseTimeout(newState, nextPhase, timeout, warningSeconds);
+      } else {
+        // Phases without a timeout wait for players; drop any timer left from the previous phase
+        this.timerManager.cancelTimer(state.gameId);
       }
       
       // Broadcast state update
@@ -173,14 +158,76 @@ class GameOrchestrator {
     }
   }
 
+  /**
+   * How long a phase may run. JUDGING uses the game's judging deadline when one is set.
+   * @param {Object} state - Current state
+   * @param {string} phase - Phase
+   * @returns {number} Timeout in ms (0 = wait indefinitely)
+   * @private
+   */
+  _phaseTimeout(state, phase) {
+    if (phase === PHASES.JUDGING && state.judgingRules) {
+      return state.judgingRules.timeoutSeconds * 1000;
+    }
+    return getPhaseTimeout(phase);
+  }
+
+  /**
+   * Re-arms the current phase's timer for whatever time it had left, e.g. for a game
+   * restored from storage. An overdue phase times out almost immediately.
+   * @param {Object} state - Game state
+   * @returns {boolean} True if a timer was scheduled
+   */
+  resumePhaseTimer(state) {
+    if (!state.phaseTimeoutMs || state.phaseTimeoutMs <= 0) {
+      return false;
+    }
+    const remaining = Math.max(state.phaseStartTime + state.phaseTimeoutMs - Date.now(), MIN_RESUMED_TIMEOUT_MS);
+    // Only warnings that haven't already gone out
+    const awaitingHost = state.judgingFallback && state.judgingFallback.awaitingHost;
+    const warningSeconds = state.currentPhase === PHASES.JUDGING && state.judgingRules && !awaitingHost
+      ? state.judgingRules.warningSeconds.filter(seconds => seconds * 1000 < remaining)
+      : [];
+    this._schedulePhaseTimeout(state, state.currentPhase, remaining, warningSeconds);
+    return true;
+  }
+
+  /**
+   * Schedules a phase's timeout, optionally warning the judge as it nears
+   * @param {Object} state - State that just entered the phase
+   * @param {string} phase - Phase being timed
+   * @param {number} timeout - Timeout in ms
+   * @param {Array<number>} warningSeconds - Seconds remaining at which to warn the judge
+   * @private
+   */
+  _schedulePhaseTimeout(state, phase, timeout, warningSeconds = []) {
+    const { gameId, code, currentRound: round, judgeId } = state;
+    const warnings = {
+      warningsMs: warningSeconds.map(seconds => seconds * 1000),
+      onWarning: (remainingMs) => {
+        if (this.broadcastCallback) {
+          this.broadcastCallback('judge_warning', { gameId, code, round, judgeId, remainingMs });
+        }
+      }
+    };
+    
+    this.timerManager.schedulePhaseTimeout(gameId, timeout, () => {
+      this.logger.debug('Phase timeout triggered', { gameId, phase });
+      // Phase timeout callback will be handled by game manager
+      if (this.broadcastCallback) {
+        this.broadcastCallback('phase_timeout', { gameId, phase });
+      }
+    }, warnings);
+  }
+
   /**
    * Executes phase-specific logic
    * @param {Object} state - Current state
    * @param {string} phase - Phase to execute logic for
-   * @returns {Promise<Object>} Updated state
+   * @returns {Object} Updated state
    * @private
    */
-  async _executePhaseLogic(state, phase) {
+  _executePhaseLogic(state, phase) {
     switch (phase) {
       case PHASES.ROUND_SETUP:
         return this._setupRound(state);
@@ -192,11 +239,14 @@ class GameOrchestrator {
         return this._completeSelection(state);
       
       case PHASES.IMAGE_GEN:
-        return await this._startImageGen(state);
+        return this._startImageGen(state);
       
       case PHASES.IMAGE_GEN_COMPLETE:
         return this._completeImageGen(state);
       
+      case PHASES.VOTING:
+        return this._startVoting(state);
+      
       case PHASES.JUDGING:
         return this._startJudging(state);
       
@@ -227,16 +277,27 @@ class GameOrchestrator {
     // Check if single-player mode
     const isSinglePlayer = state.players.length === 1;
     
-    // Select next judge (skip if single player)
-    const nextJudgeId = isSinglePlayer ? null : selectNextJudge(state);
+    // Select next judge with the game's rotation strategy (skip if single player)
+    const rotation = isSinglePlayer
+      ? { judgeId: null, judgeRotation: state.judgeRotation }
+      : selectNextJudge(state);
+    const nextJudgeId = rotation.judgeId;
+    const judgeIndex = nextJudgeId ? state.players.findIndex(p => p.id === nextJudgeId) : null;
     
     // Update all players' judge status
     let newState = updateState(state, {
       currentRound: newRound,
       judgeId: nextJudgeId,
+      judgeIndex,
+      judgeRotation: rotation.judgeRotation,
       playerSelections: {},
+      generatedImages: {},
+      imageGenStartedAt: null,
       judgeSelection: null,
+      judgingDeadline: null,
+      judgingFallback: null,
       audienceVotes: {},
+      roundArtStyle: pickRoundArtStyle(state.artStyleRules),
       status: 'in_progress',
       isSinglePlayer: isSinglePlayer
     });
@@ -253,30 +314,18 @@ class GameOrchestrator {
       };
     }
     
-    // Select random sentence template
-    const template = this.sentenceTemplates[
-      Math.floor(Math.random() * this.sentenceTemplates.length)
-    ];
+    // Select random sentence template (game's own pool first, then defaults)
+    const template = this._pickSentenceTemplate(state);
     
     newState = updateState(newState, {
       sentenceTemplate: template.template,
-      blankCount: template.blanks
+      sentenceCategory: template.category,
+      blankCount: template.blanks,
+      blankTypes: template.blankTypes,
+      usedSentenceTemplates: [...(state.usedSentenceTemplates || []), template.template]
     });
     
-    // Initialize card deck if first round
-    if (newRound === 1) {
-      const deck = new CardDeck(this.defaultCards);
-      const hands = deck.deal(newState.players.length, 8);
-      
-      newState = {
-        ...newState,
-        players: newState.players.map((p, idx) => ({
-          ...p,
-          hand: hands[idx] || []
-        })),
-        _deck: deck // Store deck instance (not serialized in state export)
-      };
-    }
+    newState = this._dealHands(newState, state.playerSelections);
     
     this.logger.info('Round setup complete', {
       round: newRound,
@@ -288,6 +337,76 @@ class GameOrchestrator {
     return newState;
   }
 
+  /**
+   * Deals the round's hands. Round 1 builds and deals a fresh deck (the union of the
+   * game's noun packs when it chose any, see CardPackStore); later rounds take the cards
+   * played last round out of each hand, discard them, and top every hand back up to
+   * handSize. A hand that can't fill the sentence's typed blanks then swaps
+   * cards it doesn't need for ones from the deck that can ({person}, {place}).
+   * The deck lives in state as plain data between rounds.
+   * @param {Object} state - State for the new round
+   * @param {Object} lastSelections - Previous round's playerSelections
+   * @returns {Object} Updated state
+   * @private
+   */
+  _dealHands(state, lastSelections = {}) {
+    const handSize = state.handSize || 8;
+    const deck = state.deck
+      ? CardDeck.fromState(state.deck)
+      : new CardDeck(state.nounCards || this.cardRepository.getNounCards());
+    
+    const players = state.players.map(player => {
+      const played = ((lastSelections[player.id] && lastSelections[player.id].cards) || [])
+        .map(CardDeck.cardKey);
+      const hand = player.hand || [];
+      const isPlayed = card => played.includes(CardDeck.cardKey(card));
+      const kept = hand.filter(card => !isPlayed(card));
+      deck.discard(hand.filter(isPlayed));
+      
+      return {
+        ...player,
+        hand: this._coverBlankTypes(deck.refill(kept, handSize), state.blankTypes || [], deck, player.id)
+      };
+    });
+    
+    return updateState(state, {
+      players,
+      deck: deck.toState()
+    });
+  }
+
+  /**
+   * Swaps cards into a hand until it has a card for every blank type the deck can supply
+   * @param {Array<Object>} hand - Refilled hand
+   * @param {Array<string>} blankTypes - The round's blank types
+   * @param {CardDeck} deck - Deck to draw replacements from
+   * @param {string} playerId - For the log when the deck runs out of a type
+   * @returns {Array<Object>} Hand that covers the blanks
+   * @private
+   */
+  _coverBlankTypes(hand, blankTypes, deck, playerId) {
+    const covered = [...hand];
+    const typed = blankTypes.filter(type => type !== DEFAULT_BLANK_TYPE);
+
+    for (const type of unfilledBlankTypes(covered, blankTypes)) {
+      const replacement = deck.drawMatching(card => cardFitsBlank(card, type));
+      if (!replacement) {
+        this.logger.warn('No card left for blank type', { playerId, blankType: type });
+        continue;
+      }
+
+      // Give back the last card no typed blank wants (keep it if every card is wanted)
+      const spare = covered.map((card, index) => index).reverse()
+        .find(index => !typed.some(blankType => cardFitsBlank(covered[index], blankType)));
+      if (spare !== undefined) {
+        deck.discard(covered.splice(spare, 1));
+      }
+      covered.push(replacement);
+    }
+
+    return covered;
+  }
+
   /**
    * Starts the selection phase
    * @param {Object} state - Current state
@@ -320,132 +439,38 @@ class GameOrchestrator {
   }
 
   /**
-   * Starts image generation phase
+   * Starts image generation phase. Images are produced per player as selections
+   * arrive (see GameEngine); this only announces the phase to clients.
    * @param {Object} state - Current state
-   * @returns {Promise<Object>} Updated state
+   * @returns {Object} Updated state
    * @private
    */
-  async _startImageGen(state) {
-    const startTime = Date.now();
+  _startImageGen(state) {
     const selectionCount = Object.keys(state.playerSelections).length;
+    const readyCount = Object.keys(state.generatedImages || {}).length;
     
     this.logger.info('Image generation started', {
       gameId: state.gameId,
       code: state.code,
       round: state.currentRound,
       selectionsCount: selectionCount,
-      sentenceTemplate: state.sentenceTemplate,
-      isSinglePlayer: state.isSinglePlayer,
-      startTime
+      alreadyReady: readyCount,
+      isSinglePlayer: state.isSinglePlayer
     });
     
-    // If image generator not available, skip to next phase
-    if (!this.imageGenerator) {
-      this.logger.warn('Image generator not available, skipping image generation', {
-        gameId: state.gameId,
-        code: state.code
-      });
-      return updateState(state, {
-        generatedImages: {}
-      });
-    }
-    
-    try {
-      // Broadcast "generating images" status to all clients
-      if (this.broadcastCallback) {
-        this.broadcastCallback('image_generation_started', {
-          gameId: state.gameId,
-          code: state.code,
-          totalPlayers: selectionCount,
-          round: state.currentRound
-        });
-      }
-      
-      this.logger.debug('Calling imageGenerator.generateImagesForRound', {
-        gameId: state.gameId,
-        code: state.code,
-        playerCount: selectionCount
-      });
-      
-      // Generate images for all players
-      const generatedImages = await this.imageGenerator.generateImagesForRound(state);
-      
-      const elapsedMs = Date.now() - startTime;
-      const placeholderCount = generatedImages.filter(i => i.isPlaceholder).length;
-      const successCount = generatedImages.length - placeholderCount;
-      
-      // Convert array to object keyed by playerId
-      const imagesMap = {};
-      generatedImages.forEach((img, index) => {
-        this.logger.debug('Processing generated image result', {
-          gameId: state.gameId,
-          playerId: img.playerId,
-          index: index + 1,
-          total: generatedImages.length,
-          isPlaceholder: img.isPlaceholder,
-          imagePath: img.imagePath,
-          error: img.error
-        });
-        
-        imagesMap[img.playerId] = {
-          imageUrl: img.imageUrl,
-          imagePath: img.imagePath,
-          completedSentence: img.completedSentence,
-          artStyle: img.artStyle,
-          generatedAt: img.generatedAt,
-          isPlaceholder: img.isPlaceholder || false
-        };
-      });
-      
-      this.logger.info('Image generation complete', {
-        gameId: state.gameId,
-        code: state.code,
-        round: state.currentRound,
-        totalGenerated: generatedImages.length,
-        successCount,
-        placeholders: placeholderCount,
-        elapsedMs,
-        averageTimePerImage: Math.round(elapsedMs / generatedImages.length) + 'ms'
-      });
-      
-      // Warn if there were any placeholders
-      if (placeholderCount > 0) {
-        this.logger.warn('Some images generated as placeholders', {
-          gameId: state.gameId,
-          code: state.code,
-          placeholderCount,
-          successCount,
-          details: generatedImages.map(img => ({
-            playerId: img.playerId,
-            isPlaceholder: img.isPlaceholder,
-            error: img.error
-          }))
-        });
-      }
-      
-      // Update state with generated images
-      return updateState(state, {
-        generatedImages: imagesMap
-      });
-      
-    } catch (error) {
-      const elapsedMs = Date.now() - startTime;
-      
-      this.logger.error('Image generation failed with exception', {
+    if (this.broadcastCallback) {
+      this.broadcastCallback('image_generation_started', {
         gameId: state.gameId,
         code: state.code,
-        round: state.currentRound,
-        error: error.message,
-        stack: error.stack,
-        elapsedMs
-      });
-      
-      // Return state with empty images on error
-      return updateState(state, {
-        generatedImages: {},
-        imageGenerationError: error.message
+        totalPlayers: selectionCount,
+        readyCount,
+        round: state.currentRound
       });
     }
+    
+    return updateState(state, {
+      imageGenStartedAt: Date.now()
+    });
   }
 
   /**
@@ -474,7 +499,8 @@ class GameOrchestrator {
       newState = updateState(state, {
         judgeSelection: {
           firstPlace: singlePlayerId,
-          secondPlace: null
+          secondPlace: null,
+          decidedBy: 'auto'
         }
       });
     }
@@ -494,6 +520,38 @@ class GameOrchestrator {
     return newState;
   }
 
+  /**
+   * Opens favorite voting on the round's images
+   * @param {Object} state - Current state
+   * @returns {Object} Updated state
+   * @private
+   */
+  _startVoting(state) {
+    const votingDeadline = Date.now() + getPhaseTimeout(PHASES.VOTING);
+    
+    this.logger.info('Voting phase started', {
+      gameId: state.gameId,
+      round: state.currentRound,
+      candidates: Object.keys(state.playerSelections).length
+    });
+    
+    if (this.broadcastCallback) {
+      this.broadcastCallback('voting_started', {
+        gameId: state.gameId,
+        code: state.code,
+        round: state.currentRound,
+        candidates: Object.keys(state.playerSelections),
+        images: state.generatedImages,
+        deadline: votingDeadline
+      });
+    }
+    
+    return updateState(state, {
+      audienceVotes: {},
+      votingDeadline
+    });
+  }
+
   /**
    * Starts judging phase
    * @param {Object} state - Current state
@@ -501,12 +559,109 @@ class GameOrchestrator {
    * @private
    */
   _startJudging(state) {
+    const timeout = this._phaseTimeout(state, PHASES.JUDGING);
+    
     this.logger.info('Judging phase started', {
       gameId: state.gameId,
-      judgeId: state.judgeId
+      judgeId: state.judgeId,
+      timeoutMs: timeout
     });
     
-    return state;
+    return updateState(state, {
+      judgingDeadline: timeout > 0 ? Date.now() + timeout : null,
+      judgingFallback: null
+    });
+  }
+
+  /**
+   * Applies the game's fallback policy when the judge's deadline passes. Under the
+   * host policy the host gets hostTimeoutSeconds to decide; if they don't either, the
+   * audience tally (then a random pick) settles the round.
+   * @param {Object} state - Current state (in JUDGING)
+   * @returns {Object} Updated state
+   */
+  handleJudgeTimeout(state) {
+    if (state.currentPhase !== PHASES.JUDGING) {
+      return state;
+    }
+    
+    const rules = state.judgingRules || {};
+    const awaitingHost = state.judgingFallback && state.judgingFallback.awaitingHost;
+    const hostCanDecide = state.hostId && state.hostId !== state.judgeId;
+    
+    if (rules.fallback === 'host' && !awaitingHost && hostCanDecide) {
+      const hostTimeout = rules.hostTimeoutSeconds * 1000;
+      const judgingFallback = {
+        reason: 'judge_timeout',
+        policy: 'host',
+        awaitingHost: true,
+        deadline: Date.now() + hostTimeout
+      };
+      
+      this.logger.info('Judge timed out, waiting for the host to decide', {
+        gameId: state.gameId,
+        judgeId: state.judgeId,
+        hostId: state.hostId
+      });
+      
+      const newState = updateState(state, {
+        judgingFallback,
+        judgingDeadline: judgingFallback.deadline,
+        phaseTimeoutMs: hostTimeout,
+        phaseStartTime: Date.now()
+      });
+      this._schedulePhaseTimeout(newState, PHASES.JUDGING, hostTimeout);
+      
+      if (this.broadcastCallback) {
+        this.broadcastCallback('judge_fallback', {
+          gameId: state.gameId,
+          code: state.code,
+          round: state.currentRound,
+          judgeId: state.judgeId,
+          hostId: state.hostId,
+          ...judgingFallback
+        });
+      }
+      return newState;
+    }
+    
+    const reason = awaitingHost ? 'host_timeout' : 'judge_timeout';
+    const { firstPlace, secondPlace, decidedBy } = pickFallbackWinners(
+      state,
+      rules.fallback === 'random' ? 'random' : 'audience'
+    );
+    
+    this.logger.info('Judge timed out, applying fallback', {
+      gameId: state.gameId,
+      judgeId: state.judgeId,
+      policy: rules.fallback,
+      decidedBy,
+      firstPlace,
+      secondPlace
+    });
+    
+    const newState = updateState(state, {
+      judgeSelection: { firstPlace, secondPlace, decidedBy, submittedAt: Date.now() },
+      judgingFallback: {
+        reason,
+        policy: rules.fallback || 'audience',
+        awaitingHost: false,
+        deadline: null
+      }
+    });
+    
+    if (this.broadcastCallback) {
+      this.broadcastCallback('judge_fallback', {
+        gameId: state.gameId,
+        code: state.code,
+        round: state.currentRound,
+        judgeId: state.judgeId,
+        ...newState.judgingFallback,
+        decidedBy
+      });
+    }
+    
+    return this.advancePhase(newState, null, `${reason}:${decidedBy}`);
   }
 
   /**
@@ -531,43 +686,39 @@ class GameOrchestrator {
    * @private
    */
   _showResults(state) {
-    // Calculate and award points based on judging
+    // Calculate and award points with the game's ruleset
     let newState = state;
+    const { firstPlace = null, secondPlace = null } = state.judgeSelection || {};
+    const rules = state.scoringRules || createScoringRules();
+    const { scores, audienceTally, audienceFavorites } = scoreRound(state, rules);
     
-    if (state.judgeSelection) {
-      const { firstPlace, secondPlace } = state.judgeSelection;
-      
-      // Award points: 3 for first, 1 for second
-      if (firstPlace) {
-        const player = state.players.find(p => p.id === firstPlace);
-        if (player) {
-          newState = updatePlayer(newState, firstPlace, {
-            score: player.score + 3
-          });
-        }
-      }
-      
-      if (secondPlace) {
-        const player = state.players.find(p => p.id === secondPlace);
-        if (player) {
-          newState = updatePlayer(newState, secondPlace, {
-            score: player.score + 1
-          });
-        }
+    for (const [playerId, award] of Object.entries(scores)) {
+      const player = newState.players.find(p => p.id === playerId);
+      if (player) {
+        newState = updatePlayer(newState, playerId, {
+          score: player.score + award.total
+        });
       }
-      
-      // Store results
-      newState = updateState(newState, {
-        lastRoundResults: {
-          round: state.currentRound,
-          firstPlace,
-          secondPlace,
-          timestamp: Date.now(),
-          isSinglePlayer: state.isSinglePlayer
-        }
-      });
     }
     
+    // Store results (winners stay null for a round nobody submitted to)
+    const roundResults = {
+      round: state.currentRound,
+      firstPlace,
+      secondPlace,
+      decidedBy: firstPlace ? (state.judgeSelection.decidedBy || 'judge') : null,
+      fallbackReason: state.judgingFallback ? state.judgingFallback.reason : null,
+      audienceTally,
+      audienceFavorites,
+      scores,
+      timestamp: Date.now(),
+      isSinglePlayer: state.isSinglePlayer
+    };
+    newState = updateState(newState, {
+      lastRoundResults: roundResults,
+      roundHistory: [...(state.roundHistory || []), roundResults]
+    });
+    
     this.logger.info('Results displayed', {
       gameId: state.gameId,
       round: state.currentRound,
@@ -614,11 +765,26 @@ class GameOrchestrator {
     
     // Sort players by score for final leaderboard
     const sortedPlayers = [...state.players].sort((a, b) => b.score - a.score);
+    const finalStandings = computeStandings(state.players);
     
-    return updateState(state, {
+    const newState = updateState(state, {
       status: 'completed',
-      players: sortedPlayers
+      players: sortedPlayers,
+      judgeId: null,
+      finalStandings
     });
+    
+    if (this.broadcastCallback) {
+      this.broadcastCallback('game_over', {
+        gameId: newState.gameId,
+        code: newState.code,
+        totalRounds: newState.currentRound,
+        standings: finalStandings,
+        winner: finalStandings[0] || null
+      });
+    }
+    
+    return newState;
   }
 
   /**
@@ -645,13 +811,21 @@ class GameOrchestrator {
   }
 
   /**
-   * Handles player card selection
+   * Validates a card selection without recording it
+   * 
+   * Two submission shapes are accepted:
+   * - { cards, artStyle }: card objects or card ids, validated against the player's dealt
+   *   hand and resolved to the hand's card objects
+   * - { selections, cards, artStyle }: REST shape, a { blankIndex: cardIndex } map into
+   *   the player's dealt hand; the cards are looked up there, not taken from the client
+   * 
    * @param {Object} state - Current state
    * @param {string} playerId - Player ID
-   * @param {Array<string>} cards - Selected cards
-   * @returns {Object} Updated state
+   * @param {Object|Array} selection - Selection (a bare array is treated as { cards })
+   * @returns {Object} { entry, cards } the normalized submission and its resolved cards;
+   *                   entry.artStyle is the style the game's art style policy settles on
    */
-  submitSelection(state, playerId, cards) {
+  validateSelection(state, playerId, selection) {
     // Validate phase
     if (state.currentPhase !== PHASES.SELECTION) {
       throw new Error('Selections can only be submitted during SELECTION phase');
@@ -668,43 +842,123 @@ class GameOrchestrator {
       throw new Error('Judge cannot submit selections');
     }
     
+    const entry = Array.isArray(selection) ? { cards: selection } : (selection || {});
+    let cards = entry.cards || [];
+    
+    if ('selections' in entry) {
+      if (!entry.selections || typeof entry.selections !== 'object' || Array.isArray(entry.selections)) {
+        throw new Error('Invalid selections format');
+      }
+      cards = this._cardsFromSelections(state, player, entry.selections, entry.cards);
+    }
+    
     // Validate card count matches blank count
     if (cards.length !== state.blankCount) {
       throw new Error(`Must select exactly ${state.blankCount} card(s)`);
     }
     
     // Validate no duplicate cards in selection
-    const uniqueCards = new Set(cards);
+    const uniqueCards = new Set(cards.map(CardDeck.cardKey));
     if (uniqueCards.size !== cards.length) {
       throw new Error('Cannot select duplicate cards');
     }
     
     // Validate all cards are in player's hand
-    for (const card of cards) {
-      if (!player.hand.includes(card)) {
-        throw new Error(`Card "${card}" not in player's hand`);
+    cards = cards.map(card => {
+      const dealt = player.hand.find(held => CardDeck.cardKey(held) === CardDeck.cardKey(card));
+      if (!dealt) {
+        throw new Error(`Card "${card && card.text ? card.text : card}" not in player's hand`);
+      }
+      return dealt;
+    });
+    
+    // Validate each card can fill its blank's type
+    (state.blankTypes || []).forEach((type, index) => {
+      if (!cardFitsBlank(cards[index], type)) {
+        throw new Error(`Card "${cards[index].text}" can't fill a {${type}} blank`);
       }
+    });
+    
+    return { entry: { ...entry, artStyle: resolveArtStyle(state, entry.artStyle) }, cards };
+  }
+
+  /**
+   * Looks up the cards a REST { blankIndex: cardIndex } map picks from the player's hand.
+   * Card objects the client sends along must be those same cards, so text it made up
+   * is rejected before moderation ever sees it.
+   * @param {Object} state - Current state
+   * @param {Object} player - Submitting player
+   * @param {Object} selections - { blankIndex: cardIndex }; other keys are ignored
+   * @param {Array<Object>} [clientCards] - The client's copy of the picked cards
+   * @returns {Array<Object>} The hand's cards in blank order
+   * @private
+   */
+  _cardsFromSelections(state, player, selections, clientCards) {
+    const hand = player.hand || [];
+    const blankIndexes = Object.keys(selections).filter(key => /^\d+$/.test(key));
+    if (blankIndexes.length !== state.blankCount) {
+      throw new Error(`Must select exactly ${state.blankCount} card(s)`);
+    }
+    
+    const cards = blankIndexes.map((_, blank) => {
+      const index = selections[blank];
+      if (!Number.isInteger(index) || index < 0 || index >= hand.length) {
+        throw new Error(`Card index ${JSON.stringify(index)} for blank ${blank} not in player's hand`);
+      }
+      return hand[index];
+    });
+    
+    if (clientCards !== undefined && clientCards !== null) {
+      const sent = Array.isArray(clientCards) ? clientCards : [clientCards];
+      if (sent.length !== cards.length) {
+        throw new Error(`Must select exactly ${state.blankCount} card(s)`);
+      }
+      sent.forEach((card, blank) => {
+        const dealt = cards[blank];
+        const matches = card && typeof card === 'object'
+          ? card.id === dealt.id && (card.text === undefined || card.text === dealt.text)
+          : card === dealt.id || card === dealt.text;
+        if (!matches) {
+          throw new Error(`Card "${card && card.text ? card.text : card}" not in player's hand`);
+        }
+      });
     }
     
+    return cards;
+  }
+
+  /**
+   * Handles player card selection (see validateSelection for the accepted shapes)
+   * 
+   * @param {Object} state - Current state
+   * @param {string} playerId - Player ID
+   * @param {Object|Array} selection - Selection (a bare array is treated as { cards })
+   * @returns {Object} Updated state
+   */
+  submitSelection(state, playerId, selection) {
+    const { entry, cards } = this.validateSelection(state, playerId, selection);
+    
     this.logger.info('Player submitted selection', {
       gameId: state.gameId,
       playerId,
       cardCount: cards.length
     });
     
-    // Update selections
+    // Update selections (a resubmission replaces the earlier one)
     const newState = updateState(state, {
       playerSelections: {
         ...state.playerSelections,
-        [playerId]: cards
+        [playerId]: {
+          cards,
+          selections: entry.selections || null,
+          artStyle: entry.artStyle,
+          submittedAt: Date.now()
+        }
       }
     });
     
     // Check if all non-judge players have submitted
-    const nonJudgePlayers = state.players.filter(p => p.id !== state.judgeId);
-    const submissionCount = Object.keys(newState.playerSelections).length;
-    
-    if (submissionCount >= nonJudgePlayers.length) {
+    if (this.allSubmitted(newState)) {
       // All players submitted - auto-advance
       this.logger.info('All players submitted, advancing to next phase');
       return this.advancePhase(newState, null, 'all_players_submitted');
@@ -714,9 +968,114 @@ class GameOrchestrator {
   }
 
   /**
-   * Handles judge selection
+   * Picks a random sentence template for a round, preferring the game's own pool over
+   * the sentence pack. Templates come back in the {type} blank syntax.
+   * Sentences already played this game are skipped until the pool runs out.
+   * @param {Object} state - Current state
+   * @returns {Object} { template, blanks, blankTypes, category }
+   * @private
+   */
+  _pickSentenceTemplate(state) {
+    const pool = (state.sentenceTemplates && state.sentenceTemplates.length > 0
+      ? state.sentenceTemplates
+      : this.cardRepository.getSentenceCards()
+    ).map(loadSentenceTemplate);
+    
+    const used = new Set(state.usedSentenceTemplates || []);
+    const unused = pool.filter(entry => !used.has(entry.template));
+    const candidates = unused.length > 0 ? unused : pool;
+    
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  /**
+   * Records a favorite vote. Non-judge players and registered spectators may vote
+   * (and change their vote) until the deadline, but never for their own image.
    * @param {Object} state - Current state
-   * @param {string} judgeId - Judge player ID
+   * @param {string} voterId - Player ID, or a registered spectator ID for non-players
+   * @param {string} votedFor - Player ID of the favorite image
+   * @returns {Object} Updated state
+   */
+  castVote(state, voterId, votedFor) {
+    if (state.currentPhase !== PHASES.VOTING) {
+      throw new Error('Voting is not open');
+    }
+    
+    if (!voterId) {
+      throw new Error('Voter ID is required');
+    }
+    
+    if (voterId === state.judgeId) {
+      throw new Error('Judge cannot vote');
+    }
+    
+    const isPlayer = state.players.some(p => p.id === voterId);
+    if (!isPlayer && !(voterId in (state.spectators || {}))) {
+      throw new Error('Only players and registered spectators can vote');
+    }
+    
+    if (voterId === votedFor) {
+      throw new Error('Cannot vote for your own image');
+    }
+    
+    if (!state.playerSelections[votedFor]) {
+      throw new Error('Can only vote for a submitted image');
+    }
+    
+    const newState = updateState(state, {
+      audienceVotes: {
+        ...state.audienceVotes,
+        [voterId]: votedFor
+      }
+    });
+    
+    // Close voting early once every player who can vote has
+    if (this.allVoted(newState)) {
+      this.logger.info('All players voted, advancing to next phase', { gameId: state.gameId });
+      return this.advancePhase(newState, null, 'all_votes_in');
+    }
+    
+    return newState;
+  }
+
+  /**
+   * Whether every non-judge player has a selection in this round
+   * @param {Object} state - Current state
+   * @returns {boolean}
+   */
+  allSubmitted(state) {
+    const expected = state.players.filter(p => p.id !== state.judgeId);
+    return expected.length > 0 && expected.every(p => state.playerSelections[p.id]);
+  }
+
+  /**
+   * Whether every non-judge player has cast a favorite vote in this round
+   * @param {Object} state - Current state
+   * @returns {boolean}
+   */
+  allVoted(state) {
+    const expected = state.players.filter(p => p.id !== state.judgeId);
+    return expected.length > 0 && expected.every(p => state.audienceVotes[p.id]);
+  }
+
+  /**
+   * Current favorite vote counts for a round
+   * @param {Object} state - Current state
+   * @returns {Object} { tally: { playerId: count }, totalVotes }
+   */
+  getVoteTally(state) {
+    const tally = tallyVotes(state.audienceVotes, Object.keys(state.playerSelections));
+    return {
+      tally,
+      totalVotes: Object.values(tally).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  /**
+   * Handles judge selection. Once the judge has timed out under the host policy the
+   * host may submit on the judge's behalf.
+   * @param {Object} state - Current state
+   * @param {string} judgeId - Judge player ID (or the host's ID when deciding for the judge)
    * @param {Object} selection - { firstPlace, secondPlace }
    * @returns {Object} Updated state
    */
@@ -727,12 +1086,18 @@ class GameOrchestrator {
     }
     
     // Validate judge
-    if (judgeId !== state.judgeId) {
+    const hostDeciding = judgeId !== state.judgeId && judgeId === state.hostId &&
+      Boolean(state.judgingFallback && state.judgingFallback.awaitingHost);
+    if (judgeId !== state.judgeId && !hostDeciding) {
       throw new Error('Only the current judge can submit selection');
     }
     
+    // Second place is only required when there is more than one submission to rank
+    const submitters = Object.keys(state.playerSelections);
+    const needsSecondPlace = submitters.length > 1;
+    
     // Validate selection format
-    if (!selection.firstPlace || !selection.secondPlace) {
+    if (!selection.firstPlace || (needsSecondPlace && !selection.secondPlace)) {
       throw new Error('Must select both first and second place');
     }
     
@@ -740,6 +1105,12 @@ class GameOrchestrator {
       throw new Error('First and second place must be different');
     }
     
+    for (const pickedId of [selection.firstPlace, selection.secondPlace].filter(Boolean)) {
+      if (!submitters.includes(pickedId)) {
+        throw new Error(`Player ${pickedId} did not submit this round`);
+      }
+    }
+    
     this.logger.info('Judge submitted selection', {
       gameId: state.gameId,
       judgeId,
@@ -749,11 +1120,15 @@ class GameOrchestrator {
     
     // Update judge selection
     const newState = updateState(state, {
-      judgeSelection: selection
+      judgeSelection: {
+        ...selection,
+        secondPlace: selection.secondPlace || null,
+        decidedBy: hostDeciding ? 'host' : 'judge'
+      }
     });
     
     // Auto-advance to results
-    return this.advancePhase(newState, null, 'judge_selected');
+    return this.advancePhase(newState, null, hostDeciding ? 'judge_timeout:host' : 'judge_selected');
   }
 }
 
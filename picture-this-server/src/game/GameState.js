@@ -3,9 +3,9 @@
  * title: Game State Management
  * purpose: Manages complete game state with immutable updates. Provides functions for
  *          creating/updating game state, adding/removing players, and state transitions.
- * exports: createGameState, createPlayer, updateState, addPlayer, removePlayer,
- *          updatePlayer, getPlayer, getPlayerBySocketId, selectNextJudge,
- *          recordTransition, resetGame, exportState, generateGameCode
+ * exports: GAME_STATUSES, PLAYER_PRESENCE, createGameState, createPlayer, updateState, addPlayer, removePlayer,
+ *          updatePlayer, getPlayer, getPlayerBySocketId, recordTransition, computeStandings, resetGame, exportState,
+ *          publicPlayer, generateGameCode
  * dependencies: phases.js (PHASES), uuid (v4)
  * ---
  */
@@ -13,14 +13,22 @@
 const { PHASES } = require('./phases');
 const { v4: uuidv4 } = require('uuid');
 
+// Game lifecycle statuses (independent of the round phase)
+const GAME_STATUSES = ['lobby', 'in_progress', 'completed', 'inactive'];
+
+// online: socket attached (or a REST-only player); away: disconnected, inside the reconnect window
+const PLAYER_PRESENCE = ['online', 'away'];
+
 /**
  * Creates a new player object
  * @param {Object} options - Player options
  * @returns {Object} Player object
  */
 function createPlayer(options = {}) {
+  const id = options.id || options.playerId || uuidv4();
   return {
-    id: options.id || uuidv4(),
+    id,
+    playerId: id, // REST clients address players by playerId
     socketId: options.socketId || null,
     name: options.name || 'Anonymous',
     avatar: options.avatar || '🎮',
@@ -29,7 +37,10 @@ function createPlayer(options = {}) {
     isJudge: false,
     judgeCount: 0,
     isHost: options.isHost || false,
-    connectedAt: Date.now()
+    presence: 'online', // One of PLAYER_PRESENCE; away players are skipped as judge
+    awayUntil: null, // Epoch ms when an away player's reconnect window closes
+    connectedAt: Date.now(),
+    joinedAt: Date.now()
   };
 }
 
@@ -44,28 +55,54 @@ function createGameState(options = {}) {
     gameId: options.gameId || uuidv4(),
     code: options.code || generateGameCode(),
     hostId: options.hostId || null,
-    status: 'lobby', // lobby|in_progress|completed
+    status: 'lobby', // One of GAME_STATUSES
     
     // Configuration
     maxRounds: options.maxRounds || 5,
     maxPlayers: options.maxPlayers || 8,
+    handSize: options.handSize || 8, // Cards each hand is topped up to at ROUND_SETUP
     currentRound: 0,
+    scoringRules: options.scoringRules || null, // Ruleset from scoring.js (null = defaults)
+    judgingRules: options.judgingRules || null, // Deadline and fallback from judging.js (null = no deadline)
+    judgeRotation: options.judgeRotation || null, // { strategy, judgedThisCycle, assignedJudgeId } from judgeRotation.js
+    reconnectGraceSeconds: options.reconnectGraceSeconds ?? 60, // How long a disconnected player keeps their seat
+    forceFreshImages: Boolean(options.forceFreshImages), // Skip the image cache and always generate new images
+    imageRetention: options.imageRetention || null, // { mode, days } from ImageRetention.js (null = server default)
+    promptTemplateSet: options.promptTemplateSet || null, // Prompt template set from promptTemplates.js (null = default)
+    artStyleRules: options.artStyleRules || null, // { policy, lockedStyle, customStyles } from artStyles.js (null = free choice)
     
     // Participants
     players: options.players || [],
+    rejoinTokens: {}, // { playerId: token } issued at join; never exported to clients
+    spectators: {}, // { spectatorId: token|null } registered to vote; never exported to clients
     
     // Current round state
     currentPhase: PHASES.LOBBY,
     judgeId: null,
+    judgeIndex: null,
+    isSinglePlayer: false,
     sentenceTemplate: null,
+    sentenceCategory: null, // Category of the sentence card (null for custom sentences)
     blankCount: 0,
+    blankTypes: [], // Blank types of the sentence, in order: 'noun', 'person', 'place'
+    roundArtStyle: null, // Style every image uses this round (random draw, judge's pick or host's round lock)
+    sentenceTemplates: options.sentenceTemplates || [], // Pool drawn from each round (empty = defaults)
+    cardPacks: options.cardPacks || [], // Card pack ids the game was created with (empty = data/ packs)
+    nounCards: options.nounCards || null, // Union of the chosen noun packs (null = noun-cards.json)
+    deck: null, // CardDeck.toState() data: { cards, drawPile, discardPile }
+    usedSentenceTemplates: [], // Sentences already played this game (not drawn again until the pool runs out)
     
     // Player selections for current round
-    playerSelections: {}, // { playerId: [card1, card2, ...] }
+    playerSelections: {}, // { playerId: { cards, selections, artStyle, submittedAt } }
+    generatedImages: {}, // { playerId: { imageUrl, imagePath, variants: { thumb, mid, original }, completedSentence, ... } }
+    budgetWarning: null, // { scope, spentUsd, capUsd, fallback, at } once an image budget cap is reached
     
     // Judging results
-    judgeSelection: null, // { firstPlace: playerId, secondPlace: playerId }
-    audienceVotes: {}, // { playerId: votedPlayerId }
+    judgeSelection: null, // { firstPlace: playerId, secondPlace: playerId, decidedBy }
+    judgingDeadline: null, // Epoch ms when the judge's time runs out
+    judgingFallback: null, // { reason, policy, awaitingHost, deadline } once the judge timed out
+    audienceVotes: {}, // { voterId: votedPlayerId } - voters are players or spectators
+    votingDeadline: null, // Epoch ms when VOTING closes
     
     // Timers
     phaseStartTime: Date.now(),
@@ -73,10 +110,15 @@ function createGameState(options = {}) {
     
     // Results from last round
     lastRoundResults: null,
+    roundHistory: [], // [{ round, firstPlace, secondPlace, audienceFavorites, scores }]
+    
+    // Final leaderboard, set when the game reaches GAME_END
+    finalStandings: null, // [{ rank, playerId, name, avatar, score }]
     
     // Metadata
     createdAt: Date.now(),
     updatedAt: Date.now(),
+    lastActivityAt: Date.now(), // Bumped on player/host actions; drives session timeout
     
     // Transition history for debugging
     transitionHistory: []
@@ -124,7 +166,10 @@ function addPlayer(state, playerOptions) {
     throw new Error('Game is full');
   }
   
-  // Check if already in game (by socketId)
+  // Check if already in game (by id or socketId)
+  if (state.players.some(p => p.id === player.id)) {
+    throw new Error('Player already in game');
+  }
   if (playerOptions.socketId && state.players.some(p => p.socketId === playerOptions.socketId)) {
     throw new Error('Player already in game');
   }
@@ -181,27 +226,6 @@ function getPlayerBySocketId(state, socketId) {
   return state.players.find(p => p.socketId === socketId) || null;
 }
 
-/**
- * Selects the next judge (round-robin)
- * @param {Object} state - Current state
- * @returns {string|null} Next judge player ID
- */
-function selectNextJudge(state) {
-  if (state.players.length === 0) {
-    return null;
-  }
-  
-  // Find current judge index
-  let currentIndex = -1;
-  if (state.judgeId) {
-    currentIndex = state.players.findIndex(p => p.id === state.judgeId);
-  }
-  
-  // Get next judge (round-robin)
-  const nextIndex = (currentIndex + 1) % state.players.length;
-  return state.players[nextIndex].id;
-}
-
 /**
  * Records a phase transition in history
  * @param {Object} state - Current state
@@ -227,6 +251,30 @@ function recordTransition(state, toPhase, reason = '') {
   };
 }
 
+/**
+ * Builds a leaderboard from the players' scores. Tied scores share a rank.
+ * @param {Array<Object>} players - Players
+ * @returns {Array<Object>} [{ rank, playerId, name, avatar, score }] highest score first
+ */
+function computeStandings(players) {
+  const sorted = [...players].sort((a, b) => b.score - a.score);
+  
+  return sorted.map((player, index) => {
+    const previous = sorted[index - 1];
+    const rank = previous && previous.score === player.score
+      ? sorted.findIndex(p => p.score === player.score) + 1
+      : index + 1;
+    
+    return {
+      rank,
+      playerId: player.id,
+      name: player.name,
+      avatar: player.avatar,
+      score: player.score
+    };
+  });
+}
+
 /**
  * Resets game state for a new game
  * @param {Object} state - Current state
@@ -241,6 +289,20 @@ function resetGame(state, options = {}) {
       hostId: state.hostId,
       maxRounds: options.maxRounds || state.maxRounds,
       maxPlayers: options.maxPlayers || state.maxPlayers,
+      handSize: options.handSize || state.handSize,
+      sentenceTemplates: state.sentenceTemplates,
+      cardPacks: state.cardPacks,
+      nounCards: state.nounCards,
+      scoringRules: state.scoringRules,
+      judgingRules: state.judgingRules,
+      judgeRotation: state.judgeRotation
+        ? { ...state.judgeRotation, judgedThisCycle: [], assignedJudgeId: null }
+        : null,
+      reconnectGraceSeconds: state.reconnectGraceSeconds,
+      forceFreshImages: state.forceFreshImages,
+      imageRetention: state.imageRetention,
+      promptTemplateSet: state.promptTemplateSet,
+      artStyleRules: state.artStyleRules,
       players: state.players.map(p => ({
         ...p,
         score: 0,
@@ -249,27 +311,51 @@ function resetGame(state, options = {}) {
         judgeCount: 0
       }))
     }),
+    rejoinTokens: state.rejoinTokens, // Same players, same tokens
+    spectators: state.spectators, // Same audience
     createdAt: state.createdAt // Preserve original creation time
   };
 }
 
 /**
- * Exports game state for debugging
+ * Exports what everyone in the game room may see: state_update broadcasts and the
+ * debug routes. Hands, sockets, the deck, rejoin tokens and spectator IDs stay private.
  * @param {Object} state - Current state
  * @returns {Object} Serializable state snapshot
  */
 function exportState(state) {
+  const { rejoinTokens, spectators, deck, ...visible } = state;
   return {
-    ...state,
+    ...visible,
+    players: state.players.map(publicPlayer),
     // Add any computed properties
     playerCount: state.players.length,
+    spectatorCount: Object.keys(spectators || {}).length,
     submissionCount: Object.keys(state.playerSelections).length,
     isRoundActive: state.status === 'in_progress',
     currentJudgeName: state.judgeId ? getPlayer(state, state.judgeId)?.name : null
   };
 }
 
+/**
+ * What anyone may see of a player: no hand, socket or reconnect details
+ * @param {Object} player - Player object
+ * @returns {Object} { id, name, avatar, score, isJudge, presence }
+ */
+function publicPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    avatar: player.avatar,
+    score: player.score,
+    isJudge: player.isJudge,
+    presence: player.presence
+  };
+}
+
 module.exports = {
+  GAME_STATUSES,
+  PLAYER_PRESENCE,
   createGameState,
   createPlayer,
   updateState,
@@ -278,9 +364,10 @@ module.exports = {
   updatePlayer,
   getPlayer,
   getPlayerBySocketId,
-  selectNextJudge,
   recordTransition,
+  computeStandings,
   resetGame,
   exportState,
+  publicPlayer,
   generateGameCode
 };
@@ -2,7 +2,8 @@
  * ---
  * title: Timer Manager
  * purpose: Manages phase timeouts and automatic phase advancement during gameplay.
- *          Provides scheduling, cancellation, and remaining time tracking for game phases.
+ *          Provides scheduling, cancellation, and remaining time tracking for game phases,
+ *          plus optional warnings fired at set times before a phase runs out.
  * exports: TimerManager - Class for managing game phase timers
  * dependencies: None (self-contained)
  * ---
@@ -19,9 +20,11 @@ class TimerManager {
    * @param {string} gameId - Game ID
    * @param {number} timeoutMs - Timeout duration in milliseconds
    * @param {Function} callback - Callback to execute on timeout
+   * @param {Object} options - { warningsMs, onWarning } onWarning(remainingMs) fires once
+   *                           for each entry in warningsMs (ms remaining before timeout)
    * @returns {boolean} True if scheduled successfully
    */
-  schedulePhaseTimeout(gameId, timeoutMs, callback) {
+  schedulePhaseTimeout(gameId, timeoutMs, callback, options = {}) {
     // Clear any existing timer for this game
     this.cancelTimer(gameId);
     
@@ -32,10 +35,21 @@ class TimerManager {
     
     const startTime = Date.now();
     const endTime = startTime + timeoutMs;
+    const pendingWarnings = options.onWarning ? [...(options.warningsMs || [])] : [];
     
     // Use setInterval for 100ms granularity checking
     const intervalHandle = setInterval(() => {
       const now = Date.now();
+      for (const warningMs of [...pendingWarnings]) {
+        if (now < endTime && endTime - now <= warningMs) {
+          pendingWarnings.splice(pendingWarnings.indexOf(warningMs), 1);
+          try {
+            options.onWarning(endTime - now);
+          } catch (error) {
+            console.error(`Timer warning error for game ${gameId}:`, error);
+          }
+        }
+      }
       if (now >= endTime) {
         this.cancelTimer(gameId);
         try {
@@ -46,6 +60,9 @@ class TimerManager {
       }
     }, 100);
     
+    // A pending phase timer alone shouldn't keep the process alive
+    intervalHandle.unref();
+    
     this.timers.set(gameId, {
       startTime,
       endTime,
@@ -0,0 +1,206 @@
+/**
+ * ---
+ * title: Art Style Rules
+ * purpose: Per-game art style policy and the host's custom styles. The policy decides
+ *          which style each image is drawn in:
+ *            - free: each player picks with their selection (default)
+ *            - host-locked: every image uses the host's lockedStyle
+ *            - judge-picks: the round's judge picks one style for the round
+ *            - random: a style is drawn for each round
+ *          The host can also lock a style for the current round under any policy.
+ *          Custom styles are { name, description }; the description is the style text
+ *          that goes into the image prompt, like the built-in styles in PromptFormatter.
+ * exports: DEFAULT_ART_STYLE, DEFAULT_ART_STYLE_RULES, ART_STYLE_POLICIES, createArtStyleRules,
+ *          createCustomArtStyle, listArtStyles, customStylePrompts, requireArtStyle,
+ *          pickRoundArtStyle, resolveArtStyle, describeArtStyles
+ * dependencies: PromptFormatter
+ * ---
+ */
+
+const PromptFormatter = require('../utils/promptFormatter');
+
+// PromptFormatter's fallback, used when nobody picked a style
+const DEFAULT_ART_STYLE = 'realistic';
+
+const ART_STYLE_POLICIES = ['free', 'host-locked', 'judge-picks', 'random'];
+
+const DEFAULT_ART_STYLE_RULES = {
+  policy: 'free',
+  lockedStyle: null, // Style every image uses under host-locked
+  customStyles: [] // [{ name, description }] added by the host
+};
+
+const MAX_CUSTOM_STYLES = 10;
+const CUSTOM_STYLE_NAME = /^[a-z][a-z0-9-]{1,23}$/;
+const MIN_DESCRIPTION_LENGTH = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Validates one custom style against the styles a game already has
+ * @param {Object} style - { name, description }
+ * @param {Array<Object>} existing - The game's custom styles so far
+ * @returns {Object} { name, description } trimmed
+ */
+function createCustomArtStyle(style, existing = []) {
+  if (!style || typeof style !== 'object' || Array.isArray(style)) {
+    throw new Error('Invalid custom art style: expected { name, description }');
+  }
+
+  const name = typeof style.name === 'string' ? style.name.trim() : '';
+  if (!CUSTOM_STYLE_NAME.test(name)) {
+    throw new Error(
+      'Invalid custom art style: name must be 2-24 lowercase letters, digits or dashes, starting with a letter'
+    );
+  }
+  if (PromptFormatter.getAvailableArtStyles().includes(name) || existing.some(s => s.name === name)) {
+    throw new Error(`Invalid custom art style: "${name}" already exists`);
+  }
+  if (existing.length >= MAX_CUSTOM_STYLES) {
+    throw new Error(`Invalid custom art style: a game can have at most ${MAX_CUSTOM_STYLES} custom styles`);
+  }
+
+  const description = typeof style.description === 'string' ? style.description.replace(/\s+/g, ' ').trim() : '';
+  if (description.length < MIN_DESCRIPTION_LENGTH || description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(
+      `Invalid custom art style: description must be ${MIN_DESCRIPTION_LENGTH}-${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+
+  return { name, description };
+}
+
+/**
+ * Builds validated art style rules from partial overrides
+ * @param {Object} overrides - { policy, lockedStyle, customStyles }
+ * @returns {Object} Complete art style rules
+ */
+function createArtStyleRules(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid art style rules: expected an object');
+  }
+
+  const policy = overrides.policy === undefined ? DEFAULT_ART_STYLE_RULES.policy : overrides.policy;
+  if (!ART_STYLE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid art style rules: policy must be one of ${ART_STYLE_POLICIES.join(', ')}`);
+  }
+
+  if (overrides.customStyles !== undefined && !Array.isArray(overrides.customStyles)) {
+    throw new Error('Invalid art style rules: customStyles must be an array');
+  }
+  const customStyles = [];
+  for (const style of overrides.customStyles || []) {
+    customStyles.push(createCustomArtStyle(style, customStyles));
+  }
+
+  const rules = { policy, lockedStyle: null, customStyles };
+  if (policy === 'host-locked') {
+    rules.lockedStyle = requireArtStyle(rules, overrides.lockedStyle || DEFAULT_ART_STYLE);
+  } else if (overrides.lockedStyle) {
+    throw new Error('Invalid art style rules: lockedStyle needs the host-locked policy');
+  }
+
+  return rules;
+}
+
+/**
+ * Every style a game can use, built-ins first
+ * @param {Object} rules - Art style rules (null = defaults)
+ * @returns {Array<Object>} [{ name, description, custom }]
+ */
+function listArtStyles(rules) {
+  return [
+    ...PromptFormatter.getArtStyleDetails().map(style => ({ ...style, custom: false })),
+    ...((rules && rules.customStyles) || []).map(style => ({ ...style, custom: true }))
+  ];
+}
+
+/**
+ * Custom styles in the shape PromptFormatter takes
+ * @param {Object} rules - Art style rules (null = defaults)
+ * @returns {Object} { name: prompt text }
+ */
+function customStylePrompts(rules) {
+  const prompts = {};
+  for (const style of (rules && rules.customStyles) || []) {
+    prompts[style.name] = style.description;
+  }
+  return prompts;
+}
+
+/**
+ * Checks that a style exists for a game
+ * @param {Object} rules - Art style rules (null = defaults)
+ * @param {string} name - Style name
+ * @returns {string} The style name
+ */
+function requireArtStyle(rules, name) {
+  const names = listArtStyles(rules).map(style => style.name);
+  if (!names.includes(name)) {
+    throw new Error(`Unknown art style "${name}": expected one of ${names.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Style drawn for a new round (random policy only)
+ * @param {Object} rules - Art style rules (null = defaults)
+ * @returns {string|null} Style name, or null when the round starts without one
+ */
+function pickRoundArtStyle(rules) {
+  if (!rules || rules.policy !== 'random') {
+    return null;
+  }
+  const styles = listArtStyles(rules);
+  return styles[Math.floor(Math.random() * styles.length)].name;
+}
+
+/**
+ * Style a player's image is drawn in. A round style (random draw, the judge's pick
+ * or the host's round lock) wins, then a host lock; only the free policy uses the
+ * player's own pick. Judge-picks rounds without a pick yet use the default style.
+ * @param {Object} state - Game state (artStyleRules, roundArtStyle)
+ * @param {string} requested - Style the player asked for (optional)
+ * @returns {string} Style name; throws when a free-choice pick doesn't exist
+ */
+function resolveArtStyle(state, requested) {
+  const rules = state.artStyleRules || DEFAULT_ART_STYLE_RULES;
+  if (state.roundArtStyle) {
+    return state.roundArtStyle;
+  }
+  if (rules.policy === 'host-locked' && rules.lockedStyle) {
+    return rules.lockedStyle;
+  }
+  if (rules.policy === 'free' && requested) {
+    return requireArtStyle(rules, requested);
+  }
+  return DEFAULT_ART_STYLE;
+}
+
+/**
+ * What clients need to show a game's style picker
+ * @param {Object} state - Game state
+ * @returns {Object} { policy, lockedStyle, roundArtStyle, styles }
+ */
+function describeArtStyles(state) {
+  const rules = state.artStyleRules || DEFAULT_ART_STYLE_RULES;
+  return {
+    policy: rules.policy,
+    lockedStyle: rules.lockedStyle,
+    roundArtStyle: state.roundArtStyle || null,
+    styles: listArtStyles(rules)
+  };
+}
+
+module.exports = {
+  DEFAULT_ART_STYLE,
+  DEFAULT_ART_STYLE_RULES,
+  ART_STYLE_POLICIES,
+  createArtStyleRules,
+  createCustomArtStyle,
+  listArtStyles,
+  customStylePrompts,
+  requireArtStyle,
+  pickRoundArtStyle,
+  resolveArtStyle,
+  describeArtStyles
+};
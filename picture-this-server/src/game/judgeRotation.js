@@ -0,0 +1,140 @@
+/**
+ * ---
+ * title: Judge Rotation
+ * purpose: Pluggable strategies for choosing each round's judge. Every strategy picks
+ *          from the players still eligible this cycle (online, and not yet judged),
+ *          so each player judges exactly once per cycle before anyone judges again.
+ *          Built-ins: round-robin, random-without-repeat, fewest-judged, host-assigned.
+ * exports: DEFAULT_JUDGE_ROTATION, JUDGE_ROTATION_STRATEGIES, createJudgeRotation,
+ *          registerJudgeRotationStrategy, isEligibleJudge, selectNextJudge
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+const DEFAULT_JUDGE_ROTATION = 'round-robin';
+
+/**
+ * Players in seat order, starting after the current judge
+ * @private
+ */
+function _seatOrder(candidates, state) {
+  const seats = state.players.map(p => p.id);
+  const start = seats.indexOf(state.judgeId);
+  const position = (player) => (seats.indexOf(player.id) - start - 1 + seats.length) % seats.length;
+  return [...candidates].sort((a, b) => position(a) - position(b));
+}
+
+// Strategy interface: pick(candidates, state, eligible) -> playerId. candidates are the
+// players still due to judge this cycle (never empty); eligible is everyone online.
+const JUDGE_ROTATION_STRATEGIES = {
+  'round-robin': {
+    pick: (candidates, state) => _seatOrder(candidates, state)[0].id
+  },
+  'random-without-repeat': {
+    pick: (candidates) => candidates[Math.floor(Math.random() * candidates.length)].id
+  },
+  'fewest-judged': {
+    pick: (candidates, state) => {
+      const fewest = Math.min(...candidates.map(p => p.judgeCount || 0));
+      return _seatOrder(candidates.filter(p => (p.judgeCount || 0) === fewest), state)[0].id;
+    }
+  },
+  'host-assigned': {
+    // The host's pick (see assignedJudgeId) wins even mid-cycle; otherwise seat order
+    pick: (candidates, state, eligible) => {
+      const assigned = state.judgeRotation && state.judgeRotation.assignedJudgeId;
+      const match = eligible.find(p => p.id === assigned);
+      return match ? match.id : _seatOrder(candidates, state)[0].id;
+    }
+  }
+};
+
+/**
+ * Builds the rotation state stored on a game
+ * @param {string} strategy - Strategy name (default: round-robin)
+ * @returns {Object} { strategy, judgedThisCycle, assignedJudgeId }
+ */
+function createJudgeRotation(strategy = DEFAULT_JUDGE_ROTATION) {
+  const name = strategy || DEFAULT_JUDGE_ROTATION;
+  if (typeof name !== 'string' || !JUDGE_ROTATION_STRATEGIES[name]) {
+    throw new Error(
+      `Invalid judge rotation: expected one of ${Object.keys(JUDGE_ROTATION_STRATEGIES).join(', ')}`
+    );
+  }
+  return {
+    strategy: name,
+    judgedThisCycle: [],
+    assignedJudgeId: null
+  };
+}
+
+/**
+ * Adds a strategy that games can select by name
+ * @param {string} name - Strategy name
+ * @param {Object} strategy - { pick(candidates, state, eligible) -> playerId }
+ */
+function registerJudgeRotationStrategy(name, strategy) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Judge rotation strategy needs a name');
+  }
+  if (!strategy || typeof strategy.pick !== 'function') {
+    throw new Error(`Judge rotation strategy "${name}" must implement pick(candidates, state, eligible)`);
+  }
+  JUDGE_ROTATION_STRATEGIES[name] = strategy;
+}
+
+/**
+ * Whether a player can be made judge (offline players are skipped)
+ * @param {Object} player - Player object
+ * @returns {boolean}
+ */
+function isEligibleJudge(player) {
+  return player.presence !== 'away';
+}
+
+/**
+ * Chooses the next judge with the game's strategy and advances the cycle. Once
+ * every eligible player has judged a new cycle starts, never with the judge who
+ * just finished (unless they are the only one left).
+ * @param {Object} state - Game state
+ * @returns {Object} { judgeId, judgeRotation } judgeId is null when there are no players
+ */
+function selectNextJudge(state) {
+  const rotation = state.judgeRotation || createJudgeRotation();
+  if (state.players.length === 0) {
+    return { judgeId: null, judgeRotation: rotation };
+  }
+
+  // If everyone is offline someone still has to judge
+  const online = state.players.filter(isEligibleJudge);
+  const eligible = online.length > 0 ? online : state.players;
+
+  // Players who left no longer count; offline ones keep their turn for when they return
+  let judgedThisCycle = rotation.judgedThisCycle.filter(id => state.players.some(p => p.id === id));
+  let candidates = eligible.filter(p => !judgedThisCycle.includes(p.id));
+  if (candidates.length === 0) {
+    judgedThisCycle = [];
+    candidates = eligible.length > 1 ? eligible.filter(p => p.id !== state.judgeId) : eligible;
+  }
+
+  const strategy = JUDGE_ROTATION_STRATEGIES[rotation.strategy] || JUDGE_ROTATION_STRATEGIES[DEFAULT_JUDGE_ROTATION];
+  const judgeId = strategy.pick(candidates, { ...state, judgeRotation: rotation }, eligible);
+
+  return {
+    judgeId,
+    judgeRotation: {
+      ...rotation,
+      judgedThisCycle: judgedThisCycle.includes(judgeId) ? judgedThisCycle : [...judgedThisCycle, judgeId],
+      assignedJudgeId: null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_JUDGE_ROTATION,
+  JUDGE_ROTATION_STRATEGIES,
+  createJudgeRotation,
+  registerJudgeRotationStrategy,
+  isEligibleJudge,
+  selectNextJudge
+};
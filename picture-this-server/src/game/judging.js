@@ -0,0 +1,125 @@
+/**
+ * ---
+ * title: Judging Rules
+ * purpose: Per-game judging deadline, warning schedule and the fallback policy that
+ *          decides a round's winners when the judge goes quiet: the audience vote
+ *          tally, a random pick, or the host deciding on the judge's behalf.
+ * exports: DEFAULT_JUDGING_RULES, JUDGE_FALLBACK_POLICIES, createJudgingRules, pickFallbackWinners
+ * dependencies: scoring.js (tallyVotes)
+ * ---
+ */
+
+const { tallyVotes } = require('./scoring');
+
+// audience: most favorite votes win; random: any submitters; host: the host picks
+const JUDGE_FALLBACK_POLICIES = ['audience', 'random', 'host'];
+
+const DEFAULT_JUDGING_RULES = {
+  timeoutSeconds: 60, // 0 waits for the judge indefinitely
+  warningSeconds: [30, 10], // Seconds remaining when the judge is nudged
+  fallback: 'audience',
+  hostTimeoutSeconds: 30 // Extra time the host gets under the host policy
+};
+
+const MAX_SECONDS = 600;
+
+/**
+ * Builds validated judging rules from partial overrides
+ * @param {Object} overrides - Partial rules merged over the defaults
+ * @returns {Object} Complete judging rules
+ */
+function createJudgingRules(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid judging rules: expected an object');
+  }
+
+  const rules = {
+    timeoutSeconds: _seconds(overrides.timeoutSeconds, DEFAULT_JUDGING_RULES.timeoutSeconds, 'timeoutSeconds'),
+    warningSeconds: DEFAULT_JUDGING_RULES.warningSeconds,
+    fallback: overrides.fallback === undefined ? DEFAULT_JUDGING_RULES.fallback : overrides.fallback,
+    hostTimeoutSeconds: _seconds(overrides.hostTimeoutSeconds, DEFAULT_JUDGING_RULES.hostTimeoutSeconds, 'hostTimeoutSeconds')
+  };
+
+  if (!JUDGE_FALLBACK_POLICIES.includes(rules.fallback)) {
+    throw new Error(`Invalid judging rules: fallback must be one of ${JUDGE_FALLBACK_POLICIES.join(', ')}`);
+  }
+
+  if (overrides.warningSeconds !== undefined) {
+    if (!Array.isArray(overrides.warningSeconds)) {
+      throw new Error('Invalid judging rules: warningSeconds must be an array');
+    }
+    rules.warningSeconds = overrides.warningSeconds.map(value => _seconds(value, 0, 'warningSeconds'));
+  }
+  // Only warnings that land inside the deadline, latest-first
+  rules.warningSeconds = [...new Set(rules.warningSeconds)]
+    .filter(value => value > 0 && value < rules.timeoutSeconds)
+    .sort((a, b) => b - a);
+
+  return rules;
+}
+
+/**
+ * Picks first and second place for a round the judge didn't decide. The audience
+ * policy ranks by favorite votes; places without votes are filled at random.
+ * @param {Object} state - Game state in JUDGING (playerSelections, audienceVotes)
+ * @param {string} policy - 'audience' or 'random'
+ * @returns {Object} { firstPlace, secondPlace, decidedBy } decidedBy is 'audience'
+ *                   when votes decided first place, otherwise 'random'
+ */
+function pickFallbackWinners(state, policy) {
+  const submitters = Object.keys(state.playerSelections || {});
+  const shuffled = _shuffle(submitters);
+  let ranked = shuffled;
+  let decidedBy = 'random';
+
+  if (policy === 'audience') {
+    const tally = tallyVotes(state.audienceVotes, submitters);
+    const voted = shuffled
+      .filter(playerId => tally[playerId] > 0)
+      .sort((a, b) => tally[b] - tally[a]);
+    if (voted.length > 0) {
+      decidedBy = 'audience';
+      ranked = [...voted, ...shuffled.filter(playerId => !voted.includes(playerId))];
+    }
+  }
+
+  return {
+    firstPlace: ranked[0] || null,
+    secondPlace: ranked[1] || null,
+    decidedBy
+  };
+}
+
+/**
+ * Fisher-Yates shuffle of a copy of the list
+ * @private
+ */
+function _shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Validates a seconds value, falling back to the default when omitted
+ * @private
+ */
+function _seconds(value, fallback, name) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SECONDS) {
+    throw new Error(`Invalid judging rules: ${name} must be an integer between 0 and ${MAX_SECONDS}`);
+  }
+  return value;
+}
+
+module.exports = {
+  DEFAULT_JUDGING_RULES,
+  JUDGE_FALLBACK_POLICIES,
+  createJudgingRules,
+  pickFallbackWinners
+};
@@ -0,0 +1,201 @@
+/**
+ * ---
+ * title: Content Moderation
+ * purpose: Checks a player's cards and the sentence they complete before anything is
+ *          recorded or sent to the image API. Local rules (blocklist, allowlist, length
+ *          caps) run synchronously; an optional external provider is called after them.
+ *          A rejected selection is never recorded, so the player can pick again before
+ *          the SELECTION deadline. Rejections carry structured reasons:
+ *            { code, message, card? }
+ *          Blocklist terms match case-insensitively anywhere in a card; allowlist
+ *          phrases are exempt from the blocklist (e.g. "Scunthorpe").
+ * exports: DEFAULT_MODERATION, REJECTION_CODES, createModerationPolicy, completeSentence,
+ *          moderateSelection, normalizeProviderVerdict, createModerationError,
+ *          isModerationError
+ * dependencies: sentenceGrammar
+ * ---
+ */
+
+const { fillBlanks } = require('../utils/sentenceGrammar');
+
+const DEFAULT_MODERATION = {
+  blocklist: [],
+  allowlist: [],
+  maxCardLength: 60,
+  maxSentenceLength: 300,
+  provider: null,
+  timeoutMs: 5000,
+  failOpen: true
+};
+
+const REJECTION_CODES = {
+  BLOCKED_TERM: 'BLOCKED_TERM',
+  CARD_TOO_LONG: 'CARD_TOO_LONG',
+  SENTENCE_TOO_LONG: 'SENTENCE_TOO_LONG',
+  EXTERNAL: 'EXTERNAL',
+  PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  DEADLINE_PASSED: 'DEADLINE_PASSED'
+};
+
+const MODERATION_ERROR_CODE = 'CONTENT_REJECTED';
+
+/**
+ * Lowercased, trimmed, de-duplicated terms from an array or comma-separated string
+ * @private
+ */
+function _terms(list) {
+  const items = typeof list === 'string' ? list.split(',') : (list || []);
+  if (!Array.isArray(items)) {
+    throw new Error('Moderation lists must be arrays or comma-separated strings');
+  }
+  return [...new Set(items.map(term => String(term).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * @private
+ */
+function _positiveInteger(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Moderation ${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Builds the policy an engine moderates with
+ * @param {Object} options - { blocklist, allowlist, maxCardLength, maxSentenceLength,
+ *                           provider, timeoutMs, failOpen }; lists may be arrays or
+ *                           comma-separated strings. provider is
+ *                           async ({ code, playerId, cards, sentence }) -> { approved, reasons }
+ * @returns {Object} Policy
+ */
+function createModerationPolicy(options = {}) {
+  const merged = { ...DEFAULT_MODERATION, ...options };
+  if (merged.provider !== null && typeof merged.provider !== 'function') {
+    throw new Error('Moderation provider must be a function');
+  }
+  return {
+    blocklist: _terms(merged.blocklist),
+    allowlist: _terms(merged.allowlist),
+    maxCardLength: _positiveInteger(merged.maxCardLength, 'maxCardLength'),
+    maxSentenceLength: _positiveInteger(merged.maxSentenceLength, 'maxSentenceLength'),
+    provider: merged.provider,
+    timeoutMs: _positiveInteger(merged.timeoutMs, 'timeoutMs'),
+    failOpen: merged.failOpen !== false
+  };
+}
+
+/**
+ * Fills the template's blanks with card texts, left to right, fitting each card's
+ * article, capitalization and possessive to the sentence (see sentenceGrammar)
+ * @param {string} template - Sentence template
+ * @param {Array<string>} texts - Card texts
+ * @returns {string} Completed sentence
+ */
+function completeSentence(template, texts) {
+  return fillBlanks(template, texts);
+}
+
+/**
+ * Applies the local rules
+ * @param {Array<string>} texts - Card texts the player chose
+ * @param {string} sentence - Completed sentence
+ * @param {Object} policy - Policy from createModerationPolicy
+ * @returns {Object} { approved, reasons }
+ */
+function moderateSelection(texts, sentence, policy) {
+  const reasons = [];
+
+  for (const text of texts) {
+    if (text.length > policy.maxCardLength) {
+      reasons.push({
+        code: REJECTION_CODES.CARD_TOO_LONG,
+        message: `Card is longer than ${policy.maxCardLength} characters`,
+        card: text
+      });
+      continue;
+    }
+
+    let checked = text.toLowerCase();
+    for (const allowed of policy.allowlist) {
+      checked = checked.split(allowed).join(' ');
+    }
+    if (policy.blocklist.some(term => checked.includes(term))) {
+      reasons.push({
+        code: REJECTION_CODES.BLOCKED_TERM,
+        message: 'Card contains a blocked word',
+        card: text
+      });
+    }
+  }
+
+  if (sentence.length > policy.maxSentenceLength) {
+    reasons.push({
+      code: REJECTION_CODES.SENTENCE_TOO_LONG,
+      message: `Completed sentence is longer than ${policy.maxSentenceLength} characters`
+    });
+  }
+
+  return { approved: reasons.length === 0, reasons };
+}
+
+/**
+ * Normalizes whatever an external provider returned into { approved, reasons }
+ * @param {Object} verdict - Provider result
+ * @returns {Object} { approved, reasons }
+ */
+function normalizeProviderVerdict(verdict) {
+  if (!verdict || typeof verdict.approved !== 'boolean') {
+    throw new Error('Moderation provider returned an invalid verdict');
+  }
+  if (verdict.approved) {
+    return { approved: true, reasons: [] };
+  }
+  const reasons = (Array.isArray(verdict.reasons) ? verdict.reasons : [])
+    .filter(reason => reason && typeof reason === 'object')
+    .map(reason => ({
+      code: reason.code ? String(reason.code) : REJECTION_CODES.EXTERNAL,
+      message: reason.message ? String(reason.message) : 'Rejected by content moderation',
+      ...(reason.card ? { card: String(reason.card) } : {})
+    }));
+  return {
+    approved: false,
+    reasons: reasons.length > 0
+      ? reasons
+      : [{ code: REJECTION_CODES.EXTERNAL, message: 'Rejected by content moderation' }]
+  };
+}
+
+/**
+ * Error thrown for a rejected selection; callers read error.reasons
+ * @param {Array<Object>} reasons - Rejection reasons
+ * @param {number} timeRemaining - Seconds left to pick again (null if unknown)
+ * @returns {Error}
+ */
+function createModerationError(reasons, timeRemaining = null) {
+  const error = new Error('Selection rejected by content moderation');
+  error.code = MODERATION_ERROR_CODE;
+  error.reasons = reasons;
+  error.timeRemaining = timeRemaining;
+  return error;
+}
+
+/**
+ * Whether an error is a moderation rejection
+ * @param {Error} error - Any error
+ * @returns {boolean}
+ */
+function isModerationError(error) {
+  return Boolean(error) && error.code === MODERATION_ERROR_CODE;
+}
+
+module.exports = {
+  DEFAULT_MODERATION,
+  REJECTION_CODES,
+  createModerationPolicy,
+  completeSentence,
+  moderateSelection,
+  normalizeProviderVerdict,
+  createModerationError,
+  isModerationError
+};
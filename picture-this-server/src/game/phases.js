@@ -19,6 +19,7 @@ const PHASES = {
   SELECTION_COMPLETE: 'SELECTION_COMPLETE',
   IMAGE_GEN: 'IMAGE_GEN',
   IMAGE_GEN_COMPLETE: 'IMAGE_GEN_COMPLETE',
+  VOTING: 'VOTING',
   JUDGING: 'JUDGING',
   JUDGING_COMPLETE: 'JUDGING_COMPLETE',
   RESULTS: 'RESULTS',
@@ -32,7 +33,8 @@ const VALID_TRANSITIONS = {
   [PHASES.SELECTION]: [PHASES.SELECTION_COMPLETE],
   [PHASES.SELECTION_COMPLETE]: [PHASES.IMAGE_GEN],
   [PHASES.IMAGE_GEN]: [PHASES.IMAGE_GEN_COMPLETE],
-  [PHASES.IMAGE_GEN_COMPLETE]: [PHASES.JUDGING, PHASES.RESULTS], // Allow skip to RESULTS for single-player
+  [PHASES.IMAGE_GEN_COMPLETE]: [PHASES.VOTING, PHASES.JUDGING, PHASES.RESULTS], // Allow skip to RESULTS for single-player
+  [PHASES.VOTING]: [PHASES.JUDGING],
   [PHASES.JUDGING]: [PHASES.JUDGING_COMPLETE],
   [PHASES.JUDGING_COMPLETE]: [PHASES.RESULTS],
   [PHASES.RESULTS]: [PHASES.ROUND_SETUP, PHASES.GAME_END],
@@ -45,9 +47,10 @@ const PHASE_TIMEOUTS = {
   [PHASES.ROUND_SETUP]: 2000, // 2 seconds to setup round
   [PHASES.SELECTION]: 45000, // 45 seconds for players to select cards
   [PHASES.SELECTION_COMPLETE]: 1000, // 1 second transition
-  [PHASES.IMAGE_GEN]: 5000, // 5 seconds display + 60s API timeout (handled separately)
+  [PHASES.IMAGE_GEN]: 90000, // Safety net; the engine advances as soon as every image lands
   [PHASES.IMAGE_GEN_COMPLETE]: 500, // 500ms transition (quick move to next phase)
-  [PHASES.JUDGING]: 0, // No timeout - judge makes decision, but could add fallback
+  [PHASES.VOTING]: 20000, // 20 seconds for players and spectators to pick a favorite
+  [PHASES.JUDGING]: 0, // Set per game by judgingRules (deadline, warnings, fallback; see judging.js)
   [PHASES.JUDGING_COMPLETE]: 1000, // 1 second transition
   [PHASES.RESULTS]: 8000, // 8 seconds to display results before auto-advancing
   [PHASES.GAME_END]: 0 // No timeout - game over
@@ -93,6 +96,8 @@ function getNextPhase(currentPhase, currentRound, maxRounds) {
     case PHASES.IMAGE_GEN:
       return PHASES.IMAGE_GEN_COMPLETE;
     case PHASES.IMAGE_GEN_COMPLETE:
+      return PHASES.VOTING;
+    case PHASES.VOTING:
       return PHASES.JUDGING;
     case PHASES.JUDGING:
       return PHASES.JUDGING_COMPLETE;
@@ -0,0 +1,197 @@
+/**
+ * ---
+ * title: Scoring Rules
+ * purpose: Per-game scoring ruleset (placement points, audience favorite, optional
+ *          speed/streak bonuses) and the round scorer applied by GameOrchestrator when
+ *          a round reaches RESULTS, so REST and WebSocket games score identically.
+ * exports: DEFAULT_SCORING_RULES, SCORING_PRESETS, createScoringRules, tallyVotes, scoreRound
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+// Points from the game design doc: 5 for first, 2 for second, 1 for the audience favorite
+const DEFAULT_SCORING_RULES = {
+  placement: {
+    first: 5,
+    second: 2
+  },
+  audienceFavorite: 1,
+  bonuses: {
+    speed: { enabled: false, points: 1 }, // Fastest submission of the round
+    streak: { enabled: false, points: 1, minWins: 2 } // First place in consecutive rounds
+  }
+};
+
+// Named rulesets a host can pick instead of spelling out every value
+const SCORING_PRESETS = {
+  standard: {},
+  classic: { placement: { first: 3, second: 1 }, audienceFavorite: 0 },
+  bonus: {
+    bonuses: {
+      speed: { enabled: true },
+      streak: { enabled: true }
+    }
+  }
+};
+
+const MAX_POINTS = 100;
+
+/**
+ * Builds a validated ruleset from a preset name or partial overrides
+ * @param {string|Object} overrides - Preset name, or partial rules merged over the defaults
+ * @returns {Object} Complete scoring ruleset
+ */
+function createScoringRules(overrides = {}) {
+  if (typeof overrides === 'string') {
+    if (!SCORING_PRESETS[overrides]) {
+      throw new Error(`Invalid scoring rules: unknown preset "${overrides}"`);
+    }
+    overrides = SCORING_PRESETS[overrides];
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid scoring rules: expected a preset name or an object');
+  }
+
+  const placement = overrides.placement || {};
+  const bonuses = overrides.bonuses || {};
+  const rules = {
+    placement: {
+      first: _points(placement.first, DEFAULT_SCORING_RULES.placement.first, 'placement.first'),
+      second: _points(placement.second, DEFAULT_SCORING_RULES.placement.second, 'placement.second')
+    },
+    audienceFavorite: _points(overrides.audienceFavorite, DEFAULT_SCORING_RULES.audienceFavorite, 'audienceFavorite'),
+    bonuses: {
+      speed: _bonus(bonuses.speed, DEFAULT_SCORING_RULES.bonuses.speed, 'speed'),
+      streak: _bonus(bonuses.streak, DEFAULT_SCORING_RULES.bonuses.streak, 'streak')
+    }
+  };
+
+  rules.bonuses.streak.minWins = _points(
+    (bonuses.streak || {}).minWins,
+    DEFAULT_SCORING_RULES.bonuses.streak.minWins,
+    'bonuses.streak.minWins'
+  );
+  if (rules.bonuses.streak.minWins < 2) {
+    throw new Error('Invalid scoring rules: bonuses.streak.minWins must be at least 2');
+  }
+
+  return rules;
+}
+
+/**
+ * Counts favorite votes per submitter. Self-votes and votes for players who
+ * didn't submit this round are ignored.
+ * @param {Object} audienceVotes - { voterId: votedForPlayerId }
+ * @param {Array<string>} submitters - Player IDs with a submission this round
+ * @returns {Object} { playerId: voteCount }
+ */
+function tallyVotes(audienceVotes, submitters) {
+  const tally = {};
+  for (const [voterId, votedFor] of Object.entries(audienceVotes || {})) {
+    if (votedFor !== voterId && submitters.includes(votedFor)) {
+      tally[votedFor] = (tally[votedFor] || 0) + 1;
+    }
+  }
+  return tally;
+}
+
+/**
+ * Scores a finished round. Every point awarded comes with a breakdown entry so
+ * clients can show why a player scored.
+ * @param {Object} state - Game state at RESULTS (judgeSelection, playerSelections,
+ *                         audienceVotes, roundHistory)
+ * @param {Object} rules - Ruleset from createScoringRules
+ * @returns {Object} { scores: { playerId: { total, breakdown: [{ type, points }] } },
+ *                     audienceTally, audienceFavorites }
+ */
+function scoreRound(state, rules) {
+  const scores = {};
+  const award = (playerId, type, points) => {
+    if (!playerId || points <= 0) {
+      return;
+    }
+    if (!scores[playerId]) {
+      scores[playerId] = { total: 0, breakdown: [] };
+    }
+    scores[playerId].total += points;
+    scores[playerId].breakdown.push({ type, points });
+  };
+
+  const { firstPlace = null, secondPlace = null } = state.judgeSelection || {};
+  const submitters = Object.keys(state.playerSelections || {});
+
+  // Placement
+  award(firstPlace, 'first_place', rules.placement.first);
+  award(secondPlace, 'second_place', rules.placement.second);
+
+  // Audience favorite: most votes among submitters; tied leaders all score
+  const tally = tallyVotes(state.audienceVotes, submitters);
+  const topVotes = Math.max(0, ...Object.values(tally));
+  const audienceFavorites = topVotes > 0
+    ? Object.keys(tally).filter(playerId => tally[playerId] === topVotes)
+    : [];
+  for (const playerId of audienceFavorites) {
+    award(playerId, 'audience_favorite', rules.audienceFavorite);
+  }
+
+  // Speed bonus: earliest submission this round
+  if (rules.bonuses.speed.enabled && submitters.length > 0) {
+    const fastest = submitters.reduce((best, playerId) =>
+      state.playerSelections[playerId].submittedAt < state.playerSelections[best].submittedAt ? playerId : best
+    );
+    award(fastest, 'speed_bonus', rules.bonuses.speed.points);
+  }
+
+  // Streak bonus: first place in this and the preceding rounds
+  if (rules.bonuses.streak.enabled && firstPlace) {
+    let streak = 1;
+    const history = state.roundHistory || [];
+    for (let i = history.length - 1; i >= 0 && history[i].firstPlace === firstPlace; i--) {
+      streak++;
+    }
+    if (streak >= rules.bonuses.streak.minWins) {
+      award(firstPlace, 'streak_bonus', rules.bonuses.streak.points);
+    }
+  }
+
+  return { scores, audienceTally: tally, audienceFavorites };
+}
+
+/**
+ * Validates a points value, falling back to the default when omitted
+ * @private
+ */
+function _points(value, fallback, name) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > MAX_POINTS) {
+    throw new Error(`Invalid scoring rules: ${name} must be an integer between 0 and ${MAX_POINTS}`);
+  }
+  return value;
+}
+
+/**
+ * Validates a bonus definition ({ enabled, points })
+ * @private
+ */
+function _bonus(value, fallback, name) {
+  const bonus = value || {};
+  if (bonus.enabled !== undefined && typeof bonus.enabled !== 'boolean') {
+    throw new Error(`Invalid scoring rules: bonuses.${name}.enabled must be a boolean`);
+  }
+  return {
+    ...fallback,
+    enabled: bonus.enabled !== undefined ? bonus.enabled : fallback.enabled,
+    points: _points(bonus.points, fallback.points, `bonuses.${name}.points`)
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  SCORING_PRESETS,
+  createScoringRules,
+  tallyVotes,
+  scoreRound
+};
@@ -1,41 +1,50 @@
 /**
  * ---
  * title: Game Session Manager
- * purpose: Main facade for managing game sessions. Composes SessionStore, PlayerOperations,
- *          PhaseOperations, SelectionOperations, and TimeoutChecker into a unified API.
+ * purpose: REST-facing facade over the GameEngine. Keeps the session API used by the
+ *          HTTP routes (codes, joinSession, recordPlayerSelection, ...) while all state
+ *          lives in the engine shared with the WebSocket handlers.
  * exports: GameSessionManager class
- * dependencies: SessionStore, PlayerOperations, PhaseOperations, SelectionOperations, TimeoutChecker
+ * dependencies: GameEngine, GameState.js (GAME_STATUSES), phases.js
  * ---
  */
 
-const SessionStore = require('./SessionStore');
-const PlayerOperations = require('./PlayerOperations');
-const PhaseOperations = require('./PhaseOperations');
-const SelectionOperations = require('./SelectionOperations');
-const TimeoutChecker = require('./TimeoutChecker');
+const GameEngine = require('../GameEngine');
+const { GAME_STATUSES } = require('../GameState');
+const { PHASES } = require('../phases');
 
 class GameSessionManager {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {GameEngine} config.engine - Shared engine (created if omitted)
+   * @param {number} config.timeoutMinutes - Inactivity timeout for a new engine (default: 60)
+   * @param {number} config.checkIntervalSeconds - Timeout check interval for a new engine (default: 300)
+   * @param {Object} config.imageGenerator - Image generator for a new engine
+   */
   constructor(config = {}) {
-    // Initialize session store
-    this.store = new SessionStore();
-    
-    // Configuration
-    this.timeoutMinutes = config.timeoutMinutes || 60;
-    
-    // Event listeners
-    this.eventListeners = {};
-    
-    // Initialize timeout checker
-    this.timeoutChecker = new TimeoutChecker({
-      timeoutMinutes: this.timeoutMinutes,
-      checkIntervalSeconds: config.checkIntervalSeconds || 300,
-      getSessionsCallback: () => this.store.getAll(),
-      cleanupCallback: (code) => this.cleanupSession(code),
-      emitCallback: (event, ...args) => this.emit(event, ...args)
+    this.engine = config.engine || new GameEngine({
+      timeoutMinutes: config.timeoutMinutes,
+      checkIntervalSeconds: config.checkIntervalSeconds,
+      imageGenerator: config.imageGenerator,
+      logger: config.logger
     });
-    
-    // Start background timeout checker
-    this.timeoutChecker.start();
+    this.timeoutMinutes = this.engine.timeoutMinutes;
+  }
+
+  /**
+   * Underlying code -> game store
+   * @returns {SessionStore}
+   */
+  get store() {
+    return this.engine.store;
+  }
+
+  /**
+   * Hosts' card packs, shared with the engine that deals from them
+   * @returns {CardPackStore}
+   */
+  get cardPacks() {
+    return this.engine.cardPacks;
   }
 
   // ============================================
@@ -48,10 +57,7 @@ class GameSessionManager {
    * @param {function} callback - Callback function
    */
   on(eventName, callback) {
-    if (!this.eventListeners[eventName]) {
-      this.eventListeners[eventName] = [];
-    }
-    this.eventListeners[eventName].push(callback);
+    this.engine.on(eventName, callback);
   }
 
   /**
@@ -59,15 +65,7 @@ class GameSessionManager {
    * @private
    */
   emit(eventName, ...args) {
-    if (this.eventListeners[eventName]) {
-      this.eventListeners[eventName].forEach(callback => {
-        try {
-          callback(...args);
-        } catch (error) {
-          console.error(`Error in ${eventName} listener:`, error);
-        }
-      });
-    }
+    this.engine.emit(eventName, ...args);
   }
 
   // ============================================
@@ -79,40 +77,41 @@ class GameSessionManager {
    * @param {string} hostId - UUID of the host player
    * @param {number} maxRounds - Maximum number of rounds (1-20)
    * @param {number} maxPlayers - Maximum players (1-20, use 1 for single-player mode)
+   * @param {Object} options - { scoringRules, judgingRules, judgeRotation, handSize, forceFreshImages,
+   *                           imageRetention, promptTemplateSet, artStyleRules, cardPacks }
+   *                           scoringRules is a preset name or partial ruleset (default: standard);
+   *                           judgingRules sets the judging deadline and fallback; judgeRotation names
+   *                           the strategy (default: round-robin); handSize is cards per hand (3-12,
+   *                           default 8); forceFreshImages skips the image cache for this game;
+   *                           imageRetention is { mode, days } (see ImageRetention.js);
+   *                           promptTemplateSet names the prompt template set (see promptTemplates.js);
+   *                           artStyleRules is { policy, lockedStyle, customStyles } (see artStyles.js);
+   *                           cardPacks is the card pack ids to deal from (see CardPackStore)
    * @returns {Object} - Created GameSession object
    */
-  createSession(hostId, maxRounds = 5, maxPlayers = 8) {
+  createSession(hostId, maxRounds = 5, maxPlayers = 8, options = {}) {
     // Validate parameters
     if (!hostId) throw new Error('hostId is required');
     if (maxRounds < 1 || maxRounds > 20) throw new Error('maxRounds must be between 1 and 20');
     if (maxPlayers < 1 || maxPlayers > 20) throw new Error('maxPlayers must be between 1 and 20');
+    if (options.handSize !== undefined && (!Number.isInteger(options.handSize) || options.handSize < 3 || options.handSize > 12)) {
+      throw new Error('handSize must be between 3 and 12');
+    }
 
-    const code = this.store.generateUniqueCode();
-    const gameId = this.store.generateGameId();
-    const now = Date.now();
-
-    const session = {
-      gameId,
-      code,
+    return this.engine.createGame({
       hostId,
-      createdAt: now,
-      lastActivityAt: now,
       maxRounds,
-      currentRound: 0,
-      currentPhase: 'lobby',
       maxPlayers,
-      status: 'lobby',
-      players: [],
-      sentenceTemplate: null,
-      selectedNouns: [],
-      playerSelections: {},
-      timeoutMinutes: this.timeoutMinutes
-    };
-
-    this.store.set(code, session);
-    this.emit('onSessionCreated', gameId, code);
-
-    return session;
+      scoringRules: options.scoringRules,
+      judgingRules: options.judgingRules,
+      judgeRotation: options.judgeRotation,
+      handSize: options.handSize,
+      forceFreshImages: options.forceFreshImages,
+      imageRetention: options.imageRetention,
+      promptTemplateSet: options.promptTemplateSet,
+      artStyleRules: options.artStyleRules,
+      cardPacks: options.cardPacks
+    });
   }
 
   /**
@@ -121,7 +120,7 @@ class GameSessionManager {
    * @returns {Object|null} - GameSession or null
    */
   getSessionByCode(code) {
-    return this.store.get(code);
+    return this.engine.getGame(code);
   }
 
   /**
@@ -130,7 +129,7 @@ class GameSessionManager {
    * @returns {Object|null} - GameSession or null
    */
   getSessionByGameId(gameId) {
-    return this.store.getByGameId(gameId);
+    return this.engine.getGameById(gameId);
   }
 
   /**
@@ -138,11 +137,11 @@ class GameSessionManager {
    * @returns {Array<Object>} - Array of active GameSession objects
    */
   getAllActiveSessions() {
-    return this.store.getAll();
+    return this.engine.getAllGames();
   }
 
   // ============================================
-  // Player Management (delegates to PlayerOperations)
+  // Player Management
   // ============================================
 
   /**
@@ -152,19 +151,32 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   joinSession(code, player) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
-    }
-    
-    const updated = PlayerOperations.joinSession(
-      session, 
-      player, 
-      (event, ...args) => this.emit(event, ...args)
-    );
-    
-    this.store.set(code, updated);
-    return updated;
+    return this.engine.joinGame(code, {
+      playerId: player.playerId,
+      name: player.name,
+      avatar: player.avatar
+    });
+  }
+
+  /**
+   * Token a player presents over the socket to resume their seat after a disconnect
+   * @param {string} code - 6-character game code
+   * @param {string} playerId - UUID of the player
+   * @returns {string|null} - Rejoin token or null
+   */
+  getRejoinToken(code, playerId) {
+    return this.engine.getRejoinToken(code, playerId);
+  }
+
+  /**
+   * Whether a REST caller is playerId (they present the player's rejoin token)
+   * @param {string} code - 6-character game code
+   * @param {string} playerId - UUID of the player
+   * @param {string} token - Token the caller presented
+   * @returns {boolean}
+   */
+  verifyPlayer(code, playerId, token) {
+    return this.engine.verifyPlayer(code, playerId, token);
   }
 
   /**
@@ -174,45 +186,24 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   removePlayerFromSession(code, playerId) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
-    }
-    
-    const updated = PlayerOperations.removePlayer(
-      session, 
-      playerId, 
-      (event, ...args) => this.emit(event, ...args)
-    );
-    
-    this.store.set(code, updated);
-    return updated;
+    return this.engine.removePlayer(code, playerId);
   }
 
   // ============================================
-  // Phase Management (delegates to PhaseOperations)
+  // Phase Management
   // ============================================
 
   /**
    * Update the phase of a session with validation
    * @param {string} code - 6-character game code
-   * @param {string} newPhase - New phase name
+   * @param {string} newPhase - New phase (one of PHASES)
    * @returns {Object} - Updated GameSession
    */
   updateSessionPhase(code, newPhase) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
+    if (!Object.values(PHASES).includes(newPhase)) {
+      throw new Error(`Invalid phase: ${newPhase}`);
     }
-    
-    const updated = PhaseOperations.updatePhase(
-      session, 
-      newPhase, 
-      (event, ...args) => this.emit(event, ...args)
-    );
-    
-    this.store.set(code, updated);
-    return updated;
+    return this.engine.advancePhase(code, newPhase, 'manual');
   }
 
   /**
@@ -222,14 +213,13 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   updateCurrentRound(code, roundNumber) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
+    const session = this._requireSession(code);
+
+    if (roundNumber < 0 || roundNumber > session.maxRounds) {
+      throw new Error(`Invalid round: ${roundNumber}`);
     }
-    
-    const updated = PhaseOperations.updateRound(session, roundNumber);
-    this.store.set(code, updated);
-    return updated;
+
+    return this.engine.updateGame(code, { currentRound: roundNumber });
   }
 
   /**
@@ -240,14 +230,7 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   updateRoundContent(code, sentence, nouns = []) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
-    }
-    
-    const updated = PhaseOperations.updateRoundContent(session, sentence, nouns);
-    this.store.set(code, updated);
-    return updated;
+    return this.engine.updateGame(code, { sentenceTemplate: sentence, selectedNouns: nouns });
   }
 
   /**
@@ -255,10 +238,8 @@ class GameSessionManager {
    * @param {string} code - 6-character game code
    */
   updateLastActivity(code) {
-    const session = this.store.get(code);
-    if (session) {
-      session.lastActivityAt = new Date().toISOString();
-      this.store.set(code, session);
+    if (this.engine.getGame(code)) {
+      this.engine.updateGame(code, {});
     }
   }
 
@@ -269,14 +250,13 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   updateSessionStatus(code, status) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
+    this._requireSession(code);
+
+    if (!GAME_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}`);
     }
-    
-    const updated = PhaseOperations.updateStatus(session, status);
-    this.store.set(code, updated);
-    return updated;
+
+    return this.engine.updateGame(code, { status });
   }
 
   /**
@@ -285,18 +265,8 @@ class GameSessionManager {
    * @returns {Object} - Updated GameSession
    */
   endSession(code) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error(`Session not found: ${code}`);
-    }
-    
-    const updated = PhaseOperations.endSession(
-      session, 
-      (event, ...args) => this.emit(event, ...args)
-    );
-    
-    this.store.set(code, updated);
-    return updated;
+    this._requireSession(code);
+    return this.engine.endGame(code);
   }
 
   // ============================================
@@ -304,87 +274,39 @@ class GameSessionManager {
   // ============================================
 
   /**
-   * Start the game (transition from lobby to round 1)
+   * Start the game (transition from lobby to round 1 selection)
    * @param {string} code - 6-character game code
-   * @param {Array<string>} sentenceTemplates - Array of sentence templates
+   * @param {Array<string|Object>} sentenceTemplates - Sentence pool for the game
    * @returns {Object} - Updated GameSession with judge and sentence selected
    */
   startGame(code, sentenceTemplates = []) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    if (!session.players || session.players.length < 1) {
-      throw new Error('Not enough players to start game');
-    }
-
-    if (session.status !== 'lobby') {
-      throw new Error('Game has already started');
-    }
-
-    // Check if single-player mode
-    const isSinglePlayer = session.players.length === 1;
-
-    // Select random judge (skip if single player)
-    let judgeIndex = null;
-    let judge = null;
-    if (!isSinglePlayer) {
-      judgeIndex = Math.floor(Math.random() * session.players.length);
-      judge = session.players[judgeIndex];
-    }
-
-    // Select random sentence template
-    let sentenceTemplate = null;
-    if (sentenceTemplates && sentenceTemplates.length > 0) {
-      sentenceTemplate = sentenceTemplates[Math.floor(Math.random() * sentenceTemplates.length)];
-    } else {
-      sentenceTemplate = 'I SAW A _____ TRYING TO _____';
-    }
-
-    // Update session
-    session.status = 'in_progress';
-    session.currentPhase = 'round_1_selection';
-    session.currentRound = 1;
-    session.judgeId = judge ? judge.playerId : null;
-    session.judgeIndex = judgeIndex;
-    session.sentenceTemplate = sentenceTemplate;
-    session.lastActivityAt = Date.now();
-    session.gameStartedAt = Date.now();
-    session.isSinglePlayer = isSinglePlayer;
-
-    this.store.set(code, session);
-    this.emit('onGameStarted', session.gameId, code, judge, sentenceTemplate);
-
-    return session;
+    this._requireSession(code);
+    return this.engine.startGame(code, { sentenceTemplates });
   }
 
   // ============================================
-  // Card Selection (delegates to SelectionOperations)
+  // Card Selection
   // ============================================
 
   /**
    * Record player's card selections for the current round
    * @param {string} code - 6-character game code
    * @param {string} playerId - UUID of the player
-   * @param {Object} selections - Map of { blankIndex: cardIndex }
+   * @param {Object} selectionData - { selections, selectedCards, artStyle } or a bare
+   *                                 { blankIndex: cardIndex } map
    * @returns {Object} - Updated session
    */
-  recordPlayerSelection(code, playerId, selections) {
-    const session = this.store.get(code);
-    if (!session) {
-      throw new Error('Session not found');
-    }
-    
-    const updated = SelectionOperations.recordSelection(
-      session, 
-      playerId, 
-      selections,
-      (event, ...args) => this.emit(event, ...args)
-    );
-    
-    this.store.set(code, updated);
-    return updated;
+  recordPlayerSelection(code, playerId, selectionData) {
+    this._requireSession(code);
+
+    const hasEnvelope = selectionData && typeof selectionData === 'object' && 'selections' in selectionData;
+    const selections = hasEnvelope ? selectionData.selections : selectionData;
+
+    return this.engine.submitSelection(code, playerId, {
+      selections: selections === undefined ? null : selections,
+      cards: hasEnvelope ? selectionData.selectedCards : undefined,
+      artStyle: hasEnvelope ? selectionData.artStyle : undefined
+    });
   }
 
   /**
@@ -393,8 +315,37 @@ class GameSessionManager {
    * @returns {Object} - Map of { playerId: selections }
    */
   getPlayerSelections(code) {
-    const session = this.store.get(code);
-    return SelectionOperations.getAllSelections(session);
+    const session = this.engine.getGame(code);
+    if (!session) return null;
+    return session.playerSelections || {};
+  }
+
+  /**
+   * Whether a player's selection is still being reviewed by the moderation provider
+   * @param {string} code - 6-character game code
+   * @param {string} playerId - UUID of the player
+   * @returns {boolean}
+   */
+  isSelectionPending(code, playerId) {
+    return this.engine.isSelectionPending(code, playerId);
+  }
+
+  /**
+   * Image generation spend grouped by day, game or host
+   * @param {string} groupBy - 'day', 'game' or 'host'
+   * @param {Object} filters - { hostId, gameId, gameCode, since, until }
+   * @returns {Object} { groupBy, totalUsd, images, groups }
+   */
+  getSpendSummary(groupBy, filters = {}) {
+    return this.engine.getSpendSummary(groupBy, filters);
+  }
+
+  /**
+   * Image generation queue depth and wait times
+   * @returns {Object} { maxConcurrent, active, queued, games, pausedProviders, waits }
+   */
+  getImageQueueStats() {
+    return this.engine.getImageQueueStats();
   }
 
   /**
@@ -404,8 +355,116 @@ class GameSessionManager {
    * @returns {Object|null} - Player's selections or null
    */
   getPlayerSelection(code, playerId) {
-    const session = this.store.get(code);
-    return SelectionOperations.getPlayerSelection(session, playerId);
+    const session = this.engine.getGame(code);
+    if (!session || !session.playerSelections) return null;
+    return session.playerSelections[playerId] || null;
+  }
+
+  /**
+   * Register a REST spectator who may vote for favorites
+   * @param {string} code - 6-character game code
+   * @returns {Object} - { spectatorId, token } the token goes with each vote
+   */
+  addSpectator(code) {
+    this._requireSession(code);
+    return this.engine.addSpectator(code);
+  }
+
+  /**
+   * Whether a REST caller may vote as voterId (player rejoin token or spectator token)
+   * @param {string} code - 6-character game code
+   * @param {string} voterId - Player or spectator ID
+   * @param {string} token - Token the caller presented
+   * @returns {boolean}
+   */
+  verifyVoter(code, voterId, token) {
+    return this.engine.verifyVoter(code, voterId, token);
+  }
+
+  /**
+   * Record a favorite vote for the current round
+   * @param {string} code - 6-character game code
+   * @param {string} voterId - Player ID, or a registered spectator ID for non-players
+   * @param {string} votedForId - Player whose image gets the vote
+   * @returns {Object} - Updated session
+   */
+  recordVote(code, voterId, votedForId) {
+    this._requireSession(code);
+    return this.engine.castVote(code, voterId, votedForId);
+  }
+
+  /**
+   * Get the live favorite vote tally for the current round
+   * @param {string} code - 6-character game code
+   * @returns {Object} - { tally, totalVotes, deadline, isOpen }
+   */
+  getVoteTally(code) {
+    this._requireSession(code);
+    return this.engine.getVoteTally(code);
+  }
+
+  /**
+   * Record the current judge's 1st and 2nd place picks
+   * @param {string} code - 6-character game code
+   * @param {string} firstPlaceId - Player awarded first place
+   * @param {string} secondPlaceId - Player awarded second place
+   * @param {string} submittedBy - Who is deciding (default: the judge; the host may
+   *                               decide once a timed-out judge handed it over)
+   * @returns {Object} - Updated session
+   */
+  recordJudgeSelection(code, firstPlaceId, secondPlaceId, submittedBy = null) {
+    const session = this._requireSession(code);
+    return this.engine.submitJudgeSelection(code, submittedBy || session.judgeId, {
+      firstPlace: firstPlaceId,
+      secondPlace: secondPlaceId
+    });
+  }
+
+  /**
+   * Choose the next round's judge (host-assigned rotation only)
+   * @param {string} code - 6-character game code
+   * @param {string} requestedBy - Player making the request (must be the host)
+   * @param {string} playerId - Player to judge next round
+   * @returns {Object} - Updated session
+   */
+  assignNextJudge(code, requestedBy, playerId) {
+    this._requireSession(code);
+    return this.engine.assignNextJudge(code, requestedBy, playerId);
+  }
+
+  /**
+   * Get a session's art style policy and the styles its players can use
+   * @param {string} code - 6-character game code
+   * @returns {Object} - { policy, lockedStyle, roundArtStyle, styles }
+   */
+  getArtStyles(code) {
+    this._requireSession(code);
+    return this.engine.getArtStyles(code);
+  }
+
+  /**
+   * Choose the art style for the current round or the whole game
+   * @param {string} code - 6-character game code
+   * @param {string} requestedBy - Player making the request (the host, or the judge)
+   * @param {string|null} style - Style name (null clears the lock)
+   * @param {Object} options - { scope } 'round' or 'game'
+   * @returns {Object} - Updated session
+   */
+  setArtStyle(code, requestedBy, style, options = {}) {
+    this._requireSession(code);
+    return this.engine.setArtStyle(code, requestedBy, style, options);
+  }
+
+  /**
+   * Add a custom art style to a session (host only)
+   * @param {string} code - 6-character game code
+   * @param {string} requestedBy - Player making the request (must be the host)
+   * @param {Object} style - { name, description }
+   * @returns {Object} - Updated session
+   */
+  addArtStyle(code, requestedBy, style) {
+    this._requireSession(code);
+    return this.engine.addArtStyle(code, requestedBy, style);
   }
 
   // ============================================
@@ -417,7 +476,7 @@ class GameSessionManager {
    * @returns {Array<string>} - Array of game codes that have timed out
    */
   checkTimeouts() {
-    return this.timeoutChecker.checkTimeouts();
+    return this.engine.timeoutChecker.checkTimeouts();
   }
 
   /**
@@ -426,16 +485,7 @@ class GameSessionManager {
    * @returns {Object|null} - Cleaned up GameSession object or null
    */
   cleanupSession(code) {
-    const session = this.store.get(code);
-    if (!session) {
-      return null;
-    }
-
-    session.status = 'inactive';
-    this.store.delete(code);
-    this.emit('onSessionCleaned', code);
-
-    return session;
+    return this.engine.cleanupGame(code);
   }
 
   /**
@@ -443,14 +493,14 @@ class GameSessionManager {
    * @returns {Array<string>} - Array of cleaned up game codes
    */
   cleanupTimedOutSessions() {
-    return this.timeoutChecker.checkAndCleanup();
+    return this.engine.timeoutChecker.checkAndCleanup();
   }
 
   /**
    * Shutdown the session manager
    */
   shutdown() {
-    this.timeoutChecker.stop();
+    this.engine.shutdown();
   }
 
   // ============================================
@@ -462,7 +512,7 @@ class GameSessionManager {
    * @returns {Object} - Statistics object
    */
   getStatistics() {
-    const sessions = this.store.getAll();
+    const sessions = this.engine.getAllGames();
     const lobbyCount = sessions.filter(s => s.status === 'lobby').length;
     const inProgressCount = sessions.filter(s => s.status === 'in_progress').length;
     const totalPlayers = sessions.reduce((sum, s) => sum + s.players.length, 0);
@@ -475,6 +525,22 @@ class GameSessionManager {
       activeCodes: this.store.getActiveCodes()
     };
   }
+
+  // ============================================
+  // Internals
+  // ============================================
+
+  /**
+   * Get a session or throw
+   * @private
+   */
+  _requireSession(code) {
+    const session = this.engine.getGame(code);
+    if (!session) {
+      throw new Error(`Session not found: ${code}`);
+    }
+    return session;
+  }
 }
 
 module.exports = GameSessionManager;
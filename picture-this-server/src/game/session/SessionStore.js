@@ -2,18 +2,27 @@
  * ---
  * title: Session Store
  * purpose: Core session storage with unique code generation and collision detection.
- *          Manages the Map-based storage of all game sessions.
+ *          Manages the Map-based storage of all game sessions, writing every change
+ *          through to an optional storage adapter so games survive a restart.
  * exports: SessionStore class
- * dependencies: uuid (v4)
+ * dependencies: uuid (v4), a storage adapter (see src/storage) when persistence is on
  * ---
  */
 
 const { v4: uuidv4 } = require('uuid');
 
+const GAMES_COLLECTION = 'games';
+
 class SessionStore {
-  constructor() {
+  /**
+   * @param {Object} options - { storage, logger } storage is a storage adapter; without
+   *                           one sessions live in memory only
+   */
+  constructor(options = {}) {
     this.sessionMap = new Map(); // code -> GameSession
     this.activeGameCodes = new Set(); // For collision detection
+    this.storage = options.storage || null;
+    this.logger = options.logger || null;
   }
 
   /**
@@ -55,6 +64,7 @@ class SessionStore {
   set(code, session) {
     this.sessionMap.set(code, session);
     this.activeGameCodes.add(code);
+    this._persist(() => this.storage.save(GAMES_COLLECTION, code, session), code);
   }
 
   /**
@@ -88,9 +98,26 @@ class SessionStore {
    */
   delete(code) {
     this.activeGameCodes.delete(code);
+    this._persist(() => this.storage.remove(GAMES_COLLECTION, code), code);
     return this.sessionMap.delete(code);
   }
 
+  /**
+   * Load every persisted session into memory (used once at boot)
+   * @returns {Array<Object>} - Restored GameSession objects
+   */
+  restore() {
+    if (!this.storage) {
+      return [];
+    }
+    const sessions = this.storage.load(GAMES_COLLECTION).filter(session => session && session.code);
+    for (const session of sessions) {
+      this.sessionMap.set(session.code, session);
+      this.activeGameCodes.add(session.code);
+    }
+    return sessions;
+  }
+
   /**
    * Check if code exists
    * @param {string} code - 6-character game code
@@ -131,6 +158,24 @@ class SessionStore {
   entries() {
     return this.sessionMap.entries();
   }
+
+  /**
+   * Runs a storage write. A failed write is logged rather than thrown so a full
+   * disk degrades to in-memory play instead of breaking the game.
+   * @private
+   */
+  _persist(write, code) {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      write();
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('Failed to persist game', { code, error: error.message });
+      }
+    }
+  }
 }
 
 module.exports = SessionStore;
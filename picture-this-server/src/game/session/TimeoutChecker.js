@@ -2,6 +2,8 @@
  * ---
  * title: Timeout Checker
  * purpose: Handles session timeout detection and automatic cleanup of inactive sessions.
+ *          Each tick then runs the optional sweep (e.g. image retention) with the codes of
+ *          the sessions still running, so background housekeeping shares one timer.
  * exports: TimeoutChecker class
  * dependencies: None
  * ---
@@ -14,6 +16,8 @@ class TimeoutChecker {
    * @param {number} options.checkIntervalSeconds - Interval between checks (default: 300)
    * @param {function} options.getSessionsCallback - Function to get all sessions
    * @param {function} options.cleanupCallback - Function to cleanup a session
+   * @param {function} options.sweepCallback - Function run after each check with the active
+   *                                           session codes; may return a promise
    * @param {function} options.emitCallback - Function to emit events
    */
   constructor(options = {}) {
@@ -21,6 +25,7 @@ class TimeoutChecker {
     this.checkIntervalSeconds = options.checkIntervalSeconds || 300;
     this.getSessions = options.getSessionsCallback || (() => []);
     this.cleanupSession = options.cleanupCallback || (() => {});
+    this.sweep = options.sweepCallback || null;
     this.emit = options.emitCallback || (() => {});
     this.intervalId = null;
   }
@@ -35,7 +40,11 @@ class TimeoutChecker {
 
     this.intervalId = setInterval(() => {
       this.checkAndCleanup();
+      this.runSweep();
     }, this.checkIntervalSeconds * 1000);
+    
+    // Background housekeeping shouldn't keep the process alive on its own
+    this.intervalId.unref();
   }
 
   /**
@@ -98,6 +107,23 @@ class TimeoutChecker {
       return [];
     }
   }
+
+  /**
+   * Run the sweep callback for the sessions still active
+   * @returns {Promise<*>} Whatever the sweep resolved to (null without a sweep or on error)
+   */
+  async runSweep() {
+    if (!this.sweep) {
+      return null;
+    }
+    try {
+      const activeCodes = this.getSessions().map(session => session.code);
+      return await this.sweep(activeCodes);
+    } catch (error) {
+      console.error('[TimeoutChecker] Error in sweep:', error);
+      return null;
+    }
+  }
 }
 
 module.exports = TimeoutChecker;
@@ -0,0 +1,220 @@
+/**
+ * ---
+ * title: Card Pack Routes
+ * purpose: Hosts manage their own noun and sentence card packs: create, read, update,
+ *          delete, and import or export them as JSON or CSV. Every route needs a signed-in
+ *          host; the built-in packs can be read and exported by anyone but never changed.
+ *          Games pick packs by id with `cardPacks` when they are created.
+ * exports: function(app, deps) - Route registration function
+ * dependencies: sessionManager (cardPacks), auth, logger
+ * ---
+ */
+
+module.exports = function(app, { sessionManager, auth, logger }) {
+  const store = sessionManager.cardPacks;
+
+  /**
+   * Responds 404/403 unless the pack exists and the user may use it
+   * @returns {Object|null} The pack, or null once a response was sent
+   */
+  function requirePack(req, res, { write = false } = {}) {
+    const pack = store.findPack(req.params.id);
+    if (!pack) {
+      res.status(404).json({
+        success: false,
+        error: 'Card pack not found'
+      });
+      return null;
+    }
+    if (pack.builtIn ? write : pack.ownerId !== req.user.id) {
+      res.status(403).json({
+        success: false,
+        error: pack.builtIn ? 'Built-in card packs are read-only' : 'Only the pack\'s owner can use it'
+      });
+      return null;
+    }
+    return pack;
+  }
+
+  // Built-in packs and the host's own, without cards
+  app.get('/api/card-packs', auth.requireAuth, (req, res) => {
+    try {
+      res.json({
+        success: true,
+        packs: store.listPacks(req.user.id)
+      });
+    } catch (error) {
+      logger.error('Error listing card packs', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Create a pack: { type: 'noun' | 'sentence', name, description, cards }
+  app.post('/api/card-packs', auth.requireAuth, (req, res) => {
+    try {
+      const { type, name, description, cards } = req.body;
+
+      let pack;
+      try {
+        pack = store.createPack(req.user.id, { type, name, description, cards });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        pack
+      });
+    } catch (error) {
+      logger.error('Error creating card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Import a pack: { format: 'json' | 'csv', content, type, name, description }
+  app.post('/api/card-packs/import', auth.requireAuth, (req, res) => {
+    try {
+      const { format, content, type, name, description } = req.body;
+
+      if (content === undefined || content === null || content === '') {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing content'
+        });
+      }
+
+      let pack;
+      try {
+        pack = store.importPack(req.user.id, { format, content, type, name, description });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        pack
+      });
+    } catch (error) {
+      logger.error('Error importing card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  app.get('/api/card-packs/:id', auth.requireAuth, (req, res) => {
+    try {
+      const pack = requirePack(req, res);
+      if (!pack) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        pack
+      });
+    } catch (error) {
+      logger.error('Error getting card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Download a pack: ?format=json|csv (default json)
+  app.get('/api/card-packs/:id/export', auth.requireAuth, (req, res) => {
+    try {
+      const pack = requirePack(req, res);
+      if (!pack) {
+        return;
+      }
+
+      let file;
+      try {
+        file = store.exportPack(pack.id, req.user.id, req.query.format || 'json');
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      res.send(file.body);
+    } catch (error) {
+      logger.error('Error exporting card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Replace a pack's name, description or cards
+  app.put('/api/card-packs/:id', auth.requireAuth, (req, res) => {
+    try {
+      const pack = requirePack(req, res, { write: true });
+      if (!pack) {
+        return;
+      }
+
+      const { type, name, description, cards } = req.body;
+      let updated;
+      try {
+        updated = store.updatePack(pack.id, req.user.id, { type, name, description, cards });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        pack: updated
+      });
+    } catch (error) {
+      logger.error('Error updating card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  app.delete('/api/card-packs/:id', auth.requireAuth, (req, res) => {
+    try {
+      const pack = requirePack(req, res, { write: true });
+      if (!pack) {
+        return;
+      }
+
+      store.deletePack(pack.id, req.user.id);
+      res.json({
+        success: true,
+        id: pack.id
+      });
+    } catch (error) {
+      logger.error('Error deleting card pack', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+};
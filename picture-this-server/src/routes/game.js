@@ -2,26 +2,41 @@
  * ---
  * title: Game API Routes
  * purpose: Handles REST API endpoints for game operations including
- *          game creation, starting games, and submitting card selections.
+ *          game creation, starting games, submitting card selections and favorite votes.
  *          Manages game flow from lobby through gameplay phases.
  * exports: function(app, deps) - Route registration function
  * dependencies: gameManager, sessionManager, auth, io, logger
  * ---
  */
 
-const fs = require('fs');
-const path = require('path');
 const logger = require('../config/logger');
 const auth = require('../../auth');
-const ImageGeneratorService = require('../services/ImageGeneratorService');
-const PromptFormatter = require('../utils/promptFormatter');
+const { PHASES } = require('../game/phases');
+const { createScoringRules } = require('../game/scoring');
+const { createJudgingRules } = require('../game/judging');
+const { createJudgeRotation } = require('../game/judgeRotation');
+const { ART_STYLE_POLICIES, createArtStyleRules, listArtStyles } = require('../game/artStyles');
+const { createRetentionPolicy } = require('../services/ImageRetention');
+const { getPromptTemplateRegistry } = require('../utils/promptTemplates');
+const { isModerationError } = require('../game/moderation');
 
 module.exports = function(app, { gameManager, sessionManager, auth, io, logger }) {
 
   // Create game endpoint (Story 1.6: Host Create Game Session)
   app.post('/api/game/create-session', auth.requireAuth, (req, res) => {
     try {
-      const { maxRounds, maxPlayers } = req.body;
+      const {
+        maxRounds,
+        maxPlayers,
+        scoringRules,
+        judgingRules,
+        judgeRotation,
+        forceFreshImages,
+        imageRetention,
+        promptTemplateSet,
+        artStyleRules,
+        cardPacks
+      } = req.body;
       const hostId = req.user.id;
       
       // Validation
@@ -42,8 +57,52 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         });
       }
       
-      // Create session with GameSessionManager
-      const session = sessionManager.createSession(hostId, maxRoundsVal, maxPlayersVal);
+      if (forceFreshImages !== undefined && typeof forceFreshImages !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'forceFreshImages must be a boolean'
+        });
+      }
+      
+      let rules;
+      let judging;
+      let rotation;
+      let retention;
+      let templateSet;
+      let artStyles;
+      try {
+        rules = createScoringRules(scoringRules);
+        judging = createJudgingRules(judgingRules);
+        rotation = createJudgeRotation(judgeRotation);
+        retention = imageRetention ? createRetentionPolicy(imageRetention) : null;
+        templateSet = getPromptTemplateRegistry().validateSet(promptTemplateSet);
+        artStyles = createArtStyleRules(artStyleRules || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      // Create session with GameSessionManager (the engine moderates art styles and resolves card packs)
+      let session;
+      try {
+        session = sessionManager.createSession(hostId, maxRoundsVal, maxPlayersVal, {
+          scoringRules: rules,
+          judgingRules: judging,
+          judgeRotation: rotation.strategy,
+          forceFreshImages,
+          imageRetention: retention,
+          promptTemplateSet: templateSet,
+          artStyleRules: artStyles,
+          cardPacks
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
       
       logger.info('Game session created', { 
         code: session.code,
@@ -64,7 +123,15 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         createdAt: session.createdAt,
         settings: {
           maxPlayers: maxPlayersVal,
-          maxRounds: maxRoundsVal
+          maxRounds: maxRoundsVal,
+          scoringRules: session.scoringRules,
+          judgingRules: session.judgingRules,
+          judgeRotation: session.judgeRotation.strategy,
+          forceFreshImages: session.forceFreshImages,
+          imageRetention: session.imageRetention,
+          promptTemplateSet: session.promptTemplateSet,
+          artStyleRules: session.artStyleRules,
+          cardPacks: session.cardPacks
         }
       });
     } catch (error) {
@@ -107,31 +174,8 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         });
       }
 
-      // Default sentence templates (Story 1.3 would load from database)
-      let sentenceTemplates = [];
-      try {
-        const sentenceDataPath = path.join(__dirname, '../..', 'data', 'sentence-cards.json');
-        const sentenceData = JSON.parse(fs.readFileSync(sentenceDataPath, 'utf8'));
-        if (sentenceData && sentenceData.cards && sentenceData.cards.length > 0) {
-          sentenceTemplates = sentenceData.cards.map(card => card.text);
-          logger.info('Loaded sentence templates from JSON', { count: sentenceTemplates.length });
-        }
-      } catch (error) {
-        logger.warn('Failed to load sentence templates from JSON, using defaults', { error: error.message });
-        // Fallback to hardcoded templates
-        sentenceTemplates = [
-          'I SAW A _____ TRYING TO _____',
-          'THE _____ WAS _____ AND _____',
-          'MY FRIEND _____ LOVES _____',
-          'IN THE _____, THERE WAS A _____',
-          'THE BEST _____ I EVER SAW WAS _____',
-          'A _____ IS NOT A _____',
-          'IF I HAD A _____, I WOULD _____'
-        ];
-      }
-
-      // Start the game
-      const updatedSession = sessionManager.startGame(code, sentenceTemplates);
+      // Start the game (sentences come from the card repository's sentence pack)
+      const updatedSession = sessionManager.startGame(code);
 
       // Find the judge player info (may be null in single-player mode)
       const judge = updatedSession.judgeId 
@@ -155,32 +199,7 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         avatar: judge.avatar
       } : null;
 
-      // Broadcast game-started event to all connected players via WebSocket using code-based room
-      io.to(`game-${code}`).emit('game-started', {
-        gameId: updatedSession.gameId,
-        code: updatedSession.code,
-        round: updatedSession.currentRound,
-        judge: judgeInfo,
-        isSinglePlayer: updatedSession.isSinglePlayer,
-        sentence: updatedSession.sentenceTemplate,
-        time_remaining: 45,
-        max_rounds: updatedSession.maxRounds,
-        status: 'round_1_selection'
-      });
-
-      // Start countdown timer (emit every second)
-      let timeRemaining = 45;
-      const countdownInterval = setInterval(() => {
-        timeRemaining--;
-        if (timeRemaining <= 0) {
-          clearInterval(countdownInterval);
-          // Would auto-submit here in full implementation
-        } else {
-          io.to(`game-${code}`).emit('timer-update', {
-            time_remaining: timeRemaining
-          });
-        }
-      }, 1000);
+      // game-started and timer-update are relayed to the room by GameManager
 
       // Return response to host
       res.json({
@@ -191,9 +210,9 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         judge: judgeInfo,
         isSinglePlayer: updatedSession.isSinglePlayer,
         sentence: updatedSession.sentenceTemplate,
-        time_remaining: timeRemaining,
+        time_remaining: Math.ceil(updatedSession.phaseTimeoutMs / 1000),
         max_rounds: updatedSession.maxRounds,
-        status: 'round_1_selection'
+        status: updatedSession.currentPhase
       });
     } catch (error) {
       logger.error('Error starting game', { error: error.message });
@@ -228,20 +247,50 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
       }
 
       // Validate game is in selection phase
-      if (session.currentPhase !== 'round_1_selection' && session.currentPhase !== 'round_voting') {
+      if (session.currentPhase !== PHASES.SELECTION) {
         return res.status(400).json({
           success: false,
           error: `Game is not in selection phase (current: ${session.currentPhase})`
         });
       }
 
-      // Record the player's selection (including selectedCards and artStyle for image gen)
+      // Record the player's selection; the cards are looked up in their hand by index
       const selectionData = {
         selections,
         selectedCards,
         artStyle
       };
-      const updatedSession = sessionManager.recordPlayerSelection(code, playerId, selectionData);
+      let updatedSession;
+      try {
+        updatedSession = sessionManager.recordPlayerSelection(code, playerId, selectionData);
+      } catch (error) {
+        if (isModerationError(error)) {
+          // Nothing was recorded; the player can pick again until the timer runs out
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            reasons: error.reasons,
+            timeRemaining: error.timeRemaining
+          });
+        }
+        // Not their turn, or cards that aren't in their hand
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      // An external moderation provider is still reviewing it; the verdict arrives as
+      // a selection-rejected socket event or as the usual selection-submitted broadcast
+      if (sessionManager.isSelectionPending(code, playerId)) {
+        return res.status(202).json({
+          success: true,
+          pending: true,
+          code: updatedSession.code,
+          playerId
+        });
+      }
 
       // Validate session after recording selection
       if (!updatedSession || !updatedSession.players) {
@@ -277,42 +326,8 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
         isSinglePlayer: updatedSession.isSinglePlayer
       });
 
-      // Broadcast update to all players
-      io.to(`game-${code}`).emit('selection-submitted', {
-        playerId,
-        submittedCount,
-        totalPlayers
-      });
-
-      // START IMAGE GENERATION IMMEDIATELY for this player (don't wait for all selections)
-      logger.info('Starting image generation for player', {
-        code,
-        gameId: updatedSession.gameId,
-        playerId,
-        round: updatedSession.currentRound
-      });
-
-      generateImageForPlayer(
-        code,
-        updatedSession,
-        playerId,
-        updatedSession.playerSelections[playerId],
-        updatedSession.sentenceTemplate,
-        sessionManager,
-        io,
-        logger
-      ).catch(error => {
-        logger.error('Image generation failed for player', {
-          code,
-          playerId,
-          error: error.message
-        });
-        // Broadcast error for this player
-        io.to(`game-${code}`).emit('image-generation-error', {
-          playerId,
-          error: error.message
-        });
-      });
+      // selection-submitted and image-ready are relayed to the room by GameManager;
+      // the engine starts this player's image as soon as the selection is recorded
 
       // Check if all non-judge players have submitted
       if (submittedCount === totalPlayers) {
@@ -342,6 +357,331 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
     }
   });
 
+  // Register a spectator; the token goes with each of their votes
+  app.post('/api/game/:code/spectate', (req, res) => {
+    try {
+      const { code } = req.params;
+
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      let spectator;
+      try {
+        spectator = sessionManager.addSpectator(code);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        code: session.code,
+        spectatorId: spectator.spectatorId,
+        token: spectator.token
+      });
+    } catch (error) {
+      logger.error('Error registering spectator', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Favorite voting - players (with their rejoin token) and registered spectators (with
+  // their spectator token) vote for a submitted image during VOTING
+  app.post('/api/game/:code/vote', (req, res) => {
+    try {
+      const { code } = req.params;
+      const { voterId, votedFor, token } = req.body;
+
+      if (!voterId || !votedFor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing voterId or votedFor'
+        });
+      }
+
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      if (!sessionManager.verifyVoter(code, voterId, token)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Voting needs the voter\'s rejoin token or spectator token'
+        });
+      }
+
+      let updatedSession;
+      try {
+        updatedSession = sessionManager.recordVote(code, voterId, votedFor);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.info('Favorite vote cast', { code, voterId, votedFor });
+
+      // vote-tally is relayed to the room by GameManager
+      res.json({
+        success: true,
+        code: updatedSession.code,
+        voterId,
+        votedFor,
+        phase: updatedSession.currentPhase,
+        ...sessionManager.getVoteTally(code)
+      });
+    } catch (error) {
+      logger.error('Error casting vote', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Host picks next round's judge (host-assigned rotation)
+  app.post('/api/game/:code/next-judge', auth.requireAuth, (req, res) => {
+    try {
+      const { code } = req.params;
+      const { playerId } = req.body;
+
+      if (!playerId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing playerId'
+        });
+      }
+
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      if (session.hostId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the host can assign the judge'
+        });
+      }
+
+      let updatedSession;
+      try {
+        updatedSession = sessionManager.assignNextJudge(code, req.user.id, playerId);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        code: updatedSession.code,
+        nextJudgeId: playerId,
+        judgeRotation: updatedSession.judgeRotation.strategy
+      });
+    } catch (error) {
+      logger.error('Error assigning next judge', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Prompt template sets a game can be created with (promptTemplateSet)
+  app.get('/api/game/prompt-template-sets', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        sets: getPromptTemplateRegistry().listSets()
+      });
+    } catch (error) {
+      logger.error('Error listing prompt template sets', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Built-in art styles and the policies a game can be created with (artStyleRules)
+  app.get('/api/game/art-styles', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        styles: listArtStyles(null),
+        policies: ART_STYLE_POLICIES
+      });
+    } catch (error) {
+      logger.error('Error listing art styles', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // A game's art style policy, round style and styles, custom ones included
+  app.get('/api/game/:code/art-styles', (req, res) => {
+    try {
+      const { code } = req.params;
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        code: session.code,
+        ...sessionManager.getArtStyles(code)
+      });
+    } catch (error) {
+      logger.error('Error getting art styles', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Host adds a custom art style: { name, description }
+  app.post('/api/game/:code/art-styles', auth.requireAuth, (req, res) => {
+    try {
+      const { code } = req.params;
+      const { name, description } = req.body;
+
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      if (session.hostId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the host can add art styles'
+        });
+      }
+
+      try {
+        sessionManager.addArtStyle(code, req.user.id, { name, description });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        code: session.code,
+        ...sessionManager.getArtStyles(code)
+      });
+    } catch (error) {
+      logger.error('Error adding art style', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Host locks a style for the current round or the whole game: { style, scope }.
+  // A null style clears the lock. Judges pick through /api/judge/:code/art-style.
+  app.post('/api/game/:code/art-style', auth.requireAuth, (req, res) => {
+    try {
+      const { code } = req.params;
+      const { style = null, scope = 'round' } = req.body;
+
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      if (session.hostId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the host can lock the art style'
+        });
+      }
+
+      try {
+        sessionManager.setArtStyle(code, req.user.id, style, { scope });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        code: session.code,
+        ...sessionManager.getArtStyles(code)
+      });
+    } catch (error) {
+      logger.error('Error setting art style', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Live favorite vote tally for the current round
+  app.get('/api/game/:code/votes', (req, res) => {
+    try {
+      const { code } = req.params;
+      const session = sessionManager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Game session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        code: session.code,
+        round: session.currentRound,
+        ...sessionManager.getVoteTally(code)
+      });
+    } catch (error) {
+      logger.error('Error getting vote tally', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   // Legacy create game endpoint
   app.post('/api/game/create', (req, res) => {
     try {
@@ -395,226 +735,3 @@ module.exports = function(app, { gameManager, sessionManager, auth, io, logger }
   });
 };
 
-/**
- * Helper function to generate image for a single player
- * @param {string} code - Game code
- * @param {Object} session - Game session object
- * @param {string} playerId - Player ID
- * @param {Object} selection - Player's card selections
- * @param {string} sentenceTemplate - Sentence template
- * @param {Object} sessionManager - SessionManager instance
- * @param {Object} io - Socket.io instance
- * @param {Object} logger - Logger instance
- */
-async function generateImageForPlayer(code, session, playerId, selection, sentenceTemplate, sessionManager, io, logger) {
-  try {
-    const startTime = Date.now();
-    
-    logger.info('Starting image generation for player (individual)', {
-      code,
-      gameId: session.gameId,
-      playerId,
-      round: session.currentRound || 1
-    });
-
-    // Initialize image generator
-    const imageGenerator = new ImageGeneratorService({
-      apiKey: process.env.OPENAI_API_KEY,
-      serviceType: process.env.IMAGE_GENERATION_SERVICE || 'dalle3',
-      timeout: parseInt(process.env.IMAGE_GENERATION_TIMEOUT || '60000', 10),
-      maxConcurrent: parseInt(process.env.IMAGE_GENERATION_MAX_CONCURRENT || '2', 10)
-    });
-
-    try {
-      // Get selected cards from selection object
-      // selection.selectedCards should contain the actual card objects sent from client
-      const selectedCards = selection.selectedCards;
-      
-      if (!selectedCards || !Array.isArray(selectedCards) || selectedCards.length === 0) {
-        throw new Error(`No selected cards provided for player ${playerId}`);
-      }
-      
-      logger.debug('Using selected cards for prompt', {
-        code,
-        playerId,
-        selectedCards,
-        cardCount: selectedCards.length
-      });
-
-      // Format the prompt
-      const { prompt, completedSentence, artStyle } = PromptFormatter.formatImagePrompt(
-        sentenceTemplate,
-        selectedCards,
-        selection.artStyle
-      );
-
-      logger.debug('Generating image for player', {
-        code,
-        playerId,
-        artStyle,
-        sentenceTemplate: sentenceTemplate.substring(0, 50) + '...'
-      });
-
-      // Generate image
-      const result = await imageGenerator.generateImage(
-        prompt,
-        code,
-        session.currentRound || 1,
-        playerId,
-        artStyle,
-        completedSentence
-      );
-
-      const elapsedMs = Date.now() - startTime;
-
-      const imageData = {
-        imageUrl: result.imageUrl,
-        imagePath: result.imagePath,
-        completedSentence: result.completedSentence,
-        artStyle: result.artStyle,
-        generatedAt: result.generatedAt,
-        isPlaceholder: result.isPlaceholder || false
-      };
-
-      // Store generated image in session
-      if (!session.generatedImages) {
-        session.generatedImages = {};
-      }
-      session.generatedImages[playerId] = imageData;
-      session.lastActivityAt = Date.now();
-      sessionManager.store.set(code, session);
-
-      logger.info('Image generated for player (individual)', {
-        code,
-        playerId,
-        isPlaceholder: result.isPlaceholder,
-        imagePath: result.imagePath,
-        elapsedMs
-      });
-
-      // Broadcast the generated image to all players
-      io.to(`game-${code}`).emit('image-ready', {
-        gameId: session.gameId,
-        code: session.code,
-        playerId,
-        imageUrl: imageData.imageUrl,
-        imagePath: imageData.imagePath,
-        completedSentence: imageData.completedSentence,
-        artStyle: imageData.artStyle,
-        generatedAt: imageData.generatedAt,
-        isPlaceholder: imageData.isPlaceholder,
-        elapsedMs
-      });
-
-      // Check if all images have been generated
-      const totalPlayersExpected = session.isSinglePlayer
-        ? session.players.length
-        : session.players.filter(p => p.playerId !== session.judgeId).length;
-      const generatedCount = Object.keys(session.generatedImages || {}).length;
-
-      logger.debug('Image generation progress', {
-        code,
-        generatedCount,
-        totalExpected: totalPlayersExpected,
-        complete: generatedCount === totalPlayersExpected
-      });
-
-      // If all images are ready, broadcast completion and auto-award in single-player
-      if (generatedCount === totalPlayersExpected) {
-        logger.info('All images generated', {
-          code,
-          totalGenerated: generatedCount,
-          isSinglePlayer: session.isSinglePlayer
-        });
-
-        // In single-player mode, auto-award winner
-        if (session.isSinglePlayer) {
-          const singlePlayerId = Object.keys(session.playerSelections)[0];
-          session.judgeSelection = {
-            firstPlace: singlePlayerId,
-            secondPlace: null
-          };
-
-          logger.info('Single-player mode: auto-assigned winner', {
-            code,
-            winnerId: singlePlayerId
-          });
-
-          // Broadcast results
-          io.to(`game-${code}`).emit('results_ready', {
-            gameId: session.gameId,
-            code: session.code,
-            round: session.currentRound,
-            isSinglePlayer: true,
-            results: {
-              round: session.currentRound,
-              firstPlace: singlePlayerId,
-              secondPlace: null,
-              timestamp: Date.now(),
-              isSinglePlayer: true
-            },
-            images: session.generatedImages,
-            players: session.players.map(p => ({
-              id: p.playerId,
-              name: p.name,
-              avatar: p.avatar,
-              score: p.score || 0
-            })),
-            timestamp: Date.now()
-          });
-        }
-      }
-
-    } catch (error) {
-      logger.error('Failed to generate image for player', {
-        code,
-        playerId,
-        error: error.message
-      });
-
-      // Use placeholder on error
-      const imageData = {
-        imageUrl: '/images/placeholder-image-error.png',
-        imagePath: '/images/placeholder-image-error.png',
-        completedSentence: 'Error generating image',
-        artStyle: 'Error',
-        generatedAt: new Date().toISOString(),
-        isPlaceholder: true,
-        error: error.message
-      };
-
-      // Store placeholder in session
-      if (!session.generatedImages) {
-        session.generatedImages = {};
-      }
-      session.generatedImages[playerId] = imageData;
-      sessionManager.store.set(code, session);
-
-      // Broadcast the error/placeholder
-      io.to(`game-${code}`).emit('image-ready', {
-        gameId: session.gameId,
-        code: session.code,
-        playerId,
-        imageUrl: imageData.imageUrl,
-        imagePath: imageData.imagePath,
-        completedSentence: imageData.completedSentence,
-        artStyle: imageData.artStyle,
-        generatedAt: imageData.generatedAt,
-        isPlaceholder: true,
-        error: error.message
-      });
-
-      throw error;
-    }
-
-  } catch (error) {
-    logger.error('Image generation failed with exception for player', {
-      code,
-      playerId,
-      error: error.message,
-      stack: error.stack
-    });
-
-    throw error;
-  }
-}
@@ -2,23 +2,39 @@
  * ---
  * title: Health Check Routes
  * purpose: Provides endpoints for monitoring server health and debugging.
- *          Includes health check for load balancers and debug endpoints
- *          for inspecting game/session state during development.
+ *          Includes health check for load balancers, image queue stats, and
+ *          debug endpoints for inspecting game/session state during development.
  * exports: function(app, deps) - Route registration function
- * dependencies: gameManager, sessionManager, logger
+ * dependencies: gameManager, sessionManager, logger, GameState (exportState)
  * ---
  */
 
+const { exportState } = require('../game/GameState');
+
 module.exports = function(app, { gameManager, sessionManager, logger }) {
   
   // Health check endpoint
   app.get('/api/health', (req, res) => {
     logger.info('Health check requested');
+    const queue = sessionManager.getImageQueueStats();
     res.json({
       status: 'ok',
       timestamp: Date.now(),
       activeGames: gameManager.getGameCount(),
-      activeSessions: sessionManager.getAllActiveSessions().length
+      activeSessions: sessionManager.getAllActiveSessions().length,
+      imageQueue: {
+        queued: queue.queued,
+        active: queue.active
+      }
+    });
+  });
+
+  // Image generation queue: depth per game, running requests, wait times
+  app.get('/api/health/image-queue', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: Date.now(),
+      ...sessionManager.getImageQueueStats()
     });
   });
 
@@ -31,7 +47,7 @@ module.exports = function(app, { gameManager, sessionManager, logger }) {
     });
   });
 
-  // Debug endpoint for session state
+  // Debug endpoint for session state (exported like the game state: no hands, deck or tokens)
   app.get('/api/debug/session/:code', (req, res) => {
     const { code } = req.params;
     const session = sessionManager.getSessionByCode(code);
@@ -44,7 +60,7 @@ module.exports = function(app, { gameManager, sessionManager, logger }) {
     }
     
     res.json({
-      session,
+      session: exportState(session),
       timestamp: Date.now()
     });
   });
@@ -2,27 +2,32 @@
  * ---
  * title: Judge Interface API Routes
  * purpose: REST API endpoints for judge interface - initializing judge phase, retrieving
- *          images, submitting judge selections, and tracking judge state.
+ *          images, submitting judge selections, and tracking judge state. The host can
+ *          decide on a timed-out judge's behalf when the game's fallback policy allows,
+ *          and the judge picks the round's art style under the judge-picks policy.
  * exports: setupJudgeRoutes function
- * dependencies: express, GameSessionManager
+ * dependencies: express, GameSessionManager, ImageVariants
  * ---
  */
 
+const { variantUrls } = require('../services/ImageVariants');
+
 /**
  * Setup judge interface routes
  * @param {Object} app - Express app instance
- * @param {Object} deps - Dependencies { sessionManager: GameSessionManager, gameManager: GameManager }
+ * @param {Object} deps - Dependencies { sessionManager: GameSessionManager, auth } auth enables
+ *                      the host decision route
  */
 function setupJudgeRoutes(app, deps) {
   if (!deps || !deps.sessionManager) {
     throw new Error('setupJudgeRoutes requires sessionManager in dependencies');
   }
   
-  const { sessionManager: manager, gameManager } = deps;
+  const { sessionManager: manager } = deps;
 
   /**
    * GET /api/judge/:code/images
-   * Get all submitted images for judge to review
+   * Get all submitted images for judge to review; variants has thumb, mid and original URLs
    */
   app.get('/api/judge/:code/images', (req, res) => {
     try {
@@ -33,36 +38,18 @@ function setupJudgeRoutes(app, deps) {
         return res.status(404).json({ error: 'Session not found' });
       }
 
-      // Try to get images from GameManager first (WebSocket flow)
-      let images = [];
-      if (gameManager) {
-        const game = gameManager.getGameByCode(code);
-        if (game && game.generatedImages) {
-          // Convert generatedImages map to array
-          images = Object.entries(game.generatedImages).map(([playerId, imgData], index) => ({
-            playerId,
-            playerNumber: index + 1,
-            imageUrl: imgData.imagePath || imgData.imageUrl,
-            completedSentence: imgData.completedSentence,
-            artStyle: imgData.artStyle,
-            generatedAt: imgData.generatedAt,
-            isPlaceholder: imgData.isPlaceholder || false
-          }));
-        }
-      }
-
-      // Fallback: check if images are stored in session
-      if (images.length === 0 && session.generatedImages) {
-        images = Object.entries(session.generatedImages).map(([playerId, imgData], index) => ({
-          playerId,
-          playerNumber: index + 1,
-          imageUrl: imgData.imagePath || imgData.imageUrl,
-          completedSentence: imgData.completedSentence,
-          artStyle: imgData.artStyle,
-          generatedAt: imgData.generatedAt,
-          isPlaceholder: imgData.isPlaceholder || false
-        }));
-      }
+      // Images live on the shared game state for both REST and WebSocket games
+      const images = Object.entries(session.generatedImages || {}).map(([playerId, imgData], index) => ({
+        playerId,
+        playerNumber: index + 1,
+        imageUrl: imgData.imagePath || imgData.imageUrl,
+        variants: imgData.variants || variantUrls(imgData.imagePath || imgData.imageUrl),
+        completedSentence: imgData.completedSentence,
+        artStyle: imgData.artStyle,
+        generatedAt: imgData.generatedAt,
+        isPlaceholder: imgData.isPlaceholder || false,
+        fromCache: imgData.fromCache || false
+      }));
 
       res.json({
         gameCode: code,
@@ -92,9 +79,12 @@ function setupJudgeRoutes(app, deps) {
         return res.status(404).json({ error: 'Session not found' });
       }
 
+      // Second place can only be skipped when there was a single submission to rank
+      const submissionCount = Object.keys(session.playerSelections || {}).length;
+
       // Validate judge is submitting (optional, can be enforced on client)
       // Validate both selections are provided
-      if (!firstPlaceId || !secondPlaceId) {
+      if (!firstPlaceId || (!secondPlaceId && submissionCount > 1)) {
         return res.status(400).json({ error: 'Both 1st and 2nd place selections required' });
       }
 
@@ -105,35 +95,37 @@ function setupJudgeRoutes(app, deps) {
 
       // Validate both players are in the session
       const firstPlace = session.players.find(p => p.playerId === firstPlaceId);
-      const secondPlace = session.players.find(p => p.playerId === secondPlaceId);
+      const secondPlace = secondPlaceId ? session.players.find(p => p.playerId === secondPlaceId) : null;
 
-      if (!firstPlace || !secondPlace) {
+      if (!firstPlace || (secondPlaceId && !secondPlace)) {
         return res.status(400).json({ error: 'Invalid player selection' });
       }
 
-      // Store judge's selections in session
-      session.judgeSelections = {
-        firstPlaceId,
-        secondPlaceId,
-        submittedAt: Date.now()
-      };
-
-      manager.store.set(code, session);
+      // Record the picks through the engine (validates phase and advances to results)
+      let updated;
+      try {
+        updated = manager.recordJudgeSelection(code, firstPlaceId, secondPlaceId);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
 
       // Emit event for real-time updates
       manager.emit('onJudgeSelectionSubmitted', code, {
         firstPlaceId,
         secondPlaceId,
         firstPlaceName: firstPlace.name,
-        secondPlaceName: secondPlace.name
+        secondPlaceName: secondPlace ? secondPlace.name : null
       });
 
       res.json({
         success: true,
         message: 'Selections submitted',
+        phase: updated.currentPhase,
         selections: {
+          firstPlaceId,
+          secondPlaceId: secondPlaceId || null,
           firstPlace: { playerId: firstPlaceId, name: firstPlace.name },
-          secondPlace: { playerId: secondPlaceId, name: secondPlace.name }
+          secondPlace: secondPlace ? { playerId: secondPlaceId, name: secondPlace.name } : null
         }
       });
     } catch (error) {
@@ -142,6 +134,91 @@ function setupJudgeRoutes(app, deps) {
     }
   });
 
+  /**
+   * POST /api/judge/:code/art-style
+   * The judge picks the round's art style (judge-picks policy), before any selection is in.
+   * The judge's ID is public, so the judge also presents their rejoin token.
+   * Body: { judgeId, style, token }
+   */
+  app.post('/api/judge/:code/art-style', (req, res) => {
+    try {
+      const { code } = req.params;
+      const { judgeId, style, token } = req.body;
+
+      const session = manager.getSessionByCode(code);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!judgeId || judgeId !== session.judgeId || !manager.verifyPlayer(code, judgeId, token)) {
+        return res.status(403).json({ error: 'Only the round\'s judge can pick its art style' });
+      }
+
+      let updated;
+      try {
+        updated = manager.setArtStyle(code, judgeId, style || null, { scope: 'round' });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({
+        success: true,
+        round: updated.currentRound,
+        roundArtStyle: updated.roundArtStyle
+      });
+    } catch (error) {
+      console.error('Error picking art style:', error);
+      res.status(500).json({ error: 'Failed to pick art style' });
+    }
+  });
+
+  /**
+   * POST /api/judge/:code/host-selection
+   * Host picks 1st and 2nd place after the judge timed out (host fallback policy)
+   * Body: { firstPlaceId, secondPlaceId }
+   */
+  if (deps.auth) {
+    app.post('/api/judge/:code/host-selection', deps.auth.requireAuth, (req, res) => {
+      try {
+        const { code } = req.params;
+        const { firstPlaceId, secondPlaceId } = req.body;
+
+        const session = manager.getSessionByCode(code);
+        if (!session) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (session.hostId !== req.user.id) {
+          return res.status(403).json({ error: 'Only the host can decide for the judge' });
+        }
+
+        if (!session.judgingFallback || !session.judgingFallback.awaitingHost) {
+          return res.status(409).json({ error: 'The judge has not handed the decision to the host' });
+        }
+
+        let updated;
+        try {
+          updated = manager.recordJudgeSelection(code, firstPlaceId, secondPlaceId, req.user.id);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json({
+          success: true,
+          message: 'Selections submitted by host',
+          phase: updated.currentPhase,
+          selections: {
+            firstPlaceId,
+            secondPlaceId: secondPlaceId || null
+          }
+        });
+      } catch (error) {
+        console.error('Error submitting host selection:', error);
+        res.status(500).json({ error: 'Failed to submit selection' });
+      }
+    });
+  }
+
   /**
    * GET /api/judge/:code/status
    * Get current judge phase status
@@ -157,11 +234,17 @@ function setupJudgeRoutes(app, deps) {
 
       res.json({
         gameCode: code,
+        status: session.status,
         phase: session.currentPhase,
         judgeId: session.judgeId,
-        hasSubmitted: !!session.judgeSelections,
+        hasSubmitted: !!session.judgeSelection,
         submissions: Object.keys(manager.getPlayerSelections(code) || {}).length,
-        totalPlayers: session.players.length
+        totalPlayers: session.players.length,
+        deadline: session.judgingDeadline,
+        timeRemaining: session.judgingDeadline
+          ? Math.max(0, Math.ceil((session.judgingDeadline - Date.now()) / 1000))
+          : null,
+        fallback: session.judgingFallback
       });
     } catch (error) {
       console.error('Error getting judge status:', error);
@@ -182,13 +265,16 @@ function setupJudgeRoutes(app, deps) {
         return res.status(404).json({ error: 'Session not found' });
       }
 
-      const selections = session.judgeSelections || {};
+      const selection = session.judgeSelection;
+      if (!selection) {
+        return res.status(404).json({ error: 'No selections submitted yet' });
+      }
 
       res.json({
         gameCode: code,
-        firstPlaceId: selections.firstPlaceId || null,
-        secondPlaceId: selections.secondPlaceId || null,
-        submittedAt: selections.submittedAt || null
+        firstPlaceId: selection.firstPlace || null,
+        secondPlaceId: selection.secondPlace || null,
+        submittedAt: selection.submittedAt || null
       });
     } catch (error) {
       console.error('Error getting judge selections:', error);
@@ -5,23 +5,89 @@
  *          Includes session creation, retrieval, joining, and statistics.
  *          Sessions track players, game state, and configuration.
  * exports: function(app, deps) - Route registration function
- * dependencies: sessionManager, auth, logger
+ * dependencies: sessionManager, auth, logger, GameState (computeStandings, publicPlayer), scoring, judging,
+ *               judgeRotation, artStyles
  * ---
  */
 
+const { computeStandings, publicPlayer } = require('../game/GameState');
+const { createScoringRules } = require('../game/scoring');
+const { createJudgingRules } = require('../game/judging');
+const { createJudgeRotation } = require('../game/judgeRotation');
+const { createArtStyleRules } = require('../game/artStyles');
+const { createRetentionPolicy } = require('../services/ImageRetention');
+const { getPromptTemplateRegistry } = require('../utils/promptTemplates');
+
 module.exports = function(app, { sessionManager, auth, logger }) {
 
   // Create a new game session
   app.post('/api/session/create', auth.requireAuth, (req, res) => {
     try {
-      const { maxRounds, maxPlayers } = req.body;
+      const {
+        maxRounds,
+        maxPlayers,
+        scoringRules,
+        judgingRules,
+        judgeRotation,
+        forceFreshImages,
+        imageRetention,
+        promptTemplateSet,
+        artStyleRules,
+        cardPacks
+      } = req.body;
       const hostId = req.user.id;
       
-      const session = sessionManager.createSession(
-        hostId,
-        maxRounds || 5,
-        maxPlayers || 8
-      );
+      if (forceFreshImages !== undefined && typeof forceFreshImages !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'forceFreshImages must be a boolean'
+        });
+      }
+      
+      let rules;
+      let judging;
+      let rotation;
+      let retention;
+      let templateSet;
+      let artStyles;
+      try {
+        rules = createScoringRules(scoringRules);
+        judging = createJudgingRules(judgingRules);
+        rotation = createJudgeRotation(judgeRotation);
+        retention = imageRetention ? createRetentionPolicy(imageRetention) : null;
+        templateSet = getPromptTemplateRegistry().validateSet(promptTemplateSet);
+        artStyles = createArtStyleRules(artStyleRules || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      // Custom art styles are moderated and card packs resolved by the engine
+      let session;
+      try {
+        session = sessionManager.createSession(
+          hostId,
+          maxRounds || 5,
+          maxPlayers || 8,
+          {
+            scoringRules: rules,
+            judgingRules: judging,
+            judgeRotation: rotation.strategy,
+            forceFreshImages,
+            imageRetention: retention,
+            promptTemplateSet: templateSet,
+            artStyleRules: artStyles,
+            cardPacks
+          }
+        );
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
       
       logger.info('Session created via API', { 
         sessionCode: session.code, 
@@ -33,7 +99,15 @@ module.exports = function(app, { sessionManager, auth, logger }) {
         success: true,
         gameId: session.gameId,
         code: session.code,
-        status: session.status
+        status: session.status,
+        scoringRules: session.scoringRules,
+        judgingRules: session.judgingRules,
+        judgeRotation: session.judgeRotation.strategy,
+        forceFreshImages: session.forceFreshImages,
+        imageRetention: session.imageRetention,
+        promptTemplateSet: session.promptTemplateSet,
+        artStyleRules: session.artStyleRules,
+        cardPacks: session.cardPacks
       });
     } catch (error) {
       logger.error('Error creating session', { error: error.message });
@@ -72,14 +146,29 @@ module.exports = function(app, { sessionManager, auth, logger }) {
         status: session.status,
         playerCount: session.players.length,
         maxPlayers: session.maxPlayers,
-        players: session.players,
+        players: session.players.map(publicPlayer), // Hands stay with their players
         sentenceTemplate: session.sentenceTemplate,
         judgeId: session.judgeId,
         judge: judgePlayer ? {
           id: judgePlayer.playerId,
           name: judgePlayer.name,
           avatar: judgePlayer.avatar
-        } : null
+        } : null,
+        scoringRules: session.scoringRules,
+        judgingRules: session.judgingRules,
+        judgeRotation: session.judgeRotation,
+        forceFreshImages: session.forceFreshImages,
+        imageRetention: session.imageRetention,
+        promptTemplateSet: session.promptTemplateSet,
+        artStyleRules: session.artStyleRules,
+        roundArtStyle: session.roundArtStyle,
+        cardPacks: session.cardPacks,
+        judgingDeadline: session.judgingDeadline,
+        judgingFallback: session.judgingFallback,
+        lastRoundResults: session.lastRoundResults,
+        roundHistory: session.roundHistory,
+        standings: session.finalStandings || computeStandings(session.players),
+        isGameOver: session.status === 'completed'
       });
     } catch (error) {
       logger.error('Error getting session', { error: error.message });
@@ -89,6 +178,43 @@ module.exports = function(app, { sessionManager, auth, logger }) {
     }
   });
 
+  // A player's own hand; the rejoin token from joining proves who is asking
+  app.get('/api/session/:code/hand', (req, res) => {
+    try {
+      const { code } = req.params;
+      const { playerId } = req.query;
+      const session = sessionManager.getSessionByCode(code);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      if (!sessionManager.verifyPlayer(code, playerId, req.get('X-Rejoin-Token'))) {
+        return res.status(403).json({
+          success: false,
+          error: 'A hand is only shown to its player (send the rejoin token)'
+        });
+      }
+
+      const player = session.players.find(p => p.id === playerId);
+      res.json({
+        success: true,
+        playerId,
+        round: session.currentRound,
+        hand: player.hand
+      });
+    } catch (error) {
+      logger.error('Error getting hand', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   // Join a session
   app.post('/api/session/:code/join', (req, res) => {
     try {
@@ -101,6 +227,9 @@ module.exports = function(app, { sessionManager, auth, logger }) {
         });
       }
       
+      const existing = sessionManager.getSessionByCode(code);
+      const rejoining = Boolean(existing && existing.players.some(p => p.id === playerId));
+      
       const session = sessionManager.joinSession(code, {
         playerId,
         name,
@@ -118,7 +247,10 @@ module.exports = function(app, { sessionManager, auth, logger }) {
         gameId: session.gameId,
         code: session.code,
         playerCount: session.players.length,
-        maxPlayers: session.maxPlayers
+        maxPlayers: session.maxPlayers,
+        // Presented over the socket (resume-game) to get this seat back after a disconnect.
+        // Only handed out once, to whoever created the seat.
+        rejoinToken: rejoining ? null : sessionManager.getRejoinToken(code, playerId)
       });
     } catch (error) {
       logger.error('Error joining session', { error: error.message });
@@ -0,0 +1,64 @@
+/**
+ * ---
+ * title: Spend Routes
+ * purpose: Image generation spend summaries from the cost ledger, grouped by day, game
+ *          or host. Hosts see only their own games; admins (ADMIN_EMAILS) see everyone
+ *          and may filter by hostId.
+ * exports: function(app, deps) - Route registration function
+ * dependencies: sessionManager, auth, logger, CostLedger (SPEND_GROUPINGS)
+ * ---
+ */
+
+const { SPEND_GROUPINGS } = require('../services/CostLedger');
+
+module.exports = function(app, { sessionManager, auth, logger }) {
+
+  // Spend summary: ?groupBy=day|game|host&hostId=&gameCode=&since=&until=
+  app.get('/api/spend/summary', auth.requireAuth, (req, res) => {
+    try {
+      const { groupBy = 'day', hostId, gameCode, since, until } = req.query;
+      const admin = auth.isAdmin(req.user);
+
+      if (!SPEND_GROUPINGS[groupBy]) {
+        return res.status(400).json({
+          success: false,
+          error: `groupBy must be one of ${Object.keys(SPEND_GROUPINGS).join(', ')}`
+        });
+      }
+
+      for (const [name, value] of [['since', since], ['until', until]]) {
+        if (value !== undefined && Number.isNaN(Date.parse(value))) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} must be a date`
+          });
+        }
+      }
+
+      if (!admin && hostId && hostId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only admins can view other hosts\' spend'
+        });
+      }
+
+      const summary = sessionManager.getSpendSummary(groupBy, {
+        hostId: admin ? hostId : req.user.id,
+        gameCode: gameCode ? gameCode.toUpperCase() : undefined,
+        since,
+        until
+      });
+
+      res.json({
+        success: true,
+        ...summary
+      });
+    } catch (error) {
+      logger.error('Error getting spend summary', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+};
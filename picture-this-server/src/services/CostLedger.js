@@ -0,0 +1,368 @@
+/**
+ * ---
+ * title: Cost Ledger
+ * purpose: Records every image generation with its provider, size, estimated cost,
+ *          game, host and outcome, and answers spend questions over those records:
+ *          totals for budget checks and summaries grouped by day, game or host.
+ *          Entries are written through to a storage adapter (collection 'image-spend')
+ *          when one is given, so spend survives restarts. Entries older than the detail
+ *          window are compacted into one record per UTC day, game and host (collection
+ *          'image-spend-daily'), so memory and storage grow with games, not images.
+ *          Budgets (createBudgetPolicy) cap spend per game and per host per UTC day,
+ *          checked against running totals; once a cap is reached the engine generates
+ *          through the fallback instead.
+ * exports: CostLedger - Class holding the spend records
+ *          createBudgetPolicy - Validates and fills budget options
+ *          DEFAULT_BUDGETS, SPEND_OUTCOMES, SPEND_GROUPINGS
+ * dependencies: uuid
+ * ---
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const SPEND_COLLECTION = 'image-spend';
+const DAILY_SPEND_COLLECTION = 'image-spend-daily';
+const DEFAULT_DETAIL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BUDGETS = {
+  perGameUsd: null, // null = no cap
+  perHostDailyUsd: null, // Per host per UTC day; null = no cap
+  fallback: 'placeholder' // 'placeholder' or 'local' once a cap is reached
+};
+
+const BUDGET_FALLBACKS = ['placeholder', 'local'];
+
+const SPEND_OUTCOMES = {
+  GENERATED: 'generated',
+  CACHED: 'cached',
+  PLACEHOLDER: 'placeholder', // Provider failed every retry
+  FAILED: 'failed', // Generation threw before reaching the provider
+  BUDGET_PLACEHOLDER: 'budget-placeholder',
+  BUDGET_FALLBACK: 'budget-fallback',
+  CANCELLED: 'cancelled' // Game, round or player went away before the image finished
+};
+
+const SPEND_GROUPINGS = {
+  day: entry => entry.at.slice(0, 10),
+  game: entry => entry.gameId || entry.gameCode,
+  host: entry => entry.hostId || 'unknown'
+};
+
+/**
+ * Rounds a USD amount to a hundredth of a cent
+ * @private
+ */
+function _roundUsd(amount) {
+  return Math.round(amount * 10000) / 10000;
+}
+
+/**
+ * Records (entries or daily rollups) matching every given filter
+ * @private
+ */
+function _matching(records, filters) {
+  const since = filters.since ? new Date(filters.since).toISOString() : null;
+  const until = filters.until ? new Date(filters.until).toISOString() : null;
+  return records.filter(record =>
+    (!filters.hostId || record.hostId === filters.hostId) &&
+    (!filters.gameId || record.gameId === filters.gameId) &&
+    (!filters.gameCode || record.gameCode === filters.gameCode) &&
+    (!since || record.at >= since) &&
+    (!until || record.at < until)
+  );
+}
+
+/**
+ * Builds a budget policy from partial options
+ * @param {Object} options - { perGameUsd, perHostDailyUsd, fallback }
+ * @returns {Object} Complete budget policy
+ */
+function createBudgetPolicy(options = {}) {
+  const policy = { ...DEFAULT_BUDGETS, ...options };
+
+  for (const field of ['perGameUsd', 'perHostDailyUsd']) {
+    const value = policy[field];
+    if (value === undefined || value === null || value === '') {
+      policy[field] = null;
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+  }
+
+  if (!BUDGET_FALLBACKS.includes(policy.fallback)) {
+    throw new Error(`Unknown budget fallback "${policy.fallback}": expected one of ${BUDGET_FALLBACKS.join(', ')}`);
+  }
+
+  return policy;
+}
+
+class CostLedger {
+  /**
+   * Creates a ledger, loading earlier entries and daily rollups from storage
+   * @param {Object} options - { storage, logger, detailDays } storage is a storage adapter (see
+   *                           src/storage); detailDays is how many UTC days keep per-image entries
+   *                           (default 7, at least 1 since today's entries back the daily caps)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.logger = options.logger || null;
+    this.detailDays = Math.max(1, options.detailDays ?? DEFAULT_DETAIL_DAYS);
+    this.entries = this.storage ? this.storage.load(SPEND_COLLECTION) : [];
+    this.entries.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0)); // Oldest first
+    this.rollups = new Map(); // `${day} ${game} ${host}` -> { at, gameId, gameCode, hostId, costUsd, images, outcomes }
+    for (const rollup of this.storage ? this.storage.load(DAILY_SPEND_COLLECTION) : []) {
+      this.rollups.set(rollup.id, rollup);
+    }
+
+    // Running totals for budget checks
+    this.gameSpend = new Map(); // gameId -> USD
+    for (const record of [...this.rollups.values(), ...this.entries]) {
+      this._addGameSpend(record);
+    }
+    this.hostSpendDay = null; // UTC day hostSpend covers
+    this.hostSpend = new Map(); // hostId -> USD on hostSpendDay
+    this.compact();
+  }
+
+  /**
+   * Records one generation
+   * @param {Object} record - { provider, size, costUsd, gameId, gameCode, hostId, playerId, round, outcome }
+   * @returns {Object} Stored entry (with id and timestamp)
+   */
+  record(record) {
+    const entry = {
+      id: uuidv4(),
+      at: new Date().toISOString(),
+      provider: record.provider || null,
+      size: record.size || null,
+      costUsd: _roundUsd(record.costUsd || 0),
+      gameId: record.gameId || null,
+      gameCode: record.gameCode || null,
+      hostId: record.hostId || null,
+      playerId: record.playerId || null,
+      round: record.round ?? null,
+      outcome: record.outcome
+    };
+
+    this.entries.push(entry);
+    this._addGameSpend(entry);
+    if (!this._rollHostSpend() && entry.hostId) {
+      this.hostSpend.set(entry.hostId, (this.hostSpend.get(entry.hostId) || 0) + entry.costUsd);
+    }
+    this._persist(() => this.storage.save(SPEND_COLLECTION, entry.id, entry), entry.id);
+
+    if (this.entries[0].at < this._detailCutoff()) {
+      this.compact();
+    }
+    return entry;
+  }
+
+  /**
+   * Per-image entries (within the detail window) matching every given filter
+   * @param {Object} filters - { hostId, gameId, gameCode, since, until } since/until are Dates or ISO strings
+   * @returns {Array<Object>}
+   */
+  getEntries(filters = {}) {
+    return _matching(this.entries, filters);
+  }
+
+  /**
+   * Total estimated spend of the matching entries and daily rollups. Compacted days
+   * start at UTC midnight, so since/until count them whole.
+   * @param {Object} filters - See getEntries
+   * @returns {number} USD
+   */
+  totalSpend(filters = {}) {
+    const records = [...this.getEntries(filters), ..._matching([...this.rollups.values()], filters)];
+    return _roundUsd(records.reduce((total, record) => total + record.costUsd, 0));
+  }
+
+  /**
+   * Folds entries older than the detail window into daily rollups (one per UTC day,
+   * game and host) and drops them from memory and storage. Runs at load and whenever
+   * the oldest entry falls out of the window.
+   * @returns {number} Entries compacted
+   */
+  compact() {
+    const cutoff = this._detailCutoff();
+    const firstRecent = this.entries.findIndex(entry => entry.at >= cutoff);
+    const old = firstRecent === -1 ? this.entries : this.entries.slice(0, firstRecent);
+    if (old.length === 0) {
+      return 0;
+    }
+    this.entries = firstRecent === -1 ? [] : this.entries.slice(firstRecent);
+
+    const changed = new Map();
+    for (const entry of old) {
+      const day = entry.at.slice(0, 10);
+      const id = `${day} ${entry.gameId || entry.gameCode || ''} ${entry.hostId || ''}`;
+      const rollup = this.rollups.get(id) || {
+        id,
+        at: `${day}T00:00:00.000Z`,
+        gameId: entry.gameId,
+        gameCode: entry.gameCode,
+        hostId: entry.hostId,
+        costUsd: 0,
+        images: 0,
+        outcomes: {}
+      };
+      rollup.costUsd = _roundUsd(rollup.costUsd + entry.costUsd);
+      rollup.images++;
+      rollup.outcomes[entry.outcome] = (rollup.outcomes[entry.outcome] || 0) + 1;
+      this.rollups.set(id, rollup);
+      changed.set(id, rollup);
+    }
+    for (const rollup of changed.values()) {
+      this._persist(() => this.storage.save(DAILY_SPEND_COLLECTION, rollup.id, rollup), rollup.id);
+    }
+    for (const entry of old) {
+      this._persist(() => this.storage.remove(SPEND_COLLECTION, entry.id), entry.id);
+    }
+
+    // Games with no spend inside the window are long over: their caps no longer matter
+    const activeGames = new Set(this.entries.map(entry => entry.gameId));
+    for (const gameId of this.gameSpend.keys()) {
+      if (!activeGames.has(gameId)) {
+        this.gameSpend.delete(gameId);
+      }
+    }
+
+    if (this.logger) {
+      this.logger.info('Spend entries compacted', { entries: old.length, rollups: changed.size });
+    }
+    return old.length;
+  }
+
+  /**
+   * Spend grouped by day, game or host
+   * @param {string} groupBy - One of SPEND_GROUPINGS
+   * @param {Object} filters - See getEntries
+   * @returns {Object} { groupBy, totalUsd, images, groups: [{ key, costUsd, images, outcomes, ... }] }
+   */
+  summarize(groupBy, filters = {}) {
+    const keyOf = SPEND_GROUPINGS[groupBy];
+    if (!keyOf) {
+      throw new Error(`Unknown grouping "${groupBy}": expected one of ${Object.keys(SPEND_GROUPINGS).join(', ')}`);
+    }
+
+    // Entries count as one-image rollups, so both group the same way
+    const records = [
+      ..._matching([...this.rollups.values()], filters),
+      ...this.getEntries(filters).map(entry => ({ ...entry, images: 1, outcomes: { [entry.outcome]: 1 } }))
+    ];
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyOf(record);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          ...(groupBy === 'game' ? { gameCode: record.gameCode, hostId: record.hostId } : {}),
+          costUsd: 0,
+          images: 0,
+          outcomes: {}
+        });
+      }
+      const group = groups.get(key);
+      group.costUsd = _roundUsd(group.costUsd + record.costUsd);
+      group.images += record.images;
+      for (const [outcome, count] of Object.entries(record.outcomes)) {
+        group.outcomes[outcome] = (group.outcomes[outcome] || 0) + count;
+      }
+    }
+
+    return {
+      groupBy,
+      totalUsd: _roundUsd(records.reduce((total, record) => total + record.costUsd, 0)),
+      images: records.reduce((total, record) => total + record.images, 0),
+      groups: [...groups.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    };
+  }
+
+  /**
+   * Checks a game against the budget policy (the game cap first, then the host's day)
+   * @param {Object} budgets - Policy from createBudgetPolicy
+   * @param {Object} game - { gameId, hostId }
+   * @returns {Object} { exceeded, scope, spentUsd, capUsd } scope is 'game' or 'host'
+   */
+  checkBudget(budgets, { gameId, hostId }) {
+    if (budgets.perGameUsd !== null) {
+      const spentUsd = _roundUsd(this.gameSpend.get(gameId) || 0);
+      if (spentUsd >= budgets.perGameUsd) {
+        return { exceeded: true, scope: 'game', spentUsd, capUsd: budgets.perGameUsd };
+      }
+    }
+
+    if (budgets.perHostDailyUsd !== null && hostId) {
+      this._rollHostSpend();
+      const spentUsd = _roundUsd(this.hostSpend.get(hostId) || 0);
+      if (spentUsd >= budgets.perHostDailyUsd) {
+        return { exceeded: true, scope: 'host', spentUsd, capUsd: budgets.perHostDailyUsd };
+      }
+    }
+
+    return { exceeded: false };
+  }
+
+  /**
+   * @private
+   */
+  _addGameSpend(record) {
+    if (record.gameId) {
+      this.gameSpend.set(record.gameId, (this.gameSpend.get(record.gameId) || 0) + record.costUsd);
+    }
+  }
+
+  /**
+   * Rebuilds the per-host totals from today's entries once the UTC day has changed
+   * @returns {boolean} True if they were rebuilt (and so already count every entry)
+   * @private
+   */
+  _rollHostSpend() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (this.hostSpendDay !== today) {
+      this.hostSpendDay = today;
+      this.hostSpend = new Map();
+      for (const entry of this.entries) {
+        if (entry.hostId && entry.at.slice(0, 10) === today) {
+          this.hostSpend.set(entry.hostId, (this.hostSpend.get(entry.hostId) || 0) + entry.costUsd);
+        }
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Start of the oldest UTC day still kept as per-image entries
+   * @private
+   */
+  _detailCutoff() {
+    const start = new Date(Date.now() - (this.detailDays - 1) * DAY_MS);
+    start.setUTCHours(0, 0, 0, 0);
+    return start.toISOString();
+  }
+
+  /**
+   * Runs a storage write, logging rather than throwing on failure
+   * @private
+   */
+  _persist(write, id) {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      write();
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('Failed to persist spend entry', { id, error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = CostLedger;
+module.exports.createBudgetPolicy = createBudgetPolicy;
+module.exports.DEFAULT_BUDGETS = DEFAULT_BUDGETS;
+module.exports.SPEND_OUTCOMES = SPEND_OUTCOMES;
+module.exports.SPEND_GROUPINGS = SPEND_GROUPINGS;
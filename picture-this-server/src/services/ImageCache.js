@@ -0,0 +1,213 @@
+/**
+ * ---
+ * title: Image Cache
+ * purpose: Content-addressed store of generated images so an identical request (same
+ *          prompt, art style, provider and size) is served from disk instead of paying
+ *          for and waiting on another generation. Entries live as <dir>/<key>.png with
+ *          an index.json of sizes and timestamps; they expire after the TTL and the
+ *          least recently used are evicted once the cache grows past its size limit.
+ * exports: ImageCache - Class managing the cache directory
+ *          createCacheKey - Hashes the inputs that determine an image
+ *          DEFAULT_IMAGE_CACHE_DIR - Directory used when none is configured
+ * dependencies: crypto, fs, path
+ * ---
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_IMAGE_CACHE_DIR = path.join(__dirname, '../..', 'image-cache');
+const INDEX_FILE = 'index.json';
+
+/**
+ * Hashes everything that determines the generated image
+ * @param {Object} inputs - { prompt, artStyle, provider, size }
+ * @returns {string} SHA-256 hex digest
+ */
+function createCacheKey({ prompt, artStyle, provider, size }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([prompt, artStyle || null, provider, size || null]))
+    .digest('hex');
+}
+
+class ImageCache {
+  /**
+   * Creates (or reopens) a cache directory
+   * @param {Object} options - { dir, ttlMs, maxBytes, logger }
+   * @param {string} options.dir - Cache directory (default: picture-this-server/image-cache)
+   * @param {number} options.ttlMs - Entry lifetime in ms (default: 7 days)
+   * @param {number} options.maxBytes - Total size limit in bytes (default: 500 MB)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_IMAGE_CACHE_DIR;
+    this.ttlMs = options.ttlMs || 7 * 24 * 60 * 60 * 1000;
+    this.maxBytes = options.maxBytes || 500 * 1024 * 1024;
+    this.logger = options.logger || null;
+    this.hits = 0;
+    this.misses = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.entries = this._loadIndex(); // key -> { size, createdAt, lastUsedAt }
+  }
+
+  /**
+   * Looks up an image
+   * @param {string} key - Cache key from createCacheKey
+   * @returns {string|null} Absolute path of the cached file, or null on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    const filePath = this._filePath(key);
+    if (!entry || Date.now() - entry.createdAt > this.ttlMs || !fs.existsSync(filePath)) {
+      if (entry) {
+        this._remove(key);
+        this._saveIndex();
+      }
+      this.misses++;
+      return null;
+    }
+
+    entry.lastUsedAt = Date.now();
+    this._saveIndex();
+    this.hits++;
+    return filePath;
+  }
+
+  /**
+   * Stores a copy of an image, then evicts as needed
+   * @param {string} key - Cache key from createCacheKey
+   * @param {string|Buffer} source - Absolute path of the image to cache, or its bytes
+   */
+  put(key, source) {
+    const filePath = this._filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    if (Buffer.isBuffer(source)) {
+      fs.writeFileSync(tempPath, source);
+    } else {
+      fs.copyFileSync(source, tempPath);
+    }
+    fs.renameSync(tempPath, filePath);
+
+    const now = Date.now();
+    this.entries.set(key, { size: fs.statSync(filePath).size, createdAt: now, lastUsedAt: now });
+    this.evict();
+  }
+
+  /**
+   * Drops expired entries, then the least recently used until under the size limit
+   * @returns {number} Entries removed
+   */
+  evict() {
+    let removed = 0;
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this._remove(key);
+        removed++;
+      }
+    }
+
+    const byLastUse = [...this.entries].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    let totalBytes = this.totalBytes();
+    for (const [key, entry] of byLastUse) {
+      if (totalBytes <= this.maxBytes) {
+        break;
+      }
+      this._remove(key);
+      totalBytes -= entry.size;
+      removed++;
+    }
+
+    this._saveIndex();
+    if (removed > 0 && this.logger) {
+      this.logger.info('Image cache evicted entries', { removed, entries: this.entries.size, totalBytes });
+    }
+    return removed;
+  }
+
+  /**
+   * Total bytes of cached images
+   * @returns {number}
+   */
+  totalBytes() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} { entries, totalBytes, maxBytes, ttlMs, hits, misses }
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      totalBytes: this.totalBytes(),
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  /**
+   * Removes every cached image
+   */
+  clear() {
+    for (const key of [...this.entries.keys()]) {
+      this._remove(key);
+    }
+    this._saveIndex();
+  }
+
+  /**
+   * @private
+   */
+  _filePath(key) {
+    return path.join(this.dir, `${key}.png`);
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    this.entries.delete(key);
+    fs.rmSync(this._filePath(key), { force: true });
+  }
+
+  /**
+   * Reads index.json, keeping only entries whose file still exists
+   * @private
+   */
+  _loadIndex() {
+    const indexPath = path.join(this.dir, INDEX_FILE);
+    let saved = {};
+    if (fs.existsSync(indexPath)) {
+      try {
+        saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn('Image cache index unreadable, starting empty', { error: error.message });
+        }
+      }
+    }
+    return new Map(Object.entries(saved).filter(([key]) => fs.existsSync(this._filePath(key))));
+  }
+
+  /**
+   * @private
+   */
+  _saveIndex() {
+    const indexPath = path.join(this.dir, INDEX_FILE);
+    const tempPath = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+    fs.renameSync(tempPath, indexPath);
+  }
+}
+
+module.exports = ImageCache;
+module.exports.createCacheKey = createCacheKey;
+module.exports.DEFAULT_IMAGE_CACHE_DIR = DEFAULT_IMAGE_CACHE_DIR;
@@ -1,41 +1,130 @@
 /**
  * ---
  * title: Image Generator Service
- * purpose: Handles AI image generation via DALL-E 3 API with queue management,
- *          retry logic, and timeout handling.
+ * purpose: Handles AI image generation with queue management, retry logic, and
+ *          timeout handling. The backend is a pluggable provider (see imageProviders)
+ *          chosen by serviceType / IMAGE_GENERATION_SERVICE. Requests wait in the
+ *          process-wide ImageScheduler, which limits concurrency across all games and
+ *          takes games in turn; a 429 with Retry-After pauses that provider there.
+ *          Finished images are stored with thumb/mid variants and may be reused from
+ *          the content-addressed ImageCache. Each request reports progress through
+ *          'onImageProgress' listeners and can be cancelled by game, round or player.
  * exports: ImageGeneratorService - Class for generating images from prompts
- * dependencies: axios, fs, path, logger, PromptFormatter
+ *          isCancellationError - Whether an error means the request was cancelled
+ * dependencies: axios, fs, logger, PromptFormatter, imageProviders, ImageCache,
+ *               ImageScheduler, imageStores, ImageVariants
  * ---
  */
 
 const axios = require('axios');
 const fs = require('fs');
-const path = require('path');
 const logger = require('../config/logger');
 const PromptFormatter = require('../utils/promptFormatter');
+const { getImageProvider } = require('./imageProviders');
+const ImageCache = require('./ImageCache');
+const { createCacheKey } = ImageCache;
+const ImageScheduler = require('./ImageScheduler');
+const { createImageStore, imageKey } = require('./imageStores');
+const { IMAGE_VARIANTS, createImageVariants, variantUrls } = require('./ImageVariants');
+const { getSharedScheduler } = ImageScheduler;
+
+const CANCELLED_CODE = 'GENERATION_CANCELLED';
+const MAX_RETRY_AFTER_MS = 60000; // Longest Retry-After we wait out before giving up on the attempt
+
+/**
+ * Error a cancelled request rejects with
+ * @private
+ */
+function _cancellationError() {
+  const error = new Error('Image generation cancelled');
+  error.code = CANCELLED_CODE;
+  return error;
+}
+
+/**
+ * Milliseconds a rate-limited response asks us to wait (Retry-After as seconds or an
+ * HTTP date), or null when it doesn't say
+ * @private
+ */
+function _retryAfterMs(error) {
+  const headers = error && error.response && error.response.headers;
+  const value = headers && (headers['retry-after'] ?? headers['Retry-After']);
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether an error means the request was cancelled
+ * @param {Error} error - Error from generateImage
+ * @returns {boolean}
+ */
+function isCancellationError(error) {
+  return Boolean(error) && error.code === CANCELLED_CODE;
+}
 
 class ImageGeneratorService {
   /**
    * Creates a new image generator service
    * @param {Object} config - Configuration options
-   * @param {string} config.apiKey - OpenAI API key
-   * @param {string} config.serviceType - Service type (dalle3 or stability-ai)
+   * @param {string} config.apiKey - API key (required only by providers that need one, e.g. dalle3)
+   * @param {string} config.serviceType - Provider name (dalle3, local, stable-diffusion, or any registered provider)
    * @param {number} config.timeout - Request timeout in milliseconds (default: 60000)
-   * @param {number} config.maxConcurrent - Max concurrent requests (default: 2)
+   * @param {ImageScheduler} config.scheduler - Scheduler to queue requests in (default: the process-wide
+   *        one, limited by IMAGE_GENERATION_MAX_CONCURRENT)
+   * @param {number} config.maxConcurrent - Gives this service a private scheduler with this limit instead
+   * @param {Object} config.providerOptions - Provider-specific settings (e.g. stable-diffusion baseUrl, steps)
+   * @param {Object} config.imageStore - Image store instance, or createImageStore options
+   *        (default: IMAGE_STORE, local disk under public/generated-images)
+   * @param {Array<Object>|boolean} config.variants - Variants saved with each image (see ImageVariants),
+   *        or false for none (default: IMAGE_VARIANTS unless IMAGE_VARIANTS_ENABLED=false)
+   * @param {ImageCache|Object|boolean} config.cache - ImageCache instance, { dir, ttlMs, maxBytes }, or false
+   *        (default: enabled with IMAGE_CACHE_* settings when IMAGE_CACHE_ENABLED=true)
    */
   constructor(config = {}) {
     this.serviceType = config.serviceType || 'dalle3';
     this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
     this.timeout = config.timeout || parseInt(process.env.IMAGE_GENERATION_TIMEOUT || '60000', 10);
-    this.maxConcurrent = config.maxConcurrent || parseInt(process.env.IMAGE_GENERATION_MAX_CONCURRENT || '2', 10);
+    this.providerOptions = config.providerOptions || {};
     
-    if (!this.apiKey) {
+    const provider = getImageProvider(this.serviceType);
+
+    if (!provider) {
+      logger.warn('Unknown image provider, generation will fail until it is registered', {
+        serviceType: this.serviceType
+      });
+    }
+    if ((!provider || provider.requiresApiKey) && !this.apiKey) {
       throw new Error('API key is required for ImageGeneratorService');
     }
     
-    // Queue for managing concurrent requests
-    this.queue = [];
-    this.activeRequests = 0;
+    this.cache = this._createCache(config.cache);
+
+    // Where finished images are written
+    this.imageStore = config.imageStore && typeof config.imageStore.put === 'function'
+      ? config.imageStore
+      : createImageStore(config.imageStore);
+    this.variants = this._variantsOption(config.variants);
+
+    // Queue for managing concurrent requests, shared with every other service by default
+    this.scheduler = config.scheduler ||
+      (config.maxConcurrent ? new ImageScheduler({ maxConcurrent: config.maxConcurrent }) : getSharedScheduler());
+
+    // Cache key -> pending generation, so identical concurrent requests generate once
+    this.inFlight = new Map();
+
+    // Unfinished requests, { controller, gameCode, roundId, playerId }, for cancel()
+    this.cancellables = new Set();
+
+    // Progress listeners
+    this.eventListeners = {};
     
     // Placeholder image path
     this.placeholderPath = '/images/placeholder-image-error.png';
@@ -43,10 +132,150 @@ class ImageGeneratorService {
     logger.info('ImageGeneratorService initialized', {
       serviceType: this.serviceType,
       timeout: this.timeout,
-      maxConcurrent: this.maxConcurrent
+      maxConcurrent: this.maxConcurrent,
+      cacheEnabled: Boolean(this.cache)
+    });
+  }
+
+  /**
+   * Concurrency limit of the scheduler this service queues in
+   * @returns {number}
+   */
+  get maxConcurrent() {
+    return this.scheduler.maxConcurrent;
+  }
+
+  /**
+   * Requests running in the scheduler (across every service sharing it)
+   * @returns {number}
+   */
+  get activeRequests() {
+    return this.scheduler.active;
+  }
+
+  /**
+   * This service's requests still waiting, in the order they will start
+   * @returns {Array<Object>}
+   */
+  get queue() {
+    return this.scheduler.pending().filter(job => job.service === this).map(job => job.request);
+  }
+
+  /**
+   * Queue depth per game and wait times of the scheduler
+   * @returns {Object} See ImageScheduler.getStats
+   */
+  getQueueStats() {
+    return this.scheduler.getStats();
+  }
+
+  /**
+   * Register an event listener ('onImageProgress'). Progress events carry
+   * { status, gameCode, roundId, playerId, ... } with status queued (position),
+   * started (attempt), retrying (attempt, backoffMs, retryAfterMs, error),
+   * completed (fromCache, elapsedMs), failed (error; a placeholder is used) or cancelled.
+   * @param {string} eventName - Event name
+   * @param {function} callback - Callback function
+   */
+  on(eventName, callback) {
+    if (!this.eventListeners[eventName]) {
+      this.eventListeners[eventName] = [];
+    }
+    this.eventListeners[eventName].push(callback);
+  }
+
+  /**
+   * Emit an event; listener errors are logged, never thrown into generation
+   * @private
+   */
+  _emit(eventName, ...args) {
+    (this.eventListeners[eventName] || []).forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        logger.error(`Error in ${eventName} listener`, { error: error.message });
+      }
     });
   }
 
+  /**
+   * Reports one step of a request's lifecycle
+   * @param {string} status - queued, started, retrying, completed, failed or cancelled
+   * @param {Object} request - { gameCode, roundId, playerId }
+   * @param {Object} details - Status-specific fields
+   * @private
+   */
+  _reportProgress(status, request, details = {}) {
+    this._emit('onImageProgress', {
+      status,
+      gameCode: request.gameCode,
+      roundId: request.roundId,
+      playerId: request.playerId,
+      ...details
+    });
+  }
+
+  /**
+   * Resolves the cache option into an ImageCache (or null when disabled)
+   * @param {ImageCache|Object|boolean|undefined} option - config.cache
+   * @returns {ImageCache|null}
+   * @private
+   */
+  _createCache(option) {
+    if (option instanceof ImageCache) {
+      return option;
+    }
+    if (option === false || (option === undefined && process.env.IMAGE_CACHE_ENABLED !== 'true')) {
+      return null;
+    }
+
+    const settings = typeof option === 'object' && option !== null ? option : {};
+    const ttlSeconds = parseInt(process.env.IMAGE_CACHE_TTL_SECONDS || '', 10);
+    const maxMb = parseInt(process.env.IMAGE_CACHE_MAX_MB || '', 10);
+    return new ImageCache({
+      dir: settings.dir || process.env.IMAGE_CACHE_DIR || undefined,
+      ttlMs: settings.ttlMs || (ttlSeconds > 0 ? ttlSeconds * 1000 : undefined),
+      maxBytes: settings.maxBytes || (maxMb > 0 ? maxMb * 1024 * 1024 : undefined),
+      logger
+    });
+  }
+
+  /**
+   * Cache key for a prompt under a provider
+   * @param {string} prompt - Final image prompt
+   * @param {string} artStyle - Art style used
+   * @param {string} serviceType - Provider name (default: the configured one)
+   * @returns {string}
+   */
+  getCacheKey(prompt, artStyle, serviceType = this.serviceType) {
+    return createCacheKey({
+      prompt,
+      artStyle,
+      provider: serviceType,
+      size: this.getImageSize(serviceType)
+    });
+  }
+
+  /**
+   * Output size a provider reports
+   * @param {string} serviceType - Provider name (default: the configured one)
+   * @returns {string|null}
+   */
+  getImageSize(serviceType = this.serviceType) {
+    const provider = getImageProvider(serviceType);
+    return provider && typeof provider.size === 'function' ? provider.size(this) : null;
+  }
+
+  /**
+   * Estimated price of one generated image from a provider
+   * @param {string} serviceType - Provider name (default: the configured one)
+   * @returns {number} USD (0 when the provider doesn't say)
+   */
+  getImageCost(serviceType = this.serviceType) {
+    const provider = getImageProvider(serviceType);
+    return provider && typeof provider.cost === 'function' ? provider.cost(this) : 0;
+  }
+
   /**
    * Generates an image from a prompt
    * @param {string} prompt - Formatted prompt for image generation
@@ -55,78 +284,204 @@ class ImageGeneratorService {
    * @param {string} playerId - Player ID
    * @param {string} artStyle - Art style used
    * @param {string} completedSentence - Completed sentence with cards
-   * @returns {Promise<Object>} { imageUrl, imagePath, completedSentence, artStyle, generatedAt }
+   * @param {Object} options - { forceFresh, serviceType, signal } forceFresh skips cache lookups (the
+   *                            result is still cached); serviceType generates through another provider
+   *                            for this call; signal is an extra AbortSignal that cancels the request
+   * @returns {Promise<Object>} { imageUrl, imagePath, completedSentence, artStyle, generatedAt, fromCache,
+   *                             provider, size, estimatedCostUsd } estimatedCostUsd is 0 for cache hits
+   *                             and placeholders. Rejects with a GENERATION_CANCELLED error if cancelled.
    */
-  async generateImage(prompt, gameCode, roundId, playerId, artStyle, completedSentence) {
-    logger.info('Queueing image generation request', {
-      gameCode,
-      roundId,
-      playerId,
-      promptLength: prompt.length,
-      artStyle
-    });
+  async generateImage(prompt, gameCode, roundId, playerId, artStyle, completedSentence, options = {}) {
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    const cancellable = { controller, gameCode, roundId, playerId };
+    this.cancellables.add(cancellable);
 
-    return new Promise((resolve, reject) => {
-      this.queue.push({
-        prompt,
-        gameCode,
-        roundId,
-        playerId,
-        artStyle,
-        completedSentence,
-        resolve,
-        reject
+    try {
+      return await this._generate(prompt, gameCode, roundId, playerId, artStyle, completedSentence, {
+        ...options,
+        signal: controller.signal
       });
-      
-      this._processQueue();
-    });
+    } finally {
+      this.cancellables.delete(cancellable);
+    }
   }
 
   /**
-   * Processes the request queue
+   * Cancels unfinished requests. Queued ones leave the queue at once; running ones
+   * have their provider call aborted and write no file.
+   * @param {Object} scope - { gameCode, roundId, playerId } roundId and playerId narrow the match
+   * @returns {number} Requests cancelled
+   */
+  cancel({ gameCode, roundId, playerId } = {}) {
+    if (!gameCode) {
+      throw new Error('cancel needs a gameCode');
+    }
+
+    let cancelled = 0;
+    for (const entry of this.cancellables) {
+      if (entry.gameCode === gameCode &&
+          (roundId === undefined || entry.roundId === roundId) &&
+          (playerId === undefined || entry.playerId === playerId) &&
+          !entry.controller.signal.aborted) {
+        entry.controller.abort();
+        cancelled++;
+      }
+    }
+
+    const removed = this.scheduler.remove(job =>
+      job.service === this && Boolean(job.request.signal) && job.request.signal.aborted
+    );
+    for (const { job, reject } of removed) {
+      this._reportProgress('cancelled', job.request);
+      reject(_cancellationError());
+    }
+
+    if (cancelled > 0) {
+      logger.info('Cancelled image generation', { gameCode, roundId, playerId, cancelled });
+    }
+    return cancelled;
+  }
+
+  /**
+   * Generates (or serves from cache) one image for a cancellable request
    * @private
    */
-  async _processQueue() {
-    // Check if we can process more requests
-    if (this.activeRequests >= this.maxConcurrent || this.queue.length === 0) {
-      if (this.queue.length > 0 && this.activeRequests >= this.maxConcurrent) {
-        logger.debug('Queue throttled', {
-          queueLength: this.queue.length,
-          activeRequests: this.activeRequests,
-          maxConcurrent: this.maxConcurrent
-        });
+  async _generate(prompt, gameCode, roundId, playerId, artStyle, completedSentence, options) {
+    const serviceType = options.serviceType || this.serviceType;
+    const request = { prompt, gameCode, roundId, playerId, artStyle, completedSentence, serviceType, signal: options.signal };
+    const accounting = {
+      provider: serviceType,
+      size: this.getImageSize(serviceType)
+    };
+
+    if (!this.cache) {
+      const result = await this._enqueue(request);
+      return { ...result, ...accounting, fromCache: false, estimatedCostUsd: this._costOf(result, serviceType) };
+    }
+
+    const key = this.getCacheKey(prompt, artStyle, serviceType);
+
+    if (!options.forceFresh) {
+      if (this.inFlight.has(key)) {
+        await this.inFlight.get(key).catch(() => {});
+      }
+      if (request.signal.aborted) {
+        this._reportProgress('cancelled', request);
+        throw _cancellationError();
+      }
+
+      const cachedPath = this.cache.get(key);
+      if (cachedPath) {
+        const { imagePath, variants } = await this._saveImageWithVariants(
+          fs.readFileSync(cachedPath), gameCode, roundId, playerId
+        );
+        logger.info('Image served from cache', { gameCode, roundId, playerId, artStyle });
+        this._reportProgress('completed', request, { fromCache: true, elapsedMs: 0 });
+        return {
+          imageUrl: imagePath,
+          imagePath,
+          variants,
+          completedSentence,
+          artStyle,
+          generatedAt: new Date().toISOString(),
+          ...accounting,
+          fromCache: true,
+          estimatedCostUsd: 0
+        };
       }
-      return;
     }
 
-    const request = this.queue.shift();
-    this.activeRequests++;
-    
-    logger.debug('Processing queued image request', {
-      gameCode: request.gameCode,
-      playerId: request.playerId,
-      queueRemaining: this.queue.length,
-      activeRequests: this.activeRequests,
-      maxConcurrent: this.maxConcurrent
-    });
+    const pending = this._enqueue({ ...request, cacheKey: key });
+    this.inFlight.set(key, pending);
+    try {
+      const result = await pending;
+      return { ...result, ...accounting, fromCache: false, estimatedCostUsd: this._costOf(result, serviceType) };
+    } finally {
+      if (this.inFlight.get(key) === pending) {
+        this.inFlight.delete(key);
+      }
+    }
+  }
 
+  /**
+   * Resolves the variants option
+   * @param {Array<Object>|boolean|undefined} option - config.variants
+   * @returns {Array<Object>} Variants to save (empty = original only)
+   * @private
+   */
+  _variantsOption(option) {
+    if (Array.isArray(option)) {
+      return option;
+    }
+    if (option === false || (option === undefined && process.env.IMAGE_VARIANTS_ENABLED === 'false')) {
+      return [];
+    }
+    return IMAGE_VARIANTS;
+  }
+
+  /**
+   * Copies a freshly generated image into the cache; failures only cost a future hit
+   * @param {string} key - Cache key
+   * @param {Buffer} imageData - Image bytes
+   * @private
+   */
+  _storeInCache(key, imageData) {
     try {
-      const result = await this._executeGeneration(request);
-      request.resolve(result);
+      this.cache.put(key, imageData);
     } catch (error) {
-      request.reject(error);
-    } finally {
-      this.activeRequests--;
-      logger.debug('Completed image generation request', {
-        gameCode: request.gameCode,
-        playerId: request.playerId,
-        activeRequests: this.activeRequests,
-        queueRemaining: this.queue.length
-      });
-      this._processQueue(); // Process next item in queue
+      logger.warn('Failed to cache generated image', { key, error: error.message });
     }
   }
 
+  /**
+   * Estimated cost of a generation result (placeholders cost nothing)
+   * @private
+   */
+  _costOf(result, serviceType) {
+    return result.isPlaceholder ? 0 : this.getImageCost(serviceType);
+  }
+
+  /**
+   * Adds a generation request to the scheduler
+   * @param {Object} request - { prompt, gameCode, roundId, playerId, artStyle, completedSentence, serviceType }
+   * @returns {Promise<Object>} Generation result
+   * @private
+   */
+  _enqueue(request) {
+    logger.info('Queueing image generation request', {
+      gameCode: request.gameCode,
+      roundId: request.roundId,
+      playerId: request.playerId,
+      promptLength: request.prompt.length,
+      artStyle: request.artStyle,
+      serviceType: request.serviceType
+    });
+
+    const queued = { ...request, queuedAt: Date.now() };
+    return this.scheduler.schedule({
+      service: this,
+      request: queued,
+      gameCode: queued.gameCode,
+      provider: queued.serviceType,
+      onPosition: position => this._reportProgress('queued', queued, { position }),
+      run: () => {
+        logger.debug('Processing queued image request', {
+          gameCode: queued.gameCode,
+          playerId: queued.playerId,
+          waitedMs: Date.now() - queued.queuedAt
+        });
+        return this._executeGeneration(queued);
+      }
+    });
+  }
+
   /**
    * Executes image generation with retry logic
    * @param {Object} request - Request object
@@ -134,12 +489,21 @@ class ImageGeneratorService {
    * @private
    */
   async _executeGeneration(request) {
-    const { prompt, gameCode, roundId, playerId, artStyle, completedSentence } = request;
+    const { prompt, gameCode, roundId, playerId, artStyle, completedSentence, serviceType, signal, cacheKey } = request;
     const maxRetries = 3;
+    const startedAt = Date.now();
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      if (signal && signal.aborted) {
+        this._reportProgress('cancelled', request);
+        throw _cancellationError();
+      }
+
       try {
+        if (attempt === 1) {
+          this._reportProgress('started', request, { attempt, waitedMs: Date.now() - (request.queuedAt || Date.now()) });
+        }
         logger.info('Attempting image generation', {
           gameCode,
           playerId,
@@ -147,7 +511,13 @@ class ImageGeneratorService {
           maxRetries
         });
 
-        const result = await this._callImageAPI(prompt, gameCode, roundId, playerId);
+        const result = await this._callImageAPI(prompt, gameCode, roundId, playerId, {
+          completedSentence,
+          artStyle,
+          serviceType,
+          signal,
+          cacheKey
+        });
         
         logger.info('Image generation successful', {
           gameCode,
@@ -155,6 +525,11 @@ class ImageGeneratorService {
           attempt,
           imagePath: result.imagePath
         });
+        this._reportProgress('completed', request, {
+          fromCache: false,
+          attempt,
+          elapsedMs: Date.now() - startedAt
+        });
 
         return {
           ...result,
@@ -164,6 +539,11 @@ class ImageGeneratorService {
         };
 
       } catch (error) {
+        if (signal && signal.aborted) {
+          this._reportProgress('cancelled', request);
+          throw _cancellationError();
+        }
+
         lastError = error;
         logger.warn('Image generation attempt failed', {
           gameCode,
@@ -178,16 +558,29 @@ class ImageGeneratorService {
           break;
         }
 
-        // Exponential backoff: 1s, 2s, 4s
+        // Exponential backoff: 1s, 2s, 4s, or longer if a rate limit says so
+        const retryAfterMs = error.response && error.response.status === 429 ? _retryAfterMs(error) : null;
+        if (retryAfterMs !== null) {
+          // Hold back everyone else's requests to this provider too
+          this.scheduler.pause(serviceType, Math.min(retryAfterMs, MAX_RETRY_AFTER_MS));
+        }
         if (attempt < maxRetries) {
-          const backoffMs = Math.pow(2, attempt - 1) * 1000;
+          const backoffMs = Math.max(Math.pow(2, attempt - 1) * 1000, Math.min(retryAfterMs || 0, MAX_RETRY_AFTER_MS));
           logger.info('Backing off before retry', {
             gameCode,
             playerId,
             backoffMs,
             nextAttempt: attempt + 1
           });
-          await this._sleep(backoffMs);
+          this._reportProgress('retrying', request, {
+            attempt: attempt + 1,
+            maxRetries,
+            backoffMs,
+            retryAfterMs,
+            error: error.message,
+            statusCode: error.response ? error.response.status : null
+          });
+          await this._sleep(backoffMs, signal);
         }
       }
     }
@@ -198,10 +591,16 @@ class ImageGeneratorService {
       playerId,
       error: lastError?.message
     });
+    this._reportProgress('failed', request, {
+      error: lastError?.message,
+      placeholder: true,
+      elapsedMs: Date.now() - startedAt
+    });
 
     return {
       imageUrl: this.placeholderPath,
       imagePath: this.placeholderPath,
+      variants: variantUrls(this.placeholderPath),
       completedSentence,
       artStyle,
       generatedAt: new Date().toISOString(),
@@ -211,152 +610,89 @@ class ImageGeneratorService {
   }
 
   /**
-   * Calls the image generation API
+   * Generates one image through the configured provider and writes it to the image store
    * @param {string} prompt - Image prompt
    * @param {string} gameCode - Game code
    * @param {number} roundId - Round ID
    * @param {string} playerId - Player ID
-   * @returns {Promise<Object>} { imageUrl, imagePath }
+   * @param {Object} details - { completedSentence, artStyle, signal } passed on to the provider,
+   *                            serviceType to use another provider than the configured one, and
+   *                            cacheKey to also keep the image in the cache
+   * @returns {Promise<Object>} { imageUrl, imagePath, variants }
    * @private
    */
-  async _callImageAPI(prompt, gameCode, roundId, playerId) {
-    if (this.serviceType === 'dalle3') {
-      return await this._callDallE3(prompt, gameCode, roundId, playerId);
-    } else {
-      throw new Error(`Unsupported service type: ${this.serviceType}`);
+  async _callImageAPI(prompt, gameCode, roundId, playerId, details = {}) {
+    const serviceType = details.serviceType || this.serviceType;
+    const provider = getImageProvider(serviceType);
+    if (!provider) {
+      throw new Error(`Unsupported service type: ${serviceType}`);
     }
-  }
-
-  /**
-   * Calls DALL-E 3 API
-   * @param {string} prompt - Image prompt
-   * @param {string} gameCode - Game code
-   * @param {number} roundId - Round ID
-   * @param {string} playerId - Player ID
-   * @returns {Promise<Object>} { imageUrl, imagePath }
-   * @private
-   */
-  async _callDallE3(prompt, gameCode, roundId, playerId) {
-    const apiUrl = 'https://api.openai.com/v1/images/generations';
-    
-    const requestBody = {
-      model: 'dall-e-2',  // Using DALL-E 2 for cost savings ($0.020 vs $0.040 per image)
-      prompt: prompt,
-      n: 1,
-      size: '1024x1024',
-      response_format: 'url' // Get URL instead of base64 for efficiency
-    };
+    const { signal } = details;
 
-    logger.debug('Calling DALL-E 2 API', {
+    const output = await provider.generate({
+      prompt,
       gameCode,
+      roundId,
       playerId,
-      promptLength: prompt.length,
-      prompt: prompt  // Log the actual prompt being sent
-    });
-
-    try {
-      const response = await axios.post(apiUrl, requestBody, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.timeout
-      });
+      completedSentence: details.completedSentence,
+      artStyle: details.artStyle,
+      signal
+    }, this);
 
-      if (!response.data || !response.data.data || !response.data.data[0]) {
-        throw new Error('Invalid response from DALL-E 2 API');
-      }
-
-      const imageUrl = response.data.data[0].url;
-      
-      // Download and save the image
-      const imagePath = await this._downloadAndSaveImage(imageUrl, gameCode, roundId, playerId);
+    if (signal && signal.aborted) {
+      throw _cancellationError(); // Don't write files for cancelled work
+    }
 
-      return {
-        imageUrl: imagePath, // Return local path for serving
-        imagePath: imagePath
-      };
+    let imageData;
+    if (output && output.imageData) {
+      imageData = output.imageData;
+    } else if (output && output.remoteUrl) {
+      imageData = await this._downloadImage(output.remoteUrl, gameCode, roundId, playerId, signal);
+    } else {
+      throw new Error(`Image provider "${serviceType}" returned no image`);
+    }
 
-    } catch (error) {
-      if (error.response) {
-        logger.error('DALL-E 2 API error', {
-          gameCode,
-          playerId,
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data
-        });
-      } else if (error.code === 'ECONNABORTED') {
-        logger.error('DALL-E 2 API timeout', {
-          gameCode,
-          playerId,
-          timeout: this.timeout
-        });
-      } else {
-        logger.error('DALL-E 2 request failed', {
-          gameCode,
-          playerId,
-          error: error.message
-        });
-      }
-      throw error;
+    const { imagePath, variants } = await this._saveImageWithVariants(imageData, gameCode, roundId, playerId);
+    if (details.cacheKey) {
+      this._storeInCache(details.cacheKey, imageData);
     }
+
+    return {
+      imageUrl: imagePath, // URL the image store serves it at
+      imagePath: imagePath,
+      variants
+    };
   }
 
   /**
-   * Downloads and saves an image to local storage
+   * Downloads a provider-hosted image
    * @param {string} imageUrl - URL of the image to download
    * @param {string} gameCode - Game code
    * @param {number} roundId - Round ID
    * @param {string} playerId - Player ID
-   * @returns {Promise<string>} Local file path (web-accessible)
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<Buffer>} Image bytes
    * @private
    */
-  async _downloadAndSaveImage(imageUrl, gameCode, roundId, playerId) {
+  async _downloadImage(imageUrl, gameCode, roundId, playerId, signal) {
     try {
-      // Create directory structure: public/generated-images/{gameCode}/{roundId}/
-      const baseDir = path.join(__dirname, '../../public/generated-images');
-      const gameDir = path.join(baseDir, gameCode);
-      const roundDir = path.join(gameDir, `round-${roundId}`);
-
-      // Ensure directories exist
-      if (!fs.existsSync(baseDir)) {
-        fs.mkdirSync(baseDir, { recursive: true });
-      }
-      if (!fs.existsSync(gameDir)) {
-        fs.mkdirSync(gameDir, { recursive: true });
-      }
-      if (!fs.existsSync(roundDir)) {
-        fs.mkdirSync(roundDir, { recursive: true });
-      }
-
       // Download image
       const response = await axios.get(imageUrl, {
         responseType: 'arraybuffer',
-        timeout: 30000 // 30 second timeout for download
+        timeout: 30000, // 30 second timeout for download
+        signal
       });
 
-      // Save to file
-      const filename = `${playerId}.png`;
-      const filePath = path.join(roundDir, filename);
-      fs.writeFileSync(filePath, response.data);
-
-      // Return web-accessible path
-      const webPath = `/generated-images/${gameCode}/round-${roundId}/${filename}`;
-      
-      logger.info('Image downloaded and saved', {
-        gameCode,
-        roundId,
-        playerId,
-        filePath,
-        webPath,
-        sizeBytes: response.data.length
-      });
-
-      return webPath;
+      if (signal && signal.aborted) {
+        throw _cancellationError();
+      }
+      return Buffer.from(response.data);
 
     } catch (error) {
-      logger.error('Failed to download/save image', {
+      if (signal && signal.aborted) {
+        throw _cancellationError();
+      }
+      logger.error('Failed to download image', {
         gameCode,
         roundId,
         playerId,
@@ -366,6 +702,67 @@ class ImageGeneratorService {
     }
   }
 
+  /**
+   * Writes image bytes to the image store as {gameCode}/round-{roundId}/{playerId}.png
+   * @param {Buffer} imageData - PNG file contents
+   * @param {string} gameCode - Game code
+   * @param {number} roundId - Round ID
+   * @param {string} playerId - Player ID
+   * @param {string} variant - Variant name (omit for the original)
+   * @returns {Promise<string>} URL the image is served at
+   * @private
+   */
+  async _saveImage(imageData, gameCode, roundId, playerId, variant) {
+    const key = imageKey(gameCode, roundId, playerId, variant);
+    const url = await this.imageStore.put(key, imageData);
+
+    logger.info('Image saved', {
+      gameCode,
+      roundId,
+      playerId,
+      serviceType: this.serviceType,
+      variant: variant || 'original',
+      store: this.imageStore.type,
+      key,
+      url,
+      sizeBytes: imageData.length
+    });
+
+    return url;
+  }
+
+  /**
+   * Saves an image and its variants. Variants are best effort: if one can't be made
+   * (e.g. the provider returned something other than a PNG) the original serves that size.
+   * @param {Buffer} imageData - PNG file contents
+   * @param {string} gameCode - Game code
+   * @param {number} roundId - Round ID
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Object>} { imagePath, variants } variants is { thumb, mid, original }
+   * @private
+   */
+  async _saveImageWithVariants(imageData, gameCode, roundId, playerId) {
+    const imagePath = await this._saveImage(imageData, gameCode, roundId, playerId);
+    const urls = {};
+
+    if (this.variants.length > 0) {
+      try {
+        for (const variant of createImageVariants(imageData, this.variants)) {
+          urls[variant.name] = await this._saveImage(variant.data, gameCode, roundId, playerId, variant.name);
+        }
+      } catch (error) {
+        logger.warn('Failed to create image variants, serving the original', {
+          gameCode,
+          roundId,
+          playerId,
+          error: error.message
+        });
+      }
+    }
+
+    return { imagePath, variants: variantUrls(imagePath, urls) };
+  }
+
   /**
    * Generates images for all players in a round
    * @param {Object} gameState - Current game state
@@ -401,7 +798,12 @@ class ImageGeneratorService {
         const { prompt, completedSentence, artStyle } = PromptFormatter.formatImagePrompt(
           sentenceTemplate,
           selection.selectedCards || selection,
-          selection.artStyle // Pass art style if provided in selection
+          selection.artStyle, // Pass art style if provided in selection
+          {
+            templateSet: gameState.promptTemplateSet,
+            category: gameState.sentenceCategory,
+            provider: this.serviceType
+          }
         );
 
         logger.debug('Queuing image generation', {
@@ -419,7 +821,8 @@ class ImageGeneratorService {
           currentRound,
           playerId,
           artStyle,
-          completedSentence
+          completedSentence,
+          { forceFresh: Boolean(gameState.forceFreshImages) }
         ).catch(error => {
           logger.error('Image generation failed for player', {
             gameId,
@@ -431,6 +834,7 @@ class ImageGeneratorService {
           return {
             imageUrl: this.placeholderPath,
             imagePath: this.placeholderPath,
+            variants: variantUrls(this.placeholderPath),
             completedSentence,
             artStyle,
             generatedAt: new Date().toISOString(),
@@ -463,8 +867,7 @@ class ImageGeneratorService {
       queuedCount,
       skippedCount,
       totalPromises: promises.length,
-      currentQueueLength: this.queue.length,
-      activeRequests: this.activeRequests
+      queue: this.scheduler.getStats()
     });
 
     // Wait for all images to generate (with timeout)
@@ -501,6 +904,7 @@ class ImageGeneratorService {
           playerId,
           imageUrl: this.placeholderPath,
           imagePath: this.placeholderPath,
+          variants: variantUrls(this.placeholderPath),
           error: error.message,
           isPlaceholder: true
         });
@@ -528,12 +932,22 @@ class ImageGeneratorService {
   /**
    * Sleep utility
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} signal - Wakes up early when aborted
    * @returns {Promise<void>}
    * @private
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
   }
 }
 
 module.exports = ImageGeneratorService;
+module.exports.isCancellationError = isCancellationError;
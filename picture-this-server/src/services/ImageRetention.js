@@ -0,0 +1,221 @@
+/**
+ * ---
+ * title: Image Retention
+ * purpose: Decides when generated images are deleted from the image store. Each game
+ *          has a retention policy (createRetentionPolicy):
+ *            cleanup - delete every image when the game is cleaned up
+ *            days    - keep images for `days` after they were made (default, 7 days)
+ *            winners - when the game is cleaned up keep only round winners' images,
+ *                      for `days` if set, otherwise indefinitely
+ *          onGameCleaned applies the policy as soon as a game goes away and records it
+ *          (collection 'image-retention') so sweep can finish the job later: expire
+ *          old images, retry failed deletes, and clear images of games that vanished
+ *          without a cleanup. The sweep never touches games that are still running.
+ * exports: ImageRetention - Class applying retention to an image store
+ *          createRetentionPolicy - Validates and fills retention options
+ *          DEFAULT_RETENTION, RETENTION_MODES
+ * dependencies: imageStores (imageKey), ImageVariants
+ * ---
+ */
+
+const { imageKey } = require('./imageStores');
+const { IMAGE_VARIANTS } = require('./ImageVariants');
+
+const RETENTION_COLLECTION = 'image-retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_MODES = ['cleanup', 'days', 'winners'];
+
+const DEFAULT_RETENTION = {
+  mode: 'days',
+  days: 7 // Only the days mode has a default; winners keeps its images unless days is set
+};
+
+/**
+ * Builds a retention policy from partial options
+ * @param {Object} options - { mode, days }
+ * @returns {Object} { mode, days } days is null when images don't expire
+ */
+function createRetentionPolicy(options = {}) {
+  const mode = options.mode || DEFAULT_RETENTION.mode;
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`Unknown image retention mode "${mode}": expected one of ${RETENTION_MODES.join(', ')}`);
+  }
+
+  let days = options.days;
+  if (days === undefined || days === null || days === '') {
+    days = mode === 'days' ? DEFAULT_RETENTION.days : null;
+  } else if (typeof days !== 'number' || !Number.isFinite(days) || days <= 0) {
+    throw new Error('Image retention days must be a positive number');
+  }
+
+  return { mode, days: mode === 'cleanup' ? null : days };
+}
+
+class ImageRetention {
+  /**
+   * Creates a retention manager
+   * @param {Object} options - { store, storage, policy, logger } store is the image store;
+   *                           storage a storage adapter for retention records (optional);
+   *                           policy the default for games without their own
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.storage = options.storage || null;
+    this.policy = createRetentionPolicy(options.policy);
+    this.logger = options.logger || null;
+
+    // gameCode -> { gameCode, mode, days, keep, cleanedAt }
+    this.records = new Map();
+    if (this.storage) {
+      for (const record of this.storage.load(RETENTION_COLLECTION)) {
+        this.records.set(record.gameCode, record);
+      }
+    }
+  }
+
+  /**
+   * Policy a game's images follow
+   * @param {Object} state - Game state
+   * @returns {Object} { mode, days }
+   */
+  policyFor(state) {
+    return state && state.imageRetention ? state.imageRetention : this.policy;
+  }
+
+  /**
+   * Records a cleaned-up game's policy and deletes what it no longer needs
+   * @param {Object} state - Game state as it was cleaned up
+   * @returns {Promise<number>} Images deleted
+   */
+  async onGameCleaned(state) {
+    const policy = this.policyFor(state);
+    const keep = policy.mode === 'winners'
+      ? (state.roundHistory || [])
+        .filter(round => round.firstPlace)
+        .flatMap(round => [
+          imageKey(state.code, round.round, round.firstPlace),
+          ...IMAGE_VARIANTS.map(variant => imageKey(state.code, round.round, round.firstPlace, variant.name))
+        ])
+      : [];
+
+    const record = { gameCode: state.code, mode: policy.mode, days: policy.days, keep, cleanedAt: Date.now() };
+    this._saveRecord(record);
+
+    const objects = await this.store.list(`${state.code}/`);
+    return this._apply(record, objects);
+  }
+
+  /**
+   * Deletes images the retention policies no longer allow, for every game not running
+   * @param {Array<string>} activeCodes - Codes of games still running (left alone)
+   * @returns {Promise<Object>} { deleted, games } images deleted and games swept
+   */
+  async sweep(activeCodes = []) {
+    const active = new Set(activeCodes);
+    const byGame = new Map();
+    for (const object of await this.store.list('')) {
+      const slash = object.key.indexOf('/');
+      if (slash === -1) {
+        continue; // Not a game image
+      }
+      const gameCode = object.key.slice(0, slash);
+      if (!byGame.has(gameCode)) {
+        byGame.set(gameCode, []);
+      }
+      byGame.get(gameCode).push(object);
+    }
+
+    let deleted = 0;
+    let games = 0;
+    for (const [gameCode, objects] of byGame) {
+      if (active.has(gameCode)) {
+        continue;
+      }
+      // Games without a record disappeared without a cleanup (e.g. a crash): the default applies
+      const record = this.records.get(gameCode) ||
+        { gameCode, ...this.policy, keep: [], cleanedAt: null };
+      deleted += await this._apply(record, objects);
+      games++;
+    }
+
+    // Forget games with nothing left to look after
+    for (const gameCode of [...this.records.keys()]) {
+      if (!byGame.has(gameCode) && !active.has(gameCode)) {
+        this._removeRecord(gameCode);
+      }
+    }
+
+    if (deleted > 0 && this.logger) {
+      this.logger.info('Image retention sweep deleted images', { deleted, games });
+    }
+    return { deleted, games };
+  }
+
+  /**
+   * Deletes the objects a record doesn't allow; a failed delete is left for the next sweep
+   * @private
+   */
+  async _apply(record, objects) {
+    const now = Date.now();
+    let deleted = 0;
+    for (const object of objects) {
+      if (!this._isExpired(record, object, now)) {
+        continue;
+      }
+      try {
+        await this.store.remove(object.key);
+        deleted++;
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn('Failed to delete image', { key: object.key, error: error.message });
+        }
+      }
+    }
+
+    if (deleted > 0 && deleted === objects.length) {
+      this._removeRecord(record.gameCode);
+    }
+    return deleted;
+  }
+
+  /**
+   * Whether an image has outlived its game's policy
+   * @private
+   */
+  _isExpired(record, object, now) {
+    const tooOld = record.days !== null && now - object.lastModified > record.days * DAY_MS;
+    switch (record.mode) {
+      case 'cleanup':
+        return true;
+      case 'winners':
+        return !record.keep.includes(object.key) || tooOld;
+      default:
+        return tooOld;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveRecord(record) {
+    this.records.set(record.gameCode, record);
+    if (this.storage) {
+      this.storage.save(RETENTION_COLLECTION, record.gameCode, record);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeRecord(gameCode) {
+    if (this.records.delete(gameCode) && this.storage) {
+      this.storage.remove(RETENTION_COLLECTION, gameCode);
+    }
+  }
+}
+
+module.exports = ImageRetention;
+module.exports.createRetentionPolicy = createRetentionPolicy;
+module.exports.DEFAULT_RETENTION = DEFAULT_RETENTION;
+module.exports.RETENTION_MODES = RETENTION_MODES;
@@ -0,0 +1,315 @@
+/**
+ * ---
+ * title: Image Scheduler
+ * purpose: Process-wide queue for image generation jobs. A global concurrency limit
+ *          caps how many provider calls run at once across every game, and games take
+ *          turns (round-robin) so one large lobby cannot starve the others. A provider
+ *          that answers with a rate limit can be paused (pause), holding back its jobs
+ *          until the window passes while other providers keep going. getStats reports
+ *          queue depth per game and how long jobs waited.
+ *          ImageGeneratorService uses the shared scheduler (getSharedScheduler) unless
+ *          it is given its own.
+ * exports: ImageScheduler - Class scheduling generation jobs
+ *          getSharedScheduler - The process-wide scheduler
+ * dependencies: logger
+ * ---
+ */
+
+const logger = require('../config/logger');
+
+const DEFAULT_MAX_CONCURRENT = 2;
+
+let sharedScheduler = null;
+
+class ImageScheduler {
+  /**
+   * Creates a scheduler
+   * @param {Object} options - { maxConcurrent } jobs allowed to run at once (default: 2)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT;
+    this.active = 0;
+
+    // gameCode -> waiting entries, in arrival order
+    this.queues = new Map();
+    // Games with waiting entries, next turn first
+    this.rotation = [];
+    // provider -> timestamp its jobs may start again
+    this.pausedUntil = new Map();
+    this.wakeTimer = null;
+
+    this.waits = { count: 0, totalMs: 0, maxMs: 0 };
+  }
+
+  /**
+   * Queues a job and runs it when a slot and the game's turn come up
+   * @param {Object} job - { gameCode, provider, run, onPosition } run() performs the work;
+   *                       onPosition(position) is told the job's place in line whenever it changes
+   * @returns {Promise<*>} What run() resolves to
+   */
+  schedule(job) {
+    return new Promise((resolve, reject) => {
+      const entry = { job, queuedAt: Date.now(), position: null, resolve, reject };
+      const gameCode = job.gameCode || '';
+      if (!this.queues.has(gameCode)) {
+        this.queues.set(gameCode, []);
+        this.rotation.push(gameCode);
+      }
+      this.queues.get(gameCode).push(entry);
+
+      this._reportPositions();
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Takes waiting jobs out of the queue without running them
+   * @param {Function} predicate - (job) => boolean
+   * @returns {Array<Object>} Removed entries ({ job, resolve, reject }); the caller settles them
+   */
+  remove(predicate) {
+    const removed = [];
+    for (const [gameCode, queue] of this.queues) {
+      const kept = queue.filter(entry => {
+        if (predicate(entry.job)) {
+          removed.push(entry);
+          return false;
+        }
+        return true;
+      });
+      this._setQueue(gameCode, kept);
+    }
+
+    if (removed.length > 0) {
+      this._reportPositions();
+    }
+    return removed;
+  }
+
+  /**
+   * Holds back a provider's jobs, e.g. after a 429 with Retry-After. Running jobs
+   * are not interrupted; a longer existing pause wins.
+   * @param {string} provider - Provider name
+   * @param {number} ms - How long to hold back
+   */
+  pause(provider, ms) {
+    const until = Date.now() + ms;
+    if ((this.pausedUntil.get(provider) || 0) >= until) {
+      return;
+    }
+    this.pausedUntil.set(provider, until);
+    logger.info('Image provider paused', { provider, ms });
+    if (this.rotation.length > 0) {
+      this._scheduleWake();
+    }
+  }
+
+  /**
+   * Waiting jobs in the order they will start (ignoring provider pauses)
+   * @returns {Array<Object>} Jobs
+   */
+  pending() {
+    return this._dispatchOrder().map(entry => entry.job);
+  }
+
+  /**
+   * Queue depth and wait times
+   * @returns {Object} { maxConcurrent, active, queued, games: { gameCode: depth }, pausedProviders:
+   *                    { provider: ISO time }, waits: { count, averageMs, maxMs, oldestQueuedMs } }
+   */
+  getStats() {
+    const now = Date.now();
+    const games = {};
+    let queued = 0;
+    let oldestQueuedAt = null;
+    for (const [gameCode, queue] of this.queues) {
+      games[gameCode] = queue.length;
+      queued += queue.length;
+      if (queue.length > 0 && (oldestQueuedAt === null || queue[0].queuedAt < oldestQueuedAt)) {
+        oldestQueuedAt = queue[0].queuedAt;
+      }
+    }
+
+    const pausedProviders = {};
+    for (const [provider, until] of this.pausedUntil) {
+      if (until > now) {
+        pausedProviders[provider] = new Date(until).toISOString();
+      }
+    }
+
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued,
+      games,
+      pausedProviders,
+      waits: {
+        count: this.waits.count,
+        averageMs: this.waits.count > 0 ? Math.round(this.waits.totalMs / this.waits.count) : 0,
+        maxMs: this.waits.maxMs,
+        oldestQueuedMs: oldestQueuedAt === null ? 0 : now - oldestQueuedAt
+      }
+    };
+  }
+
+  /**
+   * Starts waiting jobs while slots are free
+   * @private
+   */
+  _dispatch() {
+    let started = false;
+    while (this.active < this.maxConcurrent) {
+      const entry = this._takeNext();
+      if (!entry) {
+        break;
+      }
+      started = true;
+      this._run(entry);
+    }
+
+    if (started) {
+      this._reportPositions();
+    } else if (this.active < this.maxConcurrent && this.rotation.length > 0) {
+      this._scheduleWake(); // Everything left belongs to paused providers
+    }
+  }
+
+  /**
+   * Runs one job and frees its slot afterwards
+   * @private
+   */
+  _run(entry) {
+    const waitedMs = Date.now() - entry.queuedAt;
+    this.waits.count++;
+    this.waits.totalMs += waitedMs;
+    this.waits.maxMs = Math.max(this.waits.maxMs, waitedMs);
+    this.active++;
+
+    Promise.resolve()
+      .then(() => entry.job.run())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.active--;
+        this._dispatch();
+      });
+  }
+
+  /**
+   * Removes and returns the next runnable entry: the game whose turn it is gives up
+   * its oldest job whose provider is not paused, then moves to the back of the line
+   * @private
+   */
+  _takeNext() {
+    const now = Date.now();
+    for (let turn = 0; turn < this.rotation.length; turn++) {
+      const gameCode = this.rotation[turn];
+      const queue = this.queues.get(gameCode);
+      const index = queue.findIndex(entry => !this._isPaused(entry.job.provider, now));
+      if (index === -1) {
+        continue;
+      }
+
+      const [entry] = queue.splice(index, 1);
+      this.rotation.splice(turn, 1);
+      if (queue.length > 0) {
+        this.rotation.push(gameCode);
+      } else {
+        this.queues.delete(gameCode);
+      }
+      return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Waiting entries in round-robin order
+   * @private
+   */
+  _dispatchOrder() {
+    const order = [];
+    const queues = this.rotation.map(gameCode => this.queues.get(gameCode));
+    const total = queues.reduce((sum, queue) => sum + queue.length, 0);
+    for (let depth = 0; order.length < total; depth++) {
+      for (const queue of queues) {
+        if (depth < queue.length) {
+          order.push(queue[depth]);
+        }
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Tells every waiting job whose place in line changed
+   * @private
+   */
+  _reportPositions() {
+    this._dispatchOrder().forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position !== position) {
+        entry.position = position;
+        if (typeof entry.job.onPosition === 'function') {
+          entry.job.onPosition(position);
+        }
+      }
+    });
+  }
+
+  /**
+   * Replaces a game's queue, dropping the game from the rotation once it is empty
+   * @private
+   */
+  _setQueue(gameCode, queue) {
+    if (queue.length > 0) {
+      this.queues.set(gameCode, queue);
+      return;
+    }
+    this.queues.delete(gameCode);
+    this.rotation = this.rotation.filter(code => code !== gameCode);
+  }
+
+  /**
+   * @private
+   */
+  _isPaused(provider, now) {
+    return (this.pausedUntil.get(provider) || 0) > now;
+  }
+
+  /**
+   * Dispatches again when the earliest provider pause ends
+   * @private
+   */
+  _scheduleWake() {
+    const now = Date.now();
+    const ends = [...this.pausedUntil.values()].filter(until => until > now);
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    if (ends.length === 0) {
+      return;
+    }
+
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this._dispatch();
+    }, Math.min(...ends) - now);
+  }
+}
+
+/**
+ * The scheduler every ImageGeneratorService shares by default
+ * (IMAGE_GENERATION_MAX_CONCURRENT sets its limit)
+ * @returns {ImageScheduler}
+ */
+function getSharedScheduler() {
+  if (!sharedScheduler) {
+    sharedScheduler = new ImageScheduler({
+      maxConcurrent: parseInt(process.env.IMAGE_GENERATION_MAX_CONCURRENT || String(DEFAULT_MAX_CONCURRENT), 10)
+    });
+  }
+  return sharedScheduler;
+}
+
+module.exports = ImageScheduler;
+module.exports.getSharedScheduler = getSharedScheduler;
@@ -0,0 +1,119 @@
+/**
+ * ---
+ * title: Image Variants
+ * purpose: Derives smaller copies of a generated image so each client downloads the
+ *          size it shows: thumb (256px, lists and previews on phones), mid (512px,
+ *          compact PNG for the phone carousel) and the original (host display).
+ *          Images are downscaled by area averaging; a variant is only made when the
+ *          original is larger, otherwise that size is served by the original.
+ * exports: IMAGE_VARIANTS - [{ name, maxSize, compact }] variants made after saving
+ *          createImageVariants - Builds the variant PNGs for an image
+ *          variantUrls - { thumb, mid, original } URLs, falling back to the original
+ *          resizePixels - Area-average downscale of RGB pixels
+ * dependencies: pngEncoder, pngDecoder
+ * ---
+ */
+
+const { encodePng } = require('../utils/pngEncoder');
+const { decodePng } = require('../utils/pngDecoder');
+
+const IMAGE_VARIANTS = [
+  { name: 'thumb', maxSize: 256, compact: false },
+  { name: 'mid', maxSize: 512, compact: true }
+];
+
+/**
+ * Downscales RGB pixels, averaging every source pixel a target pixel covers
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Buffer} pixels - Source pixels (width * height * 3, row-major RGB)
+ * @param {number} targetWidth - Target width (at most width)
+ * @param {number} targetHeight - Target height (at most height)
+ * @returns {Buffer} Target pixels
+ */
+function resizePixels(width, height, pixels, targetWidth, targetHeight) {
+  const out = Buffer.alloc(targetWidth * targetHeight * 3);
+  const scaleX = width / targetWidth;
+  const scaleY = height / targetHeight;
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const top = ty * scaleY;
+    const bottom = top + scaleY;
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const left = tx * scaleX;
+      const right = left + scaleX;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let area = 0;
+
+      for (let sy = Math.floor(top); sy < Math.ceil(bottom); sy++) {
+        const coverY = Math.min(bottom, sy + 1) - Math.max(top, sy);
+        for (let sx = Math.floor(left); sx < Math.ceil(right); sx++) {
+          const weight = coverY * (Math.min(right, sx + 1) - Math.max(left, sx));
+          const s = (sy * width + sx) * 3;
+          r += pixels[s] * weight;
+          g += pixels[s + 1] * weight;
+          b += pixels[s + 2] * weight;
+          area += weight;
+        }
+      }
+
+      const o = (ty * targetWidth + tx) * 3;
+      out[o] = Math.round(r / area);
+      out[o + 1] = Math.round(g / area);
+      out[o + 2] = Math.round(b / area);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Builds the variants smaller than an image
+ * @param {Buffer} imageData - Original PNG
+ * @param {Array<Object>} variants - Variants to make (default: IMAGE_VARIANTS)
+ * @returns {Array<Object>} [{ name, width, height, data }] only for variants smaller than the
+ *                          original; throws when the image can't be decoded
+ */
+function createImageVariants(imageData, variants = IMAGE_VARIANTS) {
+  const { width, height, pixels } = decodePng(imageData);
+  const longest = Math.max(width, height);
+
+  return variants
+    .filter(variant => variant.maxSize < longest)
+    .map((variant) => {
+      const scale = variant.maxSize / longest;
+      const targetWidth = Math.max(1, Math.round(width * scale));
+      const targetHeight = Math.max(1, Math.round(height * scale));
+      const resized = resizePixels(width, height, pixels, targetWidth, targetHeight);
+      return {
+        name: variant.name,
+        width: targetWidth,
+        height: targetHeight,
+        data: encodePng(targetWidth, targetHeight, resized, { compact: variant.compact })
+      };
+    });
+}
+
+/**
+ * URLs for every variant, using the original for any that wasn't made
+ * @param {string} originalUrl - URL of the original image
+ * @param {Object} urls - { [variantName]: url } for the variants that exist
+ * @returns {Object} { thumb, mid, original }
+ */
+function variantUrls(originalUrl, urls = {}) {
+  const result = {};
+  for (const variant of IMAGE_VARIANTS) {
+    result[variant.name] = urls[variant.name] || originalUrl;
+  }
+  result.original = originalUrl;
+  return result;
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  createImageVariants,
+  variantUrls,
+  resizePixels
+};
@@ -0,0 +1,39 @@
+/**
+ * ---
+ * title: HTTP Moderation Provider
+ * purpose: External moderation hook that POSTs each selection to a moderation service
+ *          and hands its verdict back to the engine. The service receives
+ *            { code, playerId, cards, sentence }
+ *          and answers { approved: boolean, reasons?: [{ code, message, card? }] }.
+ * exports: createHttpModerationProvider - Factory returning a provider function
+ * dependencies: axios
+ * ---
+ */
+
+const axios = require('axios');
+
+/**
+ * Builds a provider for the engine's moderation.provider option
+ * @param {Object} options - { url, apiKey, timeout } apiKey is sent as a bearer token if set
+ * @returns {function} async (request) -> { approved, reasons }
+ */
+function createHttpModerationProvider(options = {}) {
+  if (!options.url) {
+    throw new Error('Moderation provider URL is required');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers.Authorization = `Bearer ${options.apiKey}`;
+  }
+
+  return async (request) => {
+    const response = await axios.post(options.url, request, {
+      headers,
+      timeout: options.timeout || 5000
+    });
+    return response.data;
+  };
+}
+
+module.exports = { createHttpModerationProvider };
@@ -0,0 +1,106 @@
+/**
+ * ---
+ * title: DALL-E Image Provider
+ * purpose: Calls the OpenAI images API. Returns the hosted image URL; the service
+ *          downloads it into public/generated-images.
+ * exports: dalle3Provider - Image provider object
+ * dependencies: axios, logger
+ * ---
+ */
+
+const axios = require('axios');
+const logger = require('../../config/logger');
+
+const API_URL = 'https://api.openai.com/v1/images/generations';
+const IMAGE_SIZE = '1024x1024';
+const COST_PER_IMAGE_USD = 0.02; // DALL-E 2 list price at 1024x1024
+
+const dalle3Provider = {
+  requiresApiKey: true,
+
+  /**
+   * Size of the images this provider returns (part of the image cache key)
+   * @returns {string}
+   */
+  size() {
+    return IMAGE_SIZE;
+  },
+
+  /**
+   * Estimated price of one image
+   * @returns {number} USD
+   */
+  cost() {
+    return COST_PER_IMAGE_USD;
+  },
+
+  /**
+   * Requests one image from OpenAI
+   * @param {Object} request - { prompt, gameCode, roundId, playerId, completedSentence, artStyle, signal }
+   * @param {Object} service - ImageGeneratorService (apiKey, timeout)
+   * @returns {Promise<Object>} { remoteUrl }
+   */
+  async generate(request, service) {
+    const { prompt, gameCode, playerId } = request;
+
+    const requestBody = {
+      model: 'dall-e-2',  // Using DALL-E 2 for cost savings ($0.020 vs $0.040 per image)
+      prompt: prompt,
+      n: 1,
+      size: IMAGE_SIZE,
+      response_format: 'url' // Get URL instead of base64 for efficiency
+    };
+
+    logger.debug('Calling DALL-E 2 API', {
+      gameCode,
+      playerId,
+      promptLength: prompt.length,
+      prompt: prompt  // Log the actual prompt being sent
+    });
+
+    try {
+      const response = await axios.post(API_URL, requestBody, {
+        headers: {
+          'Authorization': `Bearer ${service.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: service.timeout,
+        signal: request.signal
+      });
+
+      if (!response.data || !response.data.data || !response.data.data[0]) {
+        throw new Error('Invalid response from DALL-E 2 API');
+      }
+
+      return { remoteUrl: response.data.data[0].url };
+
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        logger.debug('DALL-E 2 request cancelled', { gameCode, playerId });
+      } else if (error.response) {
+        logger.error('DALL-E 2 API error', {
+          gameCode,
+          playerId,
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data
+        });
+      } else if (error.code === 'ECONNABORTED') {
+        logger.error('DALL-E 2 API timeout', {
+          gameCode,
+          playerId,
+          timeout: service.timeout
+        });
+      } else {
+        logger.error('DALL-E 2 request failed', {
+          gameCode,
+          playerId,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+  }
+};
+
+module.exports = dalle3Provider;
@@ -0,0 +1,60 @@
+/**
+ * ---
+ * title: Image Provider Registry
+ * purpose: Backends ImageGeneratorService can generate through, selected by name with
+ *          IMAGE_GENERATION_SERVICE. A provider implements:
+ *            requiresApiKey - whether the service must be given an API key
+ *            size(service) - optional; output size/settings, part of the image cache key
+ *            cost(service) - optional; estimated USD per generated image (default 0)
+ *            generate(request, service) -> Promise<{ imageData } | { remoteUrl }>
+ *          where request is { prompt, gameCode, roundId, playerId, completedSentence,
+ *          artStyle, signal }. signal is an AbortSignal that fires when the game,
+ *          round or player goes away; pass it to HTTP calls. The service saves
+ *          imageData (a PNG buffer) or downloads remoteUrl into public/generated-images,
+ *          and owns queueing and retries.
+ *          Built-ins: dalle3 (OpenAI), local (offline deterministic PNG),
+ *          stable-diffusion (self-hosted Automatic1111-compatible server).
+ * exports: IMAGE_PROVIDERS, registerImageProvider, getImageProvider
+ * dependencies: dalle3, local, stableDiffusion
+ * ---
+ */
+
+const dalle3Provider = require('./dalle3');
+const localProvider = require('./local');
+const stableDiffusionProvider = require('./stableDiffusion');
+
+const IMAGE_PROVIDERS = {
+  dalle3: dalle3Provider,
+  local: localProvider,
+  'stable-diffusion': stableDiffusionProvider
+};
+
+/**
+ * Adds a provider that can be selected by name
+ * @param {string} name - Provider name (the IMAGE_GENERATION_SERVICE value)
+ * @param {Object} provider - { requiresApiKey, generate(request, service) }
+ */
+function registerImageProvider(name, provider) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Image provider needs a name');
+  }
+  if (!provider || typeof provider.generate !== 'function') {
+    throw new Error(`Image provider "${name}" must implement generate(request, service)`);
+  }
+  IMAGE_PROVIDERS[name] = provider;
+}
+
+/**
+ * Looks up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider or null if none is registered under that name
+ */
+function getImageProvider(name) {
+  return Object.prototype.hasOwnProperty.call(IMAGE_PROVIDERS, name) ? IMAGE_PROVIDERS[name] : null;
+}
+
+module.exports = {
+  IMAGE_PROVIDERS,
+  registerImageProvider,
+  getImageProvider
+};
@@ -0,0 +1,146 @@
+/**
+ * ---
+ * title: Local Image Provider
+ * purpose: Offline provider that renders a deterministic PNG: a grid of tiles colored
+ *          from a SHA-256 of the prompt, with the completed sentence written on a
+ *          banner underneath. Needs no network and no API key, so full games, e2e
+ *          tests and demos run for free. The same prompt and sentence always give the
+ *          same bytes.
+ * exports: localProvider - Image provider object
+ *          renderLocalImage - Pure renderer (prompt, sentence) -> PNG buffer
+ * dependencies: crypto, pngEncoder, bitmapFont
+ * ---
+ */
+
+const crypto = require('crypto');
+const { encodePng } = require('../../utils/pngEncoder');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph, wrapText } = require('../../utils/bitmapFont');
+
+const IMAGE_SIZE = 512;
+const TILES_PER_SIDE = 8;
+const TEXT_SCALE = 3;
+const TEXT_MARGIN = 16;
+const LINE_SPACING = 6;
+const MAX_TEXT_LINES = 5;
+const BANNER_COLOR = [255, 255, 255];
+const TEXT_COLOR = [24, 24, 24];
+
+/**
+ * Enough hash bytes to color every tile (SHA-256 chained on the prompt)
+ * @private
+ */
+function _tileBytes(prompt, count) {
+  const chunks = [];
+  let length = 0;
+  for (let i = 0; length < count; i++) {
+    const chunk = crypto.createHash('sha256').update(`${i}:${prompt}`).digest();
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * @private
+ */
+function _fillRect(pixels, x, y, width, height, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      const offset = (row * IMAGE_SIZE + col) * 3;
+      pixels[offset] = color[0];
+      pixels[offset + 1] = color[1];
+      pixels[offset + 2] = color[2];
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function _drawText(pixels, text, x, y) {
+  const advance = (GLYPH_WIDTH + 1) * TEXT_SCALE;
+  [...text].forEach((char, index) => {
+    getGlyph(char).forEach((row, rowIndex) => {
+      [...row].forEach((bit, colIndex) => {
+        if (bit === '1') {
+          _fillRect(
+            pixels,
+            x + index * advance + colIndex * TEXT_SCALE,
+            y + rowIndex * TEXT_SCALE,
+            TEXT_SCALE,
+            TEXT_SCALE,
+            TEXT_COLOR
+          );
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Renders the image for a prompt
+ * @param {string} prompt - Image prompt (drives the tile colors)
+ * @param {string} sentence - Text for the banner (defaults to the prompt)
+ * @returns {Buffer} PNG file contents
+ */
+function renderLocalImage(prompt, sentence) {
+  const pixels = Buffer.alloc(IMAGE_SIZE * IMAGE_SIZE * 3);
+  const tileSize = IMAGE_SIZE / TILES_PER_SIDE;
+  const bytes = _tileBytes(prompt, TILES_PER_SIDE * TILES_PER_SIDE * 3);
+
+  for (let tile = 0; tile < TILES_PER_SIDE * TILES_PER_SIDE; tile++) {
+    const color = [bytes[tile * 3], bytes[tile * 3 + 1], bytes[tile * 3 + 2]];
+    _fillRect(pixels, (tile % TILES_PER_SIDE) * tileSize, Math.floor(tile / TILES_PER_SIDE) * tileSize, tileSize, tileSize, color);
+  }
+
+  const charsPerLine = Math.floor((IMAGE_SIZE - 2 * TEXT_MARGIN) / ((GLYPH_WIDTH + 1) * TEXT_SCALE));
+  let lines = wrapText(sentence || prompt, charsPerLine);
+  if (lines.length > MAX_TEXT_LINES) {
+    lines = lines.slice(0, MAX_TEXT_LINES);
+    lines[MAX_TEXT_LINES - 1] = `${lines[MAX_TEXT_LINES - 1].slice(0, charsPerLine - 3)}...`;
+  }
+
+  if (lines.length > 0) {
+    const lineHeight = GLYPH_HEIGHT * TEXT_SCALE + LINE_SPACING;
+    const bannerHeight = lines.length * lineHeight + 2 * TEXT_MARGIN - LINE_SPACING;
+    const bannerTop = IMAGE_SIZE - bannerHeight;
+    _fillRect(pixels, 0, bannerTop, IMAGE_SIZE, bannerHeight, BANNER_COLOR);
+    lines.forEach((line, index) => {
+      _drawText(pixels, line, TEXT_MARGIN, bannerTop + TEXT_MARGIN + index * lineHeight);
+    });
+  }
+
+  return encodePng(IMAGE_SIZE, IMAGE_SIZE, pixels);
+}
+
+const localProvider = {
+  requiresApiKey: false,
+
+  /**
+   * Size of the rendered images (part of the image cache key)
+   * @returns {string}
+   */
+  size() {
+    return `${IMAGE_SIZE}x${IMAGE_SIZE}`;
+  },
+
+  /**
+   * Rendering in-process is free
+   * @returns {number} USD
+   */
+  cost() {
+    return 0;
+  },
+
+  /**
+   * Renders the image in-process
+   * @param {Object} request - { prompt, gameCode, roundId, playerId, completedSentence, artStyle }
+   * @returns {Promise<Object>} { imageData }
+   */
+  async generate(request) {
+    return { imageData: renderLocalImage(request.prompt, request.completedSentence) };
+  }
+};
+
+module.exports = localProvider;
+module.exports.renderLocalImage = renderLocalImage;
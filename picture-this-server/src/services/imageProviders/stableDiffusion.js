@@ -0,0 +1,164 @@
+/**
+ * ---
+ * title: Stable Diffusion Image Provider
+ * purpose: Calls a self-hosted Stable Diffusion server speaking the Automatic1111 web UI
+ *          API (POST /sdapi/v1/txt2img, base64 images in the response), e.g. a LAN box
+ *          for game nights. Settings come from the service's providerOptions, then
+ *          SD_* environment variables, then the defaults below.
+ * exports: stableDiffusionProvider - Image provider object
+ *          DEFAULT_SD_OPTIONS - Defaults for every setting
+ * dependencies: axios, logger
+ * ---
+ */
+
+const axios = require('axios');
+const logger = require('../../config/logger');
+
+const DEFAULT_SD_OPTIONS = {
+  baseUrl: 'http://127.0.0.1:7860',
+  sampler: 'Euler a',
+  steps: 20,
+  width: 512,
+  height: 512,
+  cfgScale: 7,
+  negativePrompt: ''
+};
+
+/**
+ * Resolves settings: providerOptions > SD_* env > defaults
+ * @private
+ */
+function _resolveOptions(providerOptions = {}) {
+  const env = process.env;
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+  };
+  const options = {
+    baseUrl: providerOptions.baseUrl || env.SD_BASE_URL || DEFAULT_SD_OPTIONS.baseUrl,
+    sampler: providerOptions.sampler || env.SD_SAMPLER || DEFAULT_SD_OPTIONS.sampler,
+    steps: number(providerOptions.steps, number(env.SD_STEPS, DEFAULT_SD_OPTIONS.steps)),
+    width: number(providerOptions.width, number(env.SD_WIDTH, DEFAULT_SD_OPTIONS.width)),
+    height: number(providerOptions.height, number(env.SD_HEIGHT, DEFAULT_SD_OPTIONS.height)),
+    cfgScale: number(providerOptions.cfgScale, number(env.SD_CFG_SCALE, DEFAULT_SD_OPTIONS.cfgScale)),
+    negativePrompt: providerOptions.negativePrompt ?? env.SD_NEGATIVE_PROMPT ?? DEFAULT_SD_OPTIONS.negativePrompt,
+    apiKey: providerOptions.apiKey || env.SD_API_KEY || null,
+    costPerImage: number(providerOptions.costPerImage, number(env.SD_COST_PER_IMAGE, 0))
+  };
+  options.baseUrl = options.baseUrl.replace(/\/+$/, '');
+  return options;
+}
+
+/**
+ * Decodes the first image of a txt2img response (plain or data: URL base64)
+ * @private
+ */
+function _decodeImage(data) {
+  const encoded = data && Array.isArray(data.images) ? data.images[0] : null;
+  if (typeof encoded !== 'string' || encoded.length === 0) {
+    throw new Error('Invalid response from Stable Diffusion API');
+  }
+  return Buffer.from(encoded.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+}
+
+const stableDiffusionProvider = {
+  requiresApiKey: false,
+
+  /**
+   * Size and sampling settings that shape the image (part of the image cache key)
+   * @param {Object} service - ImageGeneratorService (providerOptions)
+   * @returns {string}
+   */
+  size(service) {
+    const options = _resolveOptions(service.providerOptions);
+    return `${options.width}x${options.height}/${options.sampler}/${options.steps}/${options.cfgScale}`;
+  },
+
+  /**
+   * Estimated price of one image (self-hosted: whatever SD_COST_PER_IMAGE says, default 0)
+   * @param {Object} service - ImageGeneratorService (providerOptions)
+   * @returns {number} USD
+   */
+  cost(service) {
+    return _resolveOptions(service.providerOptions).costPerImage;
+  },
+
+  /**
+   * Requests one image from the txt2img endpoint
+   * @param {Object} request - { prompt, gameCode, roundId, playerId, completedSentence, artStyle, signal }
+   * @param {Object} service - ImageGeneratorService (providerOptions, timeout)
+   * @returns {Promise<Object>} { imageData }
+   */
+  async generate(request, service) {
+    const { prompt, gameCode, playerId } = request;
+    const options = _resolveOptions(service.providerOptions);
+
+    const requestBody = {
+      prompt,
+      negative_prompt: options.negativePrompt,
+      sampler_name: options.sampler,
+      steps: options.steps,
+      width: options.width,
+      height: options.height,
+      cfg_scale: options.cfgScale,
+      batch_size: 1,
+      n_iter: 1
+    };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.apiKey) {
+      // Only sent when configured (e.g. a server behind an authenticating proxy). The
+      // service apiKey is deliberately not used: it is usually the OpenAI key.
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    logger.debug('Calling Stable Diffusion API', {
+      gameCode,
+      playerId,
+      baseUrl: options.baseUrl,
+      sampler: options.sampler,
+      steps: options.steps,
+      size: `${options.width}x${options.height}`,
+      promptLength: prompt.length
+    });
+
+    try {
+      const response = await axios.post(`${options.baseUrl}/sdapi/v1/txt2img`, requestBody, {
+        headers,
+        timeout: service.timeout,
+        signal: request.signal
+      });
+
+      return { imageData: _decodeImage(response.data) };
+
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        logger.debug('Stable Diffusion request cancelled', { gameCode, playerId });
+      } else if (error.response) {
+        logger.error('Stable Diffusion API error', {
+          gameCode,
+          playerId,
+          status: error.response.status,
+          statusText: error.response.statusText
+        });
+      } else if (error.code === 'ECONNABORTED') {
+        logger.error('Stable Diffusion API timeout', {
+          gameCode,
+          playerId,
+          timeout: service.timeout
+        });
+      } else {
+        logger.error('Stable Diffusion request failed', {
+          gameCode,
+          playerId,
+          baseUrl: options.baseUrl,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+  }
+};
+
+module.exports = stableDiffusionProvider;
+module.exports.DEFAULT_SD_OPTIONS = DEFAULT_SD_OPTIONS;
@@ -0,0 +1,128 @@
+/**
+ * ---
+ * title: Local Image Store
+ * purpose: Keeps generated images on local disk under public/generated-images, which
+ *          the server already serves statically, so image URLs are plain web paths
+ *          (/generated-images/<key>).
+ * exports: LocalImageStore - Class implementing the image store interface
+ *          DEFAULT_LOCAL_IMAGE_DIR - Directory used when none is configured
+ * dependencies: fs, path
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_IMAGE_DIR = path.join(__dirname, '../../../public/generated-images');
+const DEFAULT_BASE_URL = '/generated-images';
+
+class LocalImageStore {
+  /**
+   * Creates a local image store
+   * @param {Object} options - { dir, baseUrl } dir defaults to public/generated-images and
+   *                           baseUrl (the web path dir is served at) to /generated-images
+   */
+  constructor(options = {}) {
+    this.type = 'local';
+    this.dir = options.dir || DEFAULT_LOCAL_IMAGE_DIR;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Writes an image
+   * @param {string} key - Object key, e.g. ABC123/round-1/player.png
+   * @param {Buffer} data - Image bytes
+   * @returns {Promise<string>} URL the image is served at
+   */
+  async put(key, data) {
+    const filePath = this._filePath(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+    return this.urlFor(key);
+  }
+
+  /**
+   * Deletes an image (missing images are ignored) and any folders it leaves empty
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const filePath = this._filePath(key);
+    fs.rmSync(filePath, { force: true });
+
+    const root = path.resolve(this.dir);
+    for (let dir = path.dirname(filePath); dir !== root && dir.startsWith(root); dir = path.dirname(dir)) {
+      if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) {
+        break;
+      }
+      fs.rmdirSync(dir);
+    }
+  }
+
+  /**
+   * Images whose key starts with a prefix
+   * @param {string} prefix - Key prefix, e.g. ABC123/ ('' = everything)
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }] lastModified in ms
+   */
+  async list(prefix = '') {
+    const objects = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+          continue;
+        }
+        const key = path.relative(this.dir, fullPath).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stats = fs.statSync(fullPath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtimeMs });
+        }
+      }
+    };
+    // Only the folder the prefix points into needs walking
+    const prefixDir = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    walk(prefixDir ? this._filePath(prefixDir) : this.dir);
+    return objects;
+  }
+
+  /**
+   * Deletes every image under a prefix
+   * @param {string} prefix - Key prefix, e.g. ABC123/
+   * @returns {Promise<number>} Images deleted
+   */
+  async removePrefix(prefix) {
+    const objects = await this.list(prefix);
+    for (const object of objects) {
+      await this.remove(object.key);
+    }
+    return objects.length;
+  }
+
+  /**
+   * URL an image is served at
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  urlFor(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that would escape the directory
+   * @private
+   */
+  _filePath(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(path.resolve(this.dir) + path.sep)) {
+      throw new Error(`Invalid image key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalImageStore;
+module.exports.DEFAULT_LOCAL_IMAGE_DIR = DEFAULT_LOCAL_IMAGE_DIR;
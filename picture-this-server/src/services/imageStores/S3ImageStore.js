@@ -0,0 +1,253 @@
+/**
+ * ---
+ * title: S3 Image Store
+ * purpose: Keeps generated images in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ *          Requests are signed with AWS Signature Version 4 and sent with axios, using
+ *          path-style URLs (<endpoint>/<bucket>/<key>) so self-hosted servers work
+ *          without DNS per bucket. Images are served from publicUrl when set (e.g. a
+ *          CDN in front of the bucket), otherwise straight from the bucket URL.
+ * exports: S3ImageStore - Class implementing the image store interface
+ *          signRequest - Builds the SigV4 Authorization header for a request
+ * dependencies: axios, crypto
+ * ---
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const SIGNING_ALGORITHM = 'AWS4-HMAC-SHA256';
+
+function _sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function _hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encodes per RFC 3986, as SigV4 requires
+ * @private
+ */
+function _encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {Object} request - { method, path, query, headers, payloadHash, region, service,
+ *                           accessKeyId, secretAccessKey, amzDate } path is already URI-encoded;
+ *                           headers are the ones to sign (host and x-amz-date at least)
+ * @returns {string} Authorization header value
+ */
+function signRequest({ method, path, query = {}, headers, payloadHash, region, service, accessKeyId, secretAccessKey, amzDate }) {
+  const canonicalQuery = Object.keys(query).sort()
+    .map(name => `${_encode(name)}=${_encode(String(query[name]))}`)
+    .join('&');
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [SIGNING_ALGORITHM, amzDate, scope, _sha256(canonicalRequest)].join('\n');
+
+  const signingKey = _hmac(_hmac(_hmac(_hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${SIGNING_ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+/**
+ * Reads every occurrence of a tag from an S3 XML response
+ * @private
+ */
+function _xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Undoes the XML escaping S3 applies to keys
+ * @private
+ */
+function _xmlDecode(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+class S3ImageStore {
+  /**
+   * Creates an S3 image store
+   * @param {Object} options - { endpoint, bucket, region, accessKeyId, secretAccessKey, prefix,
+   *                           publicUrl, timeout } prefix is prepended to every key inside the
+   *                           bucket (e.g. generated-images/); region defaults to us-east-1
+   */
+  constructor(options = {}) {
+    for (const field of ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey']) {
+      if (!options[field]) {
+        throw new Error(`S3 image store needs ${field}`);
+      }
+    }
+
+    this.type = 's3';
+    this.endpoint = new URL(options.endpoint);
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.prefix = options.prefix || '';
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * Uploads an image
+   * @param {string} key - Object key, e.g. ABC123/round-1/player.png
+   * @param {Buffer} data - Image bytes
+   * @returns {Promise<string>} URL the image is served at
+   */
+  async put(key, data) {
+    await this._request('PUT', this.prefix + key, { body: data, contentType: 'image/png' });
+    return this.urlFor(key);
+  }
+
+  /**
+   * Deletes an image (S3 treats missing keys as deleted)
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this._request('DELETE', this.prefix + key);
+  }
+
+  /**
+   * Images whose key starts with a prefix (follows ListObjectsV2 pagination)
+   * @param {string} prefix - Key prefix, e.g. ABC123/ ('' = everything under the store prefix)
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }] lastModified in ms
+   */
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix + prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const response = await this._request('GET', null, { query, responseType: 'text' });
+      const xml = String(response.data);
+
+      for (const contents of _xmlValues(xml, 'Contents')) {
+        const key = _xmlDecode(_xmlValues(contents, 'Key')[0] || '');
+        objects.push({
+          key: key.slice(this.prefix.length),
+          size: Number(_xmlValues(contents, 'Size')[0] || 0),
+          lastModified: Date.parse(_xmlValues(contents, 'LastModified')[0])
+        });
+      }
+
+      const truncated = _xmlValues(xml, 'IsTruncated')[0] === 'true';
+      continuationToken = truncated ? _xmlDecode(_xmlValues(xml, 'NextContinuationToken')[0] || '') : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Deletes every image under a prefix
+   * @param {string} prefix - Key prefix, e.g. ABC123/
+   * @returns {Promise<number>} Images deleted
+   */
+  async removePrefix(prefix) {
+    const objects = await this.list(prefix);
+    for (const object of objects) {
+      await this.remove(object.key);
+    }
+    return objects.length;
+  }
+
+  /**
+   * URL an image is served at
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  urlFor(key) {
+    const encodedKey = (this.prefix + key).split('/').map(_encode).join('/');
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${encodedKey}`;
+    }
+    return `${this.endpoint.origin}${this._basePath()}/${_encode(this.bucket)}/${encodedKey}`;
+  }
+
+  /**
+   * Sends one signed request
+   * @param {string} method - HTTP method
+   * @param {string|null} fullKey - Object key including the store prefix (null = the bucket)
+   * @param {Object} options - { query, body, contentType, responseType }
+   * @returns {Promise<Object>} axios response
+   * @private
+   */
+  async _request(method, fullKey, options = {}) {
+    const { query = {}, body, contentType, responseType = 'arraybuffer' } = options;
+    let requestPath = `${this._basePath()}/${_encode(this.bucket)}`;
+    if (fullKey !== null) {
+      requestPath += `/${fullKey.split('/').map(_encode).join('/')}`;
+    }
+
+    const payloadHash = _sha256(body || '');
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const signedHeaders = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const authorization = signRequest({
+      method,
+      path: requestPath,
+      query,
+      headers: signedHeaders,
+      payloadHash,
+      region: this.region,
+      service: 's3',
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      amzDate
+    });
+
+    const queryString = Object.keys(query).sort()
+      .map(name => `${_encode(name)}=${_encode(String(query[name]))}`)
+      .join('&');
+
+    return axios.request({
+      method,
+      url: `${this.endpoint.origin}${requestPath}${queryString ? `?${queryString}` : ''}`,
+      data: body,
+      responseType,
+      timeout: this.timeout,
+      headers: {
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: authorization,
+        ...(contentType ? { 'Content-Type': contentType } : {})
+      }
+    });
+  }
+
+  /**
+   * Path the endpoint is mounted at ('' for a bare host)
+   * @private
+   */
+  _basePath() {
+    return this.endpoint.pathname.replace(/\/+$/, '');
+  }
+}
+
+module.exports = S3ImageStore;
+module.exports.signRequest = signRequest;
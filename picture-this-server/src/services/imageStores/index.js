@@ -0,0 +1,91 @@
+/**
+ * ---
+ * title: Image Store Registry
+ * purpose: Backends generated images are written to, selected with IMAGE_STORE. A store
+ *          implements (all async):
+ *            put(key, data) -> URL the image is served at
+ *            remove(key), removePrefix(prefix) -> count deleted
+ *            list(prefix) -> [{ key, size, lastModified }]
+ *          plus urlFor(key). Keys look like <gameCode>/round-<n>/<playerId>.png, with
+ *          variants at <playerId>-<variant>.png (imageKey), so one game's images share
+ *          the <gameCode>/ prefix for retention cleanup.
+ *          Built-ins: local (public/generated-images, served by the app) and s3 (any
+ *          S3-compatible bucket, configured with S3_* variables).
+ * exports: IMAGE_STORES, createImageStore, imageKey, LocalImageStore, S3ImageStore
+ * dependencies: LocalImageStore, S3ImageStore
+ * ---
+ */
+
+const LocalImageStore = require('./LocalImageStore');
+const S3ImageStore = require('./S3ImageStore');
+
+const IMAGE_STORES = {
+  local: LocalImageStore,
+  s3: S3ImageStore
+};
+
+/**
+ * Store options from the environment for a store type
+ * @private
+ */
+function _envOptions(type) {
+  const env = process.env;
+  if (type === 'local') {
+    return { dir: env.IMAGE_STORE_DIR || undefined };
+  }
+  if (type === 's3') {
+    return {
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX,
+      publicUrl: env.S3_PUBLIC_URL
+    };
+  }
+  return {};
+}
+
+/**
+ * Creates an image store by name; settings not given come from the environment
+ * @param {Object} options - { type, ...store options } type is 'local' or 's3'
+ *                           (default: IMAGE_STORE, then local)
+ * @returns {Object} Image store
+ */
+function createImageStore(options = {}) {
+  const type = options.type || process.env.IMAGE_STORE || 'local';
+  const Store = IMAGE_STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown image store "${type}": expected one of ${Object.keys(IMAGE_STORES).join(', ')}`);
+  }
+
+  const { type: _type, ...storeOptions } = options;
+  const fromEnv = _envOptions(type);
+  for (const [name, value] of Object.entries(storeOptions)) {
+    if (value !== undefined) {
+      fromEnv[name] = value;
+    }
+  }
+  return new Store(fromEnv);
+}
+
+/**
+ * Key of one player's image in a round
+ * @param {string} gameCode - Game code
+ * @param {number} roundId - Round number
+ * @param {string} playerId - Player ID
+ * @param {string} variant - Variant name, e.g. thumb (omit for the original)
+ * @returns {string}
+ */
+function imageKey(gameCode, roundId, playerId, variant) {
+  return `${gameCode}/round-${roundId}/${playerId}${variant ? `-${variant}` : ''}.png`;
+}
+
+module.exports = {
+  IMAGE_STORES,
+  createImageStore,
+  imageKey,
+  LocalImageStore,
+  S3ImageStore
+};
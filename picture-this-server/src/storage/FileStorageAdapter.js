@@ -0,0 +1,248 @@
+/**
+ * ---
+ * title: File Storage Adapter
+ * purpose: Durable storage adapter writing one JSON file per record under
+ *          <dir>/<collection>/<key>.json. Writes are write-behind: save() keeps the
+ *          latest JSON per record and a short timer writes it asynchronously, so a burst
+ *          of engine commits costs one file write per game instead of blocking the event
+ *          loop on each. Reads see unwritten records. Files are replaced atomically
+ *          (temp file + rename) so a crash mid-write never leaves a half-written record.
+ * exports: FileStorageAdapter - Class implementing the storage adapter interface
+ *          DEFAULT_STORAGE_DIR - Directory used when none is configured
+ * dependencies: fs, path
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '../..', 'storage');
+const RECORD_EXTENSION = '.json';
+const DEFAULT_WRITE_DELAY_MS = 100;
+
+class FileStorageAdapter {
+  /**
+   * Creates a file storage adapter
+   * @param {Object} options - { dir, logger, writeDelayMs } dir defaults to picture-this-server/storage,
+   *                           writeDelayMs (how long saves are batched) to 100
+   */
+  constructor(options = {}) {
+    this.type = 'file';
+    this.dir = options.dir || DEFAULT_STORAGE_DIR;
+    this.logger = options.logger || null;
+    this.writeDelayMs = options.writeDelayMs ?? DEFAULT_WRITE_DELAY_MS;
+    this.unsaved = new Map(); // file path -> latest JSON not yet on disk
+    this.queued = new Map(); // file path -> JSON waiting for the next batch
+    this.writes = new Set(); // In-flight write promises
+    this.writeTimer = null;
+    this.tempCounter = 0;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Write one record. The record is readable at once; the file is written with the
+   * next batch, and only the latest value of a record saved several times is written.
+   * @param {string} collection - Collection name (e.g. 'games', 'users')
+   * @param {string} key - Record key
+   * @param {Object} value - JSON-serializable record
+   */
+  save(collection, key, value) {
+    const filePath = this._recordPath(collection, key);
+    const json = JSON.stringify(value);
+    this.unsaved.set(filePath, json);
+    this.queued.set(filePath, json);
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this._writeQueued(), this.writeDelayMs);
+      this.writeTimer.unref();
+    }
+  }
+
+  /**
+   * Read one record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Object|null} Record or null if missing or unreadable
+   */
+  get(collection, key) {
+    const filePath = this._recordPath(collection, key);
+    if (this.unsaved.has(filePath)) {
+      return JSON.parse(this.unsaved.get(filePath));
+    }
+    return this._read(filePath);
+  }
+
+  /**
+   * Read every record in a collection. Unreadable files are skipped and logged.
+   * @param {string} collection - Collection name
+   * @returns {Array<Object>} Records
+   */
+  load(collection) {
+    const collectionDir = this._collectionDir(collection);
+    const records = new Map();
+    if (fs.existsSync(collectionDir)) {
+      for (const name of fs.readdirSync(collectionDir)) {
+        const filePath = path.join(collectionDir, name);
+        if (name.endsWith(RECORD_EXTENSION) && !this.unsaved.has(filePath)) {
+          records.set(filePath, this._read(filePath));
+        }
+      }
+    }
+    for (const [filePath, json] of this.unsaved) {
+      if (path.dirname(filePath) === collectionDir) {
+        records.set(filePath, JSON.parse(json));
+      }
+    }
+    return Array.from(records.values()).filter(record => record !== null);
+  }
+
+  /**
+   * Delete one record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {boolean} True if a record was removed
+   */
+  remove(collection, key) {
+    const filePath = this._recordPath(collection, key);
+    // In-flight writes of this record see it's no longer unsaved and skip the rename
+    const wasUnsaved = this.unsaved.delete(filePath);
+    this.queued.delete(filePath);
+    if (!fs.existsSync(filePath)) {
+      return wasUnsaved;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * Delete every record in a collection
+   * @param {string} collection - Collection name
+   */
+  clear(collection) {
+    const collectionDir = this._collectionDir(collection);
+    for (const filePath of Array.from(this.unsaved.keys())) {
+      if (path.dirname(filePath) === collectionDir) {
+        this.unsaved.delete(filePath);
+        this.queued.delete(filePath);
+      }
+    }
+    fs.rmSync(collectionDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Write every pending record now
+   * @returns {Promise<void>} Resolves once all writes have landed
+   */
+  async flush() {
+    this._writeQueued();
+    await Promise.all(this.writes);
+  }
+
+  /**
+   * Write every pending record synchronously (called once on shutdown)
+   */
+  close() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    for (const [filePath, json] of this.unsaved) {
+      try {
+        const tempPath = this._tempPath(filePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, json);
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        this._logWriteError(filePath, error);
+      }
+    }
+    this.unsaved.clear();
+    this.queued.clear();
+  }
+
+  /**
+   * Starts an async write for every queued record
+   * @private
+   */
+  _writeQueued() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    for (const [filePath, json] of this.queued) {
+      const write = this._write(filePath, json).finally(() => this.writes.delete(write));
+      this.writes.add(write);
+    }
+    this.queued.clear();
+  }
+
+  /**
+   * Writes one record to a temp file, then renames it into place unless a newer save
+   * or a remove came in meanwhile (the rename is sync so nothing can slip in between)
+   * @private
+   */
+  async _write(filePath, json) {
+    const tempPath = this._tempPath(filePath);
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, json);
+      if (this.unsaved.get(filePath) === json) {
+        fs.renameSync(tempPath, filePath);
+        this.unsaved.delete(filePath);
+      } else {
+        await fs.promises.rm(tempPath, { force: true });
+      }
+    } catch (error) {
+      // The record stays unsaved: reads still see it and close() retries the write
+      this._logWriteError(filePath, error);
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  _tempPath(filePath) {
+    this.tempCounter += 1;
+    return `${filePath}.${process.pid}.${this.tempCounter}.tmp`;
+  }
+
+  /**
+   * @private
+   */
+  _logWriteError(filePath, error) {
+    if (this.logger) {
+      this.logger.error('Failed to write storage record', { file: filePath, error: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _collectionDir(collection) {
+    return path.join(this.dir, encodeURIComponent(collection));
+  }
+
+  /**
+   * @private
+   */
+  _recordPath(collection, key) {
+    return path.join(this._collectionDir(collection), `${encodeURIComponent(key)}${RECORD_EXTENSION}`);
+  }
+
+  /**
+   * Parses a record file, returning null (and logging) when it can't be read
+   * @private
+   */
+  _read(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error('Skipping unreadable storage record', { file: filePath, error: error.message });
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = FileStorageAdapter;
+module.exports.DEFAULT_STORAGE_DIR = DEFAULT_STORAGE_DIR;
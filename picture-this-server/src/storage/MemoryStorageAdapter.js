@@ -0,0 +1,83 @@
+/**
+ * ---
+ * title: Memory Storage Adapter
+ * purpose: In-process storage adapter. Records are kept as JSON copies so callers see
+ *          exactly what a durable adapter would hand back, which also lets one instance
+ *          stand in for "the disk" across engines in tests. Nothing survives a restart.
+ * exports: MemoryStorageAdapter - Class implementing the storage adapter interface
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.type = 'memory';
+    this.collections = new Map(); // collection -> Map(key -> JSON string)
+  }
+
+  /**
+   * Write one record
+   * @param {string} collection - Collection name (e.g. 'games', 'users')
+   * @param {string} key - Record key
+   * @param {Object} value - JSON-serializable record
+   */
+  save(collection, key, value) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    this.collections.get(collection).set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Read one record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Object|null} Record or null
+   */
+  get(collection, key) {
+    const records = this.collections.get(collection);
+    return records && records.has(key) ? JSON.parse(records.get(key)) : null;
+  }
+
+  /**
+   * Read every record in a collection
+   * @param {string} collection - Collection name
+   * @returns {Array<Object>} Records
+   */
+  load(collection) {
+    const records = this.collections.get(collection);
+    return records ? Array.from(records.values(), json => JSON.parse(json)) : [];
+  }
+
+  /**
+   * Delete one record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {boolean} True if a record was removed
+   */
+  remove(collection, key) {
+    const records = this.collections.get(collection);
+    return records ? records.delete(key) : false;
+  }
+
+  /**
+   * Delete every record in a collection
+   * @param {string} collection - Collection name
+   */
+  clear(collection) {
+    this.collections.delete(collection);
+  }
+
+  /**
+   * Write every pending record now (saves are immediate in memory)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Release resources (nothing to do in memory)
+   */
+  close() {}
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,44 @@
+/**
+ * ---
+ * title: Storage Module Index
+ * purpose: Builds the storage adapter the server persists games and users through.
+ *          Every adapter implements the same synchronous interface:
+ *            save(collection, key, value), get(collection, key), load(collection),
+ *            remove(collection, key), clear(collection), close()
+ *          plus flush(), which resolves once saved records are on disk. SessionStore and
+ *          auth save every change without knowing the backend. Disk writes are batched:
+ *          the file adapter writes a record within writeDelayMs (100 ms) of its last
+ *          save, so a crash can lose that much; close() writes what's left on shutdown.
+ * exports: createStorageAdapter, STORAGE_ADAPTERS, MemoryStorageAdapter, FileStorageAdapter
+ * dependencies: MemoryStorageAdapter, FileStorageAdapter
+ * ---
+ */
+
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+const FileStorageAdapter = require('./FileStorageAdapter');
+
+const STORAGE_ADAPTERS = {
+  memory: MemoryStorageAdapter,
+  file: FileStorageAdapter
+};
+
+/**
+ * Creates a storage adapter by name
+ * @param {Object} options - { type, dir, logger } type is 'memory' or 'file' (default: memory)
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(options = {}) {
+  const type = options.type || 'memory';
+  const Adapter = STORAGE_ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter "${type}": expected one of ${Object.keys(STORAGE_ADAPTERS).join(', ')}`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = {
+  createStorageAdapter,
+  STORAGE_ADAPTERS,
+  MemoryStorageAdapter,
+  FileStorageAdapter
+};
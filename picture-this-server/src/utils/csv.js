@@ -0,0 +1,84 @@
+/**
+ * ---
+ * title: CSV
+ * purpose: Minimal RFC 4180 CSV reading and writing for card pack import and export.
+ *          Fields may be quoted; a quoted field can hold commas, newlines and doubled
+ *          quotes (""). Lines end in \n or \r\n, and a leading byte order mark is ignored.
+ * exports: parseCsv - Rows of a CSV document
+ *          formatCsv - CSV document from rows
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+/**
+ * Rows of a CSV document. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields; throws on an unterminated quote
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`unterminated quoted field on line ${rows.length + 1}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * CSV document from rows. Fields with commas, quotes or line breaks are quoted.
+ * @param {Array<Array<*>>} rows - Rows of fields (null and undefined become empty)
+ * @returns {string} CSV text ending in a newline
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv
+};
@@ -15,7 +15,11 @@ const MESSAGE_TYPES = {
   PHASE_CHANGE: 'phase_change',
   ERROR: 'error',
   CONNECTED: 'connected',
-  PLAYER_JOINED: 'player-joined'
+  PLAYER_JOINED: 'player-joined',
+  PLAYER_AWAY: 'player-away',
+  PLAYER_RETURNED: 'player-returned',
+  PLAYER_LEFT: 'player-left',
+  GAME_RESUMED: 'game-resumed'
 };
 
 /**
@@ -0,0 +1,181 @@
+/**
+ * ---
+ * title: PNG Decoder
+ * purpose: Minimal pure-Node PNG reader, the counterpart of pngEncoder, so generated
+ *          images can be resized without native image libraries. Handles what image
+ *          APIs return: 8-bit, non-interlaced grayscale, RGB, palette, grayscale+alpha
+ *          and RGBA. Pixels come back as RGB; transparency is flattened onto white.
+ * exports: decodePng
+ * dependencies: zlib, pngEncoder (PNG_SIGNATURE)
+ * ---
+ */
+
+const zlib = require('zlib');
+const { PNG_SIGNATURE } = require('./pngEncoder');
+
+// Bytes per pixel for each supported color type at bit depth 8
+const CHANNELS = {
+  0: 1, // grayscale
+  2: 3, // RGB
+  3: 1, // palette index
+  4: 2, // grayscale + alpha
+  6: 4 // RGBA
+};
+
+/**
+ * Paeth predictor from the PNG spec
+ * @private
+ */
+function _paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Undoes the per-scanline filters in place
+ * @private
+ */
+function _unfilter(raw, width, height, bytesPerPixel) {
+  const rowBytes = width * bytesPerPixel;
+  const out = Buffer.alloc(rowBytes * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const source = y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    const previous = row - rowBytes;
+
+    for (let x = 0; x < rowBytes; x++) {
+      const value = raw[source + x];
+      const left = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[previous + x - bytesPerPixel] : 0;
+
+      switch (filter) {
+        case 0: out[row + x] = value; break;
+        case 1: out[row + x] = (value + left) & 0xFF; break;
+        case 2: out[row + x] = (value + up) & 0xFF; break;
+        case 3: out[row + x] = (value + ((left + up) >> 1)) & 0xFF; break;
+        case 4: out[row + x] = (value + _paeth(left, up, upLeft)) & 0xFF; break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Decodes a PNG into RGB pixels
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object} { width, height, pixels } pixels is width * height * 3 bytes, row-major RGB
+ */
+function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Palette PNG has no PLTE chunk');
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  if (raw.length < (width * channels + 1) * height) {
+    throw new Error('PNG image data is truncated');
+  }
+  const source = _unfilter(raw, width, height, channels);
+
+  // Flatten to RGB over a white background
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    let r;
+    let g;
+    let b;
+    let alpha = 255;
+    const s = i * channels;
+    switch (colorType) {
+      case 0:
+        r = g = b = source[s];
+        break;
+      case 2:
+        r = source[s];
+        g = source[s + 1];
+        b = source[s + 2];
+        break;
+      case 3: {
+        const index = source[s];
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) {
+          alpha = transparency[index];
+        }
+        break;
+      }
+      case 4:
+        r = g = b = source[s];
+        alpha = source[s + 1];
+        break;
+      default:
+        r = source[s];
+        g = source[s + 1];
+        b = source[s + 2];
+        alpha = source[s + 3];
+    }
+
+    const o = i * 3;
+    pixels[o] = Math.round((r * alpha + 255 * (255 - alpha)) / 255);
+    pixels[o + 1] = Math.round((g * alpha + 255 * (255 - alpha)) / 255);
+    pixels[o + 2] = Math.round((b * alpha + 255 * (255 - alpha)) / 255);
+  }
+
+  return { width, height, pixels };
+}
+
+module.exports = {
+  decodePng
+};
@@ -0,0 +1,152 @@
+/**
+ * ---
+ * title: PNG Encoder
+ * purpose: Minimal pure-Node PNG writer (8-bit RGB, no interlace) so images can be
+ *          produced offline without native image libraries. Output depends only on
+ *          the pixels and options, so the same input always yields the same bytes.
+ *          The compact option picks a filter per scanline and deflates at the highest
+ *          level: slower, but noticeably smaller for photographic images.
+ * exports: encodePng, PNG_SIGNATURE
+ * dependencies: zlib
+ * ---
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * @private
+ */
+function _crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds one length/type/data/CRC chunk
+ * @private
+ */
+function _chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(_crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Applies one filter type to a scanline
+ * @private
+ */
+function _filterRow(filter, pixels, row, previous, rowBytes, out, outOffset) {
+  out[outOffset] = filter;
+  for (let x = 0; x < rowBytes; x++) {
+    const value = pixels[row + x];
+    const left = x >= 3 ? pixels[row + x - 3] : 0;
+    const up = previous >= 0 ? pixels[previous + x] : 0;
+    const upLeft = previous >= 0 && x >= 3 ? pixels[previous + x - 3] : 0;
+    let predicted = 0;
+    if (filter === 1) {
+      predicted = left;
+    } else if (filter === 2) {
+      predicted = up;
+    } else if (filter === 3) {
+      predicted = (left + up) >> 1;
+    } else if (filter === 4) {
+      const estimate = left + up - upLeft;
+      const toLeft = Math.abs(estimate - left);
+      const toUp = Math.abs(estimate - up);
+      const toUpLeft = Math.abs(estimate - upLeft);
+      predicted = toLeft <= toUp && toLeft <= toUpLeft ? left : (toUp <= toUpLeft ? up : upLeft);
+    }
+    out[outOffset + 1 + x] = (value - predicted) & 0xFF;
+  }
+}
+
+/**
+ * Sum of filtered bytes as signed values, the usual heuristic for the most compressible filter
+ * @private
+ */
+function _filterCost(buffer, offset, rowBytes) {
+  let cost = 0;
+  for (let x = 1; x <= rowBytes; x++) {
+    const value = buffer[offset + x];
+    cost += value < 128 ? value : 256 - value;
+  }
+  return cost;
+}
+
+/**
+ * Encodes RGB pixels as a PNG
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} pixels - width * height * 3 bytes, row-major RGB
+ * @param {Object} options - { compact } compact filters each scanline and uses maximum
+ *                           compression (default: no filtering, zlib's default level)
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(width, height, pixels, options = {}) {
+  const rowBytes = width * 3;
+  if (pixels.length !== rowBytes * height) {
+    throw new Error(`Expected ${rowBytes * height} bytes of RGB pixels, got ${pixels.length}`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  // compression, filter and interlace methods stay 0
+
+  // Every scanline starts with its filter type: 0 (none) unless compact
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  if (options.compact) {
+    const candidate = Buffer.alloc(rowBytes + 1);
+    for (let y = 0; y < height; y++) {
+      const offset = y * (rowBytes + 1);
+      const previous = y > 0 ? (y - 1) * rowBytes : -1;
+      let bestCost = Infinity;
+      for (let filter = 0; filter <= 4; filter++) {
+        _filterRow(filter, pixels, y * rowBytes, previous, rowBytes, candidate, 0);
+        const cost = _filterCost(candidate, 0, rowBytes);
+        if (cost < bestCost) {
+          bestCost = cost;
+          candidate.copy(raw, offset);
+        }
+      }
+    }
+  } else {
+    for (let y = 0; y < height; y++) {
+      pixels.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    _chunk('IHDR', header),
+    _chunk('IDAT', zlib.deflateSync(raw, options.compact ? { level: zlib.constants.Z_BEST_COMPRESSION } : {})),
+    _chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  encodePng,
+  PNG_SIGNATURE
+};
@@ -3,9 +3,15 @@
  * 
  * Formats completed sentences from noun card selections into AI-ready image prompts.
  * Handles art style variations and ensures grammatically correct prompt construction.
+ * The prompt text comes from the prompt template registry (see promptTemplates.js),
+ * chosen by template set, sentence category and provider. Blanks are filled through
+ * sentenceGrammar, so articles, capitalization and possessives fit the sentence.
  */
 
 const logger = require('../config/logger');
+const { getPromptTemplateRegistry } = require('./promptTemplates');
+const { fillBlanks } = require('./sentenceGrammar');
+const { countBlanks } = require('./sentenceTemplates');
 
 /**
  * Art style templates for image generation
@@ -17,15 +23,6 @@ const ART_STYLES = {
   whimsical: "children's book illustration, soft colors"
 };
 
-/**
- * Base prompt template for image generation
- */
-const PROMPT_TEMPLATE = `Create a clear, detailed image that literally depicts the following scene as a single moment in time:
-
-"{sentence}"
-
-The scene should be visually understandable without text, showing all key subjects, actions, and surroundings implied by the sentence. Use expressive body language, clear facial expressions, and a strong sense of environment. The image should be family-friendly, humorous, and slightly exaggerated for clarity.`;
-
 /**
  * PromptFormatter class
  */
@@ -33,12 +30,15 @@ class PromptFormatter {
   /**
    * Format a completed sentence into an AI-ready image prompt
    * 
-   * @param {string} sentenceTemplate - Sentence with _______ placeholders (7 underscores)
+   * @param {string} sentenceTemplate - Sentence with {noun}/{person}/{place} blanks (legacy _______ accepted)
    * @param {Array<string>} selectedCards - Array of noun card texts to fill blanks
-   * @param {string} artStyle - Art style: realistic, cartoon, cinematic, or whimsical
-   * @returns {Object} { prompt, completedSentence, artStyle }
+   * @param {string} artStyle - Art style: realistic, cartoon, cinematic, whimsical, or a custom style
+   * @param {Object} options - { templateSet, category, provider } pick the prompt template
+   *                           (default: the registry's default set, no category, no provider);
+   *                           customStyles is { name: style text } for a game's own styles
+   * @returns {Object} { prompt, completedSentence, artStyle, promptTemplateId, promptTemplateSet }
    */
-  static formatImagePrompt(sentenceTemplate, selectedCards, artStyle = 'realistic') {
+  static formatImagePrompt(sentenceTemplate, selectedCards, artStyle = 'realistic', options = {}) {
     try {
       // Validate inputs
       if (!sentenceTemplate || typeof sentenceTemplate !== 'string') {
@@ -49,16 +49,17 @@ class PromptFormatter {
         throw new Error('selectedCards must be a non-empty array');
       }
 
-      if (!ART_STYLES[artStyle]) {
+      const styles = { ...(options.customStyles || {}), ...ART_STYLES };
+      if (!styles[artStyle]) {
         logger.warn(`Unknown art style: ${artStyle}, defaulting to realistic`);
         artStyle = 'realistic';
       }
 
-      // Count blanks in sentence (blanks are 7 underscores: _______)
-      const blankCount = (sentenceTemplate.match(/_______/g) || []).length;
+      // Count blanks in sentence (see sentenceTemplates.js for the syntax)
+      const blankCount = countBlanks(sentenceTemplate);
       
       if (blankCount === 0) {
-        throw new Error('sentenceTemplate must contain at least one _______ blank');
+        throw new Error('sentenceTemplate must contain at least one blank');
       }
 
       if (selectedCards.length < blankCount) {
@@ -66,25 +67,33 @@ class PromptFormatter {
       }
 
       // Fill blanks with selected cards (left to right)
-      let completedSentence = sentenceTemplate;
-      for (let i = 0; i < blankCount; i++) {
-        const card = selectedCards[i];
-        // Extract text from card object if it's an object, otherwise use as-is
-        const cardText = typeof card === 'string' ? card : (card.text || String(card));
-        completedSentence = completedSentence.replace('_______', cardText);
-      }
+      // Extract text from card object if it's an object, otherwise use as-is
+      const cardTexts = selectedCards
+        .slice(0, blankCount)
+        .map(card => (typeof card === 'string' ? card : (card.text || String(card))));
+      let completedSentence = fillBlanks(sentenceTemplate, cardTexts);
 
       // Sanitize special characters
       completedSentence = this._sanitizeText(completedSentence);
 
-      // Build final prompt with template and art style
-      const basePrompt = PROMPT_TEMPLATE.replace('{sentence}', completedSentence);
-      const artStyleDescription = ART_STYLES[artStyle];
-      const fullPrompt = `${basePrompt}\n\nStyle: ${artStyleDescription}`;
+      // Build final prompt with the template and art style
+      const template = getPromptTemplateRegistry().render(
+        { set: options.templateSet, category: options.category, provider: options.provider },
+        {
+          sentence: completedSentence,
+          style: styles[artStyle],
+          artStyle,
+          category: options.category,
+          provider: options.provider
+        }
+      );
+      const fullPrompt = template.prompt;
 
       logger.info('Formatted image prompt', {
         blanks: blankCount,
         artStyle,
+        promptTemplateId: template.id,
+        promptTemplateSet: template.set,
         sentenceLength: completedSentence.length,
         promptLength: fullPrompt.length,
         completedSentence,
@@ -94,7 +103,9 @@ class PromptFormatter {
       return {
         prompt: fullPrompt,
         completedSentence,
-        artStyle
+        artStyle,
+        promptTemplateId: template.id,
+        promptTemplateSet: template.set
       };
 
     } catch (error) {
@@ -122,6 +133,15 @@ class PromptFormatter {
     return Object.keys(ART_STYLES);
   }
 
+  /**
+   * Get all available art styles with the style text each adds to the prompt
+   * 
+   * @returns {Array<Object>} [{ name, description }]
+   */
+  static getArtStyleDetails() {
+    return Object.entries(ART_STYLES).map(([name, description]) => ({ name, description }));
+  }
+
   /**
    * Sanitize text for safe prompt generation
    * 
@@ -141,14 +161,11 @@ class PromptFormatter {
   /**
    * Count blanks in a sentence template
    * 
-   * @param {string} sentenceTemplate - Sentence with _______ placeholders (7 underscores)
+   * @param {string} sentenceTemplate - Sentence with {type} blanks (legacy _______ accepted)
    * @returns {number} Number of blanks
    */
   static countBlanks(sentenceTemplate) {
-    if (!sentenceTemplate || typeof sentenceTemplate !== 'string') {
-      return 0;
-    }
-    return (sentenceTemplate.match(/_______/g) || []).length;
+    return countBlanks(sentenceTemplate);
   }
 }
 
@@ -0,0 +1,229 @@
+/**
+ * ---
+ * title: Prompt Templates
+ * purpose: Registry of named image prompt templates loaded from data/prompt-templates.json.
+ *          A template is text with {variables}; a template set picks which template a
+ *          prompt uses, by provider first and sentence category second:
+ *            sets.<name>.providers.<provider>.categories.<category>
+ *            sets.<name>.providers.<provider>.default
+ *            sets.<name>.categories.<category>
+ *            sets.<name>.default
+ *          Games choose a set (promptTemplateSet); the file's defaultSet applies otherwise.
+ *          The file is validated when loaded so a bad template fails at boot.
+ * exports: PromptTemplateRegistry - Class resolving and rendering templates
+ *          getPromptTemplateRegistry - Shared registry over the default data file
+ *          TEMPLATE_VARIABLES - Variables a template may use
+ *          DEFAULT_TEMPLATES_FILE - Path of data/prompt-templates.json
+ * dependencies: fs, path
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '../..', 'data', 'prompt-templates.json');
+
+const TEMPLATE_VARIABLES = {
+  sentence: 'The completed sentence',
+  style: 'Description of the art style',
+  artStyle: 'Art style name',
+  category: 'Sentence card category (empty for custom sentences)',
+  provider: 'Image provider the prompt is for'
+};
+
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+let sharedRegistry = null;
+
+class PromptTemplateRegistry {
+  /**
+   * Creates a registry
+   * @param {Object} options - { file, data } data (already parsed) takes precedence over file
+   *                           (default: data/prompt-templates.json)
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_TEMPLATES_FILE;
+    this._data = options.data || null;
+    this.templates = null;
+    this.sets = null;
+    this.defaultSet = null;
+  }
+
+  /**
+   * Reads and validates the templates (once)
+   * @returns {Object} { templates, sets } counts
+   */
+  load() {
+    if (!this.templates) {
+      let data = this._data;
+      if (!data) {
+        try {
+          data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+          throw new Error(`Invalid prompt templates ${path.basename(this.file)}: ${error.message}`);
+        }
+      }
+      this._validate(data);
+    }
+    return { templates: this.templates.size, sets: Object.keys(this.sets).length };
+  }
+
+  /**
+   * Whether a template set exists
+   * @param {string} name - Set name
+   * @returns {boolean}
+   */
+  hasSet(name) {
+    this.load();
+    return Object.prototype.hasOwnProperty.call(this.sets, name);
+  }
+
+  /**
+   * Checks a game's template set choice
+   * @param {string} name - Set name (empty = the default set)
+   * @returns {string|null} The name, or null for the default
+   */
+  validateSet(name) {
+    if (name === undefined || name === null || name === '') {
+      return null;
+    }
+    if (typeof name !== 'string' || !this.hasSet(name)) {
+      throw new Error(`Unknown prompt template set "${name}": expected one of ${Object.keys(this.sets).join(', ')}`);
+    }
+    return name;
+  }
+
+  /**
+   * Template sets for clients to choose from
+   * @returns {Array<Object>} [{ name, description, isDefault }]
+   */
+  listSets() {
+    this.load();
+    return Object.entries(this.sets).map(([name, set]) => ({
+      name,
+      description: set.description || '',
+      isDefault: name === this.defaultSet
+    }));
+  }
+
+  /**
+   * Picks the template for a prompt
+   * @param {Object} options - { set, category, provider } set defaults to the file's defaultSet
+   * @returns {Object} { id, set, text }
+   */
+  resolve({ set, category, provider } = {}) {
+    this.load();
+    const setName = set || this.defaultSet;
+    if (!this.hasSet(setName)) {
+      throw new Error(`Unknown prompt template set "${setName}"`);
+    }
+
+    const templateSet = this.sets[setName];
+    const override = (templateSet.providers || {})[provider] || {};
+    const id = (category && (override.categories || {})[category]) ||
+      override.default ||
+      (category && (templateSet.categories || {})[category]) ||
+      templateSet.default;
+
+    return { id, set: setName, text: this.templates.get(id).text };
+  }
+
+  /**
+   * Resolves a template and fills in its variables
+   * @param {Object} options - { set, category, provider }
+   * @param {Object} variables - Values for TEMPLATE_VARIABLES (missing ones become '')
+   * @returns {Object} { id, set, prompt }
+   */
+  render(options, variables) {
+    const template = this.resolve(options);
+    const prompt = template.text.replace(VARIABLE_PATTERN, (match, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+    return { id: template.id, set: template.set, prompt };
+  }
+
+  /**
+   * Checks the file's structure and that every reference points at a real template
+   * @private
+   */
+  _validate(data) {
+    const fail = (message) => {
+      throw new Error(`Invalid prompt templates ${path.basename(this.file)}: ${message}`);
+    };
+
+    if (!data || !Array.isArray(data.templates) || data.templates.length === 0) {
+      fail('expected a non-empty "templates" array');
+    }
+
+    const templates = new Map();
+    data.templates.forEach((template, index) => {
+      if (!template || typeof template.id !== 'string' || template.id.trim() === '') {
+        fail(`template ${index} must have an id`);
+      }
+      if (templates.has(template.id)) {
+        fail(`duplicate template id ${template.id}`);
+      }
+      if (typeof template.text !== 'string' || template.text.trim() === '') {
+        fail(`template ${template.id} must have text`);
+      }
+      for (const [, name] of template.text.matchAll(VARIABLE_PATTERN)) {
+        if (!TEMPLATE_VARIABLES[name]) {
+          fail(`template ${template.id} uses unknown variable {${name}}`);
+        }
+      }
+      if (!template.text.includes('{sentence}')) {
+        fail(`template ${template.id} must include {sentence}`);
+      }
+      templates.set(template.id, Object.freeze({ ...template }));
+    });
+
+    if (!data.sets || typeof data.sets !== 'object' || Object.keys(data.sets).length === 0) {
+      fail('expected a non-empty "sets" object');
+    }
+    const checkId = (id, where) => {
+      if (!templates.has(id)) {
+        fail(`${where} refers to unknown template "${id}"`);
+      }
+    };
+    const checkSelection = (selection, where, needsDefault) => {
+      if (needsDefault || selection.default !== undefined) {
+        checkId(selection.default, `${where} default`);
+      }
+      for (const [category, id] of Object.entries(selection.categories || {})) {
+        checkId(id, `${where} category ${category}`);
+      }
+    };
+    for (const [name, set] of Object.entries(data.sets)) {
+      checkSelection(set, `set ${name}`, true);
+      for (const [provider, override] of Object.entries(set.providers || {})) {
+        checkSelection(override, `set ${name} provider ${provider}`, false);
+      }
+    }
+
+    const defaultSet = data.defaultSet || Object.keys(data.sets)[0];
+    if (!data.sets[defaultSet]) {
+      fail(`defaultSet "${defaultSet}" is not a set`);
+    }
+
+    this.templates = templates;
+    this.sets = data.sets;
+    this.defaultSet = defaultSet;
+  }
+}
+
+/**
+ * Registry over data/prompt-templates.json shared by the whole process
+ * @returns {PromptTemplateRegistry}
+ */
+function getPromptTemplateRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new PromptTemplateRegistry();
+  }
+  return sharedRegistry;
+}
+
+module.exports = PromptTemplateRegistry;
+module.exports.getPromptTemplateRegistry = getPromptTemplateRegistry;
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+module.exports.DEFAULT_TEMPLATES_FILE = DEFAULT_TEMPLATES_FILE;
@@ -0,0 +1,174 @@
+/**
+ * ---
+ * title: Sentence Grammar
+ * purpose: Fills a sentence template's blanks with card texts so the result reads as
+ *          English rather than pasted text. Noun cards are written to stand alone
+ *          ("A disco-dancing llama"), so each card is fitted to where its blank sits:
+ *            - a determiner before the blank (the, my, a, neighbor's, ...) replaces the
+ *              card's own article: "My {noun}" + "The ninja goldfish" = "My ninja goldfish"
+ *            - a template "a"/"an" before the blank agrees with the card: "an egg"
+ *            - the first word is capitalized at a sentence start and lowercased mid-sentence
+ *              when it is an article, or the card is in sentence case ("Sushi with trust
+ *              issues"); Title Case cards and names inside a card keep their case
+ *            - "{noun}'s" becomes "llamas'" after a plural and isn't doubled after a
+ *              card that already ends in a possessive
+ *          Used for both the completed sentence players see and the image prompt.
+ * exports: fillBlanks - Completes a template with card texts
+ *          fitCard - Fits one card text to the text around its blank
+ *          indefiniteArticle - "a" or "an" for a phrase
+ * dependencies: sentenceTemplates
+ * ---
+ */
+
+const { BLANK_PATTERN } = require('./sentenceTemplates');
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+// Words after which a card's own article is dropped
+const DETERMINERS = new Set([
+  'a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'these',
+  'those', 'some', 'every', 'each', 'any', 'no', 'another', 'own'
+]);
+
+// Determiners that still apply across one adjective ("The mysterious {noun}")
+const NOUN_PHRASE_STARTS = new Set(['a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their']);
+
+// Vowel letters that sound like consonants and silent h's
+const CONSONANT_SOUND = /^(uni|use|usu|uti|ure|uro|eu|ewe|one\b|once\b)/i;
+const VOWEL_SOUND = /^(hour|honest|honou?r|heir)/i;
+
+const POSSESSIVE_WORD = /^[\p{L}-]+('s|s')$/u;
+
+/**
+ * "a" or "an" for a phrase, by the sound of its first word
+ * @param {string} phrase - Phrase the article goes in front of
+ * @returns {string} 'a' or 'an'
+ */
+function indefiniteArticle(phrase) {
+  const word = String(phrase || '').trim();
+  if (VOWEL_SOUND.test(word)) {
+    return 'an';
+  }
+  if (CONSONANT_SOUND.test(word)) {
+    return 'a';
+  }
+  return /^[aeiou]/i.test(word) ? 'an' : 'a';
+}
+
+/**
+ * Whether a blank preceded by this text begins a sentence
+ * @private
+ */
+function _startsSentence(before) {
+  const trimmed = before.replace(/[\s"'“‘(]+$/u, '');
+  return trimmed === '' || /[.!?]$/.test(trimmed);
+}
+
+/**
+ * Whether the words before a blank already supply its determiner
+ * @private
+ */
+function _hasDeterminer(before) {
+  const words = before.trimEnd().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || /[^\p{L}'-]/u.test(before.trimEnd().slice(-1))) {
+    return false;
+  }
+  const last = words[words.length - 1].toLowerCase();
+  if (DETERMINERS.has(last) || POSSESSIVE_WORD.test(last)) {
+    return true;
+  }
+
+  // One adjective between the determiner and the blank
+  const previous = words.length > 1 ? words[words.length - 2].toLowerCase() : '';
+  return /^[\p{Ll}-]+$/u.test(words[words.length - 1]) &&
+    (NOUN_PHRASE_STARTS.has(previous) || POSSESSIVE_WORD.test(previous));
+}
+
+/**
+ * Whether only the card's first word is capitalized ("Sushi with trust issues")
+ * @private
+ */
+function _isSentenceCase(words) {
+  return words.slice(1).every(word => !/^\p{Lu}/u.test(word));
+}
+
+/**
+ * Fits one card text to the text around its blank
+ * @param {string} text - Card text
+ * @param {string} before - Completed text before the blank
+ * @param {string} after - Template text after the blank
+ * @returns {Object} { text, before, after } the card text and the surrounding text, adjusted
+ */
+function fitCard(text, before, after) {
+  let words = String(text).trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return { text: '', before, after };
+  }
+  const sentenceCase = _isSentenceCase(words);
+
+  // The template's determiner replaces the card's article
+  if (words.length > 1 && ARTICLES.has(words[0].toLowerCase()) && _hasDeterminer(before)) {
+    words = words.slice(1);
+  }
+
+  // Capitalization follows the card's position in the sentence
+  if (_startsSentence(before)) {
+    words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+  } else if (ARTICLES.has(words[0].toLowerCase()) || (sentenceCase && !POSSESSIVE_WORD.test(words[0]))) {
+    words[0] = words[0].charAt(0).toLowerCase() + words[0].slice(1);
+  }
+
+  let fitted = words.join(' ');
+
+  // A template article right before the blank agrees with the card
+  before = before.replace(/\b(a|an)(\s+)$/i, (match, article, space) => {
+    const agreed = indefiniteArticle(fitted);
+    const cased = article.charAt(0) === article.charAt(0).toUpperCase()
+      ? agreed.charAt(0).toUpperCase() + agreed.slice(1)
+      : agreed;
+    return cased + space;
+  });
+
+  // Possessive after the blank
+  if (/^'s\b/.test(after)) {
+    if (/('s|s')$/.test(fitted)) {
+      after = after.slice(2);
+    } else if (/[^s]s$/.test(fitted)) {
+      fitted += "'";
+      after = after.slice(2);
+    }
+  }
+
+  return { text: fitted, before, after };
+}
+
+/**
+ * Fills the template's blanks with card texts, left to right
+ * @param {string} template - Sentence template with {type} (or legacy underscore) blanks
+ * @param {Array<string>} texts - Card texts (blanks past the last text are left as they are)
+ * @returns {string} Completed sentence
+ */
+function fillBlanks(template, texts) {
+  const text = String(template || '');
+  const blanks = [...text.matchAll(BLANK_PATTERN)];
+  let completed = text.slice(0, blanks.length > 0 ? blanks[0].index : text.length);
+
+  blanks.forEach((blank, index) => {
+    const next = blanks[index + 1];
+    const after = text.slice(blank.index + blank[0].length, next ? next.index : text.length);
+    if (index >= texts.length) {
+      completed += blank[0] + after;
+      return;
+    }
+    const fitted = fitCard(texts[index], completed, after);
+    completed = fitted.before + fitted.text + fitted.after;
+  });
+
+  return completed;
+}
+
+module.exports = {
+  fillBlanks,
+  fitCard,
+  indefiniteArticle
+};
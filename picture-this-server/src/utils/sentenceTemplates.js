@@ -0,0 +1,163 @@
+/**
+ * ---
+ * title: Sentence Templates
+ * purpose: The one blank syntax every sentence template uses. A blank is its type in
+ *          braces: {noun} takes any noun card, {person} and {place} take cards whose
+ *          blankTypes include that type:
+ *            "The detective known as {person} solved crimes using only puns"
+ *          Legacy blanks (three or more underscores: ___, _____, _______) load as {noun}.
+ *          Templates are checked when loaded: known blank types, at least one blank, and
+ *          a declared blanks count that matches the text.
+ * exports: BLANK_TYPES - { type: description } blank types a template may use
+ *          DEFAULT_BLANK_TYPE - 'noun', the type every card can fill
+ *          BLANK_PATTERN - Matches canonical and legacy blanks
+ *          migrateTemplate - Rewrites legacy blanks as {noun}
+ *          parseBlanks - Blank types of a template, in order
+ *          countBlanks - Number of blanks in a template
+ *          loadSentenceTemplate - Migrated and validated { template, blanks, blankTypes, category }
+ *          cardBlankTypes - Blank types a noun card can fill
+ *          cardFitsBlank - Whether a card can fill a blank type
+ *          unfilledBlankTypes - Blank types a hand can't cover
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+const BLANK_TYPES = {
+  noun: 'Any noun card',
+  person: 'A person or character',
+  place: 'A location'
+};
+
+const DEFAULT_BLANK_TYPE = 'noun';
+
+const BLANK_PATTERN = /\{(\w+)\}|_{3,}/g;
+const LEGACY_BLANK_PATTERN = /_{3,}/g;
+
+/**
+ * Rewrites legacy underscore blanks as {noun}
+ * @param {string} text - Template text
+ * @returns {string} Template in the canonical syntax
+ */
+function migrateTemplate(text) {
+  return String(text || '').replace(LEGACY_BLANK_PATTERN, `{${DEFAULT_BLANK_TYPE}}`);
+}
+
+/**
+ * Blank types of a template, left to right
+ * @param {string} text - Template text (canonical or legacy)
+ * @returns {Array<string>} Blank types; throws on an unknown type
+ */
+function parseBlanks(text) {
+  return [...String(text || '').matchAll(BLANK_PATTERN)].map(([, type]) => {
+    const blankType = type || DEFAULT_BLANK_TYPE;
+    if (!BLANK_TYPES[blankType]) {
+      throw new Error(`has unknown blank type {${blankType}}: expected one of ${Object.keys(BLANK_TYPES).join(', ')}`);
+    }
+    return blankType;
+  });
+}
+
+/**
+ * Number of blanks in a template (unknown types count too)
+ * @param {string} text - Template text
+ * @returns {number} Blank count
+ */
+function countBlanks(text) {
+  return typeof text === 'string' ? (text.match(BLANK_PATTERN) || []).length : 0;
+}
+
+/**
+ * Migrates and validates one sentence template
+ * @param {string|Object} entry - Template text, or { text|template, blanks, category }
+ * @returns {Object} { template, blanks, blankTypes, category }; throws when the template
+ *                   has no blanks, an unknown type or a blanks count that doesn't match
+ */
+function loadSentenceTemplate(entry) {
+  const isText = typeof entry === 'string';
+  const text = isText ? entry : entry && (entry.template || entry.text);
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('must have text');
+  }
+
+  const template = migrateTemplate(text);
+  const blankTypes = parseBlanks(template);
+  if (blankTypes.length === 0) {
+    throw new Error('must contain at least one blank');
+  }
+  if (!isText && entry.blanks !== undefined && entry.blanks !== blankTypes.length) {
+    throw new Error(`declares ${entry.blanks} blanks but its text has ${blankTypes.length}`);
+  }
+
+  return {
+    template,
+    blanks: blankTypes.length,
+    blankTypes,
+    category: (!isText && entry.category) || null
+  };
+}
+
+/**
+ * Blank types a noun card can fill
+ * @param {Object|string} card - Card object ({ blankTypes }) or plain text
+ * @returns {Array<string>} Always includes 'noun'
+ */
+function cardBlankTypes(card) {
+  const types = card && typeof card === 'object' && Array.isArray(card.blankTypes) ? card.blankTypes : [];
+  return [DEFAULT_BLANK_TYPE, ...types.filter(type => type !== DEFAULT_BLANK_TYPE)];
+}
+
+/**
+ * Whether a card can fill a blank type
+ * @param {Object|string} card - Card object or plain text
+ * @param {string} type - Blank type
+ * @returns {boolean}
+ */
+function cardFitsBlank(card, type) {
+  return type === DEFAULT_BLANK_TYPE || cardBlankTypes(card).includes(type);
+}
+
+/**
+ * Blank types a hand can't cover with distinct cards. Typed blanks are matched first
+ * (rarest need first), then {noun} blanks take any card left.
+ * @param {Array<Object|string>} hand - Cards in the hand
+ * @param {Array<string>} blankTypes - The template's blank types
+ * @returns {Array<string>} One entry per blank left without a card (empty when covered)
+ */
+function unfilledBlankTypes(hand, blankTypes) {
+  const available = [...(hand || [])];
+  const typed = blankTypes.filter(type => type !== DEFAULT_BLANK_TYPE);
+  const supply = type => available.filter(card => cardFitsBlank(card, type)).length;
+  const missing = [];
+
+  typed.sort((a, b) => supply(a) - supply(b));
+  for (const type of typed) {
+    // Prefer the card that fits the fewest other types
+    const fits = available
+      .filter(card => cardFitsBlank(card, type))
+      .sort((a, b) => cardBlankTypes(a).length - cardBlankTypes(b).length);
+    if (fits.length === 0) {
+      missing.push(type);
+    } else {
+      available.splice(available.indexOf(fits[0]), 1);
+    }
+  }
+
+  const nounBlanks = blankTypes.length - typed.length;
+  for (let i = available.length; i < nounBlanks; i++) {
+    missing.push(DEFAULT_BLANK_TYPE);
+  }
+  return missing;
+}
+
+module.exports = {
+  BLANK_TYPES,
+  DEFAULT_BLANK_TYPE,
+  BLANK_PATTERN,
+  migrateTemplate,
+  parseBlanks,
+  countBlanks,
+  loadSentenceTemplate,
+  cardBlankTypes,
+  cardFitsBlank,
+  unfilledBlankTypes
+};
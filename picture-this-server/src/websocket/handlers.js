@@ -3,16 +3,19 @@
  * title: WebSocket Event Handlers
  * purpose: Manages all Socket.io event handlers for real-time game communication.
  *          Handles player connections, game creation/joining, card selection,
- *          judge actions, and player disconnections.
+ *          favorite voting, judge actions, and player disconnections. Disconnected
+ *          players are marked away and can resume their seat with a rejoin token.
  * exports: function(io, deps) - WebSocket setup function
- * dependencies: gameManager, sessionManager, logger, MESSAGE_TYPES, createMessage
+ * dependencies: gameManager, logger, MESSAGE_TYPES, createMessage, moderation, artStyles
  * ---
  */
 
 const { MESSAGE_TYPES, createMessage } = require('../utils/messages');
+const { isModerationError } = require('../game/moderation');
+const { ART_STYLE_POLICIES, listArtStyles } = require('../game/artStyles');
 
 // Track connected clients and their game associations
-const connectedClients = new Map(); // socketId -> { gameId, playerId, code, socket, connectedAt }
+const connectedClients = new Map(); // socketId -> { gameId, playerId, code, socket, connectedAt, spectator }
 
 // Legacy placeholder for backward compatibility
 let gameState = {
@@ -41,7 +44,7 @@ function getLegacyGameState() {
 /**
  * Set up all WebSocket event handlers
  */
-function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
+function setupWebSocketHandlers(io, { gameManager, logger }) {
 
   io.on('connection', (socket) => {
     const socketId = socket.id;
@@ -72,6 +75,13 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
         const game = gameManager.createGame({
           maxRounds: data.maxRounds || 5,
           maxPlayers: data.maxPlayers || 8,
+          scoringRules: data.scoringRules,
+          judgeRotation: data.judgeRotation,
+          forceFreshImages: data.forceFreshImages === true,
+          imageRetention: data.imageRetention,
+          promptTemplateSet: data.promptTemplateSet,
+          artStyleRules: data.artStyleRules,
+          cardPacks: data.cardPacks,
           hostId: socketId
         });
         
@@ -92,94 +102,62 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
     // Handle join-game event (Story 1.2 - Updated)
     socket.on('join-game', (data) => {
       try {
-        logger.info('Player joining game', { socketId, data });
+        logger.info('Player joining game', { socketId, code: data.code, playerId: data.playerId });
         
-        const { code, name, avatar, playerId } = data;
+        const { code, name, avatar, playerId, rejoinToken } = data;
         
-        // Check SessionManager first to see if game exists via REST API
-        const session = sessionManager.getSessionByCode(code);
-        if (!session) {
-          throw new Error(`Game session not found: ${code}`);
-        }
-        
-        // Find game in GameManager
-        let game = gameManager.getGameByCode(code);
-        
-        // If game doesn't exist in GameManager but exists in SessionManager,
-        // create it in GameManager to sync both systems
+        // REST and socket clients share one engine, so the REST-created game is the game
+        const game = gameManager.getGameByCode(code);
         if (!game) {
-          game = gameManager.createGame({ code });
-          logger.info('Created game in GameManager to sync with SessionManager', { code, gameId: game.gameId });
+          throw new Error(`Game session not found: ${code}`);
         }
         
-        // Check if player already exists in SessionManager (by playerId)
-        let existingPlayer = session.players.find(p => p.playerId === playerId);
+        // A known playerId (joined via REST or reconnecting) only re-attaches the socket,
+        // and only with the rejoin token issued for that seat
+        const existingPlayer = playerId ? game.players.find(p => p.id === playerId) : null;
         
-        if (existingPlayer) {
-          logger.info('Player reconnecting, not adding duplicate', { 
-            code, 
-            playerId,
-            socketId
-          });
-          // Find the player in game or just use the first matching name
-          let gamePlayer = game.players.find(p => p.socketId === socketId);
-          if (!gamePlayer) {
-            // Add player to GameManager if not there
-            gameManager.addPlayerToGame(game.gameId, {
-              socketId,
-              name: existingPlayer.name,
-              avatar: existingPlayer.avatar,
-              isHost: false
-            });
-            const updatedGame = gameManager.getGame(game.gameId);
-            gamePlayer = updatedGame.players[updatedGame.players.length - 1];
-            game = updatedGame;
-            logger.info('Added reconnecting player to GameManager', { code, playerId, socketId });
-          }
-        } else {
-          // New player - add to both systems
-          const newState = gameManager.addPlayerToGame(game.gameId, {
-            socketId,
-            name: name || 'Anonymous',
-            avatar: avatar || '🎮',
-            isHost: game.players.length === 0
-          });
-          game = newState;
-          
-          // Add to SessionManager
-          sessionManager.joinSession(code, {
-            playerId,
-            name: name || 'Anonymous',
-            avatar: avatar || '🎮'
-          });
-          logger.info('Added new player to both managers', { code, playerId, socketId });
-        }
+        const updatedGame = gameManager.addPlayerToGame(game.gameId, {
+          playerId,
+          rejoinToken,
+          socketId,
+          name: name || 'Anonymous',
+          avatar: avatar || '🎮',
+          isHost: game.hostId === socketId
+        });
         
         // Get the final player object
-        const player = game.players.find(p => p.socketId === socketId);
+        const player = updatedGame.players.find(p => p.socketId === socketId);
         if (!player) {
-          throw new Error(`Could not find player in game. Players: ${game.players.length}, socketId: ${socketId}`);
+          throw new Error(`Could not find player in game. Players: ${updatedGame.players.length}, socketId: ${socketId}`);
         }
         
         // Store player's game association
         const clientInfo = connectedClients.get(socketId);
         if (clientInfo) {
-          clientInfo.gameId = game.gameId;
-          clientInfo.playerId = playerId || player.id;
-          clientInfo.code = code;
+          clientInfo.gameId = updatedGame.gameId;
+          clientInfo.playerId = player.id;
+          clientInfo.code = updatedGame.code;
         }
         
         // Join socket room using game CODE as room identifier
-        socket.join(`game-${code}`);
+        socket.join(`game-${updatedGame.code}`);
         
-        // Send join confirmation to player
+        // Send join confirmation to player. The rejoin token only goes to whoever
+        // created the seat; returning players already have it.
         socket.emit('game-joined', createMessage('game_joined', {
-          gameId: game.gameId,
+          gameId: updatedGame.gameId,
           playerId: player.id,
-          code: game.code,
-          player
+          code: updatedGame.code,
+          player,
+          rejoinToken: existingPlayer ? null : gameManager.getRejoinToken(updatedGame.gameId, player.id)
         }));
         
+        // A returning player gets their hand, phase, timer and results back
+        if (existingPlayer) {
+          socket.emit(MESSAGE_TYPES.GAME_RESUMED, createMessage(MESSAGE_TYPES.GAME_RESUMED,
+            gameManager.getRejoinSnapshot(updatedGame.gameId, player.id)));
+        }
+        
         // Legacy support - update old gameState (only if new player)
         if (!existingPlayer) {
           gameState.players.push({
@@ -190,9 +168,9 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
           });
           
           // Broadcast player joined event to all in game (only if new player)
-          io.to(`game-${code}`).emit('player-joined', createMessage(MESSAGE_TYPES.PLAYER_JOINED, {
+          io.to(`game-${updatedGame.code}`).emit('player-joined', createMessage(MESSAGE_TYPES.PLAYER_JOINED, {
             player,
-            player_count: game.players.length
+            player_count: updatedGame.players.length
           }));
         } else {
           logger.info('Existing player reconnected', { code, playerId, socketId });
@@ -206,6 +184,35 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
       }
     });
 
+    // Handle resume-game event - a player returns on a new socket with their rejoin token
+    socket.on('resume-game', (data) => {
+      try {
+        const { state, playerId, snapshot } = gameManager.resumeGame(data && data.token, socketId);
+        
+        const clientInfo = connectedClients.get(socketId);
+        if (clientInfo) {
+          clientInfo.gameId = state.gameId;
+          clientInfo.playerId = playerId;
+          clientInfo.code = state.code;
+        }
+        
+        socket.join(`game-${state.code}`);
+        if (snapshot.isJudge) {
+          socket.join(`judge-${state.code}`);
+        }
+        
+        socket.emit(MESSAGE_TYPES.GAME_RESUMED, createMessage(MESSAGE_TYPES.GAME_RESUMED, snapshot));
+        logger.info('Player resumed game', { code: state.code, playerId, socketId });
+        
+      } catch (error) {
+        logger.warn('Error handling resume-game', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_RESUME'
+        }));
+      }
+    });
+    
     // Handle watch-game event for host (just join the room, don't add as player)
     socket.on('watch-game', (data) => {
       try {
@@ -224,6 +231,20 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
         if (clientInfo) {
           clientInfo.code = code;
         }
+        
+        // Watchers are registered as spectators so they can vote for favorites,
+        // until the socket disconnects
+        const game = gameManager.getGameByCode(code);
+        if (game) {
+          try {
+            const { spectatorId } = gameManager.addSpectator(game.gameId, `spectator-${socketId}`);
+            if (clientInfo) {
+              clientInfo.spectator = { gameId: game.gameId, spectatorId };
+            }
+          } catch (error) {
+            logger.warn('Watcher not registered as a spectator', { socketId, code, error: error.message });
+          }
+        }
 
         logger.debug('Client joined game room', { socketId, room: `game-${code}` });
       } catch (error) {
@@ -245,51 +266,19 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
         
         logger.info('Starting game via WebSocket', { socketId, code: clientInfo.code });
         
-        // Get session
-        const session = sessionManager.getSessionByCode(clientInfo.code);
-        if (!session) {
+        const game = gameManager.getGameByCode(clientInfo.code);
+        if (!game) {
           throw new Error(`Session not found for code: ${clientInfo.code}`);
         }
         
-        // Default sentence templates
-        const sentenceTemplates = [
-          'I SAW A _____ TRYING TO _____',
-          'THE _____ WAS _____ AND _____',
-          'MY FRIEND _____ LOVES _____',
-          'IN THE _____, THERE WAS A _____',
-          'THE BEST _____ I EVER SAW WAS _____'
-        ];
-        
-        // Start game in SessionManager (source of truth)
-        const updatedSession = sessionManager.startGame(clientInfo.code, sentenceTemplates);
-        
-        // Find the judge player info
-        const judge = updatedSession.players.find(p => p.playerId === updatedSession.judgeId);
+        // game-started is relayed to the room by GameManager once the engine starts the round
+        const updatedGame = gameManager.startGame(game.gameId);
         
         logger.info('Game started', {
-          code: clientInfo.code,
-          gameId: updatedSession.gameId,
-          players: updatedSession.players.length,
-          judgeId: updatedSession.judgeId,
-          judgeName: judge?.name,
-          judgeAvatar: judge?.avatar
-        });
-        
-        // Broadcast game started event using code-based room
-        io.to(`game-${clientInfo.code}`).emit('game-started', {
-          gameId: updatedSession.gameId,
-          code: updatedSession.code,
-          round: updatedSession.currentRound,
-          judge: judge ? {
-            id: judge.playerId,
-            name: judge.name,
-            avatar: judge.avatar
-          } : null,
-          sentence: updatedSession.sentenceTemplate,
-          sentenceTemplate: updatedSession.sentenceTemplate,
-          time_remaining: 45,
-          max_rounds: updatedSession.maxRounds,
-          status: updatedSession.currentPhase
+          code: updatedGame.code,
+          gameId: updatedGame.gameId,
+          players: updatedGame.players.length,
+          judgeId: updatedGame.judgeId
         });
         
       } catch (error) {
@@ -316,18 +305,29 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
           cards: data.cards 
         });
         
-        const newState = gameManager.submitSelection(
+        gameManager.submitSelection(
           clientInfo.gameId,
           clientInfo.playerId,
-          data.cards
+          { cards: data.cards, artStyle: data.artStyle }
         );
         
-        // Confirmation sent to player
+        // Confirmation sent to player (pending: the moderation provider is still reviewing it)
         socket.emit('selection-confirmed', createMessage('selection_confirmed', {
-          success: true
+          success: true,
+          pending: gameManager.isSelectionPending(clientInfo.gameId, clientInfo.playerId)
         }));
         
       } catch (error) {
+        if (isModerationError(error)) {
+          // Same event the player gets when an external provider rejects the cards later
+          socket.emit('selection-rejected', {
+            playerId: connectedClients.get(socketId).playerId,
+            reasons: error.reasons,
+            timeRemaining: error.timeRemaining,
+            timestamp: Date.now()
+          });
+          return;
+        }
         logger.error('Error handling select-cards', { socketId, error: error.message });
         socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
           message: error.message,
@@ -350,7 +350,7 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
           selection: data 
         });
         
-        const newState = gameManager.submitJudgeSelection(
+        gameManager.submitJudgeSelection(
           clientInfo.gameId,
           clientInfo.playerId,
           {
@@ -370,6 +370,146 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
       }
     });
     
+    // Handle cast-vote event - players and watchers (spectators) pick a favorite image
+    socket.on('cast-vote', (data) => {
+      try {
+        const clientInfo = connectedClients.get(socketId);
+        if (!clientInfo || !clientInfo.code) {
+          throw new Error('Not in a game');
+        }
+        
+        const game = gameManager.getGameByCode(clientInfo.code);
+        if (!game) {
+          throw new Error(`Session not found for code: ${clientInfo.code}`);
+        }
+        
+        // Watchers have no playerId; each spectator socket registered by watch-game gets one vote
+        const voterId = clientInfo.playerId || `spectator-${socketId}`;
+        
+        logger.debug('Favorite vote', { socketId, code: clientInfo.code, voterId, votedFor: data.votedFor });
+        
+        gameManager.castVote(game.gameId, voterId, data.votedFor);
+        
+        // The live tally is relayed to the room by GameManager
+        socket.emit('vote-confirmed', createMessage('vote_confirmed', {
+          votedFor: data.votedFor
+        }));
+        
+      } catch (error) {
+        logger.error('Error handling cast-vote', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_VOTE'
+        }));
+      }
+    });
+    
+    // Handle assign-judge event - host picks next round's judge (host-assigned rotation)
+    socket.on('assign-judge', (data) => {
+      try {
+        const clientInfo = connectedClients.get(socketId);
+        if (!clientInfo || !clientInfo.code) {
+          throw new Error('Not in a game');
+        }
+        
+        const game = gameManager.getGameByCode(clientInfo.code);
+        if (!game) {
+          throw new Error(`Session not found for code: ${clientInfo.code}`);
+        }
+        
+        // Socket-created games use the creating socket as hostId
+        const requestedBy = game.hostId === socketId ? socketId : clientInfo.playerId;
+        gameManager.assignNextJudge(game.gameId, requestedBy, data.playerId);
+        
+        socket.emit('judge-assigned', createMessage('judge_assigned', {
+          nextJudgeId: data.playerId
+        }));
+        
+      } catch (error) {
+        logger.error('Error handling assign-judge', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_ASSIGN_JUDGE'
+        }));
+      }
+    });
+    
+    // Art styles the player can pick from, and the game's policy (without a game: built-ins)
+    socket.on('get-art-styles', () => {
+      try {
+        const clientInfo = connectedClients.get(socketId);
+        const game = clientInfo && clientInfo.code ? gameManager.getGameByCode(clientInfo.code) : null;
+        const artStyles = game
+          ? gameManager.getArtStyles(game.gameId)
+          : { policy: null, lockedStyle: null, roundArtStyle: null, styles: listArtStyles(null) };
+        
+        socket.emit('art-styles', createMessage('art_styles', {
+          code: game ? game.code : null,
+          policies: ART_STYLE_POLICIES,
+          ...artStyles
+        }));
+        
+      } catch (error) {
+        logger.error('Error handling get-art-styles', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_GET_ART_STYLES'
+        }));
+      }
+    });
+    
+    // Host locks a style for the round or game; under judge-picks the judge picks the round's.
+    // The room hears about it through art-styles-updated.
+    socket.on('set-art-style', (data) => {
+      try {
+        const clientInfo = connectedClients.get(socketId);
+        if (!clientInfo || !clientInfo.code) {
+          throw new Error('Not in a game');
+        }
+        
+        const game = gameManager.getGameByCode(clientInfo.code);
+        if (!game) {
+          throw new Error(`Session not found for code: ${clientInfo.code}`);
+        }
+        
+        // Socket-created games use the creating socket as hostId
+        const requestedBy = game.hostId === socketId ? socketId : clientInfo.playerId;
+        gameManager.setArtStyle(game.gameId, requestedBy, data.style || null, { scope: data.scope || 'round' });
+        
+      } catch (error) {
+        logger.error('Error handling set-art-style', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_SET_ART_STYLE'
+        }));
+      }
+    });
+    
+    // Host adds a custom art style: { name, description }
+    socket.on('add-art-style', (data) => {
+      try {
+        const clientInfo = connectedClients.get(socketId);
+        if (!clientInfo || !clientInfo.code) {
+          throw new Error('Not in a game');
+        }
+        
+        const game = gameManager.getGameByCode(clientInfo.code);
+        if (!game) {
+          throw new Error(`Session not found for code: ${clientInfo.code}`);
+        }
+        
+        const requestedBy = game.hostId === socketId ? socketId : clientInfo.playerId;
+        gameManager.addArtStyle(game.gameId, requestedBy, { name: data.name, description: data.description });
+        
+      } catch (error) {
+        logger.error('Error handling add-art-style', { socketId, error: error.message });
+        socket.emit('error', createMessage(MESSAGE_TYPES.ERROR, {
+          message: error.message,
+          code: 'ERR_ADD_ART_STYLE'
+        }));
+      }
+    });
+    
     // Handle judge-ready event (Story 3.3 - Judge interface ready)
     socket.on('judge-ready', (data) => {
       try {
@@ -392,8 +532,9 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
           clientInfo.judgeId = judgeId;
         }
         
-        // Join the game room to receive events
+        // Join the game room to receive events, and the judge room for deadline warnings
         socket.join(`game-${code}`);
+        socket.join(`judge-${code}`);
         
         // Broadcast judge is ready to see submissions
         io.to(`game-${code}`).emit('judge-interface-ready', createMessage('judge_ready', {
@@ -449,16 +590,27 @@ function setupWebSocketHandlers(io, { gameManager, sessionManager, logger }) {
       
       const clientInfo = connectedClients.get(socketId);
       
-      // Remove player from their game if they were in one
+      // Mark the player away; they keep their seat, hand and score until the
+      // reconnect window closes
       if (clientInfo && clientInfo.gameId && clientInfo.playerId) {
         try {
-          gameManager.removePlayerFromGame(clientInfo.gameId, clientInfo.playerId);
-          logger.info('Player removed from game on disconnect', {
+          const detached = gameManager.detachSocket(socketId);
+          logger.info('Player away on disconnect', {
             gameId: clientInfo.gameId,
-            playerId: clientInfo.playerId
+            playerId: clientInfo.playerId,
+            awayUntil: detached ? detached.awayUntil : null
           });
         } catch (error) {
-          logger.error('Error removing player on disconnect', { error: error.message });
+          logger.error('Error detaching player on disconnect', { error: error.message });
+        }
+      }
+      
+      // Watchers leave the audience (and take this round's vote with them)
+      if (clientInfo && clientInfo.spectator) {
+        try {
+          gameManager.removeSpectator(clientInfo.spectator.gameId, clientInfo.spectator.spectatorId);
+        } catch (error) {
+          logger.error('Error removing spectator on disconnect', { error: error.message });
         }
       }
       
@@ -0,0 +1,53 @@
+/**
+ * ---
+ * title: Test Helpers
+ * purpose: Stubs shared by the standalone test scripts: an image generator that answers
+ *          at once with a per-player image, and a short wait for the engine's async work
+ *          (image generation, moderation reviews) to land.
+ * exports: stubImageGenerator - Image generator stub
+ *          createStubImageGenerator - Image generator stub that records each request
+ *          tick - Resolves after a few milliseconds
+ * dependencies: None (self-contained)
+ * ---
+ */
+
+/**
+ * Stub image for a player's round
+ * @private
+ */
+async function _stubImage(prompt, code, round, playerId, artStyle, completedSentence) {
+  return {
+    imageUrl: `/images/${code}-${round}-${playerId}.png`,
+    imagePath: `/tmp/${code}-${round}-${playerId}.png`,
+    completedSentence,
+    artStyle,
+    generatedAt: Date.now()
+  };
+}
+
+const stubImageGenerator = {
+  generateImage: _stubImage
+};
+
+/**
+ * Image generator stub that records every request
+ * @param {Array<Object>} calls - Receives { prompt, code, round, playerId } per request
+ * @returns {Object} { calls, generateImage }
+ */
+function createStubImageGenerator(calls = []) {
+  return {
+    calls,
+    generateImage: async (prompt, code, round, playerId, artStyle, completedSentence) => {
+      calls.push({ prompt, code, round, playerId });
+      return _stubImage(prompt, code, round, playerId, artStyle, completedSentence);
+    }
+  };
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  stubImageGenerator,
+  createStubImageGenerator,
+  tick
+};
@@ -0,0 +1,252 @@
+/**
+ * ---
+ * title: Art Style Tests
+ * purpose: Tests art style selection: the built-in styles and their descriptions, the
+ *          game's policy (free choice, host-locked, judge-picks, random), host locks for a
+ *          round or the whole game, and the host's custom styles reaching the image prompt.
+ * exports: None (test script)
+ * dependencies: artStyles, promptFormatter, GameEngine
+ * ---
+ */
+
+const {
+  createArtStyleRules,
+  listArtStyles,
+  resolveArtStyle
+} = require('../src/game/artStyles');
+const PromptFormatter = require('../src/utils/promptFormatter');
+const GameEngine = require('../src/game/GameEngine');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Assertion failed: ${message}. Wrong error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Assertion failed: ${message}. Nothing was thrown`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const claymation = { name: 'claymation', description: 'stop-motion clay figures, soft studio light' };
+
+function createEngine(prompts = []) {
+  return new GameEngine({
+    logger: silentLogger,
+    moderation: { blocklist: ['gore'] },
+    imageGenerator: {
+      generateImage: async (prompt, code, round, playerId, artStyle, completedSentence) => {
+        prompts.push({ prompt, artStyle });
+        return { imageUrl: `/images/${playerId}.png`, imagePath: `/images/${playerId}.png`, completedSentence, artStyle };
+      }
+    }
+  });
+}
+
+function startGame(engine, artStyleRules) {
+  const game = engine.createGame({ hostId: 'h', artStyleRules });
+  for (const id of ['h', 'p1', 'p2', 'p3']) {
+    engine.joinGame(game.code, { playerId: id, name: id });
+  }
+  return engine.startGame(game.code, { sentenceTemplates: ['A {noun} ate my homework'] });
+}
+
+function submitters(state) {
+  return state.players.filter(p => p.id !== state.judgeId);
+}
+
+function submit(engine, state, player, artStyle) {
+  return engine.submitSelection(state.code, player.id, { cards: [player.hand[0].id], artStyle });
+}
+
+async function runTests() {
+  console.log('\n🧪 Art Style Tests\n');
+
+  // Test 1: Styles and rules
+  await describe('Styles come with descriptions and art style rules are validated', async () => {
+    const details = PromptFormatter.getArtStyleDetails();
+    assertEquals(details.map(style => style.name).join(), PromptFormatter.getAvailableArtStyles().join(),
+      'Details cover every built-in style');
+    assert(details.every(style => style.description.length > 0), 'Every style has a description');
+
+    const rules = createArtStyleRules({ customStyles: [claymation] });
+    assertEquals(rules.policy, 'free', 'Free choice by default');
+    assertEquals(listArtStyles(rules).filter(style => style.custom).length, 1, 'Custom style is listed');
+    assertEquals(createArtStyleRules({ policy: 'host-locked' }).lockedStyle, 'realistic', 'Lock defaults to realistic');
+
+    assertThrows(() => createArtStyleRules({ policy: 'anarchy' }), /policy must be one of free, host-locked/, 'Bad policy');
+    assertThrows(() => createArtStyleRules({ lockedStyle: 'cartoon' }), /needs the host-locked policy/, 'Stray lock');
+    assertThrows(() => createArtStyleRules({ policy: 'host-locked', lockedStyle: 'cubist' }), /Unknown art style "cubist"/,
+      'Lock must be a known style');
+    assertThrows(() => createArtStyleRules({ customStyles: [{ name: 'cartoon', description: 'my own cartoons' }] }),
+      /"cartoon" already exists/, 'Custom styles cannot shadow built-ins');
+    assertThrows(() => createArtStyleRules({ customStyles: [{ name: 'Bad Name!', description: 'some description' }] }),
+      /name must be 2-24 lowercase letters/, 'Name format');
+    assertThrows(() => createArtStyleRules({ customStyles: [{ name: 'tiny', description: 'short' }] }),
+      /description must be 10-200 characters/, 'Description length');
+
+    const formatted = PromptFormatter.formatImagePrompt('A {noun} ate my homework', ['llama'], 'claymation', {
+      customStyles: { claymation: claymation.description }
+    });
+    assertEquals(formatted.artStyle, 'claymation', 'Custom style is kept');
+    assert(formatted.prompt.includes(claymation.description), 'Prompt carries the custom style text');
+  });
+
+  // Test 2: Free choice
+  await describe('Under free choice each player picks a known style', async () => {
+    const prompts = [];
+    const engine = createEngine(prompts);
+    try {
+      const started = startGame(engine);
+      const [first, second] = submitters(started);
+
+      assertThrows(() => submit(engine, started, first, 'cubist'), /Unknown art style "cubist"/, 'Unknown style');
+      submit(engine, started, first, 'cartoon');
+      const updated = submit(engine, started, second);
+      assertEquals(updated.playerSelections[first.id].artStyle, 'cartoon', 'Player pick is recorded');
+      assertEquals(updated.playerSelections[second.id].artStyle, 'realistic', 'No pick uses the default');
+
+      const deadline = Date.now() + 5000;
+      while (prompts.length < 2 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assertEquals(prompts.map(p => p.artStyle).sort().join(), 'cartoon,realistic', 'Images use each pick');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 3: Host locks
+  await describe('The host locks a style for the game or the round', async () => {
+    const engine = createEngine();
+    try {
+      const locked = startGame(engine, { policy: 'host-locked', lockedStyle: 'cinematic' });
+      const [first, second] = submitters(locked);
+      assertEquals(submit(engine, locked, first, 'cartoon').playerSelections[first.id].artStyle, 'cinematic',
+        'The game lock wins over the player');
+      assertThrows(() => engine.setArtStyle(locked.code, 'h', 'whimsical'), /can't change after a selection/,
+        'Round style is fixed once selections are in');
+
+      const free = startGame(engine);
+      assertThrows(() => engine.setArtStyle(free.code, 'p1', 'cartoon', { scope: 'game' }),
+        /Only the host can lock the art style for the game/, 'Players cannot lock the game');
+      engine.setArtStyle(free.code, 'h', 'whimsical');
+      const [player] = submitters(free);
+      assertEquals(submit(engine, free, player, 'cartoon').playerSelections[player.id].artStyle, 'whimsical',
+        'The round lock wins over the player');
+
+      const unlocked = engine.setArtStyle(locked.code, 'h', null, { scope: 'game' });
+      assertEquals(unlocked.artStyleRules.policy, 'free', 'Clearing the game lock returns to free choice');
+      assertEquals(submit(engine, unlocked, second, 'cartoon').playerSelections[second.id].artStyle, 'cartoon',
+        'Players pick again');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 4: Judge picks and random
+  await describe('The judge picks the round\'s style and random draws one per round', async () => {
+    const engine = createEngine();
+    try {
+      const judged = startGame(engine, { policy: 'judge-picks' });
+      const player = submitters(judged).find(p => p.id !== 'h');
+      assertThrows(() => engine.setArtStyle(judged.code, player.id, 'cartoon'), /Only the host, or the judge/,
+        'Players cannot pick');
+      assertEquals(resolveArtStyle(engine.getGame(judged.code), 'cartoon'), 'realistic',
+        'Before the judge picks, the default style is used');
+      const picked = engine.setArtStyle(judged.code, judged.judgeId, 'cartoon');
+      assertEquals(picked.roundArtStyle, 'cartoon', 'The judge picked');
+      assertEquals(submit(engine, picked, player, 'cinematic').playerSelections[player.id].artStyle, 'cartoon',
+        'Everyone gets the judge\'s style');
+
+      const names = listArtStyles(null).map(style => style.name);
+      const random = startGame(engine, { policy: 'random' });
+      assert(names.includes(random.roundArtStyle), 'Round 1 drew a style');
+      assertThrows(() => engine.setArtStyle(random.code, random.judgeId === 'h' ? 'p1' : random.judgeId, 'cartoon'),
+        /Only the host, or the judge/, 'The judge only picks under judge-picks');
+      assertEquals(engine.getArtStyles(random.code).roundArtStyle, random.roundArtStyle, 'Round style is reported');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 5: Custom styles
+  await describe('Host custom styles are validated, stored and used in the prompt', async () => {
+    const prompts = [];
+    const updates = [];
+    const engine = createEngine(prompts);
+    engine.on('onArtStylesUpdated', (code, data) => updates.push(data));
+    try {
+      assertThrows(() => engine.createGame({ hostId: 'h', artStyleRules: {
+        customStyles: [{ name: 'grim', description: 'lots of gore everywhere' }]
+      } }), /"grim" contains a blocked word/, 'Custom styles pass moderation');
+
+      const started = startGame(engine, { policy: 'host-locked', lockedStyle: 'realistic' });
+      assertThrows(() => engine.addArtStyle(started.code, 'p1', claymation), /Only the host can add art styles/,
+        'Only the host adds styles');
+      engine.addArtStyle(started.code, 'h', claymation);
+      assertThrows(() => engine.addArtStyle(started.code, 'h', claymation), /already exists/, 'No duplicates');
+      engine.setArtStyle(started.code, 'h', 'claymation', { scope: 'game' });
+
+      const styles = engine.getArtStyles(started.code);
+      assertEquals(styles.lockedStyle, 'claymation', 'Game is locked to the custom style');
+      assert(styles.styles.some(style => style.name === 'claymation' && style.custom), 'Custom style is stored');
+      assertEquals(updates.length, 2, 'Each change is announced');
+
+      const [player] = submitters(started);
+      submit(engine, started, player);
+      const deadline = Date.now() + 5000;
+      while (prompts.length < 1 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assertEquals(prompts[0].artStyle, 'claymation', 'Image uses the custom style');
+      assert(prompts[0].prompt.includes(claymation.description), 'Prompt carries the host\'s description');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
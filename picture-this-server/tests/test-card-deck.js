@@ -0,0 +1,181 @@
+/**
+ * ---
+ * title: Card Deck Tests
+ * purpose: Tests CardDeck serialization and the per-round hand cycle: played cards leave
+ *          the hand and go to the discard pile, hands are topped back up at ROUND_SETUP,
+ *          and the deck survives state copies and JSON round-trips between rounds.
+ * exports: None (test script)
+ * dependencies: CardDeck, GameEngine, GameSessionManager, phases, test helpers
+ * ---
+ */
+
+const CardDeck = require('../src/game/CardDeck');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function createGame(options = {}) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+  const manager = new GameSessionManager({ engine });
+  const session = manager.createSession('host-1', 3, 8, options);
+  for (const id of ['p1', 'p2', 'p3']) {
+    manager.joinSession(session.code, { playerId: id, name: id });
+  }
+  manager.startGame(session.code, ['A _______ ate my homework', 'Never trust a _______']);
+  return { engine, manager, code: session.code };
+}
+
+/**
+ * Plays round 1 with every submitter playing their first card, then moves into round 2
+ * @returns {Object} { played: { playerId: card }, before: state at RESULTS }
+ */
+async function playIntoNextRound(engine, manager, code) {
+  const state = manager.getSessionByCode(code);
+  const played = {};
+  for (const player of state.players.filter(p => p.id !== state.judgeId)) {
+    played[player.id] = player.hand[0];
+    manager.recordPlayerSelection(code, player.id, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+  }
+  engine.advancePhase(code, null, 'timeout'); // -> IMAGE_GEN
+  await tick();
+  engine.advancePhase(code, null, 'timeout'); // -> VOTING
+  engine.advancePhase(code, null, 'timeout'); // -> JUDGING
+  const [first, second] = Object.keys(played);
+  manager.recordJudgeSelection(code, first, second);
+  engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+  const before = manager.getSessionByCode(code);
+  engine.advancePhase(code, null, 'timeout'); // -> ROUND_SETUP
+  return { played, before };
+}
+
+async function runTests() {
+  console.log('\n🧪 Card Deck Tests\n');
+
+  // Test 1: toState/fromState keeps the piles
+  await describe('Deck round-trips through plain data', async () => {
+    const deck = new CardDeck(['a', 'b', 'c', 'd', 'e']);
+    const hand = deck.draw(2);
+    deck.discard([hand[0]]);
+
+    const restored = CardDeck.fromState(JSON.parse(JSON.stringify(deck.toState())));
+
+    assertEquals(restored.drawPile.join(), deck.drawPile.join(), 'Draw pile order should be kept');
+    assertEquals(restored.discardPile.join(), hand[0], 'Discard pile should be kept');
+    assertEquals(restored.originalCards.length, 5, 'Full card list should be kept');
+  });
+
+  // Test 2: Round 1 deals the configured hand size and stores the deck in state
+  await describe('Round 1 deals configured hand size with the deck stored in state', async () => {
+    const { engine, manager, code } = createGame({ handSize: 5 });
+    const state = manager.getSessionByCode(code);
+
+    assert(state.players.every(p => p.hand.length === 5), 'Every hand should hold 5 cards');
+    assert(state.deck && Array.isArray(state.deck.drawPile), 'Deck should live in state as plain data');
+    assertEquals(state._deck, undefined, 'Deck should not be kept on _deck');
+    const dealt = new Set(state.players.flatMap(p => p.hand));
+    assert(state.deck.drawPile.every(card => !dealt.has(card)), 'Dealt cards should be out of the draw pile');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Played cards are discarded and hands refilled
+  await describe('Played cards are discarded and hands topped up at ROUND_SETUP', async () => {
+    const { engine, manager, code } = createGame();
+    const { played, before } = await playIntoNextRound(engine, manager, code);
+    const round2 = manager.getSessionByCode(code);
+
+    assertEquals(round2.currentPhase, PHASES.ROUND_SETUP, 'Should be setting up round 2');
+    assert(round2.players.every(p => p.hand.length === 8), 'Every hand should be back to 8');
+    for (const [playerId, card] of Object.entries(played)) {
+      const hand = round2.players.find(p => p.id === playerId).hand;
+      assert(!hand.includes(card), `${playerId}'s played card should leave the hand`);
+      assert(round2.deck.discardPile.includes(card), `${playerId}'s played card should be discarded`);
+    }
+    const judge = before.players.find(p => p.id === before.judgeId);
+    assertEquals(
+      round2.players.find(p => p.id === judge.id).hand.join(),
+      judge.hand.join(),
+      'Judge kept their hand untouched'
+    );
+    assertEquals(
+      round2.deck.drawPile.length,
+      before.deck.drawPile.length - Object.keys(played).length,
+      'Replacements should come off the draw pile'
+    );
+
+    engine.shutdown();
+  });
+
+  // Test 4: Deck survives a serialized copy of state
+  await describe('Deck survives state serialization between rounds', async () => {
+    const { engine, manager, code } = createGame();
+    const snapshot = JSON.parse(JSON.stringify(manager.getSessionByCode(code)));
+    engine.updateGame(code, snapshot);
+
+    await playIntoNextRound(engine, manager, code);
+    const round2 = manager.getSessionByCode(code);
+
+    assert(round2.players.every(p => p.hand.length === 8), 'Hands should refill from the restored deck');
+    const cards = [...round2.players.flatMap(p => p.hand), ...round2.deck.drawPile, ...round2.deck.discardPile];
+    assertEquals(new Set(cards).size, cards.length, 'No card should be duplicated');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Invalid hand size is rejected
+  await describe('Creating a session with an invalid hand size throws', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+    const manager = new GameSessionManager({ engine });
+    try {
+      manager.createSession('host-1', 3, 8, { handSize: 50 });
+      throw new Error('Invalid hand size was accepted');
+    } catch (error) {
+      assert(error.message.includes('handSize'), 'Should reject the hand size');
+    }
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
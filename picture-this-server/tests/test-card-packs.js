@@ -0,0 +1,307 @@
+/**
+ * ---
+ * title: Card Pack Tests
+ * purpose: Tests hosts' card packs: schema validation of ids, categories and blank
+ *          counts, JSON and CSV import and export, owner-only access and persistence,
+ *          games dealing from the union of the packs they pick, and the REST endpoints.
+ * exports: None (test script)
+ * dependencies: http, express, csv, CardPackStore, CardDeck, GameEngine, GameSessionManager,
+ *               MemoryStorageAdapter, card pack routes, game routes
+ * ---
+ */
+
+const http = require('http');
+const express = require('express');
+const { parseCsv } = require('../src/utils/csv');
+const CardPackStore = require('../src/game/CardPackStore');
+const CardDeck = require('../src/game/CardDeck');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const { MemoryStorageAdapter } = require('../src/storage');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Assertion failed: ${message}. Wrong error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Assertion failed: ${message}. Nothing was thrown`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const PORT = 3007;
+
+function makeRequest(method, path, userId, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: PORT,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-User': userId }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        const json = (res.headers['content-type'] || '').startsWith('application/json') && !res.headers['content-disposition'];
+        resolve({ status: res.statusCode, headers: res.headers, body: json && data ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    if (body) {
+      req.write(JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+function nounCards(prefix, count, extra = {}) {
+  return Array.from({ length: count }, (_, i) => ({ id: i + 1, text: `${prefix} ${i + 1}`, category: 'Jokes', ...extra }));
+}
+
+async function runTests() {
+  console.log('\n🧪 Card Pack Tests\n');
+
+  // Test 1: Schema validation
+  await describe('Packs are validated for ids, categories and blank counts', async () => {
+    const store = new CardPackStore();
+    const created = store.createPack('host-a', { type: 'noun', name: ' Office jokes ', cards: nounCards('Dave', 3) });
+    assertEquals(created.name, 'Office jokes', 'Name is trimmed');
+    assertEquals(created.cards.length, 3, 'Cards are stored');
+
+    const bad = (cards, type = 'noun') => () => store.createPack('host-a', { type, name: 'Bad', cards });
+    assertThrows(bad([{ id: 'one', text: 'Dave', category: 'Jokes' }]), /card 0 must have an integer id/, 'Integer ids');
+    assertThrows(bad([...nounCards('Dave', 2), { id: 2, text: 'Again', category: 'Jokes' }]), /duplicate card id 2/,
+      'Unique ids');
+    assertThrows(bad([{ id: 1, text: 'Dave', category: ' ' }]), /card 0 must have a category/, 'Categories');
+    assertThrows(bad([{ id: 1, text: '{noun} and {noun}', blanks: 1, category: 'Double' }], 'sentence'),
+      /declares 1 blanks but its text has 2/, 'Blank counts must match');
+    assertThrows(bad([{ id: 1, text: '{noun} again', category: 'Simple' }], 'sentence'), /must declare its blanks count/,
+      'Blank counts are required');
+    assertThrows(bad([]), /expected a non-empty "cards" array/, 'Packs need cards');
+    assertThrows(() => store.createPack('host-a', { type: 'trivia', name: 'Bad', cards: nounCards('x', 1) }),
+      /Invalid card pack type "trivia"/, 'Known types only');
+    assertThrows(() => store.createPack('host-a', { type: 'noun', name: '', cards: nounCards('x', 1) }),
+      /name must be 1-60 characters/, 'Packs need a name');
+    assertThrows(() => store.updatePack(created.id, 'host-a', { type: 'sentence' }), /type can't change/, 'Type is fixed');
+
+    const sentences = store.createPack('host-a', { type: 'sentence', name: 'Legacy', cards: [
+      { id: 1, text: 'Dave brought _____ to the meeting', blanks: 1, category: 'Simple' }
+    ] });
+    assertEquals(sentences.cards[0].text, 'Dave brought {noun} to the meeting', 'Legacy blanks are migrated');
+  });
+
+  // Test 2: Import and export
+  await describe('Packs import and export as JSON and CSV', async () => {
+    const store = new CardPackStore();
+    const csv = 'id,text,category,blankTypes\n1,"Dave, from accounts",People,person\n2,"The ""good"" stapler",Things,\n';
+    const nouns = store.importPack('host-a', { format: 'csv', name: 'Office', content: csv });
+    assertEquals(nouns.type, 'noun', 'Type comes from the header');
+    assertEquals(nouns.cards[0].text, 'Dave, from accounts', 'Quoted commas');
+    assertEquals(nouns.cards[0].blankTypes.join(), 'person', 'Blank types column');
+    assertEquals(nouns.cards[1].text, 'The "good" stapler', 'Doubled quotes');
+    assertEquals(nouns.cards[1].blankTypes, undefined, 'Empty blank types are left out');
+
+    const exported = store.exportPack(nouns.id, 'host-a', 'csv');
+    assertEquals(exported.contentType, 'text/csv; charset=utf-8', 'CSV content type');
+    assertEquals(exported.fileName, 'office.csv', 'File name from the pack name');
+    assertEquals(parseCsv(exported.body)[1][1], 'Dave, from accounts', 'Export quotes fields');
+    const reimported = store.importPack('host-a', { format: 'csv', name: 'Copy', content: exported.body });
+    assertEquals(JSON.stringify(reimported.cards), JSON.stringify(nouns.cards), 'CSV round trip');
+
+    const sentences = store.importPack('host-a', { format: 'csv', name: 'Meetings',
+      content: 'id,text,blanks,category\r\n7,{person} ate {noun},2,Double\r\n' });
+    assertEquals(sentences.type, 'sentence', 'A blanks column makes a sentence pack');
+    const json = store.exportPack(sentences.id, 'host-a', 'json');
+    const parsed = JSON.parse(json.body);
+    assertEquals(parsed.cards[0].blankTypes, undefined, 'Derived blank types are not exported');
+    const fromJson = store.importPack('host-a', { content: json.body, name: 'Meetings 2' });
+    assertEquals(fromJson.cards[0].blankTypes.join(), 'person,noun', 'JSON round trip');
+
+    assertThrows(() => store.importPack('host-a', { format: 'csv', name: 'Bad', content: 'id,text,colour\n1,x,red\n' }),
+      /unknown column "colour"/, 'Unknown CSV columns');
+    assertThrows(() => store.importPack('host-a', { format: 'csv', name: 'Bad', content: 'id,text,category\nx,Dave,People\n' }),
+      /card 0 must have an integer id/, 'CSV rows are validated');
+    assertThrows(() => store.importPack('host-a', { format: 'csv', name: 'Bad', content: 'id,text\n1,"Dave\n' }),
+      /unterminated quoted field/, 'Broken CSV');
+    assertThrows(() => store.importPack('host-a', { format: 'xml', content: '<cards/>' }), /expected one of json, csv/,
+      'Known formats only');
+  });
+
+  // Test 3: Ownership and persistence
+  await describe('Only the owner changes a pack and packs survive a restart', async () => {
+    const storage = new MemoryStorageAdapter();
+    const store = new CardPackStore({ storage });
+    const pack = store.createPack('host-a', { type: 'noun', name: 'Mine', cards: nounCards('Dave', 2) });
+
+    assertThrows(() => store.getPack(pack.id, 'host-b'), /belongs to another host/, 'Others cannot read it');
+    assertThrows(() => store.updatePack(pack.id, 'host-b', { name: 'Stolen' }), /Only the pack's owner/,
+      'Others cannot change it');
+    assertThrows(() => store.deletePack('default-nouns', 'host-a'), /read-only/, 'Built-in packs are read-only');
+    assert(store.getPack('default-sentences', 'host-b').cards.length > 0, 'Anyone reads the built-in packs');
+    assertEquals(store.listPacks('host-b').length, 2, 'Other hosts list only the built-ins');
+
+    store.updatePack(pack.id, 'host-a', { name: 'Renamed' });
+    const reopened = new CardPackStore({ storage });
+    const listed = reopened.listPacks('host-a');
+    assertEquals(listed.length, 3, 'Stored pack is reloaded');
+    assertEquals(listed[2].name, 'Renamed', 'Updates are written through');
+    assertEquals(listed[2].cardCount, 2, 'Listing counts cards');
+
+    reopened.deletePack(pack.id, 'host-a');
+    assertEquals(new CardPackStore({ storage }).listPacks('host-a').length, 2, 'Deletes are written through');
+  });
+
+  // Test 4: Games deal from the union of their packs
+  await describe('A game deals from the union of the packs it picks', async () => {
+    const merged = CardDeck.mergePacks([
+      { id: 'a', cards: [{ id: 1, text: 'Dave' }, { id: 2, text: 'Stapler' }] },
+      { id: 'b', cards: [{ id: 1, text: 'dave' }, { id: 2, text: 'Printer' }] }
+    ]);
+    assertEquals(merged.map(card => card.id).join(), 'a:1,a:2,b:2', 'Ids are namespaced and texts deduplicated');
+
+    const engine = new GameEngine({ logger: silentLogger });
+    try {
+      const office = engine.cardPacks.createPack('host-a', { type: 'noun', name: 'Office', cards: nounCards('Dave', 20) });
+      const people = engine.cardPacks.createPack('host-a', { type: 'noun', name: 'People', cards: [
+        ...nounCards('Boss', 10, { blankTypes: ['person'] }),
+        { id: 11, text: 'Dave 1', category: 'Jokes' }
+      ] });
+      const meetings = engine.cardPacks.createPack('host-a', { type: 'sentence', name: 'Meetings', cards: [
+        { id: 1, text: '{person} cancelled the meeting because of {noun}', blanks: 2, category: 'Double' }
+      ] });
+
+      assertThrows(() => engine.createGame({ hostId: 'host-b', cardPacks: [office.id] }), /belongs to another host/,
+        'Hosts can only pick their own packs');
+      assertThrows(() => engine.createGame({ hostId: 'host-a', cardPacks: [office.id, meetings.id] }),
+        /"Meetings": card 1 needs 1 \{person\} card\(s\) but the game's noun deck has 0/, 'Typed blanks need supply');
+      assertThrows(() => engine.createGame({ hostId: 'host-a', cardPacks: 'office' }), /non-empty array/,
+        'cardPacks must be an array');
+
+      const game = engine.createGame({ hostId: 'host-a', cardPacks: [office.id, people.id, meetings.id] });
+      assertEquals(game.cardPacks.length, 3, 'Pack ids are recorded');
+      assertEquals(game.nounCards.length, 30, 'Noun packs are merged without the duplicate text');
+      for (const id of ['p1', 'p2', 'p3']) {
+        engine.joinGame(game.code, { playerId: id, name: id });
+      }
+      const started = engine.startGame(game.code);
+      assertEquals(started.sentenceTemplate, '{person} cancelled the meeting because of {noun}', 'Sentence from the pack');
+      const packIds = new Set([office.id, people.id]);
+      for (const player of started.players) {
+        assert(player.hand.every(card => packIds.has(card.packId)), `${player.id} holds only pack cards`);
+        assert(player.hand.some(card => card.blankTypes), `${player.id} can fill the {person} blank`);
+      }
+
+      const plain = engine.createGame({ hostId: 'host-a' });
+      assertEquals(plain.nounCards, null, 'Games without packs use data/');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 5: REST endpoints
+  await describe('Hosts manage packs over REST and pick them for a session', async () => {
+    const engine = new GameEngine({ logger: silentLogger });
+    const manager = new GameSessionManager({ engine });
+    const auth = {
+      requireAuth: (req, res, next) => {
+        req.user = { id: req.headers['x-user'] };
+        next();
+      }
+    };
+    const app = express();
+    app.use(express.json());
+    require('../src/routes/cardPacks')(app, { sessionManager: manager, auth, logger: silentLogger });
+    require('../src/routes/game')(app, { gameManager: null, sessionManager: manager, auth, io: null, logger: silentLogger });
+    const server = app.listen(PORT);
+
+    try {
+      const created = await makeRequest('POST', '/api/card-packs', 'host-a',
+        { type: 'noun', name: 'Office', cards: nounCards('Dave', 12) });
+      assertEquals(created.status, 201, 'Pack is created');
+      const id = created.body.pack.id;
+
+      const invalid = await makeRequest('POST', '/api/card-packs', 'host-a', { type: 'noun', name: 'Bad', cards: [{ id: 1 }] });
+      assertEquals(invalid.status, 400, 'Invalid packs are a 400');
+
+      const imported = await makeRequest('POST', '/api/card-packs/import', 'host-a',
+        { format: 'csv', name: 'Imported', content: 'id,text,category\n1,Coffee,Things\n' });
+      assertEquals(imported.status, 201, 'CSV import');
+
+      const listed = await makeRequest('GET', '/api/card-packs', 'host-a');
+      assertEquals(listed.body.packs.length, 4, 'Built-ins plus two packs');
+      assertEquals((await makeRequest('GET', `/api/card-packs/${id}`, 'host-b')).status, 403, 'Other hosts get a 403');
+      assertEquals((await makeRequest('GET', '/api/card-packs/missing', 'host-a')).status, 404, 'Unknown packs are a 404');
+      assertEquals((await makeRequest('PUT', '/api/card-packs/default-nouns', 'host-a', { name: 'Mine' })).status, 403,
+        'Built-ins cannot be changed');
+
+      const updated = await makeRequest('PUT', `/api/card-packs/${id}`, 'host-a', { name: 'Office 2' });
+      assertEquals(updated.body.pack.name, 'Office 2', 'Pack is updated');
+
+      const csv = await makeRequest('GET', `/api/card-packs/${id}/export?format=csv`, 'host-a');
+      assertEquals(csv.headers['content-type'], 'text/csv; charset=utf-8', 'CSV download');
+      assertEquals(csv.headers['content-disposition'], 'attachment; filename="office-2.csv"', 'Download file name');
+      assert(csv.body.startsWith('id,text,category,blankTypes\n1,Dave 1,Jokes,'), 'CSV body');
+
+      const plain = await makeRequest('POST', '/api/game/create-session', 'host-a', { cardPacks: [id] });
+      assertEquals(plain.status, 400, 'Default sentences need {person} and {place} cards');
+      const session = await makeRequest('POST', '/api/game/create-session', 'host-a', { cardPacks: [id, 'default-nouns'] });
+      assertEquals(session.status, 200, 'Session is created with the pack and the built-in nouns');
+      assertEquals(session.body.settings.cardPacks.join(), `${id},default-nouns`, 'Chosen packs are echoed');
+      const foreign = await makeRequest('POST', '/api/game/create-session', 'host-b', { cardPacks: [id] });
+      assertEquals(foreign.status, 400, 'Other hosts\' packs are rejected');
+
+      const removed = await makeRequest('DELETE', `/api/card-packs/${id}`, 'host-a');
+      assertEquals(removed.status, 200, 'Pack is deleted');
+      assertEquals((await makeRequest('GET', `/api/card-packs/${id}`, 'host-a')).status, 404, 'Deleted pack is gone');
+    } finally {
+      server.close();
+      engine.shutdown();
+    }
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * ---
+ * title: Card Repository Tests
+ * purpose: Tests loading, validation and caching of the noun and sentence card packs,
+ *          and that games in both flows deal card objects and draw sentences from them.
+ * exports: None (test script)
+ * dependencies: fs, os, path, CardRepository, GameEngine, GameSessionManager, GameManager
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CardRepository = require('../src/game/CardRepository');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const tempDirs = [];
+
+/**
+ * Writes a pair of pack files into a fresh temp directory
+ */
+function writePacks(nounCards, sentenceCards) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'card-packs-'));
+  tempDirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'noun-cards.json'), JSON.stringify({ cards: nounCards }));
+  fs.writeFileSync(path.join(dir, 'sentence-cards.json'), JSON.stringify({ cards: sentenceCards }));
+  return dir;
+}
+
+const validNouns = [
+  { id: 1, text: 'A llama', category: 'Animals' },
+  { id: 2, text: 'A toaster', category: 'Objects' }
+];
+const validSentences = [
+  { id: 1, text: '_______ ate my homework', blanks: 1, category: 'Simple' }
+];
+
+async function runTests() {
+  console.log('\n🧪 Card Repository Tests\n');
+
+  // Test 1: Bundled packs load
+  await describe('Bundled noun and sentence packs load and validate', async () => {
+    const repository = new CardRepository();
+    const nouns = repository.getNounCards();
+    const sentences = repository.getSentenceCards();
+
+    assertEquals(nouns.length, 200, 'All noun cards should load');
+    assertEquals(sentences.length, 200, 'All sentence cards should load');
+    assert(nouns.every(card => card.id && card.text && card.category), 'Noun cards should be objects');
+    assert(sentences.every(card => card.blanks >= 1), 'Sentence cards should carry blank counts');
+  });
+
+  // Test 2: Packs are cached
+  await describe('Packs are read once and cached until cleared', async () => {
+    const dir = writePacks(validNouns, validSentences);
+    const repository = new CardRepository({ dataDir: dir });
+    const first = repository.getNounCards();
+
+    fs.writeFileSync(path.join(dir, 'noun-cards.json'), JSON.stringify({ cards: [validNouns[0]] }));
+    assert(repository.getNounCards() === first, 'Second read should come from the cache');
+    assert(new CardRepository({ dataDir: dir }).getNounCards() === first, 'Cache is shared across instances');
+
+    repository.clearCache();
+    assertEquals(repository.getNounCards().length, 1, 'Clearing the cache rereads the file');
+    assert(Object.isFrozen(first[0]), 'Cached cards should be frozen');
+  });
+
+  // Test 3: Malformed packs are rejected
+  await describe('Malformed packs are rejected with the offending card', async () => {
+    const cases = [
+      [[{ id: 1, text: '', category: 'Animals' }], validSentences, 'must have text'],
+      [[{ id: 'x', text: 'A llama', category: 'Animals' }], validSentences, 'integer id'],
+      [[validNouns[0], validNouns[0]], validSentences, 'duplicate card id'],
+      [validNouns, [{ id: 1, text: 'No blanks here', blanks: 1, category: 'Simple' }], 'at least one blank'],
+      [validNouns, [{ id: 1, text: '_______ met _______', blanks: 1, category: 'Simple' }], 'declares 1 blanks'],
+      [[], validSentences, 'non-empty']
+    ];
+    for (const [nouns, sentences, text] of cases) {
+      const repository = new CardRepository({ dataDir: writePacks(nouns, sentences) });
+      assertThrows(() => repository.preload(), text, `Should reject with "${text}"`);
+    }
+
+    const missing = new CardRepository({ dataDir: path.join(os.tmpdir(), 'no-such-card-dir') });
+    assertThrows(() => missing.getNounCards(), 'Invalid card pack noun-cards.json', 'Missing file should be reported');
+  });
+
+  // Test 4: Games deal card objects and draw sentences from the pack (REST flow)
+  await describe('REST games deal card objects and use the sentence pack', async () => {
+    const repository = new CardRepository({ dataDir: writePacks(
+      Array.from({ length: 30 }, (_, i) => ({ id: i + 1, text: `Card ${i + 1}`, category: 'Test' })),
+      validSentences
+    ) });
+    const engine = new GameEngine({ logger: silentLogger, cardRepository: repository });
+    const manager = new GameSessionManager({ engine });
+    const session = manager.createSession('host-1', 3, 8);
+    manager.joinSession(session.code, { playerId: 'p1', name: 'p1' });
+    manager.joinSession(session.code, { playerId: 'p2', name: 'p2' });
+
+    const started = manager.startGame(session.code);
+
+    assertEquals(started.sentenceTemplate, '{noun} ate my homework', 'Sentence should come from the pack, migrated');
+    const card = started.players[0].hand[0];
+    assert(card.id && card.category === 'Test', 'Hands should hold card objects from the pack');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Socket flow validates card objects by id
+  await describe('Socket selections are matched to the hand by card id', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: { generateImage: async () => ({}) } });
+    const io = { to: () => ({ emit: () => {} }) };
+    const gameManager = new GameManager(silentLogger, io, engine);
+    const game = gameManager.createGame({ hostId: 'host-1' });
+    gameManager.addPlayerToGame(game.gameId, { playerId: 'p1', socketId: 's1', name: 'p1' });
+    gameManager.addPlayerToGame(game.gameId, { playerId: 'p2', socketId: 's2', name: 'p2' });
+    gameManager.addPlayerToGame(game.gameId, { playerId: 'p3', socketId: 's3', name: 'p3' });
+    const started = gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+    const player = started.players.find(p => p.id !== started.judgeId);
+
+    assertThrows(
+      () => gameManager.submitSelection(game.gameId, player.id, { cards: [{ id: -1, text: 'Forged' }] }),
+      'not in player\'s hand',
+      'Cards outside the hand should be rejected'
+    );
+
+    const updated = gameManager.submitSelection(game.gameId, player.id, { cards: [player.hand[0].id] });
+    assertEquals(updated.playerSelections[player.id].cards[0].text, player.hand[0].text, 'Card id resolves to the dealt card');
+
+    engine.shutdown();
+  });
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
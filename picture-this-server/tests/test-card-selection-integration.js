@@ -92,18 +92,17 @@ function test3() {
     const nonJudgePlayers = players.filter(p => p.playerId !== session.judgeId);
     
     // Try to submit with duplicate card (same card index for different blanks)
-    // This would be invalid - e.g., { 0: 3, 1: 3 } (card 3 used twice)
-    // Note: This validation should happen in player-game.html, but backend should also validate
+    // e.g., { 0: 3, 1: 3 } (card 3 used twice) - the backend rejects it too
     const duplicateSelections = { 0: 3, 1: 3 };
     
-    // For now, backend accepts it - frontend prevents via UI
-    // In Story 3.3 or 3.4, we could add stricter validation
-    manager.recordPlayerSelection(code, nonJudgePlayers[0].playerId, duplicateSelections);
-    const retrieved = manager.getPlayerSelection(code, nonJudgePlayers[0].playerId);
-    
-    assert.deepEqual(retrieved.selections, duplicateSelections, 'Duplicate selections not stored');
+    assert.throws(
+      () => manager.recordPlayerSelection(code, nonJudgePlayers[0].playerId, duplicateSelections),
+      /Cannot select duplicate cards/,
+      'Duplicate selections rejected'
+    );
+    assert(!manager.getPlayerSelection(code, nonJudgePlayers[0].playerId), 'Duplicate selections not stored');
     
-    console.log('✓ Test 3: Prevent duplicate card selection (frontend responsibility)');
+    console.log('✓ Test 3: Prevent duplicate card selection');
     testsPassed++;
   } catch (error) {
     console.log('✗ Test 3: Prevent duplicate card selection -', error.message);
@@ -196,7 +195,7 @@ function test7() {
     
     // Parse sentence to get blank count
     const template = session.sentenceTemplate;
-    const blankCount = (template.match(/_+/g) || []).length;
+    const blankCount = (template.match(/\{\w+\}|_{3,}/g) || []).length;
     
     assert(blankCount > 0, 'Sentence template should have blanks');
     assert(blankCount === 2, 'Test sentence should have 2 blanks: "I SAW A _____ TRYING TO _____"');
@@ -284,15 +283,14 @@ function test10() {
     // Try to submit with invalid blank index (higher than template has)
     const invalidSelections = { 0: 1, 1: 2, 2: 3 }; // Only 2 blanks exist
     
-    // Backend stores it - frontend should prevent via UI
-    manager.recordPlayerSelection(code, nonJudgePlayers[0].playerId, invalidSelections);
-    const retrieved = manager.getPlayerSelection(code, nonJudgePlayers[0].playerId);
-    
-    // Currently backend doesn't validate blank index range
-    // This is UI responsibility (player-game.html only allows 2 selections)
-    assert(retrieved, 'Selection was stored (frontend validation expected)');
+    assert.throws(
+      () => manager.recordPlayerSelection(code, nonJudgePlayers[0].playerId, invalidSelections),
+      /Must select exactly 2 card\(s\)/,
+      'Extra blank index rejected'
+    );
+    assert(!manager.getPlayerSelection(code, nonJudgePlayers[0].playerId), 'Selection was not stored');
     
-    console.log('✓ Test 10: Prevent blank indices from going out of range (UI validated)');
+    console.log('✓ Test 10: Prevent blank indices from going out of range');
     testsPassed++;
   } catch (error) {
     console.log('✗ Test 10: Prevent blank indices from going out of range -', error.message);
@@ -334,7 +332,7 @@ function test12() {
     const { code, session, players } = setupGame();
     
     // Verify game is in correct phase for selections
-    assert.strictEqual(session.currentPhase, 'round_1_selection', 'Game should be in selection phase');
+    assert.strictEqual(session.currentPhase, 'SELECTION', 'Game should be in selection phase');
     
     const nonJudgePlayers = players.filter(p => p.playerId !== session.judgeId);
     
@@ -35,7 +35,7 @@ function setupGame() {
   // Start game
   const sentences = [
     'I SAW A _____ TRYING TO _____',
-    'THE _____ WAS _____ AND _____'
+    'THE _____ WAS _____'
   ];
   const gameSession = manager.startGame(session.code, sentences);
   
@@ -46,14 +46,15 @@ function setupGame() {
 function test1() {
   try {
     const { code, session, players } = setupGame();
+    const testPlayer = players.find(p => p.playerId !== session.judgeId);
     
     // Non-judge player submits selection
     const selections = { 0: 2, 1: 5 }; // Fill blank 0 with card 2, blank 1 with card 5
-    const result = manager.recordPlayerSelection(code, players[0].playerId, selections);
+    const result = manager.recordPlayerSelection(code, testPlayer.playerId, selections);
     
-    assert(result.playerSelections[players[0].playerId], 'Selection not recorded');
-    assert.deepEqual(result.playerSelections[players[0].playerId].selections, selections, 'Selections mismatch');
-    assert(result.playerSelections[players[0].playerId].submittedAt, 'Submission timestamp missing');
+    assert(result.playerSelections[testPlayer.playerId], 'Selection not recorded');
+    assert.deepEqual(result.playerSelections[testPlayer.playerId].selections, selections, 'Selections mismatch');
+    assert(result.playerSelections[testPlayer.playerId].submittedAt, 'Submission timestamp missing');
     
     console.log('✓ Test 1: Submit selection with valid data');
     testsPassed++;
@@ -277,7 +278,7 @@ function test10() {
     
     // Sentence: "I SAW A _____ TRYING TO _____" has 2 blanks
     const template = session.sentenceTemplate;
-    const blankCount = (template.match(/_+/g) || []).length;
+    const blankCount = (template.match(/\{\w+\}|_{3,}/g) || []).length;
     
     assert(blankCount >= 1, 'No blanks found in sentence template');
     
@@ -0,0 +1,337 @@
+/**
+ * ---
+ * title: Cost Accounting Tests
+ * purpose: Tests image spend accounting: every generation is recorded with provider,
+ *          size, estimated cost, game, host and outcome; spend summarizes by day, game
+ *          and host; per-game and per-host budget caps switch to a placeholder or the
+ *          local provider and warn the host display; old entries compact into daily
+ *          rollups; the spend endpoint scopes hosts to their own games while admins see everyone.
+ * exports: None (test script)
+ * dependencies: fs, http, path, express, CostLedger, imageProviders, ImageGeneratorService,
+ *               GameEngine, GameManager, GameSessionManager, MemoryStorageAdapter, spend routes
+ * ---
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const CostLedger = require('../src/services/CostLedger');
+const { createBudgetPolicy, SPEND_OUTCOMES } = CostLedger;
+const { registerImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const GameEngine = require('../src/game/GameEngine');
+const GameManager = require('../src/game/GameManager');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const { MemoryStorageAdapter } = require('../src/storage');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = [];
+
+// Provider priced at 5 cents an image
+registerImageProvider('priced', {
+  requiresApiKey: false,
+  size: () => '256x256',
+  cost: () => 0.05,
+  generate: async (request) => ({ imageData: renderLocalImage(request.prompt, request.completedSentence) })
+});
+
+const PORT = 3006;
+
+function makeRequest(method, path, userId) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: PORT,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-User': userId }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : {} }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Starts a 3-player socket game hosted by `hostId` with the priced provider and `budgets`
+ */
+function startGame(budgets = {}, { hostId = 'host-1', costLedger } = {}) {
+  const imageGenerator = new ImageGeneratorService({ serviceType: 'priced', cache: false });
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator, budgets, costLedger });
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const game = gameManager.createGame({ hostId });
+  generatedCodes.push(game.code);
+  for (const n of [1, 2, 3]) {
+    gameManager.addPlayerToGame(game.gameId, { playerId: `p${n}`, socketId: `s${n}`, name: `p${n}` });
+  }
+  const started = gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+  const submitters = started.players.filter(p => p.id !== started.judgeId);
+  return { engine, emitted, code: game.code, gameId: game.gameId, submitters };
+}
+
+/**
+ * Submits one player's first card and waits for their image
+ */
+async function submitAndWait(engine, code, player) {
+  engine.submitSelection(code, player.id, { cards: [player.hand[0].id] });
+  await waitFor(() => Boolean(engine.getGame(code).generatedImages[player.id]));
+  return engine.getGame(code).generatedImages[player.id];
+}
+
+async function runTests() {
+  console.log('\n🧪 Cost Accounting Tests\n');
+
+  // Test 1: Summaries
+  await describe('The ledger summarizes spend by day, game and host', async () => {
+    const ledger = new CostLedger();
+    ledger.record({ provider: 'dalle3', costUsd: 0.02, gameId: 'g1', gameCode: 'AAAAAA', hostId: 'h1', outcome: SPEND_OUTCOMES.GENERATED });
+    ledger.record({ provider: 'dalle3', costUsd: 0.02, gameId: 'g1', gameCode: 'AAAAAA', hostId: 'h1', outcome: SPEND_OUTCOMES.GENERATED });
+    ledger.record({ provider: 'dalle3', costUsd: 0, gameId: 'g1', gameCode: 'AAAAAA', hostId: 'h1', outcome: SPEND_OUTCOMES.CACHED });
+    ledger.record({ provider: 'dalle3', costUsd: 0.02, gameId: 'g2', gameCode: 'BBBBBB', hostId: 'h2', outcome: SPEND_OUTCOMES.GENERATED });
+
+    const byDay = ledger.summarize('day');
+    assertEquals(byDay.groups.length, 1, 'Everything happened today');
+    assertEquals(byDay.groups[0].key, new Date().toISOString().slice(0, 10), 'Days are UTC dates');
+    assertEquals(byDay.totalUsd, 0.06, 'Total adds up without float drift');
+
+    const byGame = ledger.summarize('game');
+    assertEquals(byGame.groups[0].gameCode, 'AAAAAA', 'Game groups carry the code');
+    assertEquals(byGame.groups[0].costUsd, 0.04, 'Game spend');
+    assertEquals(byGame.groups[0].outcomes.cached, 1, 'Outcomes are counted');
+
+    const host = ledger.summarize('host', { hostId: 'h2' });
+    assertEquals(host.groups.length, 1, 'Filters apply before grouping');
+    assertEquals(host.totalUsd, 0.02, 'Host spend');
+
+    assertThrows(() => ledger.summarize('week'), 'Unknown grouping', 'Unknown groupings are rejected');
+    assertThrows(() => createBudgetPolicy({ perGameUsd: -1 }), 'non-negative', 'Negative caps are rejected');
+    assertThrows(() => createBudgetPolicy({ fallback: 'crayons' }), 'Unknown budget fallback', 'Unknown fallbacks are rejected');
+  });
+
+  // Test 2: Engine records generations
+  await describe('Every generation is recorded with provider, size, cost, game, host and outcome', async () => {
+    const { engine, code, gameId, submitters } = startGame();
+    for (const player of submitters) {
+      await submitAndWait(engine, code, player);
+    }
+
+    const entries = engine.costLedger.getEntries({ gameCode: code });
+    assertEquals(entries.length, submitters.length, 'One entry per image');
+    for (const entry of entries) {
+      assertEquals(entry.provider, 'priced', 'Provider is recorded');
+      assertEquals(entry.size, '256x256', 'Size is recorded');
+      assertEquals(entry.costUsd, 0.05, 'Estimated cost is recorded');
+      assertEquals(entry.gameId, gameId, 'Game is recorded');
+      assertEquals(entry.hostId, 'host-1', 'Host is recorded');
+      assertEquals(entry.outcome, SPEND_OUTCOMES.GENERATED, 'Outcome is recorded');
+    }
+    assertEquals(engine.getSpendSummary('game').totalUsd, 0.1, 'Spend summary covers the game');
+    engine.shutdown();
+  });
+
+  // Test 3: Per-game cap with placeholder fallback
+  await describe('Past the per-game cap images are placeholders and the host display is warned once', async () => {
+    const { engine, emitted, code, submitters } = startGame({ perGameUsd: 0.05 });
+
+    const first = await submitAndWait(engine, code, submitters[0]);
+    assert(!first.isPlaceholder, 'Image under the cap is generated');
+    const second = await submitAndWait(engine, code, submitters[1]);
+    assert(second.isPlaceholder, 'Image past the cap is a placeholder');
+
+    const warnings = emitted.filter(e => e.event === 'budget-warning');
+    assertEquals(warnings.length, 1, 'Host display is warned once');
+    assertEquals(warnings[0].room, `game-${code}`, 'Warning goes to the game room');
+    assertEquals(warnings[0].data.scope, 'game', 'Warning names the cap');
+    assertEquals(warnings[0].data.capUsd, 0.05, 'Warning carries the cap');
+    assertEquals(engine.getGame(code).budgetWarning.fallback, 'placeholder', 'Game records the warning');
+
+    const outcomes = engine.costLedger.getEntries({ gameCode: code }).map(e => e.outcome);
+    assert(outcomes.includes(SPEND_OUTCOMES.BUDGET_PLACEHOLDER), 'Skipped generation is recorded');
+    assertEquals(engine.costLedger.totalSpend({ gameCode: code }), 0.05, 'Placeholders cost nothing');
+    engine.shutdown();
+  });
+
+  // Test 4: Per-host cap with local fallback
+  await describe('Past the host\'s daily cap images come from the local provider', async () => {
+    const ledger = new CostLedger();
+    ledger.record({ provider: 'priced', costUsd: 0.5, gameId: 'earlier', hostId: 'host-2', outcome: SPEND_OUTCOMES.GENERATED });
+    const { engine, emitted, code, submitters } = startGame(
+      { perHostDailyUsd: 0.5, fallback: 'local' },
+      { hostId: 'host-2', costLedger: ledger }
+    );
+
+    const image = await submitAndWait(engine, code, submitters[0]);
+    assert(!image.isPlaceholder, 'Local fallback still gives a real image');
+    const entry = ledger.getEntries({ gameCode: code })[0];
+    assertEquals(entry.provider, 'local', 'Image came from the local provider');
+    assertEquals(entry.costUsd, 0, 'Local images cost nothing');
+    assertEquals(entry.outcome, SPEND_OUTCOMES.BUDGET_FALLBACK, 'Outcome marks the fallback');
+    assertEquals(emitted.find(e => e.event === 'budget-warning').data.scope, 'host', 'Warning names the host cap');
+    engine.shutdown();
+  });
+
+  // Test 5: Persistence
+  await describe('Spend entries survive a restart through the storage adapter', async () => {
+    const storage = new MemoryStorageAdapter();
+    const ledger = new CostLedger({ storage });
+    ledger.record({ provider: 'dalle3', costUsd: 0.02, gameId: 'g1', hostId: 'h1', outcome: SPEND_OUTCOMES.GENERATED });
+
+    const reopened = new CostLedger({ storage });
+    assertEquals(reopened.totalSpend({ hostId: 'h1' }), 0.02, 'Reloaded ledger has the spend');
+  });
+
+  // Test 6: Compaction
+  await describe('Entries past the detail window fold into daily rollups that still count', async () => {
+    const storage = new MemoryStorageAdapter();
+    const longAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    for (let i = 0; i < 5; i++) {
+      storage.save('image-spend', `old-${i}`, {
+        id: `old-${i}`, at: longAgo, provider: 'dalle3', costUsd: 0.02, gameId: 'g-old', gameCode: 'OLDOLD', hostId: 'h1',
+        outcome: i === 0 ? SPEND_OUTCOMES.CACHED : SPEND_OUTCOMES.GENERATED
+      });
+    }
+
+    const ledger = new CostLedger({ storage, detailDays: 7 });
+    ledger.record({ provider: 'dalle3', costUsd: 0.02, gameId: 'g-new', hostId: 'h1', outcome: SPEND_OUTCOMES.GENERATED });
+
+    assertEquals(ledger.getEntries().length, 1, 'Only recent entries are kept per image');
+    assertEquals(storage.load('image-spend').length, 1, 'Old entry records are removed from storage');
+    assertEquals(storage.load('image-spend-daily').length, 1, 'One rollup per day, game and host');
+    assertEquals(ledger.totalSpend({ hostId: 'h1' }), 0.12, 'Rollups still count toward spend');
+
+    const byDay = ledger.summarize('day');
+    assertEquals(byDay.images, 6, 'Rollups keep their image count');
+    assertEquals(byDay.groups[0].key, longAgo.slice(0, 10), 'Rollups keep their day');
+    assertEquals(byDay.groups[0].outcomes.cached, 1, 'Rollups keep their outcomes');
+
+    const reopened = new CostLedger({ storage });
+    assertEquals(reopened.summarize('game', { hostId: 'h1' }).totalUsd, 0.12, 'Rollups survive a restart');
+    const daily = createBudgetPolicy({ perHostDailyUsd: 0.03 });
+    assertEquals(reopened.checkBudget(daily, { gameId: 'g-new', hostId: 'h1' }).exceeded, false,
+      'Old days do not count toward today\'s cap');
+    reopened.record({ costUsd: 0.02, gameId: 'g-new', hostId: 'h1', outcome: SPEND_OUTCOMES.GENERATED });
+    assertEquals(reopened.checkBudget(daily, { gameId: 'g-new', hostId: 'h1' }).spentUsd, 0.04, 'Today\'s spend is a running total');
+    assertEquals(reopened.checkBudget(createBudgetPolicy({ perGameUsd: 0.04 }), { gameId: 'g-new' }).scope, 'game',
+      'Game spend is a running total');
+  });
+
+  // Test 7: REST endpoint
+  await describe('Hosts see their own spend, admins see every host', async () => {
+    const ledger = new CostLedger();
+    ledger.record({ costUsd: 0.02, gameId: 'g1', gameCode: 'AAAAAA', hostId: 'host-a', outcome: SPEND_OUTCOMES.GENERATED });
+    ledger.record({ costUsd: 0.04, gameId: 'g2', gameCode: 'BBBBBB', hostId: 'host-b', outcome: SPEND_OUTCOMES.GENERATED });
+    const engine = new GameEngine({ logger: silentLogger, costLedger: ledger });
+    const manager = new GameSessionManager({ engine });
+
+    const app = express();
+    require('../src/routes/spend')(app, {
+      sessionManager: manager,
+      auth: {
+        requireAuth: (req, res, next) => {
+          req.user = { id: req.headers['x-user'] };
+          next();
+        },
+        isAdmin: (user) => user.id === 'admin'
+      },
+      logger: silentLogger
+    });
+    const server = app.listen(PORT);
+
+    try {
+      const own = await makeRequest('GET', '/api/spend/summary?groupBy=game', 'host-a');
+      assertEquals(own.status, 200, 'Host can read their spend');
+      assertEquals(own.body.totalUsd, 0.02, 'Host sees only their games');
+      assertEquals(own.body.groups[0].gameCode, 'AAAAAA', 'Grouped by game');
+
+      const other = await makeRequest('GET', '/api/spend/summary?hostId=host-b', 'host-a');
+      assertEquals(other.status, 403, 'Hosts cannot read other hosts');
+
+      const admin = await makeRequest('GET', '/api/spend/summary?groupBy=host', 'admin');
+      assertEquals(admin.body.totalUsd, 0.06, 'Admin sees everyone');
+      assertEquals(admin.body.groups.length, 2, 'One group per host');
+
+      const bad = await makeRequest('GET', '/api/spend/summary?groupBy=week', 'admin');
+      assertEquals(bad.status, 400, 'Unknown grouping is a 400');
+    } finally {
+      server.close();
+      engine.shutdown();
+    }
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
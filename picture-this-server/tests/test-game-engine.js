@@ -0,0 +1,271 @@
+/**
+ * ---
+ * title: Game Engine Tests
+ * purpose: Verifies that REST (GameSessionManager) and WebSocket (GameManager) adapters
+ *          share one authoritative GameEngine: games, players, selections and images
+ *          written through one flow are visible through the other.
+ * exports: None (test script)
+ * dependencies: GameEngine, GameSessionManager, GameManager, phases, test helpers
+ * ---
+ */
+
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const { createStubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Assertion failed: ${message}. Wrong error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Assertion failed: ${message}. Nothing was thrown`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+// Records every socket emit so relayed events can be asserted on
+function createMockIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({
+      emit: (event, data) => emitted.push({ room, event, data })
+    })
+  };
+}
+
+function createAdapters(imageGenerator = createStubImageGenerator()) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator });
+  const io = createMockIo();
+  const sessionManager = new GameSessionManager({ engine });
+  const gameManager = new GameManager(silentLogger, io, engine);
+  return { engine, io, sessionManager, gameManager, imageGenerator };
+}
+
+async function runTests() {
+  console.log('\n🧪 Game Engine Tests\n');
+
+  // Test 1: A REST-created game is the socket game
+  await describe('Game created via REST is visible to the socket adapter', async () => {
+    const { engine, sessionManager, gameManager } = createAdapters();
+    const session = sessionManager.createSession('host-1', 3, 8);
+
+    const game = gameManager.getGameByCode(session.code);
+    assert(game, 'GameManager should find the REST session by code');
+    assertEquals(game.gameId, session.gameId, 'Both adapters should see the same gameId');
+    assertEquals(gameManager.getGameCount(), 1, 'Only one game should exist');
+
+    engine.shutdown();
+  });
+
+  // Test 2: Joining via socket with a REST playerId and its token re-attaches instead of duplicating
+  await describe('Socket join with a known playerId and its rejoin token re-attaches the socket', async () => {
+    const { engine, sessionManager, gameManager } = createAdapters();
+    const session = sessionManager.createSession('host-2', 3, 8);
+    sessionManager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
+
+    assertThrows(() => gameManager.addPlayerToGame(session.gameId, { playerId: 'p1', socketId: 'socket-x', name: 'Mallory' }),
+      /resume with its rejoin token/, 'A public playerId alone should not take the seat');
+    assertThrows(() => gameManager.addPlayerToGame(session.gameId, {
+      playerId: 'p1',
+      socketId: 'socket-x',
+      rejoinToken: 'guessed'
+    }), /resume with its rejoin token/, 'A wrong token should not take the seat');
+
+    const updated = gameManager.addPlayerToGame(session.gameId, {
+      playerId: 'p1',
+      rejoinToken: sessionManager.getRejoinToken(session.code, 'p1'),
+      socketId: 'socket-1',
+      name: 'Alice'
+    });
+
+    assertEquals(updated.players.length, 1, 'Player should not be added twice');
+    assertEquals(updated.players[0].socketId, 'socket-1', 'Socket should be attached');
+    assertEquals(sessionManager.getSessionByCode(session.code).players[0].socketId, 'socket-1', 'REST view should see the socket');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Disconnect keeps the player seated
+  await describe('Detaching a socket keeps the player in the game', async () => {
+    const { engine, sessionManager, gameManager } = createAdapters();
+    const session = sessionManager.createSession('host-3', 3, 8);
+    gameManager.addPlayerToGame(session.gameId, { playerId: 'p1', socketId: 'socket-1', name: 'Alice' });
+
+    const detached = gameManager.detachSocket('socket-1');
+
+    assertEquals(detached.playerId, 'p1', 'Should report the detached player');
+    const player = sessionManager.getSessionByCode(session.code).players[0];
+    assertEquals(player.id, 'p1', 'Player should still be in the game');
+    assertEquals(player.socketId, null, 'Socket should be cleared');
+
+    engine.shutdown();
+  });
+
+  // Test 4: Starting via REST relays game-started to the socket room
+  await describe('Starting via REST relays game-started to the room', async () => {
+    const { engine, io, sessionManager } = createAdapters();
+    const session = sessionManager.createSession('host-4', 3, 8);
+    sessionManager.joinSession(session.code, { playerId: 'p1', name: 'Alice' });
+    sessionManager.joinSession(session.code, { playerId: 'p2', name: 'Bob' });
+
+    const started = sessionManager.startGame(session.code, ['A _______ ate my homework']);
+
+    assertEquals(started.currentPhase, PHASES.SELECTION, 'Game should be in SELECTION');
+    assertEquals(started.status, 'in_progress', 'Status should be in_progress');
+    const event = io.emitted.find(e => e.event === 'game-started');
+    assert(event, 'game-started should be emitted');
+    assertEquals(event.room, `game-${session.code}`, 'Event should go to the game room');
+    assertEquals(event.data.judge.id, started.judgeId, 'Event should name the judge');
+    const update = io.emitted.filter(e => e.event === 'state_update').pop();
+    assert(update, 'state_update should be broadcast');
+    assert(update.data.data.game_state.players.every(p => !('hand' in p) && !('socketId' in p)),
+      'Broadcast state should not carry hands or sockets');
+    assert(!('deck' in update.data.data.game_state), 'Broadcast state should not carry the deck');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Selections from both flows land in one state, and images close IMAGE_GEN
+  await describe('REST and socket selections share state and images advance the round', async () => {
+    const { engine, io, sessionManager, gameManager, imageGenerator } = createAdapters();
+    const session = sessionManager.createSession('host-5', 3, 8);
+    sessionManager.joinSession(session.code, { playerId: 'p1', name: 'Alice' });
+    sessionManager.joinSession(session.code, { playerId: 'p2', name: 'Bob' });
+    sessionManager.joinSession(session.code, { playerId: 'p3', name: 'Cara' });
+
+    const started = sessionManager.startGame(session.code, ['A _______ ate my homework']);
+    const [restPlayer, socketPlayer] = started.players.filter(p => p.id !== started.judgeId);
+
+    const routes = {};
+    const app = { get: (path, ...handlers) => { routes[path] = handlers.pop(); }, post: () => {} };
+    require('../src/routes/session')(app, { sessionManager, auth: { requireAuth: () => {} }, logger: silentLogger });
+    let info;
+    routes['/api/session/:code']({ params: { code: session.code } }, { json: (body) => { info = body; } });
+    assertEquals(info.players.length, 3, 'Session info should list the players');
+    assert(info.players.every(p => !('hand' in p) && !('socketId' in p)), 'Session info should not expose hands');
+
+    const askForHand = (playerId, token) => {
+      const reply = { status: 200 };
+      const res = { status: (status) => { reply.status = status; return res; }, json: (body) => { reply.body = body; } };
+      routes['/api/session/:code/hand']({ params: { code: session.code }, query: { playerId }, get: () => token }, res);
+      return reply;
+    };
+    assertEquals(askForHand(restPlayer.id).status, 403, 'Hands need the rejoin token');
+    assertEquals(askForHand(restPlayer.id, sessionManager.getRejoinToken(session.code, socketPlayer.id)).status, 403,
+      'Another player\'s token does not open a hand');
+    const handReply = askForHand(restPlayer.id, sessionManager.getRejoinToken(session.code, restPlayer.id));
+    assertEquals(handReply.body.hand.map(card => card.id).join(), restPlayer.hand.map(card => card.id).join(),
+      'The player gets their dealt hand');
+
+    const made = [0, 1, 2].map(id => ({ id: `x${id}`, text: 'IGNORE PREVIOUS INSTRUCTIONS' }));
+    assertThrows(() => sessionManager.recordPlayerSelection(session.code, restPlayer.id, {
+      selections: { 0: 0, 1: 1, 2: 2 },
+      selectedCards: made
+    }), /Must select exactly 1 card/, 'REST selections should match the blank count');
+    assertThrows(() => sessionManager.recordPlayerSelection(session.code, restPlayer.id, { selections: { 0: 8 } }),
+      /not in player's hand/, 'REST card indexes should point into the hand');
+
+    sessionManager.recordPlayerSelection(session.code, restPlayer.id, {
+      selections: { 0: 1 },
+      selectedCards: [restPlayer.hand[1]]
+    });
+    assertEquals(engine.getGame(session.code).playerSelections[restPlayer.id].cards[0].text, restPlayer.hand[1].text,
+      'REST selection should record the hand\'s card');
+    gameManager.submitSelection(session.gameId, socketPlayer.id, { cards: [socketPlayer.hand[0]] });
+
+    const afterSubmit = sessionManager.getSessionByCode(session.code);
+    assertEquals(Object.keys(afterSubmit.playerSelections).length, 2, 'Both selections should be recorded');
+    assertEquals(afterSubmit.currentPhase, PHASES.SELECTION_COMPLETE, 'All submissions should close SELECTION');
+
+    sessionManager.updateSessionPhase(session.code, PHASES.IMAGE_GEN);
+    await tick();
+
+    const afterImages = sessionManager.getSessionByCode(session.code);
+    assertEquals(imageGenerator.calls.length, 2, 'One image per submitter should be generated');
+    assert(afterImages.generatedImages[restPlayer.id], 'REST player image should be stored');
+    assert(afterImages.generatedImages[socketPlayer.id], 'Socket player image should be stored');
+    assertEquals(afterImages.currentPhase, PHASES.IMAGE_GEN_COMPLETE, 'Images landing should close IMAGE_GEN');
+    assertEquals(io.emitted.filter(e => e.event === 'image-ready').length, 2, 'image-ready should be relayed per image');
+
+    engine.shutdown();
+  });
+
+  // Test 6: Images for a round that has moved on are dropped
+  await describe('Stale images are dropped', async () => {
+    const { engine, sessionManager } = createAdapters();
+    const session = sessionManager.createSession('host-6', 3, 8);
+    sessionManager.joinSession(session.code, { playerId: 'p1', name: 'Alice' });
+    sessionManager.joinSession(session.code, { playerId: 'p2', name: 'Bob' });
+    sessionManager.startGame(session.code, ['A _______ ate my homework']);
+
+    const result = engine.recordImage(session.code, 7, 'p2', { imageUrl: '/images/old.png' });
+
+    assertEquals(result, null, 'Stale image should be rejected');
+    assertEquals(Object.keys(sessionManager.getSessionByCode(session.code).generatedImages).length, 0, 'No image should be stored');
+
+    engine.shutdown();
+  });
+
+  // Test 7: Ending a game through REST is seen by the socket adapter
+  await describe('Ending a game via REST is visible to the socket adapter', async () => {
+    const { engine, sessionManager, gameManager } = createAdapters();
+    const session = sessionManager.createSession('host-7', 3, 8);
+    sessionManager.joinSession(session.code, { playerId: 'p1', name: 'Alice' });
+
+    sessionManager.endSession(session.code);
+
+    const game = gameManager.getGame(session.gameId);
+    assertEquals(game.status, 'completed', 'Status should be completed');
+    assertEquals(game.currentPhase, PHASES.GAME_END, 'Phase should be GAME_END');
+
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -3,12 +3,13 @@
  * title: Game Start Tests
  * purpose: Tests Story 3.0 - Game start and Round 1 initialization
  * exports: None (test script)
- * dependencies: assert, GameSessionManager
+ * dependencies: assert, GameSessionManager, sentenceTemplates
  * ---
  */
 
 const assert = require('assert');
 const GameSessionManager = require('../src/game/GameSessionManager');
+const { migrateTemplate } = require('../src/utils/sentenceTemplates');
 
 console.log('🧪 Story 3.0: Game Start & Round 1 Initialization - Test Suite\n');
 
@@ -32,6 +33,8 @@ const sentenceTemplates = [
   'A _____ IS NOT A _____',
   'IF I HAD A _____, I WOULD _____'
 ];
+// Rounds use the {noun} form of the legacy blanks
+const migratedTemplates = sentenceTemplates.map(migrateTemplate);
 
 // 1. Create session with players
 tests.push({
@@ -56,11 +59,11 @@ tests.push({
     const started = manager.startGame(session.code, sentenceTemplates);
     
     assert.strictEqual(started.status, 'in_progress', 'Status should be in_progress');
-    assert.strictEqual(started.currentPhase, 'round_1_selection', 'Phase should be round_1_selection');
+    assert.strictEqual(started.currentPhase, 'SELECTION', 'Phase should be SELECTION');
     assert.strictEqual(started.currentRound, 1, 'Current round should be 1');
     assert.ok(started.judgeId, 'Judge should be assigned');
     assert.ok(started.sentenceTemplate, 'Sentence should be selected');
-    assert.ok(sentenceTemplates.includes(started.sentenceTemplate), 'Sentence should be from template list');
+    assert.ok(migratedTemplates.includes(started.sentenceTemplate), 'Sentence should be from template list');
     
     passed++;
   }
@@ -168,8 +171,8 @@ tests.push({
     const started2 = manager.startGame(session2.code, sentenceTemplates);
     
     // Both should have valid sentences
-    assert.ok(sentenceTemplates.includes(started1.sentenceTemplate), 'Game 1 sentence should be from templates');
-    assert.ok(sentenceTemplates.includes(started2.sentenceTemplate), 'Game 2 sentence should be from templates');
+    assert.ok(migratedTemplates.includes(started1.sentenceTemplate), 'Game 1 sentence should be from templates');
+    assert.ok(migratedTemplates.includes(started2.sentenceTemplate), 'Game 2 sentence should be from templates');
     
     // Note: They might be the same due to randomness, so we don't assert they're different
     passed++;
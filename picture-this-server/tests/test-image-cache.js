@@ -0,0 +1,270 @@
+/**
+ * ---
+ * title: Image Cache Tests
+ * purpose: Tests the content-addressed image cache: identical prompt/style/provider/size
+ *          requests reuse the stored file, anything else misses, entries expire after the
+ *          TTL, the least recently used are evicted past the size limit, concurrent
+ *          identical requests generate once, and a game can force fresh images.
+ * exports: None (test script)
+ * dependencies: fs, os, path, ImageCache, imageProviders, ImageGeneratorService,
+ *               PromptFormatter, GameEngine, GameSessionManager
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImageCache = require('../src/services/ImageCache');
+const { createCacheKey } = ImageCache;
+const { registerImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const PromptFormatter = require('../src/utils/promptFormatter');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = [];
+const cacheDirs = [];
+
+// Provider that counts calls; the short delay keeps a generation in flight
+const providerCalls = [];
+let providerSize = '512x512';
+registerImageProvider('counting', {
+  requiresApiKey: false,
+  size: () => providerSize,
+  generate: async (request) => {
+    providerCalls.push(request);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return { imageData: renderLocalImage(request.prompt, request.completedSentence) };
+  }
+});
+
+function tempCacheDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-test-'));
+  cacheDirs.push(dir);
+  return dir;
+}
+
+function createService(cacheOptions = {}) {
+  return new ImageGeneratorService({
+    serviceType: 'counting',
+    cache: { dir: tempCacheDir(), ...cacheOptions }
+  });
+}
+
+function readPublic(webPath) {
+  return fs.readFileSync(path.join(__dirname, '../public', webPath));
+}
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Starts a game and returns each submitter's first card with the prompt it will produce
+ */
+function startGame(manager, options) {
+  const session = manager.createSession('host-1', 3, 8, options);
+  generatedCodes.push(session.code);
+  for (const id of ['p1', 'p2', 'p3']) {
+    manager.joinSession(session.code, { playerId: id, name: id });
+  }
+  const started = manager.startGame(session.code, ['A _______ ate my homework']);
+  const submitters = started.players.filter(p => p.id !== started.judgeId).map(player => ({
+    playerId: player.id,
+    card: player.hand[0],
+    ...PromptFormatter.formatImagePrompt(started.sentenceTemplate, [player.hand[0]])
+  }));
+  return { code: session.code, submitters };
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Cache Tests\n');
+
+  // Test 1: Hit reuses the file
+  await describe('An identical request is served from cache without generating again', async () => {
+    const service = createService();
+    providerCalls.length = 0;
+    generatedCodes.push('CACHE1');
+
+    const first = await service.generateImage('a cat on a skateboard', 'CACHE1', 1, 'p1', 'cartoon', 'A cat ate my homework');
+    const second = await service.generateImage('a cat on a skateboard', 'CACHE1', 1, 'p2', 'cartoon', 'A cat ate my homework');
+
+    assertEquals(first.fromCache, false, 'First request is generated');
+    assertEquals(second.fromCache, true, 'Second request comes from cache');
+    assertEquals(providerCalls.length, 1, 'Provider is called once');
+    assertEquals(second.imageUrl, '/generated-images/CACHE1/round-1/p2.png', 'Cached image is copied to the usual layout');
+    assert(readPublic(first.imageUrl).equals(readPublic(second.imageUrl)), 'Both players get the same bytes');
+    assertEquals(service.cache.getStats().hits, 1, 'Hit is counted');
+  });
+
+  // Test 2: Key inputs
+  await describe('A different style, provider size or prompt misses the cache', async () => {
+    const base = { prompt: 'a cat', artStyle: 'cartoon', provider: 'counting', size: '512x512' };
+    const key = createCacheKey(base);
+    assert(key !== createCacheKey({ ...base, artStyle: 'realistic' }), 'Style is part of the key');
+    assert(key !== createCacheKey({ ...base, size: '1024x1024' }), 'Size is part of the key');
+    assert(key !== createCacheKey({ ...base, provider: 'local' }), 'Provider is part of the key');
+    assertEquals(key, createCacheKey({ ...base }), 'Key is stable');
+
+    const service = createService();
+    providerCalls.length = 0;
+    generatedCodes.push('CACHE2');
+    await service.generateImage('a cat', 'CACHE2', 1, 'p1', 'cartoon', 'A cat');
+    const otherStyle = await service.generateImage('a cat', 'CACHE2', 1, 'p2', 'realistic', 'A cat');
+    providerSize = '768x768';
+    const otherSize = await service.generateImage('a cat', 'CACHE2', 1, 'p3', 'cartoon', 'A cat');
+    providerSize = '512x512';
+
+    assertEquals(otherStyle.fromCache, false, 'Other style is generated');
+    assertEquals(otherSize.fromCache, false, 'Other size is generated');
+    assertEquals(providerCalls.length, 3, 'Every distinct request reaches the provider');
+  });
+
+  // Test 3: TTL
+  await describe('Entries expire after the TTL', async () => {
+    const dir = tempCacheDir();
+    const source = path.join(dir, 'source.png');
+    fs.writeFileSync(source, renderLocalImage('ttl'));
+    const cache = new ImageCache({ dir, ttlMs: 1000 });
+    cache.put('ttl-key', source);
+    assert(cache.get('ttl-key'), 'Fresh entry is served');
+
+    cache.entries.get('ttl-key').createdAt -= 2000;
+    assertEquals(cache.get('ttl-key'), null, 'Expired entry misses');
+    assert(!fs.existsSync(path.join(dir, 'ttl-key.png')), 'Expired file is deleted');
+
+    const reopened = new ImageCache({ dir, ttlMs: 1000 });
+    assertEquals(reopened.getStats().entries, 0, 'Index on disk no longer lists it');
+  });
+
+  // Test 4: Size limit
+  await describe('The least recently used entries are evicted past the size limit', async () => {
+    const dir = tempCacheDir();
+    const source = path.join(dir, 'source.png');
+    fs.writeFileSync(source, Buffer.alloc(1000, 1));
+    const cache = new ImageCache({ dir, maxBytes: 2500 });
+
+    cache.put('a', source);
+    cache.put('b', source);
+    cache.entries.get('a').lastUsedAt -= 1000;
+    cache.entries.get('b').lastUsedAt -= 2000;
+    cache.get('a'); // a is now the most recently used
+    cache.put('c', source);
+
+    assertEquals(cache.getStats().entries, 2, 'One entry is evicted');
+    assertEquals(cache.get('b'), null, 'Least recently used entry goes first');
+    assert(cache.get('a') && cache.get('c'), 'Recently used entries stay');
+    assert(cache.totalBytes() <= 2500, 'Cache stays under its limit');
+  });
+
+  // Test 5: In-flight dedupe
+  await describe('Concurrent identical requests generate once', async () => {
+    const service = createService();
+    providerCalls.length = 0;
+    generatedCodes.push('CACHE5');
+
+    const results = await Promise.all(['p1', 'p2', 'p3'].map(id =>
+      service.generateImage('a duck in a tuxedo', 'CACHE5', 1, id, 'cartoon', 'A duck ate my homework')
+    ));
+
+    assertEquals(providerCalls.length, 1, 'Provider is called once');
+    assertEquals(results.filter(r => r.fromCache).length, 2, 'The other two are served from cache');
+    for (const result of results) {
+      assert(fs.existsSync(path.join(__dirname, '../public', result.imageUrl)), `${result.imageUrl} is on disk`);
+    }
+  });
+
+  // Test 6: Force fresh per game
+  await describe('A game with forceFreshImages skips the cache, others reuse it', async () => {
+    const service = createService();
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: service });
+    const manager = new GameSessionManager({ engine });
+
+    for (const forceFreshImages of [false, true]) {
+      const { code, submitters } = startGame(manager, { forceFreshImages });
+      assertEquals(engine.getGame(code).forceFreshImages, forceFreshImages, 'Option is stored on the game');
+      generatedCodes.push('WARMUP');
+      for (const { prompt, artStyle, completedSentence, playerId } of submitters) {
+        await service.generateImage(prompt, 'WARMUP', 1, playerId, artStyle, completedSentence);
+      }
+
+      providerCalls.length = 0;
+      for (const { playerId, card } of submitters) {
+        manager.recordPlayerSelection(code, playerId, { selections: { 0: 0 }, selectedCards: [card] });
+      }
+      await waitFor(() => Object.keys(engine.getGame(code).generatedImages).length === submitters.length);
+
+      const images = Object.values(engine.getGame(code).generatedImages);
+      if (forceFreshImages) {
+        assertEquals(providerCalls.length, submitters.length, 'Forced game generates every image');
+        assert(images.every(image => image.fromCache === false), 'Forced images are marked fresh');
+      } else {
+        assertEquals(providerCalls.length, 0, 'Normal game generates nothing');
+        assert(images.every(image => image.fromCache === true), 'Images are marked as cached');
+      }
+    }
+
+    engine.shutdown();
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+  for (const dir of cacheDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,245 @@
+/**
+ * ---
+ * title: Image Cancellation Tests
+ * purpose: Tests that image requests can be cancelled by game, round or player:
+ *          queued requests leave the queue, in-flight provider calls see their
+ *          AbortSignal fire, nothing is written for cancelled work, and the engine
+ *          cancels when a game is cleaned up, ended or a player leaves.
+ * exports: None (test script)
+ * dependencies: fs, path, imageProviders, ImageGeneratorService, GameEngine, GameManager
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { registerImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const { isCancellationError } = ImageGeneratorService;
+const GameEngine = require('../src/game/GameEngine');
+const GameManager = require('../src/game/GameManager');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = ['CANCEL1', 'CANCEL2', 'CANCEL3'];
+
+// Provider that holds each request for a while, giving up early (like axios) when aborted
+const providerCalls = [];
+let ignoreAbort = false;
+registerImageProvider('slow', {
+  requiresApiKey: false,
+  generate: (request) => {
+    providerCalls.push(request);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        resolve({ imageData: renderLocalImage(request.prompt, request.completedSentence) });
+      }, 150);
+      if (!ignoreAbort) {
+        request.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+        }, { once: true });
+      }
+    });
+  }
+});
+
+function createService(config = {}) {
+  const service = new ImageGeneratorService({ serviceType: 'slow', cache: false, ...config });
+  const events = [];
+  service.on('onImageProgress', progress => events.push(progress));
+  return { service, events };
+}
+
+function generate(service, code, round, playerId) {
+  return service.generateImage(`prompt ${playerId}`, code, round, playerId, 'cartoon', `Sentence ${playerId}`)
+    .then(result => ({ result }), error => ({ error }));
+}
+
+function imageExists(code, round, playerId) {
+  return fs.existsSync(path.join(GENERATED_DIR, code, `round-${round}`, `${playerId}.png`));
+}
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Socket game whose non-judge players have all submitted (their images are generating)
+ */
+function startSubmittedGame(service) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator: service });
+  const io = { to: () => ({ emit: () => {} }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const game = gameManager.createGame({ hostId: 'host-1' });
+  generatedCodes.push(game.code);
+  for (const n of [1, 2, 3, 4]) {
+    gameManager.addPlayerToGame(game.gameId, { playerId: `p${n}`, socketId: `s${n}`, name: `Player ${n}` });
+  }
+  const started = gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+  const submitters = started.players.filter(p => p.id !== started.judgeId);
+  for (const player of submitters) {
+    engine.submitSelection(game.code, player.id, { cards: [player.hand[0].id] });
+  }
+  return { engine, code: game.code, submitters };
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Cancellation Tests\n');
+
+  // Test 1: Whole game
+  await describe('Cancelling a game aborts in-flight and queued requests without writing files', async () => {
+    providerCalls.length = 0;
+    const { service, events } = createService({ maxConcurrent: 1 });
+
+    const pending = ['p1', 'p2', 'p3'].map(id => generate(service, 'CANCEL1', 1, id));
+    await waitFor(() => providerCalls.length === 1);
+    assertEquals(service.cancel({ gameCode: 'CANCEL1' }), 3, 'Every request is cancelled');
+    const outcomes = await Promise.all(pending);
+
+    assert(outcomes.every(o => isCancellationError(o.error)), 'Every request rejects as cancelled');
+    assert(providerCalls[0].signal.aborted, 'In-flight provider call sees the abort');
+    assertEquals(providerCalls.length, 1, 'Queued requests never reach the provider');
+    assertEquals(service.queue.length, 0, 'Queue is empty');
+    assertEquals(service.activeRequests, 0, 'Nothing is still running');
+    assert(!['p1', 'p2', 'p3'].some(id => imageExists('CANCEL1', 1, id)), 'No files are written');
+    assertEquals(events.filter(e => e.status === 'cancelled').length, 3, 'Each request reports cancelled');
+    assert(!events.some(e => e.status === 'failed' || e.status === 'retrying'), 'Cancellation is not a failure');
+  });
+
+  // Test 2: Provider ignores the signal
+  await describe('A result that lands after cancellation is not written', async () => {
+    providerCalls.length = 0;
+    ignoreAbort = true;
+    try {
+      const { service } = createService();
+      const pending = generate(service, 'CANCEL2', 1, 'p1');
+      await waitFor(() => providerCalls.length === 1);
+      service.cancel({ gameCode: 'CANCEL2' });
+      const outcome = await pending;
+
+      assert(isCancellationError(outcome.error), 'Request rejects as cancelled');
+      assert(!imageExists('CANCEL2', 1, 'p1'), 'Late image is discarded');
+    } finally {
+      ignoreAbort = false;
+    }
+  });
+
+  // Test 3: Round and player scope
+  await describe('Round and player cancellation leave other requests running', async () => {
+    providerCalls.length = 0;
+    const { service } = createService({ maxConcurrent: 4 });
+
+    const oldRound = generate(service, 'CANCEL3', 1, 'p1');
+    const leaver = generate(service, 'CANCEL3', 2, 'p2');
+    const stayer = generate(service, 'CANCEL3', 2, 'p3');
+    await waitFor(() => providerCalls.length === 3);
+    assertEquals(service.cancel({ gameCode: 'CANCEL3', roundId: 1 }), 1, 'Only the old round matches');
+    assertEquals(service.cancel({ gameCode: 'CANCEL3', playerId: 'p2' }), 1, 'Only the leaving player matches');
+    assertEquals(service.cancel({ gameCode: 'OTHER' }), 0, 'Other games are untouched');
+
+    assert(isCancellationError((await oldRound).error), 'Old round is cancelled');
+    assert(isCancellationError((await leaver).error), 'Leaving player is cancelled');
+    const kept = await stayer;
+    assert(kept.result && !kept.result.isPlaceholder, 'Remaining player gets their image');
+    assert(imageExists('CANCEL3', 2, 'p3'), 'Remaining image is written');
+  });
+
+  // Test 4: Engine cleanup and end
+  await describe('Cleaning up or ending a game cancels its images and records them as cancelled', async () => {
+    for (const finish of ['cleanupGame', 'endGame']) {
+      providerCalls.length = 0;
+      const { service } = createService({ maxConcurrent: 1 });
+      const { engine, code, submitters } = startSubmittedGame(service);
+      await waitFor(() => providerCalls.length === 1);
+
+      engine[finish](code);
+      await waitFor(() => engine.costLedger.getEntries({ gameCode: code }).length === submitters.length);
+
+      const outcomes = engine.costLedger.getEntries({ gameCode: code }).map(e => e.outcome);
+      assert(outcomes.every(o => o === 'cancelled'), `${finish}: every image is recorded as cancelled`);
+      assertEquals(providerCalls.length, 1, `${finish}: queued images never start`);
+      assert(!submitters.some(p => imageExists(code, 1, p.id)), `${finish}: no files are written`);
+      if (finish === 'endGame') {
+        assertEquals(Object.keys(engine.getGame(code).generatedImages).length, 0, 'No images are recorded');
+      }
+      engine.shutdown();
+    }
+  });
+
+  // Test 5: Engine player removal
+  await describe('A player leaving mid-round cancels only their image', async () => {
+    providerCalls.length = 0;
+    const { service } = createService({ maxConcurrent: 4 });
+    const { engine, code, submitters } = startSubmittedGame(service);
+    await waitFor(() => providerCalls.length === submitters.length);
+
+    const leaver = submitters[0];
+    engine.removePlayer(code, leaver.id);
+    await waitFor(() => Object.keys(engine.getGame(code).generatedImages).length === submitters.length - 1);
+
+    const images = engine.getGame(code).generatedImages;
+    assert(!images[leaver.id], 'Leaver gets no image');
+    assert(!imageExists(code, 1, leaver.id), 'Leaver\'s file is not written');
+    assert(submitters.slice(1).every(p => images[p.id] && !images[p.id].isPlaceholder), 'Others get their images');
+    const cancelled = engine.costLedger.getEntries({ gameCode: code }).filter(e => e.outcome === 'cancelled');
+    assertEquals(cancelled.length, 1, 'One cancellation is recorded');
+    assertEquals(cancelled[0].playerId, leaver.id, 'It is the leaver\'s');
+    engine.shutdown();
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+/**
+ * ---
+ * title: Image Progress Tests
+ * purpose: Tests per-image lifecycle events: requests report queued (with their place
+ *          behind maxConcurrent), started, retrying (attempt and backoff), completed and
+ *          failed, cache hits complete straight away, and the engine relays progress to
+ *          the game room as 'image-progress'.
+ * exports: None (test script)
+ * dependencies: fs, os, path, imageProviders, ImageGeneratorService, GameEngine, GameManager
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const GameEngine = require('../src/game/GameEngine');
+const GameManager = require('../src/game/GameManager');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = ['PROG1', 'PROG2', 'PROG3', 'PROG4'];
+
+// Provider whose behaviour each test scripts: `failures` rate-limited attempts, then success
+let failures = 0;
+registerImageProvider('scripted', {
+  requiresApiKey: false,
+  generate: async (request) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    if (failures > 0) {
+      failures--;
+      const error = new Error('Too Many Requests');
+      error.response = { status: 429 };
+      throw error;
+    }
+    return { imageData: renderLocalImage(request.prompt, request.completedSentence) };
+  }
+});
+
+/**
+ * Service on the scripted provider, recording its progress events (backoff skipped)
+ */
+function createService(config = {}) {
+  const service = new ImageGeneratorService({ serviceType: 'scripted', cache: false, ...config });
+  service._sleep = async () => {};
+  const events = [];
+  service.on('onImageProgress', progress => events.push(progress));
+  return { service, events };
+}
+
+function statusesFor(events, playerId) {
+  return events.filter(e => e.playerId === playerId).map(e => e.status);
+}
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Progress Tests\n');
+
+  // Test 1: Queue positions
+  await describe('Requests report their place in the queue, then start and complete', async () => {
+    failures = 0;
+    const { service, events } = createService({ maxConcurrent: 1 });
+
+    await Promise.all(['p1', 'p2', 'p3'].map(id =>
+      service.generateImage(`prompt ${id}`, 'PROG1', 1, id, 'cartoon', `Sentence ${id}`)
+    ));
+
+    assertEquals(statusesFor(events, 'p1').join(), 'queued,started,completed', 'First request runs straight away');
+    const p3Positions = events.filter(e => e.playerId === 'p3' && e.status === 'queued').map(e => e.position);
+    assertEquals(p3Positions.join(), '2,1', 'Third request moves up the queue');
+    assertEquals(statusesFor(events, 'p3').slice(-2).join(), 'started,completed', 'Third request finishes');
+    const started = events.find(e => e.playerId === 'p3' && e.status === 'started');
+    assert(started.waitedMs >= 0 && started.roundId === 1 && started.gameCode === 'PROG1', 'Events identify the request');
+  });
+
+  // Test 2: Retry after a 429
+  await describe('A rate-limited attempt reports retrying with attempt and backoff', async () => {
+    failures = 1;
+    const { service, events } = createService();
+
+    const result = await service.generateImage('prompt', 'PROG2', 1, 'p1', 'cartoon', 'Sentence');
+
+    assert(!result.isPlaceholder, 'Second attempt succeeds');
+    assertEquals(statusesFor(events, 'p1').join(), 'queued,started,retrying,completed', 'Lifecycle includes the retry');
+    const retrying = events.find(e => e.status === 'retrying');
+    assertEquals(retrying.attempt, 2, 'Retry names the next attempt');
+    assertEquals(retrying.backoffMs, 1000, 'Retry says how long it waits');
+    assertEquals(retrying.statusCode, 429, 'Retry carries the provider status');
+    assertEquals(events[events.length - 1].attempt, 2, 'Completion says which attempt worked');
+  });
+
+  // Test 3: Failure
+  await describe('Exhausted retries report failed with a placeholder', async () => {
+    failures = 3;
+    const { service, events } = createService();
+
+    const result = await service.generateImage('prompt', 'PROG3', 1, 'p1', 'cartoon', 'Sentence');
+
+    assert(result.isPlaceholder, 'Result is a placeholder');
+    assertEquals(statusesFor(events, 'p1').join(), 'queued,started,retrying,retrying,failed', 'Every retry is reported');
+    const failed = events[events.length - 1];
+    assertEquals(failed.placeholder, true, 'Failure says a placeholder is used');
+    assertEquals(failed.error, 'Too Many Requests', 'Failure carries the error');
+  });
+
+  // Test 4: Cache hit
+  await describe('A cache hit completes without queueing', async () => {
+    failures = 0;
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-progress-test-'));
+    try {
+      const { service, events } = createService({ cache: { dir: cacheDir } });
+      await service.generateImage('prompt', 'PROG4', 1, 'p1', 'cartoon', 'Sentence');
+      await service.generateImage('prompt', 'PROG4', 1, 'p2', 'cartoon', 'Sentence');
+
+      assertEquals(statusesFor(events, 'p2').join(), 'completed', 'Hit goes straight to completed');
+      assertEquals(events[events.length - 1].fromCache, true, 'Completion is marked as cached');
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 5: Relay to the room
+  await describe('The engine relays progress for its games to the game room', async () => {
+    failures = 0;
+    const { service } = createService();
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: service });
+    const emitted = [];
+    const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+    const gameManager = new GameManager(silentLogger, io, engine);
+    const game = gameManager.createGame({ hostId: 'host-1' });
+    generatedCodes.push(game.code);
+    for (const n of [1, 2, 3]) {
+      gameManager.addPlayerToGame(game.gameId, { playerId: `p${n}`, socketId: `s${n}`, name: `Player ${n}` });
+    }
+    const started = gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+    const player = started.players.find(p => p.id !== started.judgeId);
+
+    engine.submitSelection(game.code, player.id, { cards: [player.hand[0].id] });
+    await waitFor(() => Boolean(engine.getGame(game.code).generatedImages[player.id]));
+
+    const progress = emitted.filter(e => e.event === 'image-progress');
+    assertEquals(progress.map(e => e.data.status).join(), 'queued,started,completed', 'Room sees the lifecycle');
+    assert(progress.every(e => e.room === `game-${game.code}`), 'Progress goes to the game room');
+    assertEquals(progress[0].data.playerName, player.name, 'Progress names the player');
+
+    await service.generateImage('prompt', 'OTHER1', 1, 'p1', 'cartoon', 'Sentence');
+    generatedCodes.push('OTHER1');
+    assertEquals(emitted.filter(e => e.event === 'image-progress').length, 3, 'Other games are not relayed');
+    engine.shutdown();
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
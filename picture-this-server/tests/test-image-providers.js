@@ -0,0 +1,223 @@
+/**
+ * ---
+ * title: Image Provider Tests
+ * purpose: Tests the image provider registry and the offline "local" provider: it
+ *          renders a valid, deterministic PNG from the prompt, needs no API key, and
+ *          can run a full game's image generation with no network.
+ * exports: None (test script)
+ * dependencies: fs, path, zlib, imageProviders, ImageGeneratorService, pngEncoder,
+ *               GameEngine, GameSessionManager, phases
+ * ---
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { registerImageProvider, getImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const { PNG_SIGNATURE } = require('../src/utils/pngEncoder');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const { PHASES } = require('../src/game/phases');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = [];
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Splits a PNG into chunks, checking the signature
+ */
+function readChunks(png) {
+  assert(png.subarray(0, 8).equals(PNG_SIGNATURE), 'PNG signature should be present');
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({
+      type: png.toString('ascii', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length)
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Provider Tests\n');
+
+  const savedApiKey = process.env.OPENAI_API_KEY;
+  const savedService = process.env.IMAGE_GENERATION_SERVICE;
+  delete process.env.OPENAI_API_KEY;
+
+  // Test 1: Valid PNG
+  await describe('Local provider renders a valid 512x512 PNG', async () => {
+    const png = renderLocalImage('a cat on a skateboard', 'A cat ate my homework');
+    const chunks = readChunks(png);
+
+    assertEquals(chunks.map(c => c.type).join(), 'IHDR,IDAT,IEND', 'Chunks should be IHDR, IDAT, IEND');
+    assertEquals(chunks[0].data.readUInt32BE(0), 512, 'Width should be 512');
+    assertEquals(chunks[0].data.readUInt32BE(4), 512, 'Height should be 512');
+    const raw = zlib.inflateSync(chunks[1].data);
+    assertEquals(raw.length, (512 * 3 + 1) * 512, 'Pixel data should cover every scanline');
+  });
+
+  // Test 2: Deterministic
+  await describe('The same prompt always gives the same bytes', async () => {
+    const first = renderLocalImage('a cat on a skateboard', 'A cat ate my homework');
+    const second = renderLocalImage('a cat on a skateboard', 'A cat ate my homework');
+    const other = renderLocalImage('a dog on a skateboard', 'A dog ate my homework');
+
+    assert(first.equals(second), 'Same prompt should render identical images');
+    assert(!first.equals(other), 'Different prompts should render different images');
+  });
+
+  // Test 3: No API key
+  await describe('The local service needs no API key and saves under generated-images', async () => {
+    const service = new ImageGeneratorService({ serviceType: 'local' });
+    generatedCodes.push('LOCAL1');
+    const result = await service.generateImage('a cat on a skateboard', 'LOCAL1', 1, 'p1', 'cartoon', 'A cat ate my homework');
+
+    assertEquals(result.imageUrl, '/generated-images/LOCAL1/round-1/p1.png', 'Image should use the usual layout');
+    assert(!result.isPlaceholder, 'Image should not be a placeholder');
+    const saved = fs.readFileSync(path.join(GENERATED_DIR, 'LOCAL1', 'round-1', 'p1.png'));
+    assert(saved.equals(renderLocalImage('a cat on a skateboard', 'A cat ate my homework')), 'Saved file is the rendered image');
+
+    assertThrows(() => new ImageGeneratorService({ serviceType: 'dalle3' }), 'API key is required', 'dalle3 still needs a key');
+  });
+
+  // Test 4: Registry
+  await describe('Providers can be registered and unknown ones are rejected', async () => {
+    assertThrows(() => registerImageProvider('broken', {}), 'must implement generate', 'Providers need generate()');
+    assertEquals(getImageProvider('toString'), null, 'Only registered names resolve');
+
+    const unknown = new ImageGeneratorService({ serviceType: 'crayons', apiKey: 'key' });
+    try {
+      await unknown._callImageAPI('prompt', 'LOCAL2', 1, 'p1');
+      assert(false, 'Unknown providers should throw');
+    } catch (error) {
+      assert(error.message.includes('Unsupported service type'), 'Unknown provider error');
+    }
+
+    const seen = [];
+    registerImageProvider('solid', {
+      requiresApiKey: false,
+      generate: async (request) => {
+        seen.push(request);
+        return { imageData: renderLocalImage('solid') };
+      }
+    });
+    generatedCodes.push('LOCAL2');
+    const service = new ImageGeneratorService({ serviceType: 'solid' });
+    const result = await service.generateImage('prompt', 'LOCAL2', 2, 'p2', 'realistic', 'A sentence');
+
+    assertEquals(result.imagePath, '/generated-images/LOCAL2/round-2/p2.png', 'Registered provider output is saved');
+    assertEquals(seen[0].completedSentence, 'A sentence', 'Provider receives the completed sentence');
+    assertEquals(seen[0].artStyle, 'realistic', 'Provider receives the art style');
+  });
+
+  // Test 5: Full game offline
+  await describe('A game generates every image offline with IMAGE_GENERATION_SERVICE=local', async () => {
+    process.env.IMAGE_GENERATION_SERVICE = 'local';
+    const engine = new GameEngine({ logger: silentLogger });
+    const manager = new GameSessionManager({ engine });
+    const session = manager.createSession('host-1', 3, 8);
+    generatedCodes.push(session.code);
+    for (const id of ['p1', 'p2', 'p3']) {
+      manager.joinSession(session.code, { playerId: id, name: id });
+    }
+    const started = manager.startGame(session.code, ['A _______ ate my homework']);
+    const submitters = started.players.filter(p => p.id !== started.judgeId);
+    for (const player of submitters) {
+      manager.recordPlayerSelection(session.code, player.id, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+    }
+    engine.advancePhase(session.code, null, 'timeout'); // -> IMAGE_GEN
+
+    await waitFor(() => engine.getGame(session.code).currentPhase !== PHASES.IMAGE_GEN);
+    const images = engine.getGame(session.code).generatedImages;
+    for (const player of submitters) {
+      const image = images[player.id];
+      assert(image && !image.isPlaceholder, `${player.id} should get a real image`);
+      assert(fs.existsSync(path.join(__dirname, '../public', image.imageUrl)), `${player.id}'s image should be on disk`);
+    }
+
+    engine.shutdown();
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+  if (savedApiKey !== undefined) {
+    process.env.OPENAI_API_KEY = savedApiKey;
+  }
+  if (savedService === undefined) {
+    delete process.env.IMAGE_GENERATION_SERVICE;
+  } else {
+    process.env.IMAGE_GENERATION_SERVICE = savedService;
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,231 @@
+/**
+ * ---
+ * title: Image Scheduler Tests
+ * purpose: Tests the process-wide image queue: games take turns so a big lobby can't
+ *          starve a small one, the concurrency limit holds across every service sharing
+ *          the scheduler, Retry-After pauses a provider (and sets the retry backoff),
+ *          and queue depth and wait stats are reported.
+ * exports: None (test script)
+ * dependencies: fs, path, imageProviders, ImageScheduler, ImageGeneratorService
+ * ---
+ */
+
+// The shared scheduler reads its limit when first used
+process.env.IMAGE_GENERATION_MAX_CONCURRENT = '2';
+
+const fs = require('fs');
+const path = require('path');
+const { registerImageProvider } = require('../src/services/imageProviders');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+const ImageScheduler = require('../src/services/ImageScheduler');
+const { getSharedScheduler } = ImageScheduler;
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const generatedCodes = ['SHARE1', 'SHARE2', 'RETRY1'];
+
+// Provider that tracks how many calls overlap; `rateLimits` calls answer 429 first
+let running = 0;
+let maxRunning = 0;
+let rateLimits = 0;
+let retryAfter = null;
+registerImageProvider('tracked', {
+  requiresApiKey: false,
+  generate: async (request) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      if (rateLimits > 0) {
+        rateLimits--;
+        const error = new Error('Too Many Requests');
+        error.response = { status: 429, headers: { 'retry-after': retryAfter } };
+        throw error;
+      }
+      return { imageData: renderLocalImage(request.prompt, request.completedSentence) };
+    } finally {
+      running--;
+    }
+  }
+});
+
+/**
+ * Job that records when it starts and takes `ms` to finish
+ */
+function job(gameCode, name, started, ms = 10, provider = 'tracked') {
+  return {
+    gameCode,
+    provider,
+    run: async () => {
+      started.push(name);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return name;
+    }
+  };
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Scheduler Tests\n');
+
+  // Test 1: Round-robin between games
+  await describe('Games take turns so a large lobby does not starve a small one', async () => {
+    const scheduler = new ImageScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const positions = {};
+
+    const pending = [];
+    for (let n = 1; n <= 6; n++) {
+      pending.push(scheduler.schedule(job('BIG', `big${n}`, started)));
+    }
+    for (let n = 1; n <= 2; n++) {
+      const small = job('SMALL', `small${n}`, started);
+      small.onPosition = position => { (positions[`small${n}`] = positions[`small${n}`] || []).push(position); };
+      pending.push(scheduler.schedule(small));
+    }
+    await Promise.all(pending);
+
+    assertEquals(started.join(), 'big1,big2,small1,big3,small2,big4,big5,big6', 'Games alternate');
+    assertEquals(positions.small1[0], 2, 'New game\'s first image goes near the front');
+    assertEquals(positions.small2[0], 4, 'Its second image waits one more turn');
+  });
+
+  // Test 2: Global limit across services
+  await describe('Services share one scheduler and its concurrency limit', async () => {
+    running = 0;
+    maxRunning = 0;
+    rateLimits = 0;
+    const first = new ImageGeneratorService({ serviceType: 'tracked', cache: false });
+    const second = new ImageGeneratorService({ serviceType: 'tracked', cache: false });
+    assert(first.scheduler === getSharedScheduler() && second.scheduler === first.scheduler, 'Both use the shared scheduler');
+    assertEquals(first.maxConcurrent, 2, 'Limit comes from IMAGE_GENERATION_MAX_CONCURRENT');
+
+    const results = await Promise.all([
+      ...['p1', 'p2', 'p3'].map(id => first.generateImage(`one ${id}`, 'SHARE1', 1, id, 'cartoon', id)),
+      ...['p1', 'p2', 'p3'].map(id => second.generateImage(`two ${id}`, 'SHARE2', 1, id, 'cartoon', id))
+    ]);
+
+    assertEquals(results.filter(r => !r.isPlaceholder).length, 6, 'Every image is generated');
+    assertEquals(maxRunning, 2, 'No more than two provider calls overlap');
+    const own = new ImageGeneratorService({ serviceType: 'tracked', cache: false, maxConcurrent: 4 });
+    assert(own.scheduler !== getSharedScheduler(), 'maxConcurrent gives a service its own scheduler');
+  });
+
+  // Test 3: Retry-After on the request
+  await describe('A 429 with Retry-After sets the backoff and pauses the provider', async () => {
+    rateLimits = 1;
+    retryAfter = '3';
+    const scheduler = new ImageScheduler({ maxConcurrent: 2 });
+    const service = new ImageGeneratorService({ serviceType: 'tracked', cache: false, scheduler });
+    const backoffs = [];
+    service._sleep = async (ms) => { backoffs.push(ms); };
+    const events = [];
+    service.on('onImageProgress', progress => events.push(progress));
+
+    const result = await service.generateImage('prompt', 'RETRY1', 1, 'p1', 'cartoon', 'Sentence');
+
+    assert(!result.isPlaceholder, 'Retry succeeds');
+    assertEquals(backoffs[0], 3000, 'Backoff waits out Retry-After');
+    const retrying = events.find(e => e.status === 'retrying');
+    assertEquals(retrying.retryAfterMs, 3000, 'Progress reports the Retry-After');
+    assert(scheduler.getStats().pausedProviders.tracked, 'Provider is paused for everyone');
+    scheduler.pausedUntil.clear();
+
+    const dateHeader = new Date(Date.now() + 120000).toUTCString();
+    rateLimits = 1;
+    retryAfter = dateHeader;
+    await service.generateImage('prompt two', 'RETRY1', 1, 'p2', 'cartoon', 'Sentence');
+    assertEquals(backoffs[1], 60000, 'HTTP-date Retry-After is capped at a minute');
+    retryAfter = null;
+  });
+
+  // Test 4: Paused provider
+  await describe('Jobs for a paused provider wait while other providers keep going', async () => {
+    const scheduler = new ImageScheduler({ maxConcurrent: 2 });
+    const started = [];
+    scheduler.pause('slow-provider', 100);
+    const pausedAt = Date.now();
+
+    const paused = scheduler.schedule(job('GAME', 'paused', started, 10, 'slow-provider'));
+    const other = scheduler.schedule(job('GAME', 'other', started, 10, 'fast-provider'));
+    await other;
+    assertEquals(started.join(), 'other', 'Other provider runs straight away');
+
+    await paused;
+    assert(Date.now() - pausedAt >= 95, 'Paused job starts after the window');
+    assertEquals(started.join(), 'other,paused', 'Paused job runs in the end');
+  });
+
+  // Test 5: Stats and removal
+  await describe('Stats report depth per game and wait times; removed jobs never run', async () => {
+    const scheduler = new ImageScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const pending = [
+      scheduler.schedule(job('A', 'a1', started, 40)),
+      scheduler.schedule(job('A', 'a2', started)),
+      scheduler.schedule(job('B', 'b1', started))
+    ];
+
+    let stats = scheduler.getStats();
+    assertEquals(stats.active, 1, 'One job running');
+    assertEquals(stats.queued, 2, 'Two jobs waiting');
+    assertEquals(stats.games.A, 1, 'Depth for game A');
+    assertEquals(stats.games.B, 1, 'Depth for game B');
+
+    const removed = scheduler.remove(queued => queued.gameCode === 'B');
+    assertEquals(removed.length, 1, 'Game B\'s job is removed');
+    removed[0].reject(new Error('removed'));
+    await Promise.all([pending[0], pending[1], pending[2].catch(() => {})]);
+
+    stats = scheduler.getStats();
+    assertEquals(started.join(), 'a1,a2', 'Removed job never ran');
+    assertEquals(stats.queued, 0, 'Queue is empty');
+    assertEquals(stats.waits.count, 2, 'Waits are counted for started jobs');
+    assert(stats.waits.maxMs >= 30, 'The job behind a1 waited for it');
+    assert(stats.waits.averageMs <= stats.waits.maxMs, 'Average is at most the max');
+  });
+
+  for (const code of generatedCodes) {
+    fs.rmSync(path.join(GENERATED_DIR, code), { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
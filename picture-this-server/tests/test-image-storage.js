@@ -0,0 +1,357 @@
+/**
+ * ---
+ * title: Image Storage Tests
+ * purpose: Tests the image store backends and retention: the local store writes, lists
+ *          and prunes files; the S3 store signs its requests (AWS SigV4 test vector) and
+ *          round-trips objects through an in-process MinIO-style server, including list
+ *          pagination; the generator writes through whichever store it is given; and
+ *          retention deletes on cleanup, keeps winners only, or expires after N days
+ *          from the sweep TimeoutChecker runs, never touching running games.
+ * exports: None (test script)
+ * dependencies: fs, os, path, http, imageStores, ImageRetention,
+ *               ImageGeneratorService, GameEngine, TimeoutChecker
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { LocalImageStore, S3ImageStore, imageKey } = require('../src/services/imageStores');
+const { signRequest } = S3ImageStore;
+const ImageRetention = require('../src/services/ImageRetention');
+const { createRetentionPolicy } = ImageRetention;
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const GameEngine = require('../src/game/GameEngine');
+const TimeoutChecker = require('../src/game/session/TimeoutChecker');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tempDirs = [];
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  tempDirs.push(dir);
+  return new LocalImageStore({ dir });
+}
+
+/**
+ * Backdates a local image so retention sees it as `days` old
+ */
+function age(store, key, days) {
+  const when = new Date(Date.now() - days * DAY_MS);
+  fs.utimesSync(path.join(store.dir, key), when, when);
+}
+
+/**
+ * Waits until `check` passes or `timeoutMs` runs out
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Minimal S3-compatible server (path-style PUT/GET/DELETE and ListObjectsV2) that
+ * checks every request's signature with the shared credentials
+ */
+function startFakeS3({ accessKeyId, secretAccessKey, pageSize = 2 }) {
+  const objects = new Map(); // "bucket/key" -> { data, lastModified }
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const query = Object.fromEntries(url.searchParams);
+      const authorization = req.headers.authorization || '';
+      const signedNames = (authorization.match(/SignedHeaders=([^,]+)/) || [])[1] || '';
+      const expected = signRequest({
+        method: req.method,
+        path: url.pathname,
+        query,
+        headers: Object.fromEntries(signedNames.split(';').map(name => [name, req.headers[name]])),
+        payloadHash: req.headers['x-amz-content-sha256'],
+        region: 'us-east-1',
+        service: 's3',
+        accessKeyId,
+        secretAccessKey,
+        amzDate: req.headers['x-amz-date']
+      });
+      requests.push({ method: req.method, path: url.pathname, query, signed: authorization === expected });
+      if (authorization !== expected) {
+        res.writeHead(403);
+        return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+      }
+
+      const [, bucket, ...keyParts] = url.pathname.split('/').map(decodeURIComponent);
+      const key = keyParts.join('/');
+      if (req.method === 'PUT') {
+        objects.set(`${bucket}/${key}`, { data: Buffer.concat(chunks), lastModified: new Date() });
+        res.writeHead(200);
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(`${bucket}/${key}`);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (req.method === 'GET' && !key && query['list-type'] === '2') {
+        const keys = [...objects.keys()]
+          .filter(name => name.startsWith(`${bucket}/${query.prefix || ''}`))
+          .map(name => name.slice(bucket.length + 1))
+          .sort();
+        const start = Number(query['continuation-token'] || 0);
+        const page = keys.slice(start, start + pageSize);
+        const truncated = start + pageSize < keys.length;
+        const contents = page.map(name => {
+          const object = objects.get(`${bucket}/${name}`);
+          return `<Contents><Key>${name}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>` +
+            `<Size>${object.data.length}</Size></Contents>`;
+        }).join('');
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>` +
+          `<IsTruncated>${truncated}</IsTruncated>${contents}` +
+          `${truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : ''}</ListBucketResult>`);
+      }
+      res.writeHead(400);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, objects, requests, endpoint: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function runTests() {
+  console.log('\n🧪 Image Storage Tests\n');
+
+  // Test 1: Local store
+  await describe('Local store writes, lists and removes images, pruning empty folders', async () => {
+    const store = tempStore();
+    const url = await store.put(imageKey('LOC1', 1, 'p1'), Buffer.from('one'));
+    await store.put(imageKey('LOC1', 2, 'p2'), Buffer.from('two'));
+    await store.put(imageKey('LOC2', 1, 'p1'), Buffer.from('three'));
+
+    assertEquals(url, '/generated-images/LOC1/round-1/p1.png', 'URL is the served web path');
+    const listed = await store.list('LOC1/');
+    assertEquals(listed.length, 2, 'Listing is limited to the prefix');
+    assertEquals(listed.find(o => o.key === 'LOC1/round-2/p2.png').size, 3, 'Sizes are reported');
+
+    assertEquals(await store.removePrefix('LOC1/'), 2, 'Prefix removal deletes the game');
+    assert(!fs.existsSync(path.join(store.dir, 'LOC1')), 'Empty game folder is pruned');
+    assertEquals((await store.list('')).length, 1, 'Other games are kept');
+
+    let escaped = false;
+    try {
+      await store.put('../outside.png', Buffer.from('x'));
+    } catch (error) {
+      escaped = /Invalid image key/.test(error.message);
+    }
+    assert(escaped, 'Keys cannot leave the store directory');
+  });
+
+  // Test 2: Signing
+  await describe('S3 requests are signed with SigV4 (AWS get-vanilla test vector)', async () => {
+    const authorization = signRequest({
+      method: 'GET',
+      path: '/',
+      headers: { Host: 'example.amazonaws.com', 'X-Amz-Date': '20150830T123600Z' },
+      payloadHash: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      region: 'us-east-1',
+      service: 'service',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+      amzDate: '20150830T123600Z'
+    });
+
+    assertEquals(
+      authorization,
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+        'SignedHeaders=host;x-amz-date, ' +
+        'Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31',
+      'Authorization header matches the reference'
+    );
+  });
+
+  // Test 3: S3 store against a stand-in server
+  await describe('S3 store uploads, lists across pages and deletes on a MinIO-style server', async () => {
+    const credentials = { accessKeyId: 'minio', secretAccessKey: 'minio-secret' };
+    const fake = await startFakeS3(credentials);
+    try {
+      const store = new S3ImageStore({ endpoint: fake.endpoint, bucket: 'images', prefix: 'games/', ...credentials });
+      const url = await store.put(imageKey('S3A', 1, 'p1'), Buffer.from('png-bytes'));
+      for (const playerId of ['p2', 'p3']) {
+        await store.put(imageKey('S3A', 1, playerId), Buffer.from(playerId));
+      }
+      await store.put(imageKey('S3B', 1, 'p1'), Buffer.from('other'));
+
+      assertEquals(url, `${fake.endpoint}/images/games/S3A/round-1/p1.png`, 'URL points into the bucket');
+      assertEquals(fake.objects.get('images/games/S3A/round-1/p1.png').data.toString(), 'png-bytes', 'Bytes arrive');
+
+      const listed = await store.list('S3A/');
+      assertEquals(listed.map(o => o.key).join(), 'S3A/round-1/p1.png,S3A/round-1/p2.png,S3A/round-1/p3.png',
+        'All pages are listed, store prefix stripped');
+      assert(listed.every(o => o.lastModified > 0), 'Last modified times are parsed');
+
+      assertEquals(await store.removePrefix('S3A/'), 3, 'Game images are deleted');
+      assertEquals(fake.objects.size, 1, 'Only the other game is left');
+      assert(fake.requests.every(r => r.signed), 'Every request carried a valid signature');
+
+      const cdn = new S3ImageStore({ endpoint: fake.endpoint, bucket: 'images', publicUrl: 'https://cdn.example/', ...credentials });
+      assertEquals(cdn.urlFor('A/round-1/p 1.png'), 'https://cdn.example/A/round-1/p%201.png', 'Public URL is used when set');
+    } finally {
+      await new Promise(resolve => fake.server.close(resolve));
+    }
+  });
+
+  // Test 4: Generator writes through the store
+  await describe('Image generator saves finished images in the store it is given', async () => {
+    const store = tempStore();
+    const service = new ImageGeneratorService({ serviceType: 'local', cache: false, maxConcurrent: 1, imageStore: store });
+
+    const result = await service.generateImage('a cat', 'GEN1', 1, 'p1', 'cartoon', 'A cat ate my homework');
+
+    assert(!result.isPlaceholder, 'Image is generated');
+    assertEquals(result.imageUrl, '/generated-images/GEN1/round-1/p1.png', 'URL comes from the store');
+    const [saved] = await store.list('GEN1/');
+    assert(saved && saved.size > 0, 'Image bytes are in the store directory');
+  });
+
+  // Test 5: Retention at cleanup
+  await describe('Cleanup deletes a game\'s images, or keeps only round winners', async () => {
+    const store = tempStore();
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: null, imageStore: store });
+    try {
+      const deleted = engine.createGame({ hostId: 'h1', imageRetention: { mode: 'cleanup' } });
+      const winners = engine.createGame({ hostId: 'h2', imageRetention: { mode: 'winners' } });
+      for (const code of [deleted.code, winners.code]) {
+        for (const playerId of ['p1', 'p2']) {
+          await store.put(imageKey(code, 1, playerId), Buffer.from(playerId));
+        }
+      }
+      await store.put(imageKey(winners.code, 1, 'p2', 'thumb'), Buffer.from('thumb'));
+      engine.store.set(winners.code, { ...winners, roundHistory: [{ round: 1, firstPlace: 'p2' }] });
+
+      engine.cleanupGame(deleted.code);
+      engine.cleanupGame(winners.code);
+      await waitFor(async () => (await store.list(`${deleted.code}/`)).length === 0);
+      await waitFor(async () => (await store.list(`${winners.code}/`)).length === 2);
+
+      const kept = (await store.list(`${winners.code}/`)).map(o => o.key).sort();
+      assertEquals(kept.join(), `${imageKey(winners.code, 1, 'p2', 'thumb')},${imageKey(winners.code, 1, 'p2')}`,
+        'Winning image and its variants are kept');
+
+      let rejected = false;
+      try {
+        engine.createGame({ hostId: 'h3', imageRetention: { mode: 'forever' } });
+      } catch (error) {
+        rejected = /Unknown image retention mode/.test(error.message);
+      }
+      assert(rejected, 'Unknown retention modes are rejected');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 6: Sweep
+  await describe('The timeout check sweeps expired images but leaves running games alone', async () => {
+    const store = tempStore();
+    const engine = new GameEngine({
+      logger: silentLogger,
+      imageGenerator: null,
+      imageStore: store,
+      imageRetention: { mode: 'days', days: 3 }
+    });
+    try {
+      const running = engine.createGame({ hostId: 'h1' });
+      const finished = engine.createGame({ hostId: 'h2', imageRetention: { mode: 'days', days: 1 } });
+      await store.put(imageKey(running.code, 1, 'p1'), Buffer.from('x'));
+      await store.put(imageKey(finished.code, 1, 'old'), Buffer.from('x'));
+      await store.put(imageKey(finished.code, 2, 'new'), Buffer.from('x'));
+      await store.put(imageKey('GONE01', 1, 'p1'), Buffer.from('x')); // Game lost without a cleanup
+      await store.put(imageKey('GONE02', 1, 'p1'), Buffer.from('x'));
+      age(store, imageKey(running.code, 1, 'p1'), 10);
+      age(store, imageKey(finished.code, 1, 'old'), 2);
+      age(store, imageKey('GONE01', 1, 'p1'), 4);
+      age(store, imageKey('GONE02', 1, 'p1'), 2);
+
+      engine.cleanupGame(finished.code);
+      await waitFor(async () => (await store.list(`${finished.code}/`)).length === 1);
+
+      const result = await engine.timeoutChecker.runSweep();
+      assertEquals(result.deleted, 1, 'Only the abandoned game past the default is swept');
+      const left = (await store.list('')).map(o => o.key).sort();
+      assert(left.includes(imageKey(running.code, 1, 'p1')), 'Running game is untouched even when old');
+      assert(left.includes(imageKey(finished.code, 2, 'new')), 'Recent image of a finished game is kept');
+      assert(left.includes(imageKey('GONE02', 1, 'p1')), 'Abandoned image younger than the default is kept');
+      assertEquals(left.length, 3, 'Expired images are gone');
+
+      let swept = null;
+      const checker = new TimeoutChecker({
+        getSessionsCallback: () => [{ code: 'LIVE01', lastActivityAt: Date.now() }],
+        sweepCallback: async (codes) => { swept = codes; return 'done'; }
+      });
+      assertEquals(await checker.runSweep(), 'done', 'Sweep result is returned');
+      assertEquals(swept.join(), 'LIVE01', 'Sweep gets the active session codes');
+      assertEquals(createRetentionPolicy({ mode: 'winners' }).days, null, 'Winners keep images indefinitely by default');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
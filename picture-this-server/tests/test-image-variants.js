@@ -0,0 +1,256 @@
+/**
+ * ---
+ * title: Image Variant Tests
+ * purpose: Tests the responsive image pipeline: PNGs decode (including filtered, alpha
+ *          and palette images), downscaling averages pixels, thumb and mid variants are
+ *          made only when smaller than the original, the generator saves them next to the
+ *          original (falling back to it when an image can't be decoded), and the variant
+ *          URLs reach generatedImages and GET /api/judge/:code/images.
+ * exports: None (test script)
+ * dependencies: fs, os, path, zlib, http, express, pngEncoder, pngDecoder, ImageVariants,
+ *               imageStores, imageProviders, ImageGeneratorService, GameSessionManager, judgeRoutes
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const http = require('http');
+const express = require('express');
+const { encodePng, PNG_SIGNATURE } = require('../src/utils/pngEncoder');
+const { decodePng } = require('../src/utils/pngDecoder');
+const { createImageVariants, resizePixels, variantUrls } = require('../src/services/ImageVariants');
+const { LocalImageStore } = require('../src/services/imageStores');
+const { registerImageProvider } = require('../src/services/imageProviders');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const setupJudgeRoutes = require('../src/routes/judge');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const tempDirs = [];
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-variants-'));
+  tempDirs.push(dir);
+  return new LocalImageStore({ dir });
+}
+
+/**
+ * Gradient image with some noise, so filters and compression have work to do
+ */
+function gradient(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 3;
+      pixels[o] = Math.floor((x / width) * 255);
+      pixels[o + 1] = Math.floor((y / height) * 255);
+      pixels[o + 2] = (x * 31 + y * 17) % 7 * 20;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Hand-built PNG with the given color type and unfiltered rows (CRCs left at zero)
+ */
+function rawPng(width, height, colorType, rows, extraChunks = []) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  const raw = Buffer.concat(rows.map(row => Buffer.concat([Buffer.from([0]), Buffer.from(row)])));
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    ...extraChunks.map(([type, data]) => chunk(type, Buffer.from(data))),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function request(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    }).on('error', reject);
+  });
+}
+
+// Provider returning a 1024px image, or bytes that aren't a PNG
+let providerOutput = 'png';
+const bigImage = encodePng(1024, 1024, gradient(1024, 1024));
+registerImageProvider('big', {
+  requiresApiKey: false,
+  generate: async () => ({ imageData: providerOutput === 'png' ? bigImage : Buffer.from('not a png') })
+});
+
+async function runTests() {
+  console.log('\n🧪 Image Variant Tests\n');
+
+  // Test 1: Decoding
+  await describe('PNG decoder reads filtered RGB, alpha and palette images', async () => {
+    const pixels = gradient(40, 30);
+    for (const compact of [false, true]) {
+      const decoded = decodePng(encodePng(40, 30, pixels, { compact }));
+      assertEquals(decoded.width, 40, 'Width');
+      assertEquals(decoded.height, 30, 'Height');
+      assert(decoded.pixels.equals(pixels), `Pixels survive a round trip (compact: ${compact})`);
+    }
+
+    const rgba = decodePng(rawPng(2, 1, 6, [[255, 0, 0, 255, 0, 0, 0, 0]]));
+    assertEquals([...rgba.pixels].join(), '255,0,0,255,255,255', 'Transparent pixels become white');
+
+    const palette = decodePng(rawPng(2, 1, 3, [[1, 0]], [['PLTE', [0, 0, 0, 10, 20, 30]]]));
+    assertEquals([...palette.pixels].join(), '10,20,30,0,0,0', 'Palette indexes are looked up');
+
+    let rejected = false;
+    try {
+      decodePng(Buffer.from('GIF89a'));
+    } catch (error) {
+      rejected = /Not a PNG/.test(error.message);
+    }
+    assert(rejected, 'Other formats are rejected');
+  });
+
+  // Test 2: Resizing
+  await describe('Downscaling averages the pixels each target pixel covers', async () => {
+    const pixels = Buffer.from([0, 0, 0, 100, 100, 100, 200, 200, 200, 100, 100, 100]);
+    assertEquals([...resizePixels(2, 2, pixels, 1, 1)].join(), '100,100,100', '2x2 averages to one pixel');
+
+    const uneven = resizePixels(3, 1, Buffer.from([0, 0, 0, 90, 90, 90, 180, 180, 180]), 2, 1);
+    assertEquals([...uneven].join(), '30,30,30,150,150,150', 'Partly covered pixels count by area');
+  });
+
+  // Test 3: Variants
+  await describe('Thumb and mid variants are made only when smaller than the original', async () => {
+    const variants = createImageVariants(bigImage);
+    assertEquals(variants.map(v => `${v.name}:${v.width}x${v.height}`).join(), 'thumb:256x256,mid:512x512', 'Both sizes');
+    const mid = variants.find(v => v.name === 'mid');
+    const plainMid = encodePng(512, 512, decodePng(mid.data).pixels);
+    assert(mid.data.length < plainMid.length, 'Mid variant is compressed harder');
+
+    const small = createImageVariants(encodePng(512, 256, gradient(512, 256)));
+    assertEquals(small.map(v => `${v.name}:${v.width}x${v.height}`).join(), 'thumb:256x128', 'Aspect ratio is kept');
+
+    const urls = variantUrls('/o.png', { thumb: '/t.png' });
+    assertEquals(`${urls.thumb} ${urls.mid} ${urls.original}`, '/t.png /o.png /o.png', 'Missing sizes use the original');
+  });
+
+  // Test 4: Generator
+  await describe('Generator saves variants next to the original and falls back when it cannot', async () => {
+    const store = tempStore();
+    const service = new ImageGeneratorService({ serviceType: 'big', cache: false, maxConcurrent: 1, imageStore: store });
+
+    providerOutput = 'png';
+    const result = await service.generateImage('prompt', 'VAR1', 1, 'p1', 'cartoon', 'Sentence');
+    assertEquals(result.variants.thumb, '/generated-images/VAR1/round-1/p1-thumb.png', 'Thumb URL');
+    assertEquals(result.variants.mid, '/generated-images/VAR1/round-1/p1-mid.png', 'Mid URL');
+    assertEquals(result.variants.original, result.imageUrl, 'Original URL');
+    assertEquals((await store.list('VAR1/')).length, 3, 'Three files are stored');
+
+    providerOutput = 'other';
+    const fallback = await service.generateImage('prompt', 'VAR1', 2, 'p1', 'cartoon', 'Sentence');
+    assert(!fallback.isPlaceholder, 'Undecodable image is still used');
+    assertEquals(fallback.variants.thumb, fallback.imageUrl, 'Its variants point at the original');
+
+    const plain = new ImageGeneratorService({
+      serviceType: 'big', cache: false, maxConcurrent: 1, imageStore: store, variants: false
+    });
+    providerOutput = 'png';
+    await plain.generateImage('prompt', 'VAR2', 1, 'p1', 'cartoon', 'Sentence');
+    assertEquals((await store.list('VAR2/')).length, 1, 'variants: false saves the original only');
+  });
+
+  // Test 5: Game state and judge route
+  await describe('Variant URLs reach generatedImages and the judge images response', async () => {
+    const store = tempStore();
+    const service = new ImageGeneratorService({ serviceType: 'big', cache: false, maxConcurrent: 2, imageStore: store });
+    const manager = new GameSessionManager({ logger: silentLogger, imageGenerator: service });
+    const app = express();
+    setupJudgeRoutes(app, { sessionManager: manager });
+    const server = app.listen(0);
+
+    try {
+      const session = manager.createSession('host-1', 3, 8);
+      for (const [playerId, name] of [['p1', 'Ann'], ['p2', 'Ben'], ['p3', 'Cy']]) {
+        manager.joinSession(session.code, { playerId, name });
+      }
+      const started = manager.startGame(session.code, ['A _______ ate my homework']);
+      const submitter = started.players.find(p => p.id !== started.judgeId);
+      manager.recordPlayerSelection(session.code, submitter.id, { selections: { 0: 0 }, selectedCards: [submitter.hand[0]] });
+
+      const deadline = Date.now() + 10000;
+      while (!manager.getSessionByCode(session.code).generatedImages[submitter.id] && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      const recorded = manager.getSessionByCode(session.code).generatedImages[submitter.id];
+      assert(recorded, 'Image is recorded');
+      assert(recorded.variants.thumb.endsWith(`${submitter.id}-thumb.png`), 'State has the thumb URL');
+
+      const response = await request(server.address().port, `/api/judge/${session.code}/images`);
+      const image = response.body.images.find(i => i.playerId === submitter.id);
+      assertEquals(image.variants.mid, recorded.variants.mid, 'Judge response has the mid URL');
+      assertEquals(image.variants.original, image.imageUrl, 'Original matches imageUrl');
+    } finally {
+      server.close();
+      manager.shutdown();
+    }
+  });
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * ---
+ * title: Judge Fallback Tests
+ * purpose: Tests the judging deadline: rule validation, warnings pushed to the judge,
+ *          and each fallback policy (audience tally, random pick, host decision) with
+ *          the reason recorded in transitionHistory and the round results.
+ * exports: None (test script)
+ * dependencies: judging, GameEngine, GameSessionManager, GameManager, phases, test helpers
+ * ---
+ */
+
+const { createJudgingRules, pickFallbackWinners } = require('../src/game/judging');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Creates a 4-player game and plays round 1 into JUDGING (3 submitters).
+ * `votes` maps submitter index -> submitter index voted for during VOTING.
+ */
+async function setupJudgingGame(judgingRules, votes = {}) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const manager = new GameSessionManager({ engine });
+
+  const session = manager.createSession('host-1', 3, 8, { judgingRules });
+  for (const id of ['p1', 'p2', 'p3', 'p4']) {
+    manager.joinSession(session.code, { playerId: id, name: id });
+  }
+  const started = manager.startGame(session.code, ['A _______ ate my homework']);
+  const submitters = started.players.filter(p => p.id !== started.judgeId).map(p => p.id);
+
+  for (const playerId of submitters) {
+    const player = started.players.find(p => p.id === playerId);
+    manager.recordPlayerSelection(session.code, playerId, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+  }
+  engine.advancePhase(session.code, null, 'timeout'); // -> IMAGE_GEN
+  await tick();
+  engine.advancePhase(session.code, null, 'timeout'); // -> VOTING
+  for (const votedFor of Object.values(votes)) {
+    manager.recordVote(session.code, manager.addSpectator(session.code).spectatorId, submitters[votedFor]);
+  }
+  engine.advancePhase(session.code, null, 'timeout'); // -> JUDGING
+
+  return { engine, manager, gameManager, emitted, code: session.code, gameId: session.gameId, judgeId: started.judgeId, submitters };
+}
+
+async function runTests() {
+  console.log('\n🧪 Judge Fallback Tests\n');
+
+  // Test 1: Rules
+  await describe('Judging rules default to a deadline with audience fallback and validate input', async () => {
+    const rules = createJudgingRules();
+    assertEquals(rules.timeoutSeconds, 60, 'Default deadline should be 60s');
+    assertEquals(rules.fallback, 'audience', 'Default fallback should be the audience');
+    assertEquals(rules.warningSeconds.join(), '30,10', 'Default warnings at 30s and 10s');
+
+    const short = createJudgingRules({ timeoutSeconds: 20, warningSeconds: [5, 25, 10] });
+    assertEquals(short.warningSeconds.join(), '10,5', 'Warnings past the deadline are dropped');
+
+    for (const bad of [{ fallback: 'coin' }, { timeoutSeconds: -1 }, { warningSeconds: 5 }, 'fast']) {
+      assertThrows(() => createJudgingRules(bad), 'Invalid judging rules', `Should reject ${JSON.stringify(bad)}`);
+    }
+  });
+
+  // Test 2: The deadline is set when JUDGING opens
+  await describe('Entering JUDGING sets the configured deadline', async () => {
+    const { engine, manager, code } = await setupJudgingGame({ timeoutSeconds: 45 });
+    const state = manager.getSessionByCode(code);
+
+    assertEquals(state.currentPhase, PHASES.JUDGING, 'Should be in JUDGING');
+    assertEquals(state.phaseTimeoutMs, 45000, 'Phase timeout should come from the rules');
+    assert(state.judgingDeadline > Date.now(), 'Deadline should be in the future');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Audience fallback
+  await describe('Audience fallback ranks by votes and records the reason', async () => {
+    const { engine, manager, code, gameId, submitters } = await setupJudgingGame(
+      { fallback: 'audience' },
+      { a: 2, b: 2, c: 0 }
+    );
+
+    engine.handlePhaseTimeout(gameId, PHASES.JUDGING);
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.JUDGING_COMPLETE, 'Fallback should close judging');
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+    const results = manager.getSessionByCode(code);
+
+    assertEquals(results.lastRoundResults.firstPlace, submitters[2], 'Most votes wins');
+    assertEquals(results.lastRoundResults.secondPlace, submitters[0], 'Runner-up by votes is second');
+    assertEquals(results.lastRoundResults.decidedBy, 'audience', 'Results should say the audience decided');
+    assertEquals(results.lastRoundResults.fallbackReason, 'judge_timeout', 'Results should carry the reason');
+    assert(
+      results.transitionHistory.some(t => t.reason === 'judge_timeout:audience'),
+      'Reason should be in transitionHistory'
+    );
+
+    engine.shutdown();
+  });
+
+  // Test 4: Random fallback (and audience with no votes)
+  await describe('Random fallback picks two different submitters', async () => {
+    const { engine, manager, code, gameId, submitters } = await setupJudgingGame({ fallback: 'random' });
+
+    engine.handlePhaseTimeout(gameId, PHASES.JUDGING);
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+    const { lastRoundResults } = manager.getSessionByCode(code);
+
+    assert(submitters.includes(lastRoundResults.firstPlace), 'First place should be a submitter');
+    assert(submitters.includes(lastRoundResults.secondPlace), 'Second place should be a submitter');
+    assert(lastRoundResults.firstPlace !== lastRoundResults.secondPlace, 'Places should differ');
+    assertEquals(lastRoundResults.decidedBy, 'random', 'Results should say it was random');
+
+    const noVotes = pickFallbackWinners({ playerSelections: { a: {}, b: {} }, audienceVotes: {} }, 'audience');
+    assertEquals(noVotes.decidedBy, 'random', 'Audience policy without votes falls back to random');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Host policy
+  await describe('Host policy hands the decision to the host', async () => {
+    const { engine, manager, emitted, code, gameId, submitters } = await setupJudgingGame({ fallback: 'host' });
+
+    engine.handlePhaseTimeout(gameId, PHASES.JUDGING);
+    const waiting = manager.getSessionByCode(code);
+    assertEquals(waiting.currentPhase, PHASES.JUDGING, 'Round should wait for the host');
+    assert(waiting.judgingFallback.awaitingHost, 'Host should be asked to decide');
+    assert(emitted.some(e => e.event === 'judge-fallback' && e.data.awaitingHost), 'Room should be told');
+    assertThrows(
+      () => manager.recordJudgeSelection(code, submitters[0], submitters[1], submitters[2]),
+      'Only the current judge',
+      'Other players still cannot decide'
+    );
+
+    manager.recordJudgeSelection(code, submitters[1], submitters[0], 'host-1');
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.JUDGING_COMPLETE, 'Host decision should close judging');
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+    const results = manager.getSessionByCode(code);
+    assertEquals(results.lastRoundResults.firstPlace, submitters[1], 'Host pick should win');
+    assertEquals(results.lastRoundResults.decidedBy, 'host', 'Results should say the host decided');
+    assert(results.transitionHistory.some(t => t.reason === 'judge_timeout:host'), 'Reason should be recorded');
+
+    engine.shutdown();
+  });
+
+  // Test 6: Host doesn't answer either
+  await describe('Host timing out falls back to the audience tally', async () => {
+    const { engine, manager, code, gameId, submitters } = await setupJudgingGame({ fallback: 'host' }, { a: 1 });
+
+    assertThrows(
+      () => manager.recordJudgeSelection(code, submitters[0], submitters[1], 'host-1'),
+      'Only the current judge',
+      'Host cannot decide before the judge times out'
+    );
+
+    engine.handlePhaseTimeout(gameId, PHASES.JUDGING);
+    engine.handlePhaseTimeout(gameId, PHASES.JUDGING);
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+    const { lastRoundResults } = manager.getSessionByCode(code);
+
+    assertEquals(lastRoundResults.firstPlace, submitters[1], 'Voted image should win');
+    assertEquals(lastRoundResults.fallbackReason, 'host_timeout', 'Reason should name the host timeout');
+
+    engine.shutdown();
+  });
+
+  // Test 7: Warnings reach the judge and the deadline fires on its own
+  await describe('Judge is warned before the deadline and the fallback runs on time', async () => {
+    const { engine, manager, emitted, code, judgeId } = await setupJudgingGame({
+      timeoutSeconds: 2,
+      warningSeconds: [1],
+      fallback: 'random'
+    });
+
+    await tick(1200);
+    const warning = emitted.find(e => e.event === 'judge-warning');
+    assert(warning, 'Judge should be warned');
+    assert(warning.room.includes(`judge-${code}`), 'Warning should go to the judge room');
+    assertEquals(warning.data.judgeId, judgeId, 'Warning should name the judge');
+    assertEquals(warning.data.time_remaining, 1, 'Warning should say how long is left');
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.JUDGING, 'Still judging after the warning');
+
+    await tick(1000);
+    const settled = manager.getSessionByCode(code);
+    assertEquals(settled.currentPhase, PHASES.JUDGING_COMPLETE, 'Deadline should close judging');
+    assertEquals(settled.judgeSelection.decidedBy, 'random', 'Fallback should have picked the winners');
+
+    engine.shutdown();
+  });
+
+  // Test 8: Zero disables the deadline
+  await describe('A zero timeout waits for the judge indefinitely', async () => {
+    const { engine, manager, code } = await setupJudgingGame({ timeoutSeconds: 0 });
+    const state = manager.getSessionByCode(code);
+
+    assertEquals(state.judgingDeadline, null, 'No deadline should be set');
+    assertEquals(engine.timerManager.hasTimer(state.gameId), false, 'No timer should run');
+
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,254 @@
+/**
+ * ---
+ * title: Judge Rotation Tests
+ * purpose: Tests the judge rotation strategies: everyone judges exactly once per cycle,
+ *          offline players are skipped, fewest-judged balances counts, and the host can
+ *          assign the next judge when the game uses host-assigned rotation.
+ * exports: None (test script)
+ * dependencies: judgeRotation, GameEngine, GameSessionManager, GameManager, phases, test helpers
+ * ---
+ */
+
+const {
+  JUDGE_ROTATION_STRATEGIES,
+  createJudgeRotation,
+  selectNextJudge
+} = require('../src/game/judgeRotation');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Builds a bare state with the given players for driving selectNextJudge directly
+ */
+function rotationState(strategy, players) {
+  return {
+    judgeId: null,
+    judgeRotation: createJudgeRotation(strategy),
+    players: players.map(p => ({ judgeCount: 0, presence: 'online', ...p }))
+  };
+}
+
+/**
+ * Picks `rounds` judges in a row, updating judgeId and judgeCount like a round setup would
+ */
+function runRotation(state, rounds) {
+  const judges = [];
+  let current = state;
+  for (let i = 0; i < rounds; i++) {
+    const { judgeId, judgeRotation } = selectNextJudge(current);
+    judges.push(judgeId);
+    current = {
+      ...current,
+      judgeId,
+      judgeRotation,
+      players: current.players.map(p => p.id === judgeId ? { ...p, judgeCount: p.judgeCount + 1 } : p)
+    };
+  }
+  return { judges, state: current };
+}
+
+/**
+ * Moves a game from one round's SELECTION to the next round's SELECTION
+ */
+function skipToNextRound(engine, code) {
+  const round = engine.getGame(code).currentRound;
+  for (let i = 0; i < 12; i++) {
+    const state = engine.getGame(code);
+    if (state.currentRound > round && state.currentPhase === PHASES.SELECTION) {
+      return state;
+    }
+    engine.advancePhase(code, null, 'timeout');
+  }
+  throw new Error(`Game did not reach round ${round + 1}`);
+}
+
+const PLAYERS = ['p1', 'p2', 'p3', 'p4'].map(id => ({ id }));
+
+async function runTests() {
+  console.log('\n🧪 Judge Rotation Tests\n');
+
+  // Test 1: Strategy names
+  await describe('Rotation defaults to round-robin and rejects unknown strategies', async () => {
+    assertEquals(createJudgeRotation().strategy, 'round-robin', 'Default strategy');
+    for (const name of ['round-robin', 'random-without-repeat', 'fewest-judged', 'host-assigned']) {
+      assert(JUDGE_ROTATION_STRATEGIES[name], `${name} should be built in`);
+      assertEquals(createJudgeRotation(name).strategy, name, `${name} should be accepted`);
+    }
+    assertThrows(() => createJudgeRotation('coin-flip'), 'Invalid judge rotation', 'Unknown name rejected');
+
+    const manager = new GameSessionManager({ engine: new GameEngine({ logger: silentLogger }) });
+    assertThrows(
+      () => manager.createSession('host-1', 3, 8, { judgeRotation: 'oldest-first' }),
+      'Invalid judge rotation',
+      'Sessions reject unknown strategies'
+    );
+    manager.shutdown();
+  });
+
+  // Test 2: Once per cycle, every strategy
+  await describe('Every strategy has each player judge exactly once per cycle', async () => {
+    for (const strategy of Object.keys(JUDGE_ROTATION_STRATEGIES)) {
+      const { judges } = runRotation(rotationState(strategy, PLAYERS), 12);
+      for (let cycle = 0; cycle < 3; cycle++) {
+        const judged = judges.slice(cycle * 4, cycle * 4 + 4);
+        assertEquals(new Set(judged).size, 4, `${strategy} cycle ${cycle + 1} should use all four players`);
+      }
+      for (let i = 1; i < judges.length; i++) {
+        assert(judges[i] !== judges[i - 1], `${strategy} should never repeat a judge back to back`);
+      }
+    }
+
+    const { judges } = runRotation(rotationState('round-robin', PLAYERS), 5);
+    assertEquals(judges.join(), 'p1,p2,p3,p4,p1', 'Round-robin follows seat order');
+  });
+
+  // Test 3: Offline players
+  await describe('Offline players are skipped and judge after they reconnect', async () => {
+    const state = rotationState('round-robin', PLAYERS);
+    state.players[1].presence = 'away';
+
+    const first = runRotation(state, 2);
+    assertEquals(first.judges.join(), 'p1,p3', 'p2 is skipped while offline');
+
+    const reconnected = {
+      ...first.state,
+      players: first.state.players.map(p => ({ ...p, presence: 'online' }))
+    };
+    const second = runRotation(reconnected, 2);
+    assert(second.judges.includes('p2'), 'p2 still judges this cycle once back');
+    assert(second.judges.includes('p4'), 'p4 still judges this cycle');
+    assert(!second.judges.includes('p1') && !second.judges.includes('p3'), 'Nobody judges twice in a cycle');
+
+    const departed = { ...reconnected, players: reconnected.players.filter(p => p.id !== 'p3') };
+    const afterLeave = runRotation(departed, 3);
+    assertEquals(new Set(afterLeave.judges).size, 3, 'A departed judge frees up the cycle');
+  });
+
+  // Test 4: Fewest-judged
+  await describe('Fewest-judged lets the least-judged players go first', async () => {
+    const state = rotationState('fewest-judged', [
+      { id: 'p1', judgeCount: 3 },
+      { id: 'p2', judgeCount: 1 },
+      { id: 'p3', judgeCount: 0 },
+      { id: 'p4', judgeCount: 2 }
+    ]);
+    const { judges } = runRotation(state, 4);
+    assertEquals(judges.join(), 'p3,p2,p4,p1', 'Judges should go in order of judge count');
+  });
+
+  // Test 5: Host-assigned in a running game
+  await describe('Host assigns the next judge and the rotation honors it', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+    const manager = new GameSessionManager({ engine });
+    const session = manager.createSession('host-1', 5, 8, { judgeRotation: 'host-assigned' });
+    for (const { id } of PLAYERS) {
+      manager.joinSession(session.code, { playerId: id, name: id });
+    }
+    const started = manager.startGame(session.code, ['A _______ ate my homework']);
+    assertEquals(started.judgeId, 'p1', 'Seat order until the host assigns someone');
+
+    assertThrows(
+      () => manager.assignNextJudge(session.code, 'p2', 'p4'),
+      'Only the host',
+      'Players cannot assign the judge'
+    );
+    assertThrows(
+      () => manager.assignNextJudge(session.code, 'host-1', 'nobody'),
+      'Player not found',
+      'Unknown players are rejected'
+    );
+
+    manager.assignNextJudge(session.code, 'host-1', 'p4');
+    assertEquals(skipToNextRound(engine, session.code).judgeId, 'p4', 'Assigned player judges round 2');
+    assertEquals(skipToNextRound(engine, session.code).judgeId, 'p2', 'Rotation resumes after the pick');
+
+    const other = manager.createSession('host-1', 3, 8);
+    assertThrows(
+      () => manager.assignNextJudge(other.code, 'host-1', 'p1'),
+      'not host-assigned',
+      'Only host-assigned games accept an assignment'
+    );
+
+    engine.shutdown();
+  });
+
+  // Test 6: Disconnected sockets are skipped in a socket game
+  await describe('A disconnected player is passed over until they rejoin', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+    const io = { to: () => ({ emit: () => {} }) };
+    const gameManager = new GameManager(silentLogger, io, engine);
+    const game = gameManager.createGame({ hostId: 'host-1', maxRounds: 5 });
+    for (const { id } of PLAYERS) {
+      gameManager.addPlayerToGame(game.gameId, { playerId: id, socketId: `s-${id}`, name: id });
+    }
+    gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+
+    gameManager.detachSocket('s-p2');
+    assertEquals(engine.getGame(game.code).players[1].presence, 'away', 'Detached player is away');
+    assertEquals(skipToNextRound(engine, game.code).judgeId, 'p3', 'Offline p2 is skipped');
+
+    const rejoinToken = engine.getRejoinToken(game.code, 'p2');
+    gameManager.addPlayerToGame(game.gameId, { playerId: 'p2', socketId: 's-p2b', name: 'p2', rejoinToken });
+    assertEquals(engine.getGame(game.code).players[1].presence, 'online', 'Rejoined player is online');
+    assertEquals(skipToNextRound(engine, game.code).judgeId, 'p4', 'Seat order continues');
+    assertEquals(skipToNextRound(engine, game.code).judgeId, 'p2', 'p2 gets their turn this cycle');
+
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
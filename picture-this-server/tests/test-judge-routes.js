@@ -4,7 +4,7 @@
  * purpose: Integration tests for judge phase API endpoints including image
  *          retrieval, selection submission, status monitoring, and selection resumption.
  * exports: None (test script)
- * dependencies: express, GameSessionManager, judgeRoutes
+ * dependencies: express, GameSessionManager, judgeRoutes, artStyles, test helpers
  * ---
  */
 
@@ -12,6 +12,8 @@ const http = require('http');
 const express = require('express');
 const GameSessionManager = require('../src/game/GameSessionManager');
 const createJudgeRoutes = require('../src/routes/judge');
+const { createArtStyleRules } = require('../src/game/artStyles');
+const { stubImageGenerator, tick } = require('./helpers');
 
 // Test utilities
 let testsPassed = 0;
@@ -89,12 +91,41 @@ function makeRequest(method, path, body = null) {
   });
 }
 
+/**
+ * Creates a 3-player game and plays round 1 up to the JUDGING phase
+ * @returns {Object} { code, session, submitters } - submitters are the non-judge player IDs
+ */
+async function setupJudgingGame(hostId) {
+  const session = manager.createSession(hostId, 5, 8);
+  manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
+  manager.joinSession(session.code, { playerId: 'p2', name: 'Bob', avatar: '🎭' });
+  manager.joinSession(session.code, { playerId: 'p3', name: 'Cara', avatar: '🎪' });
+
+  const started = manager.startGame(session.code, ['Test _____']);
+  const submitters = started.players.filter(p => p.id !== started.judgeId).map(p => p.id);
+
+  for (const playerId of submitters) {
+    const player = started.players.find(p => p.id === playerId);
+    manager.recordPlayerSelection(session.code, playerId, {
+      selections: { 0: 0 },
+      selectedCards: [player.hand[0]]
+    });
+  }
+
+  manager.updateSessionPhase(session.code, 'IMAGE_GEN');
+  await tick(); // images land and the engine closes IMAGE_GEN
+  manager.updateSessionPhase(session.code, 'JUDGING');
+
+  return { code: session.code, session: manager.getSessionByCode(session.code), submitters };
+}
+
 // Setup
 async function setupTests() {
   // Create manager
   manager = new GameSessionManager({
     timeoutMinutes: 60,
-    checkIntervalSeconds: 300
+    checkIntervalSeconds: 300,
+    imageGenerator: stubImageGenerator
   });
 
   // Create express app
@@ -116,6 +147,7 @@ async function teardownTests() {
   if (server) {
     server.close();
   }
+  manager.shutdown();
   console.log(`\n${'='.repeat(50)}`);
   console.log(`Tests Passed: ${testsPassed}`);
   console.log(`Tests Failed: ${testsFailed}`);
@@ -129,19 +161,7 @@ async function runTests() {
 
   // Test 1: Get images returns list with correct fields
   await describe('GET /api/judge/:code/images returns images list', async () => {
-    const session = manager.createSession('host-1', 5, 8);
-    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
-    manager.joinSession(session.code, { playerId: 'p2', name: 'Bob', avatar: '🎭' });
-    
-    const sentenceTemplates = ['Test _____'];
-    manager.startGame(session.code, sentenceTemplates);
-    
-    // Add mock submissions
-    const sess = manager.getSessionByCode(session.code);
-    sess.currentPhase = 'judge_phase';
-    sess.players[0].submission = 'image1.jpg';
-    sess.players[1].submission = 'image2.jpg';
-    manager.store.set(session.code, sess);
+    const { session } = await setupJudgingGame('host-1');
     
     const result = await makeRequest('GET', `/api/judge/${session.code}/images`);
     
@@ -158,27 +178,16 @@ async function runTests() {
 
   // Test 3: Submit selection with valid data
   await describe('POST /api/judge/:code/submit-selection stores selections', async () => {
-    const session = manager.createSession('host-2', 5, 8);
-    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
-    manager.joinSession(session.code, { playerId: 'p2', name: 'Bob', avatar: '🎭' });
-    
-    const sentenceTemplates = ['Test _____'];
-    manager.startGame(session.code, sentenceTemplates);
-    
-    const sess = manager.getSessionByCode(session.code);
-    sess.currentPhase = 'judge_phase';
-    sess.players[0].submission = 'image1.jpg';
-    sess.players[1].submission = 'image2.jpg';
-    manager.store.set(session.code, sess);
+    const { session, submitters } = await setupJudgingGame('host-2');
     
     const result = await makeRequest('POST', `/api/judge/${session.code}/submit-selection`, {
-      firstPlaceId: sess.players[0].playerId,
-      secondPlaceId: sess.players[1].playerId
+      firstPlaceId: submitters[0],
+      secondPlaceId: submitters[1]
     });
     
     assertEquals(result.status, 200, 'Should return 200');
     assert(result.body.selections, 'Should return selections');
-    assertEquals(result.body.selections.firstPlaceId, sess.players[0].playerId, 'First place should match');
+    assertEquals(result.body.selections.firstPlaceId, submitters[0], 'First place should match');
   });
 
   // Test 4: Submit selection rejects missing fields
@@ -199,18 +208,7 @@ async function runTests() {
 
   // Test 5: Submit selection rejects same player twice
   await describe('POST /api/judge/:code/submit-selection rejects duplicate players', async () => {
-    const session = manager.createSession('host-4', 5, 8);
-    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
-    manager.joinSession(session.code, { playerId: 'p2', name: 'Bob', avatar: '🎭' });
-    
-    const sentenceTemplates = ['Test _____'];
-    manager.startGame(session.code, sentenceTemplates);
-    
-    const sess = manager.getSessionByCode(session.code);
-    sess.currentPhase = 'judge_phase';
-    sess.players[0].submission = 'image1.jpg';
-    sess.players[1].submission = 'image2.jpg';
-    manager.store.set(session.code, sess);
+    const { session } = await setupJudgingGame('host-4');
     
     const result = await makeRequest('POST', `/api/judge/${session.code}/submit-selection`, {
       firstPlaceId: 'p1',
@@ -222,15 +220,7 @@ async function runTests() {
 
   // Test 6: Get judge phase status
   await describe('GET /api/judge/:code/status returns current status', async () => {
-    const session = manager.createSession('host-5', 5, 8);
-    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
-    
-    const sentenceTemplates = ['Test _____'];
-    manager.startGame(session.code, sentenceTemplates);
-    
-    const sess = manager.getSessionByCode(session.code);
-    sess.currentPhase = 'judge_phase';
-    manager.store.set(session.code, sess);
+    const { session } = await setupJudgingGame('host-5');
     
     const result = await makeRequest('GET', `/api/judge/${session.code}/status`);
     
@@ -241,23 +231,8 @@ async function runTests() {
 
   // Test 7: Get existing selections returns saved data
   await describe('GET /api/judge/:code/selections returns saved selections', async () => {
-    const session = manager.createSession('host-6', 5, 8);
-    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice', avatar: '🎨' });
-    manager.joinSession(session.code, { playerId: 'p2', name: 'Bob', avatar: '🎭' });
-    
-    const sentenceTemplates = ['Test _____'];
-    manager.startGame(session.code, sentenceTemplates);
-    
-    const sess = manager.getSessionByCode(session.code);
-    sess.currentPhase = 'judge_phase';
-    sess.players[0].submission = 'image1.jpg';
-    sess.players[1].submission = 'image2.jpg';
-    sess.judgeSelections = {
-      firstPlaceId: sess.players[0].playerId,
-      secondPlaceId: sess.players[1].playerId,
-      submittedAt: Date.now()
-    };
-    manager.store.set(session.code, sess);
+    const { session, submitters } = await setupJudgingGame('host-6');
+    manager.recordJudgeSelection(session.code, submitters[0], submitters[1]);
     
     const result = await makeRequest('GET', `/api/judge/${session.code}/selections`);
     
@@ -295,6 +270,33 @@ async function runTests() {
     assertEquals(result.status, 404, 'Should return 404 for invalid code');
   });
 
+  // Test 11: Only the judge, proven by their rejoin token, picks the round's art style
+  await describe('POST /api/judge/:code/art-style needs the judge\'s rejoin token', async () => {
+    const session = manager.createSession('host-art', 5, 8, { artStyleRules: createArtStyleRules({ policy: 'judge-picks' }) });
+    manager.joinSession(session.code, { playerId: 'p1', name: 'Alice' });
+    manager.joinSession(session.code, { playerId: 'p2', name: 'Bob' });
+    manager.joinSession(session.code, { playerId: 'p3', name: 'Cara' });
+    const { judgeId } = manager.startGame(session.code, ['Test _____']);
+    const other = ['p1', 'p2', 'p3'].find(id => id !== judgeId);
+
+    const bare = await makeRequest('POST', `/api/judge/${session.code}/art-style`, { judgeId, style: 'cartoon' });
+    assertEquals(bare.status, 403, 'A bare judgeId should be refused');
+    const wrongToken = await makeRequest('POST', `/api/judge/${session.code}/art-style`, {
+      judgeId,
+      style: 'cartoon',
+      token: manager.getRejoinToken(session.code, other)
+    });
+    assertEquals(wrongToken.status, 403, 'Another player\'s token should be refused');
+
+    const picked = await makeRequest('POST', `/api/judge/${session.code}/art-style`, {
+      judgeId,
+      style: 'cartoon',
+      token: manager.getRejoinToken(session.code, judgeId)
+    });
+    assertEquals(picked.status, 200, 'The judge\'s token should be accepted');
+    assertEquals(picked.body.roundArtStyle, 'cartoon', 'The round style should be set');
+  });
+
   await teardownTests();
 }
 
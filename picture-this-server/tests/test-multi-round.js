@@ -0,0 +1,248 @@
+/**
+ * ---
+ * title: Multi-Round Progression Tests
+ * purpose: Plays sessions through the REST-facing GameSessionManager for every round:
+ *          judge rotation, fresh sentences, cleared selections/images between rounds,
+ *          and the final GAME_END standings.
+ * exports: None (test script)
+ * dependencies: GameEngine, GameSessionManager, GameManager, phases, test helpers
+ * ---
+ */
+
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const SENTENCES = [
+  'A _______ ate my homework',
+  'The _______ stole the show',
+  'Never trust a _______'
+];
+
+function createGame(playerCount, maxRounds) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const manager = new GameSessionManager({ engine });
+
+  const session = manager.createSession('host-1', maxRounds, 8);
+  for (let i = 1; i <= playerCount; i++) {
+    manager.joinSession(session.code, { playerId: `p${i}`, name: `Player ${i}`, avatar: '🎮' });
+  }
+  manager.startGame(session.code, SENTENCES);
+
+  return { engine, manager, gameManager, emitted, code: session.code };
+}
+
+/**
+ * Plays the current round from SELECTION to RESULTS. The first submitter wins.
+ * @returns {Object} Session state in RESULTS
+ */
+async function playRound(engine, manager, code, { submit = true } = {}) {
+  const state = manager.getSessionByCode(code);
+  const submitters = state.players.filter(p => p.id !== state.judgeId);
+
+  if (submit) {
+    for (const player of submitters) {
+      manager.recordPlayerSelection(code, player.id, {
+        selections: { 0: 0 },
+        selectedCards: [player.hand[0]]
+      });
+    }
+  } else {
+    engine.advancePhase(code, null, 'timeout'); // Selection timer ran out
+  }
+
+  engine.advancePhase(code, null, 'timeout'); // SELECTION_COMPLETE -> IMAGE_GEN
+  await tick(); // images land and close IMAGE_GEN
+  engine.advancePhase(code, null, 'timeout'); // -> VOTING (or straight on when there's nothing to vote on)
+  if (manager.getSessionByCode(code).currentPhase === PHASES.VOTING) {
+    engine.advancePhase(code, null, 'timeout'); // Voting deadline -> JUDGING
+  }
+
+  if (manager.getSessionByCode(code).currentPhase === PHASES.JUDGING) {
+    manager.recordJudgeSelection(code, submitters[0].id, submitters[1] ? submitters[1].id : undefined);
+    engine.advancePhase(code, null, 'timeout'); // JUDGING_COMPLETE -> RESULTS
+  }
+
+  return manager.getSessionByCode(code);
+}
+
+async function runTests() {
+  console.log('\n🧪 Multi-Round Progression Tests\n');
+
+  // Test 1: Every round runs with a new judge and sentence
+  await describe('Game runs all rounds, rotating judge and sentence', async () => {
+    const { engine, manager, code } = createGame(3, 3);
+    const judges = [];
+    const sentences = [];
+
+    for (let round = 1; round <= 3; round++) {
+      const state = manager.getSessionByCode(code);
+      assertEquals(state.currentRound, round, `Should be in round ${round}`);
+      assertEquals(state.currentPhase, PHASES.SELECTION, `Round ${round} should open in SELECTION`);
+      judges.push(state.judgeId);
+      sentences.push(state.sentenceTemplate);
+
+      const results = await playRound(engine, manager, code);
+      assertEquals(results.currentPhase, PHASES.RESULTS, `Round ${round} should reach RESULTS`);
+      assertEquals(results.lastRoundResults.round, round, 'Results should be for this round');
+
+      engine.advancePhase(code, null, 'timeout'); // RESULTS -> ROUND_SETUP / GAME_END
+      if (round < 3) {
+        engine.advancePhase(code, null, 'timeout'); // ROUND_SETUP -> SELECTION
+      }
+    }
+
+    assertEquals(new Set(judges).size, 3, 'Each player should judge once');
+    assertEquals(new Set(sentences).size, 3, 'Sentences should not repeat while the pool lasts');
+
+    engine.shutdown();
+  });
+
+  // Test 2: A new round starts clean
+  await describe('New round clears selections, images and judge picks', async () => {
+    const { engine, manager, code } = createGame(3, 2);
+    const results = await playRound(engine, manager, code);
+    assert(Object.keys(results.generatedImages).length === 2, 'Round 1 should have two images');
+
+    engine.advancePhase(code, null, 'timeout');
+    engine.advancePhase(code, null, 'timeout');
+
+    const round2 = manager.getSessionByCode(code);
+    assertEquals(round2.currentRound, 2, 'Should be in round 2');
+    assertEquals(Object.keys(round2.playerSelections).length, 0, 'Selections should be cleared');
+    assertEquals(Object.keys(round2.generatedImages).length, 0, 'Images should be cleared');
+    assertEquals(round2.judgeSelection, null, 'Judge picks should be cleared');
+    assert(round2.players.some(p => p.score > 0), 'Scores should carry over');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Final round ends the game with standings
+  await describe('Last round ends the game with final standings', async () => {
+    const { engine, manager, emitted, code } = createGame(3, 1);
+    await playRound(engine, manager, code);
+    engine.advancePhase(code, null, 'timeout'); // RESULTS -> GAME_END
+
+    const final = manager.getSessionByCode(code);
+    assertEquals(final.currentPhase, PHASES.GAME_END, 'Game should be over');
+    assertEquals(final.status, 'completed', 'Status should be completed');
+    assert(Array.isArray(final.finalStandings), 'Standings should be stored');
+    assertEquals(final.finalStandings[0].rank, 1, 'Leader should rank first');
+    assertEquals(final.finalStandings[0].score, 5, 'Winner should have first-place points');
+    assertEquals(final.finalStandings[2].rank, 3, 'Player without points should rank last');
+
+    const gameOver = emitted.find(e => e.event === 'game-over');
+    assert(gameOver, 'game-over should be relayed to the room');
+    assertEquals(gameOver.data.winner.playerId, final.finalStandings[0].playerId, 'Winner should match standings');
+
+    engine.shutdown();
+  });
+
+  // Test 4: Later rounds are announced to socket clients
+  await describe('round-started is relayed for later rounds', async () => {
+    const { engine, manager, emitted, code } = createGame(3, 2);
+    await playRound(engine, manager, code);
+    engine.advancePhase(code, null, 'timeout');
+    engine.advancePhase(code, null, 'timeout');
+
+    const roundStarted = emitted.filter(e => e.event === 'round-started');
+    assertEquals(roundStarted.length, 1, 'Round 2 should be announced once');
+    assertEquals(roundStarted[0].data.round, 2, 'Announcement should be for round 2');
+    assertEquals(roundStarted[0].data.judge.id, manager.getSessionByCode(code).judgeId, 'Announcement should name the new judge');
+
+    engine.shutdown();
+  });
+
+  // Test 5: A round nobody played doesn't stall in JUDGING
+  await describe('Round without submissions skips judging', async () => {
+    const { engine, manager, code } = createGame(3, 2);
+    const results = await playRound(engine, manager, code, { submit: false });
+
+    assertEquals(results.currentPhase, PHASES.RESULTS, 'Should go straight to RESULTS');
+    assertEquals(results.lastRoundResults.firstPlace, null, 'Nobody should win');
+
+    engine.shutdown();
+  });
+
+  // Test 6: Two-player games have a single submission to rank
+  await describe('Two-player round only needs a first place', async () => {
+    const { engine, manager, code } = createGame(2, 2);
+    const results = await playRound(engine, manager, code);
+
+    assertEquals(results.currentPhase, PHASES.RESULTS, 'Round should reach RESULTS');
+    assert(results.lastRoundResults.firstPlace, 'First place should be awarded');
+    assertEquals(results.lastRoundResults.secondPlace, null, 'No second place with one submission');
+
+    engine.shutdown();
+  });
+
+  // Test 7: Judge can only rank players who submitted
+  await describe('Judge picks must be players who submitted', async () => {
+    const { engine, manager, code } = createGame(3, 2);
+    const state = manager.getSessionByCode(code);
+    const [first, second] = state.players.filter(p => p.id !== state.judgeId);
+
+    manager.recordPlayerSelection(code, first.id, { selections: { 0: 0 }, selectedCards: [first.hand[0]] });
+    engine.advancePhase(code, null, 'timeout');
+    engine.advancePhase(code, null, 'timeout');
+    await tick();
+    engine.advancePhase(code, null, 'timeout'); // One image: no voting, straight to JUDGING
+
+    try {
+      manager.recordJudgeSelection(code, first.id, second.id);
+      throw new Error('Should have rejected a pick without a submission');
+    } catch (error) {
+      assert(error.message.includes('did not submit'), 'Should reject non-submitters');
+    }
+
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
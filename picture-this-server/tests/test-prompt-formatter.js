@@ -84,7 +84,7 @@ const result3 = PromptFormatter.formatImagePrompt(
   ['elephant', 'tutu', 'cowboy hat']
 );
 assertEquals(result3.completedSentence,
-  'I saw a elephant trying to rob a bank while wearing a tutu',
+  'I saw an elephant trying to rob a bank while wearing a tutu',
   'Only fills matching number of blanks');
 
 // Test 4: Realistic art style
@@ -0,0 +1,218 @@
+/**
+ * ---
+ * title: Prompt Template Tests
+ * purpose: Tests the prompt template registry: the data file loads and its default
+ *          reproduces the original prompt, templates resolve by provider then category,
+ *          malformed files are rejected, PromptFormatter renders with a game's choice,
+ *          and the engine records which template each generated image used.
+ * exports: None (test script)
+ * dependencies: promptTemplates, promptFormatter, GameEngine
+ * ---
+ */
+
+const PromptTemplateRegistry = require('../src/utils/promptTemplates');
+const { getPromptTemplateRegistry } = PromptTemplateRegistry;
+const PromptFormatter = require('../src/utils/promptFormatter');
+const GameEngine = require('../src/game/GameEngine');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Assertion failed: ${message}. Wrong error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Assertion failed: ${message}. Nothing was thrown`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const ORIGINAL_PROMPT = `Create a clear, detailed image that literally depicts the following scene as a single moment in time:
+
+"A cat ate my homework"
+
+The scene should be visually understandable without text, showing all key subjects, actions, and surroundings implied by the sentence. Use expressive body language, clear facial expressions, and a strong sense of environment. The image should be family-friendly, humorous, and slightly exaggerated for clarity.
+
+Style: colorful cartoon illustration, exaggerated expressions`;
+
+// Small registry exercising every level of the lookup
+const layered = new PromptTemplateRegistry({
+  data: {
+    defaultSet: 'main',
+    templates: [
+      { id: 'base', text: 'base {sentence}' },
+      { id: 'double', text: 'double {sentence}' },
+      { id: 'sd', text: 'sd {sentence}, {style}' },
+      { id: 'sd-double', text: 'sd double {sentence} ({category}, {provider})' }
+    ],
+    sets: {
+      main: {
+        default: 'base',
+        categories: { Double: 'double' },
+        providers: { 'stable-diffusion': { default: 'sd', categories: { Double: 'sd-double' } } }
+      },
+      other: { default: 'double' }
+    }
+  }
+});
+
+function invalid(data) {
+  return () => new PromptTemplateRegistry({ data }).load();
+}
+
+async function runTests() {
+  console.log('\n🧪 Prompt Template Tests\n');
+
+  // Test 1: Shipped file
+  await describe('The shipped templates load and the default reproduces the original prompt', async () => {
+    const registry = getPromptTemplateRegistry();
+    const counts = registry.load();
+    assert(counts.templates >= 3 && counts.sets >= 2, 'Templates and sets are loaded');
+    assert(registry.listSets().some(set => set.name === 'standard' && set.isDefault), 'standard is the default set');
+
+    const formatted = PromptFormatter.formatImagePrompt('A _______ ate my homework', ['cat'], 'cartoon');
+    assertEquals(formatted.prompt, ORIGINAL_PROMPT, 'Default prompt is unchanged');
+    assertEquals(formatted.promptTemplateId, 'scene', 'Template id is returned');
+    assertEquals(formatted.promptTemplateSet, 'standard', 'Set is returned');
+  });
+
+  // Test 2: Lookup order
+  await describe('Templates resolve by provider first, then category, then the set default', async () => {
+    const pick = (options) => layered.resolve(options).id;
+    assertEquals(pick({}), 'base', 'Set default');
+    assertEquals(pick({ category: 'Double' }), 'double', 'Category default');
+    assertEquals(pick({ category: 'Simple' }), 'base', 'Unlisted category uses the default');
+    assertEquals(pick({ provider: 'stable-diffusion' }), 'sd', 'Provider default beats the set default');
+    assertEquals(pick({ provider: 'stable-diffusion', category: 'Double' }), 'sd-double', 'Provider category wins');
+    assertEquals(pick({ provider: 'dalle3', category: 'Double' }), 'double', 'Other providers use the set');
+    assertEquals(pick({ set: 'other', category: 'Double' }), 'double', 'Another set');
+
+    const rendered = layered.render(
+      { provider: 'stable-diffusion', category: 'Double' },
+      { sentence: 'Two cats', category: 'Double', provider: 'stable-diffusion' }
+    );
+    assertEquals(rendered.prompt, 'sd double Two cats (Double, stable-diffusion)', 'Variables are filled in');
+    assertThrows(() => layered.resolve({ set: 'missing' }), /Unknown prompt template set/, 'Unknown set');
+    assertEquals(layered.validateSet(''), null, 'Empty choice means the default set');
+  });
+
+  // Test 3: Validation
+  await describe('Malformed template files are rejected when loaded', async () => {
+    const sets = { main: { default: 'a' } };
+    assertThrows(invalid({ templates: [], sets }), /non-empty "templates"/, 'No templates');
+    assertThrows(invalid({ templates: [{ id: 'a', text: '{sentence} {mood}' }], sets }), /unknown variable \{mood\}/,
+      'Unknown variable');
+    assertThrows(invalid({ templates: [{ id: 'a', text: 'no sentence' }], sets }), /must include \{sentence\}/,
+      'Template without the sentence');
+    assertThrows(invalid({ templates: [{ id: 'a', text: '{sentence}' }, { id: 'a', text: '{sentence}' }], sets }),
+      /duplicate template id a/, 'Duplicate id');
+    assertThrows(invalid({
+      templates: [{ id: 'a', text: '{sentence}' }],
+      sets: { main: { default: 'a', providers: { dalle3: { categories: { Double: 'b' } } } } }
+    }), /set main provider dalle3 category Double refers to unknown template "b"/, 'Dangling reference');
+    assertThrows(invalid({ templates: [{ id: 'a', text: '{sentence}' }], sets, defaultSet: 'nope' }),
+      /defaultSet "nope"/, 'Unknown default set');
+  });
+
+  // Test 4: Formatter options
+  await describe('PromptFormatter picks the template from set, category and provider', async () => {
+    const double = PromptFormatter.formatImagePrompt('_______ met _______', ['A cat', 'a dog'], 'realistic',
+      { category: 'Double' });
+    assertEquals(double.promptTemplateId, 'scene-multi-subject', 'Double sentences get their template');
+    assert(double.prompt.includes('"A cat met a dog"'), 'Sentence is in the prompt');
+
+    const sd = PromptFormatter.formatImagePrompt('A _______ ate my homework', ['cat'], 'cartoon',
+      { category: 'Double', provider: 'stable-diffusion' });
+    assertEquals(sd.promptTemplateId, 'tags', 'Stable Diffusion gets keyword prompts');
+    assert(sd.prompt.startsWith('A cat ate my homework, colorful cartoon illustration'), 'Keywords lead with the sentence');
+
+    const brief = PromptFormatter.formatImagePrompt('A _______ ate my homework', ['cat'], 'cartoon',
+      { templateSet: 'brief' });
+    assertEquals(brief.prompt, 'A cat ate my homework. colorful cartoon illustration, exaggerated expressions.', 'Brief set');
+  });
+
+  // Test 5: Engine
+  await describe('Games choose a template set and each image records the template it used', async () => {
+    const prompts = [];
+    const engine = new GameEngine({
+      logger: silentLogger,
+      imageGenerator: {
+        serviceType: 'dalle3',
+        generateImage: async (prompt, code, round, playerId, artStyle, completedSentence) => {
+          prompts.push(prompt);
+          return { imageUrl: `/images/${playerId}.png`, imagePath: `/images/${playerId}.png`, completedSentence, artStyle };
+        }
+      }
+    });
+
+    try {
+      assertThrows(() => engine.createGame({ hostId: 'h', promptTemplateSet: 'fancy' }), /Unknown prompt template set "fancy"/,
+        'Unknown sets are rejected');
+
+      const game = engine.createGame({ hostId: 'h', promptTemplateSet: 'brief' });
+      for (const id of ['p1', 'p2', 'p3']) {
+        engine.joinGame(game.code, { playerId: id, name: id });
+      }
+      const started = engine.startGame(game.code);
+      assert(started.sentenceCategory, 'Round records the sentence card category');
+
+      const submitter = started.players.find(p => p.id !== started.judgeId);
+      const cards = started.blankCount > 1 ? submitter.hand.slice(0, started.blankCount) : [submitter.hand[0]];
+      engine.submitSelection(game.code, submitter.id, { cards: cards.map(card => card.id) });
+
+      const deadline = Date.now() + 5000;
+      while (!engine.getGame(game.code).generatedImages[submitter.id] && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const image = engine.getGame(game.code).generatedImages[submitter.id];
+      assertEquals(image.promptTemplateId, 'brief', 'Template id is recorded on the image');
+      assertEquals(image.promptTemplateSet, 'brief', 'Template set is recorded on the image');
+      assert(prompts[0].endsWith('.'), 'The brief prompt was sent');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,257 @@
+/**
+ * ---
+ * title: Reconnect Tests
+ * purpose: Tests the disconnect grace period: players are marked away instead of removed,
+ *          resume their seat with the rejoin token issued at join (getting their hand,
+ *          phase, timer and results back), and only leave once the window closes. A
+ *          departure moves the phase on when everyone left is done.
+ * exports: None (test script)
+ * dependencies: GameEngine, GameSessionManager, GameManager, GameState, phases, health routes, test helpers
+ * ---
+ */
+
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { exportState } = require('../src/game/GameState');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Starts a 3-player socket game. Each player is p<n> on socket s<n>.
+ */
+function startSocketGame(reconnectGraceSeconds = 60, { playerCount = 3, imageGenerator = stubImageGenerator } = {}) {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator });
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const game = gameManager.createGame({ hostId: 'host-1', reconnectGraceSeconds });
+  for (let n = 1; n <= playerCount; n++) {
+    gameManager.addPlayerToGame(game.gameId, { playerId: `p${n}`, socketId: `s${n}`, name: `p${n}` });
+  }
+  const started = gameManager.startGame(game.gameId, { sentenceTemplates: ['A _______ ate my homework'] });
+  return { engine, gameManager, emitted, code: game.code, gameId: game.gameId, started };
+}
+
+async function runTests() {
+  console.log('\n🧪 Reconnect Tests\n');
+
+  // Test 1: Tokens
+  await describe('Joining issues a private rejoin token', async () => {
+    const engine = new GameEngine({ logger: silentLogger });
+    const manager = new GameSessionManager({ engine });
+    const session = manager.createSession('host-1', 3, 8);
+    manager.joinSession(session.code, { playerId: 'p1', name: 'p1' });
+    manager.joinSession(session.code, { playerId: 'p2', name: 'p2' });
+
+    const token = manager.getRejoinToken(session.code, 'p1');
+    assert(typeof token === 'string' && token.length >= 32, 'Token should be a long random string');
+    assert(token !== manager.getRejoinToken(session.code, 'p2'), 'Each player gets their own token');
+    assert(!JSON.stringify(exportState(manager.getSessionByCode(session.code))).includes(token), 'Token is never exported');
+
+    const routes = {};
+    require('../src/routes/health')({ get: (path, handler) => { routes[path] = handler; }, post: () => {} },
+      { gameManager: null, sessionManager: manager, logger: silentLogger });
+    let debugBody;
+    routes['/api/debug/session/:code']({ params: { code: session.code } }, { json: (body) => { debugBody = body; } });
+    assertEquals(debugBody.session.code, session.code, 'Debug route returns the session');
+    assert(!JSON.stringify(debugBody).includes(token), 'Debug route does not expose tokens');
+    assert(debugBody.session.players.every(p => !('hand' in p) && !('socketId' in p)), 'Debug route does not expose hands');
+    assert(!('deck' in debugBody.session), 'Debug route does not expose the deck');
+
+    manager.joinSession(session.code, { playerId: 'p1', name: 'p1' });
+    assertEquals(manager.getRejoinToken(session.code, 'p1'), token, 'Joining again keeps the same token');
+    engine.shutdown();
+  });
+
+  // Test 2: Disconnect marks the player away
+  await describe('A disconnected player is marked away and keeps their hand and score', async () => {
+    const { engine, gameManager, emitted, code, started } = startSocketGame();
+    const before = started.players.find(p => p.id === 'p2');
+
+    const detached = gameManager.detachSocket('s2');
+    const player = engine.getGame(code).players.find(p => p.id === 'p2');
+
+    assertEquals(player.presence, 'away', 'Player should be away');
+    assert(player.awayUntil > Date.now() + 55000, 'Window should be about a minute');
+    assertEquals(detached.awayUntil, player.awayUntil, 'Detach reports the window');
+    assertEquals(player.hand.length, before.hand.length, 'Hand is kept');
+    assertEquals(engine.getGame(code).players.length, 3, 'Player is not removed');
+    assert(emitted.some(e => e.event === 'player-away' && e.data.playerId === 'p2'), 'Room is told the player is away');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Resume by token
+  await describe('Resuming with the token restores hand, phase and timer', async () => {
+    const { engine, gameManager, emitted, code, gameId, started } = startSocketGame();
+    const token = gameManager.getRejoinToken(gameId, 'p2');
+    const hand = started.players.find(p => p.id === 'p2').hand;
+    gameManager.detachSocket('s2');
+
+    assertThrows(() => gameManager.addPlayerToGame(gameId, { playerId: 'p2', socketId: 's-thief', name: 'p2' }),
+      'rejoin token', 'A known playerId without the token cannot take the seat');
+    assertEquals(engine.getGame(code).players.find(p => p.id === 'p2').socketId, null, 'Seat is not taken');
+
+    const { playerId, snapshot } = gameManager.resumeGame(token, 's2-new');
+    const player = engine.getGame(code).players.find(p => p.id === 'p2');
+
+    assertEquals(playerId, 'p2', 'Token resolves to the player');
+    assertEquals(player.presence, 'online', 'Player is back online');
+    assertEquals(player.socketId, 's2-new', 'New socket is attached');
+    assertEquals(player.awayUntil, null, 'Window is cleared');
+    assertEquals(snapshot.phase, PHASES.SELECTION, 'Snapshot has the phase');
+    assertEquals(snapshot.hand.map(card => card.id).join(), hand.map(card => card.id).join(), 'Snapshot has the hand');
+    assert(snapshot.timeRemaining > 0, 'Snapshot has the time left');
+    assertEquals(snapshot.isJudge, started.judgeId === 'p2', 'Snapshot says whether they judge');
+    assert(emitted.some(e => e.event === 'player-returned' && e.data.playerId === 'p2'), 'Room is told they are back');
+
+    assertThrows(() => gameManager.resumeGame('not-a-token', 's9'), 'Invalid or expired rejoin token', 'Unknown tokens rejected');
+    assertThrows(() => gameManager.resumeGame(undefined, 's9'), 'Rejoin token is required', 'Missing token rejected');
+
+    engine.shutdown();
+  });
+
+  // Test 4: Window expiry
+  await describe('Players leave only once the reconnect window closes', async () => {
+    const { engine, gameManager, emitted, code, gameId } = startSocketGame(0.2);
+    const token = gameManager.getRejoinToken(gameId, 'p3');
+
+    gameManager.detachSocket('s1');
+    gameManager.detachSocket('s3');
+    await tick(100);
+    gameManager.resumeGame(gameManager.getRejoinToken(gameId, 'p1'), 's1-new');
+    assertEquals(engine.getGame(code).players.length, 3, 'Nobody leaves inside the window');
+
+    await tick(250);
+    const players = engine.getGame(code).players.map(p => p.id);
+    assertEquals(players.join(), 'p1,p2', 'Only the player who never came back is removed');
+    assert(emitted.some(e => e.event === 'player-left' && e.data.playerId === 'p3'), 'Room is told they left');
+    assertThrows(() => gameManager.resumeGame(token, 's3-new'), 'Invalid or expired rejoin token', 'Token dies with the seat');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Pending results come back
+  await describe('A player who returns during RESULTS gets the round results', async () => {
+    const { engine, gameManager, code, gameId, started } = startSocketGame();
+    const submitters = started.players.filter(p => p.id !== started.judgeId);
+    for (const player of submitters) {
+      gameManager.submitSelection(gameId, player.id, { cards: [player.hand[0].id] });
+    }
+    engine.advancePhase(code, null, 'timeout'); // -> IMAGE_GEN
+    await tick();
+    engine.advancePhase(code, null, 'timeout'); // -> VOTING
+    engine.advancePhase(code, null, 'timeout'); // -> JUDGING
+    gameManager.submitJudgeSelection(gameId, started.judgeId, {
+      firstPlace: submitters[0].id,
+      secondPlace: submitters[1].id
+    });
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+
+    const returning = submitters[1];
+    gameManager.detachSocket(returning.socketId);
+    const { snapshot } = gameManager.resumeGame(gameManager.getRejoinToken(gameId, returning.id), 'back');
+
+    assertEquals(snapshot.phase, PHASES.RESULTS, 'Snapshot is in RESULTS');
+    assertEquals(snapshot.results.firstPlace, submitters[0].id, 'Snapshot carries the results');
+    assert(snapshot.selection, 'Snapshot carries their submission');
+    assert(snapshot.generatedImages[returning.id], 'Snapshot carries the images');
+
+    engine.shutdown();
+  });
+
+  // Test 6: Departures don't leave the round waiting on its timer
+  await describe('A player leaving moves SELECTION, IMAGE_GEN and VOTING on once everyone left is done', async () => {
+    const selecting = startSocketGame(60, { playerCount: 4 });
+    const [a, b, c] = selecting.started.players.filter(p => p.id !== selecting.started.judgeId);
+    selecting.gameManager.submitSelection(selecting.gameId, a.id, { cards: [a.hand[0].id] });
+    selecting.gameManager.submitSelection(selecting.gameId, b.id, { cards: [b.hand[0].id] });
+    selecting.engine.removePlayer(selecting.code, c.id);
+    assertEquals(selecting.engine.getGame(selecting.code).currentPhase, PHASES.SELECTION_COMPLETE,
+      'SELECTION closes when the last missing submitter leaves');
+    selecting.engine.shutdown();
+
+    let stuck = null; // Whose image never finishes
+    const imageGenerator = {
+      generateImage: (prompt, code, round, playerId, ...rest) => (playerId === stuck
+        ? new Promise(() => {})
+        : stubImageGenerator.generateImage(prompt, code, round, playerId, ...rest))
+    };
+    const generating = startSocketGame(60, { playerCount: 4, imageGenerator });
+    const submitters = generating.started.players.filter(p => p.id !== generating.started.judgeId);
+    stuck = submitters[2].id;
+    for (const player of submitters) {
+      generating.gameManager.submitSelection(generating.gameId, player.id, { cards: [player.hand[0].id] });
+    }
+    generating.engine.advancePhase(generating.code, null, 'timeout'); // -> IMAGE_GEN
+    await tick();
+    assertEquals(generating.engine.getGame(generating.code).currentPhase, PHASES.IMAGE_GEN, 'One image is still out');
+    generating.engine.removePlayer(generating.code, stuck);
+    const afterImages = generating.engine.getGame(generating.code);
+    assertEquals(afterImages.currentPhase, PHASES.IMAGE_GEN_COMPLETE, 'IMAGE_GEN closes when the missing image\'s player leaves');
+    assert(!afterImages.playerSelections[stuck], 'Their unfinished selection is dropped');
+
+    generating.engine.advancePhase(generating.code, null, 'timeout'); // -> VOTING
+    const [x, y] = submitters;
+    generating.gameManager.castVote(generating.gameId, x.id, y.id);
+    assertEquals(generating.engine.getGame(generating.code).currentPhase, PHASES.VOTING, 'One voter is still out');
+    generating.engine.removePlayer(generating.code, y.id);
+    assertEquals(generating.engine.getGame(generating.code).currentPhase, PHASES.JUDGING,
+      'VOTING closes when the last missing voter leaves');
+    generating.engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
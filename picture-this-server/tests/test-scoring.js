@@ -0,0 +1,210 @@
+/**
+ * ---
+ * title: Scoring Rules Tests
+ * purpose: Unit tests for scoring.js (ruleset validation, presets, placement/audience/
+ *          bonus points) and an end-to-end check that a session's ruleset is applied
+ *          when a REST-driven round reaches RESULTS.
+ * exports: None (test script)
+ * dependencies: scoring, GameEngine, GameSessionManager, phases, test helpers
+ * ---
+ */
+
+const { createScoringRules, scoreRound, DEFAULT_SCORING_RULES } = require('../src/game/scoring');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const { PHASES } = require('../src/game/phases');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+// Round state with p1..p3 submitting; p4 judged
+function roundState(overrides = {}) {
+  return {
+    judgeSelection: { firstPlace: 'p1', secondPlace: 'p2' },
+    playerSelections: {
+      p1: { submittedAt: 300 },
+      p2: { submittedAt: 100 },
+      p3: { submittedAt: 200 }
+    },
+    audienceVotes: {},
+    roundHistory: [],
+    ...overrides
+  };
+}
+
+async function runTests() {
+  console.log('\n🧪 Scoring Rules Tests\n');
+
+  // Test 1: Defaults follow the game design
+  await describe('Default ruleset awards 5/2 and 1 for audience favorite', async () => {
+    const rules = createScoringRules();
+    assertEquals(rules.placement.first, 5, 'First place should be 5');
+    assertEquals(rules.placement.second, 2, 'Second place should be 2');
+    assertEquals(rules.audienceFavorite, 1, 'Audience favorite should be 1');
+    assertEquals(rules.bonuses.speed.enabled, false, 'Speed bonus should be off by default');
+    assert(rules !== DEFAULT_SCORING_RULES, 'Should return a copy');
+  });
+
+  // Test 2: Partial overrides and presets
+  await describe('Overrides merge over defaults and presets resolve by name', async () => {
+    const rules = createScoringRules({ placement: { first: 10 }, bonuses: { speed: { enabled: true } } });
+    assertEquals(rules.placement.first, 10, 'First place override should apply');
+    assertEquals(rules.placement.second, 2, 'Second place should keep the default');
+    assertEquals(rules.bonuses.speed.enabled, true, 'Speed bonus should be enabled');
+    assertEquals(rules.bonuses.speed.points, 1, 'Speed points should keep the default');
+
+    const classic = createScoringRules('classic');
+    assertEquals(classic.placement.first, 3, 'Classic preset should award 3 for first');
+    assertEquals(classic.audienceFavorite, 0, 'Classic preset has no audience favorite');
+  });
+
+  // Test 3: Invalid rules are rejected
+  await describe('Invalid rulesets are rejected', async () => {
+    const invalid = [
+      'no-such-preset',
+      { placement: { first: -1 } },
+      { placement: { second: 1.5 } },
+      { audienceFavorite: 1000 },
+      { bonuses: { speed: { enabled: 'yes' } } },
+      { bonuses: { streak: { minWins: 1 } } },
+      [1, 2]
+    ];
+    for (const rules of invalid) {
+      try {
+        createScoringRules(rules);
+        throw new Error(`Accepted ${JSON.stringify(rules)}`);
+      } catch (error) {
+        assert(error.message.startsWith('Invalid scoring rules'), `Should reject ${JSON.stringify(rules)}`);
+      }
+    }
+  });
+
+  // Test 4: Placement and audience favorite, with a breakdown
+  await describe('Round score includes placement and audience favorite breakdown', async () => {
+    const { scores, audienceFavorites } = scoreRound(roundState({
+      audienceVotes: { p1: 'p3', p2: 'p3', p3: 'p1', p4: 'p1', p5: 'p3' }
+    }), createScoringRules());
+
+    assertEquals(scores.p1.total, 5, 'p1 should get first place only');
+    assertEquals(scores.p2.total, 2, 'p2 should get second place');
+    assertEquals(scores.p3.total, 1, 'p3 should get audience favorite');
+    assertEquals(audienceFavorites.length, 1, 'Single audience favorite');
+    assertEquals(scores.p3.breakdown[0].type, 'audience_favorite', 'Breakdown should explain the point');
+  });
+
+  // Test 5: Self-votes don't count and ties share the favorite
+  await describe('Self-votes are ignored and tied favorites all score', async () => {
+    const { scores, audienceFavorites } = scoreRound(roundState({
+      audienceVotes: { p1: 'p1', p2: 'p1', p3: 'p2' }
+    }), createScoringRules());
+
+    assertEquals(audienceFavorites.length, 2, 'p1 and p2 tie on one vote each');
+    assertEquals(scores.p1.total, 6, 'p1 gets first place plus audience favorite');
+    assertEquals(scores.p2.total, 3, 'p2 gets second place plus audience favorite');
+  });
+
+  // Test 6: Bonuses
+  await describe('Speed and streak bonuses apply when enabled', async () => {
+    const rules = createScoringRules('bonus');
+    const { scores } = scoreRound(roundState({
+      roundHistory: [{ round: 1, firstPlace: 'p1' }]
+    }), rules);
+
+    assertEquals(scores.p2.total, 3, 'p2 was fastest: second place + speed bonus');
+    assertEquals(scores.p1.total, 6, 'p1 won twice in a row: first place + streak bonus');
+    assert(scores.p1.breakdown.some(item => item.type === 'streak_bonus'), 'Streak should be in the breakdown');
+
+    const noStreak = scoreRound(roundState({
+      roundHistory: [{ round: 1, firstPlace: 'p2' }]
+    }), rules);
+    assertEquals(noStreak.scores.p1.total, 5, 'No streak after someone else won');
+  });
+
+  // Test 7: Session ruleset applied in the shared engine
+  await describe('Session ruleset is applied and the breakdown stored at RESULTS', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+    const manager = new GameSessionManager({ engine });
+    const session = manager.createSession('host-1', 3, 8, {
+      scoringRules: { placement: { first: 7, second: 3 } }
+    });
+    for (const id of ['p1', 'p2', 'p3']) {
+      manager.joinSession(session.code, { playerId: id, name: id });
+    }
+    const started = manager.startGame(session.code, ['A _______ ate my homework']);
+    const [first, second] = started.players.filter(p => p.id !== started.judgeId);
+
+    for (const player of [first, second]) {
+      manager.recordPlayerSelection(session.code, player.id, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+    }
+    engine.advancePhase(session.code, null, 'timeout');
+    await tick();
+    engine.advancePhase(session.code, null, 'timeout'); // -> VOTING
+    engine.advancePhase(session.code, null, 'timeout'); // -> JUDGING
+    manager.recordJudgeSelection(session.code, first.id, second.id);
+    engine.advancePhase(session.code, null, 'timeout');
+
+    const results = manager.getSessionByCode(session.code);
+    assertEquals(results.currentPhase, PHASES.RESULTS, 'Round should be at RESULTS');
+    assertEquals(results.players.find(p => p.id === first.id).score, 7, 'First place uses the session ruleset');
+    assertEquals(results.players.find(p => p.id === second.id).score, 3, 'Second place uses the session ruleset');
+    assertEquals(results.lastRoundResults.scores[first.id].breakdown[0].type, 'first_place', 'Breakdown should be stored');
+    assertEquals(results.roundHistory.length, 1, 'Round should be kept in history');
+
+    engine.shutdown();
+  });
+
+  // Test 8: Bad ruleset fails session creation
+  await describe('Creating a session with an invalid ruleset throws', async () => {
+    const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+    const manager = new GameSessionManager({ engine });
+    try {
+      manager.createSession('host-1', 3, 8, { scoringRules: { placement: { first: 'lots' } } });
+      throw new Error('Invalid ruleset was accepted');
+    } catch (error) {
+      assert(error.message.startsWith('Invalid scoring rules'), 'Should reject invalid ruleset');
+    }
+    assertEquals(manager.getAllActiveSessions().length, 0, 'No session should be created');
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
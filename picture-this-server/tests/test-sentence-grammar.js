@@ -0,0 +1,156 @@
+/**
+ * ---
+ * title: Sentence Grammar Tests
+ * purpose: Tests grammar-aware blank filling: card articles give way to the template's
+ *          determiners, capitalization follows the blank's place in the sentence, a/an
+ *          agree with the card, possessives after a blank read correctly, and both the
+ *          moderated sentence and the image prompt use the same filling.
+ * exports: None (test script)
+ * dependencies: sentenceGrammar, moderation, promptFormatter, GameEngine
+ * ---
+ */
+
+const { fillBlanks, indefiniteArticle } = require('../src/utils/sentenceGrammar');
+const { completeSentence } = require('../src/game/moderation');
+const PromptFormatter = require('../src/utils/promptFormatter');
+const GameEngine = require('../src/game/GameEngine');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+async function runTests() {
+  console.log('\n🧪 Sentence Grammar Tests\n');
+
+  // Test 1: Articles and determiners
+  await describe('A determiner before the blank replaces the card\'s own article', async () => {
+    assertEquals(fillBlanks("My neighbor's _______ sang", ['The ninja goldfish']),
+      "My neighbor's ninja goldfish sang", 'Possessive determiner');
+    assertEquals(fillBlanks('Last Thursday, my _______ disappeared', ['A disco-dancing llama']),
+      'Last Thursday, my disco-dancing llama disappeared', 'Possessive pronoun');
+    assertEquals(fillBlanks('The mysterious _______ took passengers', ['A taco truck powered by dreams']),
+      'The mysterious taco truck powered by dreams took passengers', 'Determiner across an adjective');
+    assertEquals(fillBlanks('Yesterday I saw _______ riding a unicorn', ['A disco-dancing llama']),
+      'Yesterday I saw a disco-dancing llama riding a unicorn', 'No determiner keeps the card\'s article');
+    assertEquals(fillBlanks('My reflection refused to copy _______', ['The sentient rubber duck']),
+      'My reflection refused to copy the sentient rubber duck', 'Verb before the blank keeps it too');
+  });
+
+  // Test 2: Capitalization
+  await describe('Cards are capitalized at a sentence start and lowercased mid-sentence', async () => {
+    assertEquals(fillBlanks('_______ ate my homework. Then _______ did too!', ['sushi with trust issues', 'A cat']),
+      'Sushi with trust issues ate my homework. Then a cat did too!', 'Sentence starts');
+    assertEquals(fillBlanks('I met _______ at noon', ['Spaghetti that\'s self-aware']),
+      'I met spaghetti that\'s self-aware at noon', 'Sentence-case cards are lowercased');
+    assertEquals(fillBlanks('I met _______ at noon', ['Pegasus delivering Amazon packages']),
+      'I met Pegasus delivering Amazon packages at noon', 'Cards containing names keep their case');
+    assertEquals(fillBlanks('The _______ was dancing', ['Disco-Dancing Llama']),
+      'The Disco-Dancing Llama was dancing', 'Title Case cards keep their case');
+    assertEquals(fillBlanks('I met _______', ['Frankenstein\'s monster doing ballet']),
+      'I met Frankenstein\'s monster doing ballet', 'Leading possessives are names');
+  });
+
+  // Test 3: a/an
+  await describe('A template a/an agrees with the card that follows it', async () => {
+    assertEquals(fillBlanks('I saw a _______ today', ['An egg that cracks jokes']), 'I saw an egg that cracks jokes today',
+      'a becomes an');
+    assertEquals(fillBlanks('An _______ fell', ['penguin']), 'A penguin fell', 'An becomes A, keeping its case');
+    assertEquals(indefiniteArticle('unicorn'), 'a', 'Consonant-sounding u');
+    assertEquals(indefiniteArticle('umbrella'), 'an', 'Vowel-sounding u');
+    assertEquals(indefiniteArticle('hourglass'), 'an', 'Silent h');
+    assertEquals(indefiniteArticle('European swallow'), 'a', 'Consonant-sounding eu');
+  });
+
+  // Test 4: Possessives
+  await describe('Possessives after a blank follow the card', async () => {
+    assertEquals(fillBlanks("_______ caught _______'s diary", ['A disco-dancing llama', 'The ninja goldfish']),
+      "A disco-dancing llama caught the ninja goldfish's diary", 'Singular');
+    assertEquals(fillBlanks("I read _______'s diary", ['Werewolves']), "I read werewolves' diary", 'Plural');
+    assertEquals(fillBlanks("I read _______'s diary", ["my uncle's"]), "I read my uncle's diary", 'Not doubled');
+    assertEquals(fillBlanks("I read _______'s diary", ['a glass']), "I read a glass's diary", 'Double s is singular');
+  });
+
+  // Test 5: Both outputs
+  await describe('The moderated sentence and the image prompt are filled the same way', async () => {
+    const template = "Yesterday my neighbor's _______ met a _______";
+    const cards = ['The ninja goldfish', 'An egg that cracks jokes'];
+    const expected = "Yesterday my neighbor's ninja goldfish met an egg that cracks jokes";
+
+    assertEquals(completeSentence(template, cards), expected, 'Moderation sentence');
+    assertEquals(completeSentence(template, cards.slice(0, 1)),
+      "Yesterday my neighbor's ninja goldfish met a _______", 'Missing cards leave the blank');
+
+    const formatted = PromptFormatter.formatImagePrompt(template, cards.map(text => ({ text })), 'cartoon');
+    assertEquals(formatted.completedSentence, expected, 'Formatter sentence');
+    assert(formatted.prompt.includes(`"${expected}"`), 'Prompt carries the sentence');
+
+    const engine = new GameEngine({
+      logger: silentLogger,
+      imageGenerator: {
+        generateImage: async (prompt, code, round, playerId, artStyle, completedSentence) => (
+          { imageUrl: `/images/${playerId}.png`, imagePath: `/images/${playerId}.png`, completedSentence, artStyle }
+        )
+      }
+    });
+    try {
+      const game = engine.createGame({ hostId: 'h' });
+      for (const id of ['p1', 'p2', 'p3']) {
+        engine.joinGame(game.code, { playerId: id, name: id });
+      }
+      const started = engine.startGame(game.code, { sentenceTemplates: ['Yesterday I saw _______ riding a unicorn'] });
+      const submitter = started.players.find(p => p.id !== started.judgeId);
+      const card = submitter.hand[0];
+      engine.submitSelection(game.code, submitter.id, { cards: [card.id] });
+
+      const deadline = Date.now() + 5000;
+      while (!engine.getGame(game.code).generatedImages[submitter.id] && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const recorded = engine.getGame(game.code).generatedImages[submitter.id].completedSentence;
+      assertEquals(recorded, fillBlanks('Yesterday I saw _______ riding a unicorn', [card.text]),
+        'Engine records the fitted sentence');
+      assert(!/saw (A|An|The) /.test(recorded), 'No capitalized article mid-sentence');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,276 @@
+/**
+ * ---
+ * title: Sentence Template Tests
+ * purpose: Tests the typed blank syntax: {noun}/{person}/{place} blanks parse and legacy
+ *          underscore blanks migrate, the card repository validates blank counts and
+ *          types, hands are dealt so every typed blank has a playable card, selections
+ *          must fit their blank's type, and legacy templates reach image generation.
+ * exports: None (test script)
+ * dependencies: fs, os, path, sentenceTemplates, CardRepository, CardDeck, GameEngine,
+ *               promptFormatter
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseBlanks,
+  countBlanks,
+  migrateTemplate,
+  loadSentenceTemplate,
+  unfilledBlankTypes
+} = require('../src/utils/sentenceTemplates');
+const CardRepository = require('../src/game/CardRepository');
+const CardDeck = require('../src/game/CardDeck');
+const GameEngine = require('../src/game/GameEngine');
+const PromptFormatter = require('../src/utils/promptFormatter');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Assertion failed: ${message}. Wrong error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Assertion failed: ${message}. Nothing was thrown`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const tempDirs = [];
+
+/**
+ * Writes a pair of pack files into a fresh temp directory
+ */
+function writePacks(nounCards, sentenceCards) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentence-templates-'));
+  tempDirs.push(dir);
+  fs.writeFileSync(path.join(dir, 'noun-cards.json'), JSON.stringify({ cards: nounCards }));
+  fs.writeFileSync(path.join(dir, 'sentence-cards.json'), JSON.stringify({ cards: sentenceCards }));
+  return dir;
+}
+
+/**
+ * 40 plain cards plus some people, so hands often miss a person by chance
+ */
+function nounsWithPeople(count) {
+  return [
+    ...Array.from({ length: 40 }, (_, i) => ({ id: i + 1, text: `A thing ${i + 1}`, category: 'Things' })),
+    ...Array.from({ length: count }, (_, i) => ({
+      id: 101 + i, text: `A pirate ${i + 1}`, category: 'People', blankTypes: ['person']
+    }))
+  ];
+}
+
+const nouns = nounsWithPeople(12);
+
+function createEngine(sentences, generatedPrompts = [], nounCards = nouns) {
+  return new GameEngine({
+    logger: silentLogger,
+    cardRepository: new CardRepository({ dataDir: writePacks(nounCards, sentences) }),
+    imageGenerator: {
+      generateImage: async (prompt, code, round, playerId, artStyle, completedSentence) => {
+        generatedPrompts.push(prompt);
+        return { imageUrl: `/images/${playerId}.png`, imagePath: `/images/${playerId}.png`, completedSentence, artStyle };
+      }
+    }
+  });
+}
+
+function startGame(engine, players = 4) {
+  const game = engine.createGame({ hostId: 'h' });
+  for (let i = 1; i <= players; i++) {
+    engine.joinGame(game.code, { playerId: `p${i}`, name: `p${i}` });
+  }
+  return engine.startGame(game.code);
+}
+
+async function runTests() {
+  console.log('\n🧪 Sentence Template Tests\n');
+
+  // Test 1: Syntax
+  await describe('Typed blanks parse and legacy underscore blanks migrate to {noun}', async () => {
+    assertEquals(parseBlanks('{person} hid in the {place} with {noun}').join(), 'person,place,noun', 'Types in order');
+    for (const legacy of ['A ___ ate my homework', 'A _____ ate my homework', 'A _______ ate my homework']) {
+      assertEquals(migrateTemplate(legacy), 'A {noun} ate my homework', `Migrates ${legacy}`);
+      assertEquals(countBlanks(legacy), 1, `Counts ${legacy}`);
+    }
+    assertEquals(countBlanks('I SAW A _____ TRYING TO {person}'), 2, 'Mixed forms count together');
+
+    const loaded = loadSentenceTemplate({ text: '_______ caught {person}\'s diary', blanks: 2, category: 'Double' });
+    assertEquals(loaded.template, '{noun} caught {person}\'s diary', 'Loaded text is canonical');
+    assertEquals(loaded.blankTypes.join(), 'noun,person', 'Loaded types');
+    assertThrows(() => loadSentenceTemplate('The {monster} ate it'), /unknown blank type \{monster\}/, 'Unknown type');
+    assertThrows(() => loadSentenceTemplate({ text: '{noun} met {noun}', blanks: 1 }), /declares 1 blanks but its text has 2/,
+      'Declared count must match');
+    assertThrows(() => loadSentenceTemplate('No blanks'), /at least one blank/, 'Blanks are required');
+  });
+
+  // Test 2: Repository
+  await describe('Card packs migrate legacy blanks and check blank types and supply', async () => {
+    const repository = new CardRepository({ dataDir: writePacks(nouns, [
+      { id: 1, text: '___ met {person}', blanks: 2, category: 'Double' }
+    ]) });
+    repository.preload();
+    const [sentence] = repository.getSentenceCards();
+    assertEquals(sentence.text, '{noun} met {person}', 'Sentence text is migrated');
+    assertEquals(sentence.blankTypes.join(), 'noun,person', 'Sentence carries its blank types');
+
+    const badType = new CardRepository({ dataDir: writePacks(
+      [{ id: 1, text: 'A moon', category: 'Things', blankTypes: ['planet'] }],
+      [{ id: 1, text: '{noun}', blanks: 1, category: 'Simple' }]
+    ) });
+    assertThrows(() => badType.preload(), /invalid blankTypes entry "planet"/, 'Unknown noun card type');
+
+    const noPlaces = new CardRepository({ dataDir: writePacks(nouns, [
+      { id: 7, text: 'Lost in the {place}', blanks: 1, category: 'Simple' }
+    ]) });
+    assertThrows(() => noPlaces.preload(), /card 7 needs 1 \{place\} card\(s\) but noun-cards.json has 0/,
+      'A typed blank no card can fill');
+
+    const shipped = new CardRepository();
+    shipped.preload();
+    assert(shipped.getSentenceCards().every(card => !/_{3,}/.test(card.text)), 'Shipped pack uses the canonical syntax');
+  });
+
+  // Test 3: Dealing
+  await describe('Every hand is dealt a playable card for each typed blank', async () => {
+    const people = card => card.blankTypes && card.blankTypes.includes('person');
+    const deck = new CardDeck(nouns);
+    const hand = nouns.slice(0, 8);
+    assertEquals(unfilledBlankTypes(hand, ['person', 'noun']).join(), 'person', 'Plain hand misses the person');
+    assertEquals(unfilledBlankTypes([...hand.slice(1), nouns[40]], ['person', 'noun']).length, 0, 'Covered hand');
+    assert(deck.drawMatching(people), 'Deck draws a matching card');
+
+    const sentences = [{ id: 1, text: '{person} met {noun}', blanks: 2, category: 'Double' }];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const engine = createEngine(sentences, [], nounsWithPeople(1));
+      try {
+        const started = startGame(engine, 1);
+        const hand = started.players[0].hand;
+        assertEquals(hand.length, 8, 'Swapping keeps the hand size');
+        assert(hand.some(people), 'The only person card is dealt to the hand that needs it');
+      } finally {
+        engine.shutdown();
+      }
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const engine = createEngine(sentences);
+      try {
+        const started = startGame(engine);
+        assertEquals(started.blankTypes.join(), 'person,noun', 'Round records the blank types');
+        for (const player of started.players) {
+          assertEquals(player.hand.length, 8, 'Hand size is kept');
+          assert(player.hand.some(people), `${player.id} holds a person card`);
+        }
+        const dealt = started.players.flatMap(player => player.hand.map(card => card.id));
+        assertEquals(new Set(dealt).size, dealt.length, 'No card is dealt twice');
+      } finally {
+        engine.shutdown();
+      }
+    }
+  });
+
+  // Test 4: Selection
+  await describe('A selected card must fit its blank type', async () => {
+    const engine = createEngine([{ id: 1, text: '{person} met {noun}', blanks: 2, category: 'Double' }]);
+    try {
+      const started = startGame(engine, 3);
+      const submitter = started.players.find(p => p.id !== started.judgeId);
+      const person = submitter.hand.find(card => card.blankTypes);
+      const thing = submitter.hand.find(card => !card.blankTypes);
+
+      assertThrows(() => engine.submitSelection(started.code, submitter.id, { cards: [thing.id, person.id] }),
+        /can't fill a \{person\} blank/, 'Plain card in a person blank');
+      const at = card => submitter.hand.indexOf(card);
+      assertThrows(() => engine.submitSelection(started.code, submitter.id, { selections: { 0: at(thing), 1: at(person) } }),
+        /can't fill a \{person\} blank/, 'REST selections are checked too');
+      const updated = engine.submitSelection(started.code, submitter.id, { selections: { 0: at(person), 1: at(thing) } });
+      assert(updated.playerSelections[submitter.id], 'Fitting cards are recorded');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  // Test 5: Legacy templates reach image generation
+  await describe('Custom templates are validated and legacy blanks reach image generation', async () => {
+    assertEquals(PromptFormatter.countBlanks('Test _____'), 1, 'Five underscores count as a blank');
+    const formatted = PromptFormatter.formatImagePrompt('{person} met {noun}', ['A pirate', 'a llama']);
+    assertEquals(formatted.completedSentence, 'A pirate met a llama', 'Typed blanks are filled');
+
+    const prompts = [];
+    const engine = createEngine([{ id: 1, text: '{noun}', blanks: 1, category: 'Simple' }], prompts);
+    try {
+      assertThrows(() => engine.createGame({ hostId: 'h', sentenceTemplates: ['Fine {noun}', 'No blanks'] }),
+        /Invalid sentence template 1: must contain at least one blank/, 'Bad custom templates are rejected');
+
+      const game = engine.createGame({ hostId: 'h' });
+      for (const id of ['p1', 'p2', 'p3']) {
+        engine.joinGame(game.code, { playerId: id, name: id });
+      }
+      const started = engine.startGame(game.code, { sentenceTemplates: ['I SAW A _____ TRYING TO DANCE'] });
+      assertEquals(started.sentenceTemplate, 'I SAW A {noun} TRYING TO DANCE', 'Legacy template is migrated');
+
+      const submitter = started.players.find(p => p.id !== started.judgeId);
+      engine.submitSelection(game.code, submitter.id, { cards: [submitter.hand[0].id] });
+      const deadline = Date.now() + 5000;
+      while (!engine.getGame(game.code).generatedImages[submitter.id] && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const image = engine.getGame(game.code).generatedImages[submitter.id];
+      assert(image && !image.isPlaceholder, 'The image was generated');
+      assert(prompts[0].includes(image.completedSentence), 'Prompt carries the completed sentence');
+    } finally {
+      engine.shutdown();
+    }
+  });
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
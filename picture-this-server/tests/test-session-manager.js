@@ -138,14 +138,14 @@ describe('Remove player from session', () => {
 describe('Phase transitions are validated', () => {
   const session = manager.createSession('host-8', 5, 8);
   
-  // Valid transition: lobby -> round_intro
-  manager.updateSessionPhase(session.code, 'round_intro');
+  // Valid transition: LOBBY -> ROUND_SETUP
+  manager.updateSessionPhase(session.code, 'ROUND_SETUP');
   let updated = manager.getSessionByCode(session.code);
-  assertEquals(updated.currentPhase, 'round_intro', 'Should transition to round_intro');
+  assertEquals(updated.currentPhase, 'ROUND_SETUP', 'Should transition to ROUND_SETUP');
   
-  // Invalid transition: round_intro -> lobby should fail
+  // Invalid transition: ROUND_SETUP -> LOBBY should fail
   try {
-    manager.updateSessionPhase(session.code, 'lobby');
+    manager.updateSessionPhase(session.code, 'LOBBY');
     throw new Error('Should have thrown error for invalid transition');
   } catch (error) {
     assert(error.message.includes('Cannot transition'), 'Should reject invalid transition');
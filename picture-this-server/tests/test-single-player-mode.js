@@ -170,7 +170,7 @@ await runTest('Single player submits cards (no judge check)', async () => {
   const submitted = await orchestrator.submitSelection(state, 'player-1', ['cat']);
   
   assert(submitted.playerSelections['player-1'], 'Player selection should be recorded');
-  assert.equal(submitted.playerSelections['player-1'][0], 'cat', 'Should have selected card');
+  assert.equal(submitted.playerSelections['player-1'].cards[0], 'cat', 'Should have selected card');
 });
 
 // Test 6: Validate single-player sessions can't have maxPlayers < 1
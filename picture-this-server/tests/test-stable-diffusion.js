@@ -0,0 +1,195 @@
+/**
+ * ---
+ * title: Stable Diffusion Provider Tests
+ * purpose: Tests the stable-diffusion image provider against a local stand-in for an
+ *          Automatic1111 server: settings are sent to txt2img, base64 images are saved
+ *          in the generated-images layout, and failures go through the usual
+ *          retry/backoff and placeholder handling.
+ * exports: None (test script)
+ * dependencies: fs, http, path, ImageGeneratorService, local image provider
+ * ---
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ImageGeneratorService = require('../src/services/ImageGeneratorService');
+const { renderLocalImage } = require('../src/services/imageProviders/local');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+const GENERATED_DIR = path.join(__dirname, '../public/generated-images');
+const TEST_CODE = 'SDTEST';
+const IMAGE = renderLocalImage('stand-in', 'A stand-in image');
+
+/**
+ * Starts a stand-in txt2img server. `respond` decides each reply from the request
+ * number and parsed body: { status, body }.
+ */
+async function startStandIn(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') };
+      requests.push(request);
+      const { status, body } = respond(requests.length, request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Service pointed at the stand-in, without real backoff delays
+ */
+function createService(baseUrl, providerOptions = {}) {
+  const service = new ImageGeneratorService({
+    serviceType: 'stable-diffusion',
+    timeout: 2000,
+    providerOptions: { baseUrl, ...providerOptions }
+  });
+  service.backoffs = [];
+  service._sleep = async (ms) => { service.backoffs.push(ms); };
+  return service;
+}
+
+async function runTests() {
+  console.log('\n🧪 Stable Diffusion Provider Tests\n');
+
+  const savedApiKey = process.env.OPENAI_API_KEY;
+  process.env.OPENAI_API_KEY = 'sk-should-never-leave-the-server';
+
+  // Test 1: Request and save
+  await describe('Sends the configured settings and saves the decoded image', async () => {
+    const standIn = await startStandIn(() => ({ status: 200, body: { images: [IMAGE.toString('base64')] } }));
+    const service = createService(standIn.baseUrl, { sampler: 'DPM++ 2M', steps: 12, width: 640, height: 384, cfgScale: 5.5 });
+
+    const result = await service.generateImage('a duck in a tuxedo', TEST_CODE, 1, 'p1', 'cartoon', 'A duck ate my homework');
+    await standIn.close();
+
+    const { url, method, body, headers } = standIn.requests[0];
+    assertEquals(`${method} ${url}`, 'POST /sdapi/v1/txt2img', 'Should call txt2img (trailing slash in base URL tolerated)');
+    assertEquals(body.prompt, 'a duck in a tuxedo', 'Prompt is sent');
+    assertEquals(body.sampler_name, 'DPM++ 2M', 'Sampler is sent');
+    assertEquals(body.steps, 12, 'Steps are sent');
+    assertEquals(`${body.width}x${body.height}`, '640x384', 'Size is sent');
+    assertEquals(body.cfg_scale, 5.5, 'CFG scale is sent');
+    assertEquals(headers.authorization, undefined, 'The OpenAI key is never sent to the LAN server');
+
+    assertEquals(result.imageUrl, `/generated-images/${TEST_CODE}/round-1/p1.png`, 'Image uses the usual layout');
+    assert(!result.isPlaceholder, 'Image is not a placeholder');
+    const saved = fs.readFileSync(path.join(GENERATED_DIR, TEST_CODE, 'round-1', 'p1.png'));
+    assert(saved.equals(IMAGE), 'Saved bytes are the decoded base64 image');
+  });
+
+  // Test 2: Environment settings and data URLs
+  await describe('Reads SD_* settings from the environment and accepts data URLs', async () => {
+    const standIn = await startStandIn(() => ({
+      status: 200,
+      body: { images: [`data:image/png;base64,${IMAGE.toString('base64')}`] }
+    }));
+    process.env.SD_BASE_URL = standIn.baseUrl;
+    process.env.SD_STEPS = '30';
+    const service = new ImageGeneratorService({ serviceType: 'stable-diffusion', timeout: 2000 });
+
+    const result = await service.generateImage('prompt', TEST_CODE, 2, 'p2', 'realistic', 'A sentence');
+    await standIn.close();
+    delete process.env.SD_BASE_URL;
+    delete process.env.SD_STEPS;
+
+    assertEquals(standIn.requests[0].body.steps, 30, 'SD_STEPS is used');
+    assertEquals(standIn.requests[0].body.sampler_name, 'Euler a', 'Unset settings fall back to defaults');
+    const saved = fs.readFileSync(path.join(GENERATED_DIR, TEST_CODE, 'round-2', 'p2.png'));
+    assert(saved.equals(IMAGE), 'data: prefix is stripped before decoding');
+    assert(!result.isPlaceholder, 'Image is not a placeholder');
+  });
+
+  // Test 3: Retry
+  await describe('Server errors are retried with backoff', async () => {
+    const standIn = await startStandIn((count) => count < 3
+      ? { status: 503, body: { error: 'model loading' } }
+      : { status: 200, body: { images: [IMAGE.toString('base64')] } });
+    const service = createService(standIn.baseUrl);
+
+    const result = await service.generateImage('prompt', TEST_CODE, 3, 'p3', 'realistic', 'A sentence');
+    await standIn.close();
+
+    assertEquals(standIn.requests.length, 3, 'Should try three times');
+    assertEquals(service.backoffs.join(), '1000,2000', 'Should back off 1s then 2s');
+    assert(!result.isPlaceholder, 'Third attempt succeeds');
+  });
+
+  // Test 4: Placeholders
+  await describe('Bad requests and unusable responses fall back to the placeholder', async () => {
+    const rejecting = await startStandIn(() => ({ status: 400, body: { error: 'bad sampler' } }));
+    const service = createService(rejecting.baseUrl);
+    const rejected = await service.generateImage('prompt', TEST_CODE, 4, 'p4', 'realistic', 'A sentence');
+    await rejecting.close();
+
+    assertEquals(rejecting.requests.length, 1, '400s are not retried');
+    assert(rejected.isPlaceholder, 'Rejected request gives a placeholder');
+    assertEquals(rejected.imageUrl, service.placeholderPath, 'Placeholder path is used');
+
+    const empty = await startStandIn(() => ({ status: 200, body: { images: [] } }));
+    const emptyService = createService(empty.baseUrl);
+    const missing = await emptyService.generateImage('prompt', TEST_CODE, 4, 'p5', 'realistic', 'A sentence');
+    await empty.close();
+
+    assertEquals(empty.requests.length, 3, 'Empty responses are retried');
+    assert(missing.isPlaceholder, 'A response without images gives a placeholder');
+  });
+
+  fs.rmSync(path.join(GENERATED_DIR, TEST_CODE), { recursive: true, force: true });
+  if (savedApiKey === undefined) {
+    delete process.env.OPENAI_API_KEY;
+  } else {
+    process.env.OPENAI_API_KEY = savedApiKey;
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,303 @@
+/**
+ * ---
+ * title: Storage Tests
+ * purpose: Tests the storage adapters and durable games: every engine change is written
+ *          through, and a new engine on the same storage restores in-progress games with
+ *          their hands, deck, images and a resumed phase timer. The file adapter writes
+ *          behind: repeated saves coalesce into one write and reads see unwritten records.
+ * exports: None (test script)
+ * dependencies: fs, os, path, storage, GameEngine, GameSessionManager, GameManager, phases, auth, test helpers
+ * ---
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageAdapter, MemoryStorageAdapter, FileStorageAdapter } = require('../src/storage');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const auth = require('../auth');
+const { createStubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Starts a 3-player game on an engine backed by `storage`
+ */
+function startGame(storage, imageGenerator = createStubImageGenerator()) {
+  const engine = new GameEngine({ logger: silentLogger, storage, imageGenerator });
+  const manager = new GameSessionManager({ engine });
+  const session = manager.createSession('host-1', 3, 8);
+  for (const id of ['p1', 'p2', 'p3']) {
+    manager.joinSession(session.code, { playerId: id, name: id });
+  }
+  const started = manager.startGame(session.code, ['A _______ ate my homework']);
+  return { engine, manager, code: session.code, started };
+}
+
+async function runTests() {
+  console.log('\n🧪 Storage Tests\n');
+
+  // Test 1: Memory adapter
+  await describe('Memory adapter stores copies and supports remove/clear', async () => {
+    const storage = createStorageAdapter({ type: 'memory' });
+    const record = { id: 'a', nested: { value: 1 } };
+    storage.save('things', 'a', record);
+    record.nested.value = 2;
+
+    assertEquals(storage.get('things', 'a').nested.value, 1, 'Later mutation should not leak into storage');
+    storage.save('things', 'b', { id: 'b' });
+    assertEquals(storage.load('things').length, 2, 'Both records should load');
+    assert(storage.remove('things', 'a'), 'Remove should report success');
+    assertEquals(storage.get('things', 'a'), null, 'Removed record is gone');
+    storage.clear('things');
+    assertEquals(storage.load('things').length, 0, 'Clear empties the collection');
+
+    assertThrows(() => createStorageAdapter({ type: 'floppy' }), 'Unknown storage adapter', 'Unknown types rejected');
+  });
+
+  // Test 2: File adapter
+  await describe('File adapter persists records across instances and skips corrupt files', async () => {
+    const dir = tempDir();
+    const first = new FileStorageAdapter({ dir });
+    first.save('games', 'ABC123', { code: 'ABC123', round: 2 });
+    first.save('games', 'a/b', { code: 'a/b' });
+    await first.flush();
+
+    const second = new FileStorageAdapter({ dir, logger: silentLogger });
+    assertEquals(second.get('games', 'ABC123').round, 2, 'Record should survive a new instance');
+    assertEquals(second.load('games').length, 2, 'Keys with slashes are stored safely');
+    assert(!fs.readdirSync(path.join(dir, 'games')).some(name => name.endsWith('.tmp')), 'No temp files left behind');
+
+    fs.writeFileSync(path.join(dir, 'games', 'BROKEN.json'), '{ not json');
+    assertEquals(second.load('games').length, 2, 'Corrupt records are skipped');
+
+    assert(second.remove('games', 'ABC123'), 'Remove should report success');
+    assertEquals(second.remove('games', 'ABC123'), false, 'Second remove finds nothing');
+  });
+
+  // Test 3: Write-through
+  await describe('Every engine change is written through to storage', async () => {
+    const storage = new MemoryStorageAdapter();
+    const { engine, manager, code, started } = startGame(storage);
+
+    const saved = storage.get('games', code);
+    assertEquals(saved.currentPhase, PHASES.SELECTION, 'Saved game should be in SELECTION');
+    assertEquals(saved.players.length, 3, 'Players should be saved');
+    assertEquals(saved.players[0].hand.length, started.players[0].hand.length, 'Hands should be saved');
+    assert(saved.deck && saved.deck.drawPile.length > 0, 'Deck should be saved');
+
+    const submitter = started.players.find(p => p.id !== started.judgeId);
+    manager.recordPlayerSelection(code, submitter.id, { selections: { 0: 0 }, selectedCards: [submitter.hand[0]] });
+    await tick();
+    const withImage = storage.get('games', code);
+    assert(withImage.playerSelections[submitter.id], 'Selection should be saved');
+    assert(withImage.generatedImages[submitter.id].imageUrl, 'Image metadata should be saved');
+
+    engine.cleanupGame(code);
+    assertEquals(storage.get('games', code), null, 'Cleaned-up games are removed from storage');
+    engine.shutdown();
+  });
+
+  // Test 4: Restore after restart
+  await describe('A new engine restores in-progress games and resumes the timer', async () => {
+    const storage = new FileStorageAdapter({ dir: tempDir() });
+    const { engine, code, started } = startGame(storage);
+    const finished = new GameSessionManager({ engine }).createSession('host-2', 3, 8);
+    engine.endGame(finished.code);
+    engine.shutdown(); // The old process goes away
+
+    const restarted = new GameEngine({ logger: silentLogger, storage, imageGenerator: createStubImageGenerator() });
+    const restored = restarted.restoreGames();
+
+    assertEquals(restored.length, 1, 'Only the in-progress game should come back');
+    assertEquals(restarted.getGame(finished.code), null, 'Finished games are dropped');
+    assertEquals(storage.get('games', finished.code), null, 'Finished games are removed from storage');
+
+    const state = restarted.getGame(code);
+    assertEquals(state.currentPhase, PHASES.SELECTION, 'Phase should be restored');
+    assertEquals(state.judgeId, started.judgeId, 'Judge should be restored');
+    assertEquals(state.players[1].hand.map(card => card.id).join(), started.players[1].hand.map(card => card.id).join(), 'Hands should be restored');
+    assert(restarted.timerManager.hasTimer(state.gameId), 'Phase timer should be running again');
+    const remaining = restarted.timerManager.getRemainingTime(state.gameId);
+    assert(remaining > 0 && remaining <= started.phaseTimeoutMs, 'Timer should get the time that was left');
+
+    restarted.shutdown();
+  });
+
+  // Test 5: Overdue timers and in-flight images
+  await describe('Restored games finish overdue phases and re-request missing images', async () => {
+    const storage = new MemoryStorageAdapter();
+    const { engine, manager, code, started } = startGame(storage, { generateImage: () => new Promise(() => {}) });
+    const submitters = started.players.filter(p => p.id !== started.judgeId);
+    for (const player of submitters) {
+      manager.recordPlayerSelection(code, player.id, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+    }
+    engine.advancePhase(code, null, 'timeout'); // -> IMAGE_GEN, images never arrive
+    engine.shutdown();
+
+    // Pretend the server was down long enough for IMAGE_GEN to run out
+    const saved = storage.get('games', code);
+    storage.save('games', code, { ...saved, phaseStartTime: Date.now() - saved.phaseTimeoutMs - 1000 });
+
+    const requests = [];
+    const restarted = new GameEngine({ logger: silentLogger, storage, imageGenerator: createStubImageGenerator(requests) });
+    restarted.restoreGames();
+    await tick();
+    assertEquals(requests.map(r => r.playerId).sort().join(), submitters.map(p => p.id).sort().join(), 'Missing images are requested again');
+
+    await tick(300);
+    const state = restarted.getGame(code);
+    assert(state.currentPhase !== PHASES.IMAGE_GEN, 'Game should have moved past IMAGE_GEN');
+    assertEquals(Object.keys(state.generatedImages).length, submitters.length, 'Every submitter has an image');
+
+    restarted.shutdown();
+  });
+
+  // Test 6: Socket players come back offline
+  await describe('Socket players are restored offline until they rejoin', async () => {
+    const storage = new MemoryStorageAdapter();
+    const engine = new GameEngine({ logger: silentLogger, storage, imageGenerator: createStubImageGenerator() });
+    const gameManager = new GameManager(silentLogger, { to: () => ({ emit: () => {} }) }, engine);
+    const game = gameManager.createGame({ hostId: 'host-1' });
+    gameManager.addPlayerToGame(game.gameId, { playerId: 'p1', socketId: 's1', name: 'p1' });
+    engine.shutdown();
+
+    const restarted = new GameEngine({ logger: silentLogger, storage });
+    restarted.restoreGames();
+    const player = restarted.getGame(game.code).players[0];
+    assertEquals(player.socketId, null, 'Stale socket is dropped');
+    assertEquals(player.presence, 'away', 'Player is away until they rejoin');
+
+    restarted.joinGame(game.code, { playerId: 'p1', socketId: 's2', rejoinToken: restarted.getRejoinToken(game.code, 'p1') });
+    assertEquals(restarted.getGame(game.code).players[0].presence, 'online', 'Rejoining brings them back');
+    restarted.shutdown();
+  });
+
+  // Test 7: Users
+  await describe('Persisted users are loaded for authentication', async () => {
+    const storage = new MemoryStorageAdapter();
+    storage.save('users', 'user-1', { id: 'user-1', google_id: 'g-1', name: 'Saved User' });
+
+    assertEquals(auth.configureUserStorage(storage), 1, 'One user should load');
+    assertEquals(auth.findUserById('user-1').name, 'Saved User', 'Loaded user is found by id');
+    auth.configureUserStorage(null);
+  });
+
+  // Test 8: Write-behind
+  await describe('File adapter batches saves off the event loop and close() writes the rest', async () => {
+    const dir = tempDir();
+    const storage = new FileStorageAdapter({ dir, writeDelayMs: 10 });
+    const recordFile = path.join(dir, 'games', 'ABC123.json');
+    for (let round = 1; round <= 5; round++) {
+      storage.save('games', 'ABC123', { code: 'ABC123', round });
+    }
+    assert(!fs.existsSync(recordFile), 'Saves should not write synchronously');
+    assertEquals(storage.get('games', 'ABC123').round, 5, 'Unwritten records are readable');
+    assertEquals(storage.load('games').length, 1, 'Unwritten records are loaded');
+
+    await tick(50);
+    assertEquals(JSON.parse(fs.readFileSync(recordFile, 'utf8')).round, 5, 'Only the latest save is written');
+    assert(!fs.readdirSync(path.join(dir, 'games')).some(name => name.endsWith('.tmp')), 'No temp files left behind');
+
+    storage.save('games', 'GONE01', { code: 'GONE01' });
+    assert(storage.remove('games', 'GONE01'), 'Removing an unwritten record reports success');
+    await storage.flush();
+    assert(!fs.existsSync(path.join(dir, 'games', 'GONE01.json')), 'Removed records are never written');
+
+    storage.save('games', 'ABC123', { code: 'ABC123', round: 6 });
+    storage.close();
+    assertEquals(new FileStorageAdapter({ dir }).get('games', 'ABC123').round, 6, 'close() writes pending records');
+  });
+
+  // Test 9: Batched writes land on flush and close
+  await describe('flush() and close() leave every committed game state on disk', async () => {
+    const dir = tempDir();
+    const storage = new FileStorageAdapter({ dir, writeDelayMs: 60000 }); // Only flush/close write
+    const { engine, manager, code, started } = startGame(storage);
+    const onDisk = () => JSON.stringify(new FileStorageAdapter({ dir }).get('games', code));
+    const committed = () => JSON.stringify(engine.getGame(code));
+
+    assertEquals(new FileStorageAdapter({ dir }).get('games', code), null, 'Commits wait for the batch');
+    await storage.flush();
+    assertEquals(onDisk(), committed(), 'flush() writes the latest committed state');
+
+    const submitter = started.players.find(p => p.id !== started.judgeId);
+    manager.recordPlayerSelection(code, submitter.id, { selections: { 0: 0 }, selectedCards: [submitter.hand[0]] });
+    await tick();
+    await storage.flush();
+    assertEquals(onDisk(), committed(), 'flush() writes commits made after an earlier flush');
+
+    const other = started.players.find(p => p.id !== started.judgeId && p.id !== submitter.id);
+    manager.recordPlayerSelection(code, other.id, { selections: { 0: 0 }, selectedCards: [other.hand[0]] });
+    const last = committed();
+    engine.shutdown();
+    storage.close();
+    assertEquals(onDisk(), last, 'close() writes the last committed state synchronously');
+  });
+
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,307 @@
+/**
+ * ---
+ * title: Favorite Voting Tests
+ * purpose: Tests the VOTING phase: who may vote, the live tally relayed to the room,
+ *          early close once every player has voted, the deadline, and the audience
+ *          favorite's points in round results. Covers the REST vote endpoint and
+ *          watching sockets leaving the audience when they disconnect.
+ * exports: None (test script)
+ * dependencies: express, GameEngine, GameSessionManager, GameManager, routes/game, websocket handlers, phases,
+ *               test helpers
+ * ---
+ */
+
+const http = require('http');
+const express = require('express');
+const GameEngine = require('../src/game/GameEngine');
+const GameSessionManager = require('../src/game/GameSessionManager');
+const GameManager = require('../src/game/GameManager');
+const { PHASES } = require('../src/game/phases');
+const { setupWebSocketHandlers } = require('../src/websocket/handlers');
+const { stubImageGenerator, tick } = require('./helpers');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function describe(name, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    testsFailed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`Assertion failed: ${message}. Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `${message} (got "${error.message}")`);
+    return;
+  }
+  throw new Error(`Assertion failed: ${message} (nothing thrown)`);
+}
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+const PORT = 3004;
+
+function makeRequest(method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port: PORT,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : {} }));
+    });
+    req.on('error', reject);
+    if (body) {
+      req.write(JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * Creates a 4-player game and plays round 1 into VOTING (3 submitters)
+ */
+async function setupVotingGame() {
+  const engine = new GameEngine({ logger: silentLogger, imageGenerator: stubImageGenerator });
+  const emitted = [];
+  const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+  const gameManager = new GameManager(silentLogger, io, engine);
+  const manager = new GameSessionManager({ engine });
+
+  const session = manager.createSession('host-1', 3, 8);
+  for (const id of ['p1', 'p2', 'p3', 'p4']) {
+    manager.joinSession(session.code, { playerId: id, name: id });
+  }
+  const started = manager.startGame(session.code, ['A _______ ate my homework']);
+  const submitters = started.players.filter(p => p.id !== started.judgeId);
+
+  for (const player of submitters) {
+    manager.recordPlayerSelection(session.code, player.id, { selections: { 0: 0 }, selectedCards: [player.hand[0]] });
+  }
+  engine.advancePhase(session.code, null, 'timeout'); // -> IMAGE_GEN
+  await tick();
+  engine.advancePhase(session.code, null, 'timeout'); // -> VOTING
+
+  return {
+    engine,
+    manager,
+    gameManager,
+    emitted,
+    code: session.code,
+    judgeId: started.judgeId,
+    voters: submitters.map(p => p.id)
+  };
+}
+
+async function runTests() {
+  console.log('\n🧪 Favorite Voting Tests\n');
+
+  // Test 1: Voting opens after images are ready
+  await describe('Voting opens after images with a deadline', async () => {
+    const { engine, manager, emitted, code } = await setupVotingGame();
+    const state = manager.getSessionByCode(code);
+
+    assertEquals(state.currentPhase, PHASES.VOTING, 'Game should be in VOTING');
+    assert(state.votingDeadline > Date.now(), 'Deadline should be in the future');
+    const started = emitted.find(e => e.event === 'voting-started');
+    assert(started, 'voting-started should be relayed');
+    assertEquals(started.data.candidates.length, 3, 'All three images should be candidates');
+
+    engine.shutdown();
+  });
+
+  // Test 2: Voting rules
+  await describe('Judge, self-votes and non-submissions are rejected', async () => {
+    const { engine, manager, code, judgeId, voters } = await setupVotingGame();
+
+    assertThrows(() => manager.recordVote(code, judgeId, voters[0]), 'Judge cannot vote', 'Judge should not vote');
+    assertThrows(() => manager.recordVote(code, voters[0], voters[0]), 'own image', 'Self-vote should fail');
+    assertThrows(() => manager.recordVote(code, voters[0], judgeId), 'submitted image', 'Judge has no image');
+
+    engine.shutdown();
+  });
+
+  // Test 3: Spectators vote and the tally is live
+  await describe('Registered spectator votes count and the live tally is broadcast', async () => {
+    const { engine, manager, emitted, code, voters } = await setupVotingGame();
+
+    assertThrows(() => manager.recordVote(code, 'spectator-a', voters[1]), 'registered spectators',
+      'Unregistered spectators should not vote');
+    const { spectatorId } = manager.addSpectator(code);
+    manager.recordVote(code, spectatorId, voters[1]);
+    manager.recordVote(code, voters[0], voters[1]);
+    manager.recordVote(code, voters[0], voters[2]); // Changed their mind
+
+    const tally = manager.getVoteTally(code);
+    assertEquals(tally.tally[voters[1]], 1, 'Spectator vote should count');
+    assertEquals(tally.tally[voters[2]], 1, 'Changed vote should move');
+    assertEquals(tally.totalVotes, 2, 'One vote per voter');
+    assert(tally.isOpen, 'Voting should still be open');
+
+    const updates = emitted.filter(e => e.event === 'vote-tally');
+    assertEquals(updates.length, 3, 'Each vote should broadcast the tally');
+    assertEquals(updates[2].data.totalVotes, 2, 'Latest broadcast should match');
+
+    engine.shutdown();
+  });
+
+  // Test 4: Early close and points in results
+  await describe('Voting closes when every player has voted and the favorite scores', async () => {
+    const { engine, manager, code, voters } = await setupVotingGame();
+    const [a, b, c] = voters;
+
+    manager.recordVote(code, a, b);
+    manager.recordVote(code, b, a);
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.VOTING, 'Still waiting on one player');
+    manager.recordVote(code, c, b);
+
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.JUDGING, 'All players voted: on to JUDGING');
+    assertThrows(() => manager.recordVote(code, 'spectator-late', a), 'not open', 'Late votes should fail');
+
+    manager.recordJudgeSelection(code, a, c);
+    engine.advancePhase(code, null, 'timeout'); // -> RESULTS
+
+    const results = manager.getSessionByCode(code);
+    assertEquals(results.lastRoundResults.audienceFavorites[0], b, 'b should be the favorite');
+    assertEquals(results.lastRoundResults.audienceTally[b], 2, 'Tally should be stored with the results');
+    assertEquals(results.players.find(p => p.id === b).score, 1, 'Favorite gets the audience point');
+    assertEquals(results.players.find(p => p.id === a).score, 5, 'First place unaffected');
+
+    engine.shutdown();
+  });
+
+  // Test 5: Deadline moves the game on
+  await describe('Voting deadline advances to JUDGING', async () => {
+    const { engine, manager, code } = await setupVotingGame();
+    const state = manager.getSessionByCode(code);
+
+    engine.handlePhaseTimeout(state.gameId, PHASES.VOTING);
+
+    assertEquals(manager.getSessionByCode(code).currentPhase, PHASES.JUDGING, 'Deadline should close voting');
+    engine.shutdown();
+  });
+
+  // Test 6: REST endpoints
+  await describe('REST vote endpoint records votes and reports the tally', async () => {
+    const { engine, manager, code, voters, judgeId } = await setupVotingGame();
+    const app = express();
+    app.use(express.json());
+    require('../src/routes/game')(app, {
+      sessionManager: manager,
+      auth: { requireAuth: (req, res, next) => next() },
+      logger: silentLogger
+    });
+    const server = app.listen(PORT);
+
+    try {
+      const token = manager.getRejoinToken(code, voters[0]);
+      const anonymous = await makeRequest('POST', `/api/game/${code}/vote`, { voterId: voters[0], votedFor: voters[1] });
+      assertEquals(anonymous.status, 403, 'Voting as a player without their token should be a 403');
+      const stuffed = await makeRequest('POST', `/api/game/${code}/vote`, { voterId: 'spectator-x', votedFor: voters[1], token });
+      assertEquals(stuffed.status, 403, 'Unregistered spectators should be a 403');
+
+      const ok = await makeRequest('POST', `/api/game/${code}/vote`, { voterId: voters[0], votedFor: voters[1], token });
+      assertEquals(ok.status, 200, 'Vote should be accepted');
+      assertEquals(ok.body.tally[voters[1]], 1, 'Response should carry the tally');
+
+      const self = await makeRequest('POST', `/api/game/${code}/vote`, { voterId: voters[0], votedFor: voters[0], token });
+      assertEquals(self.status, 400, 'Self-vote should be a 400');
+
+      const judge = await makeRequest('POST', `/api/game/${code}/vote`, {
+        voterId: judgeId,
+        votedFor: voters[0],
+        token: manager.getRejoinToken(code, judgeId)
+      });
+      assertEquals(judge.status, 400, 'Judge vote should be a 400');
+
+      const spectator = await makeRequest('POST', `/api/game/${code}/spectate`);
+      assertEquals(spectator.status, 201, 'Spectators register');
+      const watched = await makeRequest('POST', `/api/game/${code}/vote`, {
+        voterId: spectator.body.spectatorId,
+        votedFor: voters[2],
+        token: spectator.body.token
+      });
+      assertEquals(watched.status, 200, 'Registered spectator vote should be accepted');
+
+      const missing = await makeRequest('POST', '/api/game/NOPE00/vote', { voterId: 'x', votedFor: 'y' });
+      assertEquals(missing.status, 404, 'Unknown game should be a 404');
+
+      const tally = await makeRequest('GET', `/api/game/${code}/votes`);
+      assertEquals(tally.status, 200, 'Tally should be readable');
+      assertEquals(tally.body.totalVotes, 2, 'Tally should count the player and the spectator');
+    } finally {
+      server.close();
+      engine.shutdown();
+    }
+  });
+
+  // Test 7: Watching sockets come and go
+  await describe('Watchers leave the audience on disconnect, so churn keeps neither slots nor votes', async () => {
+    const { engine, manager, gameManager, code, voters } = await setupVotingGame();
+    let onConnection = null;
+    setupWebSocketHandlers({ on: (event, handler) => { onConnection = handler; } }, { gameManager, logger: silentLogger });
+    let nextSocket = 0;
+    const connectWatcher = () => {
+      const handlers = {};
+      const socket = { id: `watch-${nextSocket++}`, on: (event, handler) => { handlers[event] = handler; }, emit: () => {}, join: () => {} };
+      onConnection(socket);
+      handlers['watch-game']({ code });
+      return { spectatorId: `spectator-${socket.id}`, disconnect: () => handlers.disconnect('transport close') };
+    };
+
+    for (let i = 0; i < 150; i++) {
+      connectWatcher().disconnect();
+    }
+    assertEquals(engine.exportGame(code).spectatorCount, 0, 'Disconnected watchers should be unregistered');
+
+    const watcher = connectWatcher();
+    assertEquals(engine.exportGame(code).spectatorCount, 1, 'A new watcher still gets a slot after churn');
+    manager.recordVote(code, watcher.spectatorId, voters[1]);
+    watcher.disconnect();
+    assertEquals(manager.getVoteTally(code).totalVotes, 0, 'A watcher\'s vote leaves with them');
+
+    const again = connectWatcher();
+    manager.recordVote(code, again.spectatorId, voters[1]);
+    assertEquals(manager.getVoteTally(code).totalVotes, 1, 'Reconnecting counts one vote, not two');
+    again.disconnect();
+    engine.shutdown();
+  });
+
+  // Print results
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests Passed: ${testsPassed}`);
+  console.log(`Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(testsFailed === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});